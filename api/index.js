@@ -3,17 +3,38 @@ const cors = require('cors');
 const path = require('path');
 
 // Import database adapter and score calculator
-const Database = require('../server/supabase-adapter');
+const { createDatabase } = require('../server/createDatabase');
 const ScoreCalculator = require('../server/scoreCalculator');
+const { resolveDimensions } = require('../server/dimensions');
+const { recalculateChallengeRankings, updateCandidateRanking, getUserStanding, previewRankings, restoreCriteriaVersion, buildSimulationCriteria, parseSimulationLimit, simulateRankings } = require('../server/rankingService');
+const { authenticate, requireRole, assertAuthConfigured, devTokenIssuer } = require('../server/auth');
+const { parseAuditQuery } = require('../server/audit');
+const { BULK_CONTENT_TYPES, detectFormat, prepareBulkScores } = require('../server/bulkImport');
+const { EXPORT_FORMATS, EXPORT_LIMIT, renderExport } = require('../server/leaderboardExport');
+const { parseLeaderboardQuery, nextCursor } = require('../server/leaderboardQuery');
+const { parseLifecycleChanges, getChallengeState, withLifecycle, getSubmissionBlock, getFrozenReason } = require('../server/challengeLifecycle');
+const { buildCandidateProfile } = require('../server/candidateProfile');
+const { parseTags, parseGlobalQuery, buildGlobalLeaderboard, invalidateGlobalLeaderboard } = require('../server/globalLeaderboard');
+const { parseBuckets, buildScoreAnalytics } = require('../server/scoreAnalytics');
+const { buildScoreExplanation } = require('../server/scoreExplanation');
 
 const app = express();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(authenticate);
 
-// Initialize database
-const db = new Database();
+// Initialize database (DB_CLIENT selects the backend)
+const db = createDatabase();
+// There is no listen step to hold back here, so a failed setup is logged and requests report it
+db.ready.catch(error => console.error('Database setup failed:', error.message));
+try {
+  assertAuthConfigured();
+} catch (error) {
+  // Signed-in requests fail until AUTH_SECRET is set; anonymous reads keep working
+  console.error('Authentication setup failed:', error.message);
+}
 
 // Routes
 
@@ -22,8 +43,16 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'EduVerse Leaderboard API is running' });
 });
 
+// Issue a session token (only with AUTH_DEV_ISSUER=1, see server/auth.js)
+app.post('/api/auth/token', devTokenIssuer);
+
+// Identity of the current caller
+app.get('/api/auth/me', requireRole('recruiter', 'grader', 'candidate'), (req, res) => {
+  res.json(req.user);
+});
+
 // Create a new challenge
-app.post('/api/challenges', async (req, res) => {
+app.post('/api/challenges', requireRole('recruiter'), async (req, res) => {
   try {
     const { challengeId, title, description } = req.body;
     
@@ -31,27 +60,73 @@ app.post('/api/challenges', async (req, res) => {
       return res.status(400).json({ error: 'challengeId and title are required' });
     }
 
-    const challenge = await db.createChallenge(challengeId, title, description);
-    res.status(201).json(challenge);
+    const { changes, errors } = parseLifecycleChanges(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid challenge lifecycle', details: errors });
+    }
+
+    const { tags, errors: tagErrors } = parseTags(req.body.tags);
+    if (tagErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid challenge tags', details: tagErrors });
+    }
+
+    const challenge = await db.createChallenge(challengeId, title, description, changes, tags);
+    res.status(201).json(withLifecycle(challenge));
   } catch (error) {
     console.error('Error creating challenge:', error);
     res.status(500).json({ error: 'Failed to create challenge' });
   }
 });
 
+// Open, close or archive a challenge, or move its submission window
+app.post('/api/challenges/:challengeId/status', requireRole('recruiter'), async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const challenge = await db.getChallenge(challengeId);
+    if (!challenge) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+
+    const { changes, errors } = parseLifecycleChanges(req.body, challenge);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid challenge lifecycle', details: errors });
+    }
+
+    // Rank once more on close; after that the leaderboard is final
+    const closing = changes.status === 'closed' && challenge.status !== 'closed';
+    if (closing) {
+      await recalculateChallengeRankings(db, challengeId, req.user);
+    }
+
+    const updated = await db.updateChallengeLifecycle(challengeId, changes, req.user);
+    // The global Elo replays challenges in date order
+    invalidateGlobalLeaderboard(db);
+    res.json(withLifecycle(updated));
+  } catch (error) {
+    console.error('Error updating challenge status:', error);
+    res.status(500).json({ error: 'Failed to update challenge status' });
+  }
+});
+
 // Set recruiter criteria for a challenge
-app.post('/api/challenges/:challengeId/criteria', async (req, res) => {
+app.post('/api/challenges/:challengeId/criteria', requireRole('recruiter'), async (req, res) => {
   try {
     const { challengeId } = req.params;
     const criteria = req.body;
 
+    const frozen = await getFrozenReason(db, challengeId);
+    if (frozen) {
+      return res.status(409).json({ error: 'Challenge leaderboard is frozen', details: [frozen] });
+    }
+
     // Validate criteria
     const validation = ScoreCalculator.validateCriteria(criteria);
     if (!validation.isValid) {
       return res.status(400).json({ error: 'Invalid criteria', details: validation.errors });
     }
 
-    const result = await db.setRecruiterCriteria(challengeId, criteria);
+    const result = await db.setRecruiterCriteria(challengeId, criteria, req.user);
     res.status(201).json(result);
   } catch (error) {
     console.error('Error setting criteria:', error);
@@ -59,68 +134,214 @@ app.post('/api/challenges/:challengeId/criteria', async (req, res) => {
   }
 });
 
+// Get recruiter criteria and the resolved scoring dimensions for a challenge
+app.get('/api/challenges/:challengeId/criteria', async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const criteria = await db.getRecruiterCriteria(challengeId);
+    if (!criteria) {
+      return res.status(404).json({ error: 'Recruiter criteria not found for this challenge' });
+    }
+
+    res.json({ ...criteria, dimensions: resolveDimensions(criteria) });
+  } catch (error) {
+    console.error('Error fetching criteria:', error);
+    res.status(500).json({ error: 'Failed to fetch criteria' });
+  }
+});
+
+// List every criteria version of a challenge, newest first
+app.get('/api/challenges/:challengeId/criteria/versions', async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const versions = await db.getCriteriaVersions(challengeId);
+
+    res.json({
+      challengeId,
+      currentVersion: versions.length > 0 ? versions[0].version : null,
+      versions: versions.map(version => ({ ...version, dimensions: resolveDimensions(version) }))
+    });
+  } catch (error) {
+    console.error('Error fetching criteria versions:', error);
+    res.status(500).json({ error: 'Failed to fetch criteria versions' });
+  }
+});
+
+// View the leaderboard as ranked by an earlier criteria version (nothing is saved)
+app.get('/api/challenges/:challengeId/criteria/versions/:version/leaderboard', async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    const criteria = await db.getRecruiterCriteria(challengeId, version);
+    if (!criteria) {
+      return res.status(404).json({ error: 'Criteria version not found for this challenge' });
+    }
+
+    const rankings = await previewRankings(db, challengeId, criteria);
+    res.json({
+      challengeId,
+      criteriaVersion: version,
+      rankingPolicy: criteria.ranking_policy || 'competition',
+      normalization: criteria.normalization || 'none',
+      dimensions: resolveDimensions(criteria),
+      totalParticipants: rankings.length,
+      rankings
+    });
+  } catch (error) {
+    console.error('Error fetching versioned leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch leaderboard for criteria version' });
+  }
+});
+
+// Restore an earlier criteria version (saved as a new version) and re-rank
+app.post('/api/challenges/:challengeId/criteria/versions/:version/restore', requireRole('recruiter'), async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    const frozen = await getFrozenReason(db, challengeId);
+    if (frozen) {
+      return res.status(409).json({ error: 'Challenge leaderboard is frozen', details: [frozen] });
+    }
+
+    const restored = await restoreCriteriaVersion(db, challengeId, version, req.user);
+    if (!restored) {
+      return res.status(404).json({ error: 'Criteria version not found for this challenge' });
+    }
+    res.status(201).json({
+      message: `Criteria version ${version} restored as version ${restored.criteria.version}`,
+      restoredFrom: version,
+      criteria: restored.criteria,
+      totalParticipants: restored.rankings.length,
+      rankings: restored.rankings.slice(0, 10)
+    });
+  } catch (error) {
+    console.error('Error restoring criteria version:', error);
+    res.status(500).json({ error: 'Failed to restore criteria version' });
+  }
+});
+
 // Submit AI scores
-app.post('/api/scores', async (req, res) => {
+app.post('/api/scores', requireRole('grader'), async (req, res) => {
   try {
     const aiScore = req.body;
 
-    // Validate AI score
-    const validation = ScoreCalculator.validateAIScore(aiScore);
+    // Validate AI score against the challenge's scoring dimensions
+    const criteria = aiScore.challenge_id ? await db.getRecruiterCriteria(aiScore.challenge_id) : null;
+    const validation = ScoreCalculator.validateAIScore(aiScore, resolveDimensions(criteria || {}));
     if (!validation.isValid) {
       return res.status(400).json({ error: 'Invalid AI score', details: validation.errors });
     }
 
+    const blocked = await getSubmissionBlock(db, aiScore.challenge_id);
+    if (blocked) {
+      return res.status(409).json({ error: 'Challenge is not accepting submissions', details: [blocked] });
+    }
+
     // Create user if not exists
     await db.createUser(aiScore.user_id, aiScore.user_id, aiScore.email);
 
     // Submit AI score
-    const result = await db.submitAIScore(aiScore);
-    res.status(201).json(result);
+    const result = await db.submitAIScore(aiScore, req.user);
+
+    // Slot the candidate into the stored ranking instead of recomputing everyone
+    const update = await updateCandidateRanking(db, aiScore.challenge_id, aiScore.user_id, req.user);
+    res.status(201).json({
+      ...result,
+      ranking: update && update.ranking ? {
+        rank: update.ranking.rank,
+        finalScore: update.ranking.finalScore,
+        mode: update.mode,
+        shifted: update.shifted
+      } : null
+    });
   } catch (error) {
     console.error('Error submitting AI score:', error);
     res.status(500).json({ error: 'Failed to submit AI score' });
   }
 });
 
+// Bulk score upload: CSV (header row) or NDJSON, one submission per row
+app.post('/api/challenges/:challengeId/scores/bulk', requireRole('grader'), express.text({ type: BULK_CONTENT_TYPES, limit: '10mb' }), async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const blocked = await getSubmissionBlock(db, challengeId);
+    if (blocked) {
+      return res.status(409).json({ error: 'Challenge is not accepting submissions', details: [blocked] });
+    }
+
+    const format = detectFormat(req.get('Content-Type'), req.query.format);
+    if (!format) {
+      return res.status(400).json({ error: 'Unsupported upload format', details: ['Send text/csv or application/x-ndjson, or pass ?format=csv|ndjson'] });
+    }
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Upload is empty' });
+    }
+
+    const criteria = await db.getRecruiterCriteria(challengeId);
+    const { totalRows, valid, errors, ignoredColumns } = prepareBulkScores(req.body, format, challengeId, resolveDimensions(criteria || {}));
+
+    const report = {
+      challengeId,
+      format,
+      totalRows,
+      inserted: 0,
+      failed: errors.length,
+      errors,
+      ignoredColumns
+    };
+    if (valid.length === 0) {
+      return res.status(400).json({ error: 'No valid rows to import', ...report });
+    }
+
+    const inserted = await db.submitAIScores(valid, req.user);
+    // One re-rank for the whole batch instead of one per row
+    const rankings = await recalculateChallengeRankings(db, challengeId, req.user);
+    res.status(201).json({
+      ...report,
+      inserted: inserted.length,
+      totalParticipants: rankings.length
+    });
+  } catch (error) {
+    console.error('Error importing AI scores:', error);
+    res.status(500).json({ error: 'Failed to import AI scores' });
+  }
+});
+
 // Calculate and update rankings for a challenge
-app.post('/api/challenges/:challengeId/calculate-rankings', async (req, res) => {
+app.post('/api/challenges/:challengeId/calculate-rankings', requireRole('recruiter', 'grader'), async (req, res) => {
   try {
     const { challengeId } = req.params;
 
+    const frozen = await getFrozenReason(db, challengeId);
+    if (frozen) {
+      return res.status(409).json({ error: 'Challenge leaderboard is frozen', details: [frozen] });
+    }
+
     // Get recruiter criteria
     const criteria = await db.getRecruiterCriteria(challengeId);
     if (!criteria) {
       return res.status(404).json({ error: 'Recruiter criteria not found for this challenge' });
     }
 
-    // Get all AI scores for the challenge
-    const aiScores = await db.getAllAIScores(challengeId);
-    if (aiScores.length === 0) {
+    // Rank and save through rankingService, which honours RANKING_ENGINE
+    const rankings = await recalculateChallengeRankings(db, challengeId, req.user);
+    if (rankings.length === 0) {
       return res.status(404).json({ error: 'No AI scores found for this challenge' });
     }
-
-    // Calculate rankings
-    const rankings = ScoreCalculator.processChallengeScores(aiScores, criteria);
-
-    // Save rankings to database
-    for (const ranking of rankings) {
-      await db.saveFinalRanking({
-        userId: ranking.userId,
-        challengeId: ranking.challengeId,
-        finalScore: ranking.finalScore,
-        rank: ranking.rank,
-        logicContribution: ranking.logicContribution,
-        clarityContribution: ranking.clarityContribution,
-        testingContribution: ranking.testingContribution,
-        efficiencyContribution: ranking.efficiencyContribution,
-        apiUiContribution: ranking.apiUiContribution,
-        edgeCasesContribution: ranking.edgeCasesContribution,
-        creativityContribution: ranking.creativityContribution
-      });
-    }
-
     res.json({ 
       message: 'Rankings calculated successfully',
+      rankingPolicy: criteria.ranking_policy || 'competition',
+      criteriaVersion: criteria.version,
       totalParticipants: rankings.length,
       rankings: rankings.slice(0, 10) // Return top 10 for preview
     });
@@ -130,27 +351,93 @@ app.post('/api/challenges/:challengeId/calculate-rankings', async (req, res) =>
   }
 });
 
+// What-if ranking with different weights (nothing is saved)
+app.post('/api/challenges/:challengeId/simulate', requireRole('recruiter'), async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const { limit, errors: limitErrors } = parseSimulationLimit(req.body.limit);
+    if (limitErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid simulation', details: limitErrors });
+    }
+
+    const current = await db.getRecruiterCriteria(challengeId);
+    if (!current) {
+      return res.status(404).json({ error: 'Recruiter criteria not found for this challenge' });
+    }
+
+    const { criteria, errors } = buildSimulationCriteria(current, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid simulation', details: errors });
+    }
+
+    const { rankings, movers } = await simulateRankings(db, challengeId, criteria);
+    res.json({
+      challengeId,
+      baseCriteriaVersion: current.version,
+      dimensions: resolveDimensions(criteria),
+      totalParticipants: rankings.length,
+      rankings: rankings.slice(0, limit),
+      movers
+    });
+  } catch (error) {
+    console.error('Error simulating rankings:', error);
+    res.status(500).json({ error: 'Failed to simulate rankings' });
+  }
+});
+
+// Distribution of the grader's scores per field, and how the fields correlate
+app.get('/api/challenges/:challengeId/analytics', requireRole('recruiter'), async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const { buckets, errors } = parseBuckets(req.query.buckets);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid analytics query', details: errors });
+    }
+
+    const analytics = await buildScoreAnalytics(db, challengeId, { buckets });
+    res.json({ challengeId, buckets, ...analytics });
+  } catch (error) {
+    console.error('Error building score analytics:', error);
+    res.status(500).json({ error: 'Failed to build score analytics' });
+  }
+});
+
 // Get leaderboard for a challenge
 app.get('/api/challenges/:challengeId/leaderboard', async (req, res) => {
   try {
     const { challengeId } = req.params;
-    const { limit = 100, search } = req.query;
-
-    let leaderboard = await db.getLeaderboard(challengeId, parseInt(limit));
 
-    // Apply search filter if provided
-    if (search) {
-      const searchLower = search.toLowerCase();
-      leaderboard = leaderboard.filter(entry => 
-        entry.name.toLowerCase().includes(searchLower) ||
-        entry.user_id.toLowerCase().includes(searchLower)
-      );
+    const [criteria, challenge] = await Promise.all([
+      db.getRecruiterCriteria(challengeId),
+      db.getChallenge(challengeId)
+    ]);
+    const dimensions = resolveDimensions(criteria || {});
+    const state = challenge ? getChallengeState(challenge) : null;
+    const { options, errors } = parseLeaderboardQuery(req.query, dimensions);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid leaderboard query', details: errors });
     }
 
+    // Search, sort and paging all happen in the database, so totals cover every participant
+    const { rows, total, matched, hasMore } = await db.queryLeaderboard(challengeId, options);
+
     res.json({
       challengeId,
-      totalParticipants: leaderboard.length,
-      leaderboard
+      status: state ? state.status : null,
+      frozen: state ? state.frozen : false,
+      totalParticipants: total,
+      matchedParticipants: matched,
+      normalization: (criteria && criteria.normalization) || 'none',
+      criteriaVersion: criteria ? criteria.version : null,
+      dimensions,
+      sort: options.sort,
+      order: options.order,
+      limit: options.limit,
+      offset: options.offset,
+      nextCursor: hasMore ? nextCursor(rows, options) : null,
+      leaderboard: rows
     });
   } catch (error) {
     console.error('Error fetching leaderboard:', error);
@@ -158,25 +445,191 @@ app.get('/api/challenges/:challengeId/leaderboard', async (req, res) => {
   }
 });
 
+// No live stream here: its subscribers live in one process's memory, which serverless
+// invocations do not share. GET .../leaderboard/stream is served by server/index.js only.
+
+// Export the full leaderboard as CSV, JSON or printable HTML
+app.get('/api/challenges/:challengeId/leaderboard/export', requireRole('recruiter'), async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Invalid export format', details: [`format must be one of: ${EXPORT_FORMATS.join(', ')}`] });
+    }
+
+    const [leaderboard, criteria, challenge] = await Promise.all([
+      db.getLeaderboard(challengeId, EXPORT_LIMIT),
+      db.getRecruiterCriteria(challengeId),
+      db.getChallenge(challengeId)
+    ]);
+
+    const { contentType, filename, body } = renderExport(format, {
+      challengeId,
+      title: challenge ? challenge.title : challengeId,
+      criteriaVersion: criteria ? criteria.version : null,
+      exportedAt: new Date().toISOString()
+    }, leaderboard, resolveDimensions(criteria || {}));
+
+    // The HTML export opens in the browser so it can be printed to PDF
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="${filename.replace(/"/g, '')}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error exporting leaderboard:', error);
+    res.status(500).json({ error: 'Failed to export leaderboard' });
+  }
+});
+
 // Get user's ranking for a specific challenge
 app.get('/api/challenges/:challengeId/users/:userId/ranking', async (req, res) => {
   try {
     const { challengeId, userId } = req.params;
-    
-    const leaderboard = await db.getLeaderboard(challengeId, 1000);
-    const userRanking = leaderboard.find(entry => entry.user_id === userId);
-    
+
+    const neighbours = req.query.neighbours === undefined ? 2 : Number(req.query.neighbours);
+    if (!Number.isInteger(neighbours) || neighbours < 0 || neighbours > 50) {
+      return res.status(400).json({ error: 'neighbours must be an integer between 0 and 50' });
+    }
+
+    const userRanking = await getUserStanding(db, challengeId, userId, neighbours);
     if (!userRanking) {
       return res.status(404).json({ error: 'User ranking not found for this challenge' });
     }
 
-    res.json(userRanking);
+    // Ranks are stored as computed, so they already follow the challenge's tie policy
+    const criteria = await db.getRecruiterCriteria(challengeId);
+    res.json({
+      ...userRanking,
+      ranking_policy: (criteria && criteria.ranking_policy) || 'competition'
+    });
   } catch (error) {
     console.error('Error fetching user ranking:', error);
     res.status(500).json({ error: 'Failed to fetch user ranking' });
   }
 });
 
+// Explain a candidate's score: per-dimension breakdown, the gap to the next rank and
+// which single dimension would close it fastest
+app.get('/api/challenges/:challengeId/users/:userId/explanation', requireRole('recruiter', 'candidate'), async (req, res) => {
+  try {
+    const { challengeId, userId } = req.params;
+
+    // Candidates may only see their own breakdown
+    if (req.user.role === 'candidate' && req.user.sub !== userId) {
+      return res.status(403).json({ error: 'Candidates can only view their own score explanation' });
+    }
+
+    const explanation = await buildScoreExplanation(db, challengeId, userId);
+    if (!explanation) {
+      return res.status(404).json({ error: 'User ranking not found for this challenge' });
+    }
+
+    res.json(explanation);
+  } catch (error) {
+    console.error('Error explaining score:', error);
+    res.status(500).json({ error: 'Failed to explain score' });
+  }
+});
+
+// Get a user's attempt history for a specific challenge
+app.get('/api/challenges/:challengeId/users/:userId/attempts', requireRole('recruiter', 'candidate'), async (req, res) => {
+  try {
+    const { challengeId, userId } = req.params;
+
+    // Candidates may only see their own history
+    if (req.user.role === 'candidate' && req.user.sub !== userId) {
+      return res.status(403).json({ error: 'Candidates can only view their own attempts' });
+    }
+
+    const attempts = await db.getAttempts(challengeId, userId);
+    if (attempts.length === 0) {
+      return res.status(404).json({ error: 'No attempts found for this user and challenge' });
+    }
+
+    // Flag the attempts the challenge's attempt policy counts towards the ranking
+    const criteria = (await db.getRecruiterCriteria(challengeId)) || {};
+    const [selected] = ScoreCalculator.selectAttempts(attempts, criteria);
+    const countedIds = selected.attempt_ids || [];
+
+    res.json({
+      challengeId,
+      userId,
+      attemptPolicy: criteria.attempt_policy || 'latest',
+      attemptWindow: criteria.attempt_window || ScoreCalculator.DEFAULT_ATTEMPT_WINDOW,
+      attempts: attempts.map(attempt => ({
+        ...attempt,
+        counted: countedIds.includes(attempt.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching attempts:', error);
+    res.status(500).json({ error: 'Failed to fetch attempts' });
+  }
+});
+
+// Global leaderboard across challenges, optionally limited to challenges with given tags
+app.get('/api/leaderboard/global', async (req, res) => {
+  try {
+    const { options, errors } = parseGlobalQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid global leaderboard query', details: errors });
+    }
+
+    const { challenges, totalParticipants, leaderboard } = await buildGlobalLeaderboard(db, options);
+    res.json({
+      aggregation: options.aggregation,
+      tags: options.tags,
+      minChallenges: options.minChallenges,
+      challenges,
+      totalParticipants,
+      limit: options.limit,
+      offset: options.offset,
+      leaderboard
+    });
+  } catch (error) {
+    console.error('Error fetching global leaderboard:', error);
+    res.status(500).json({ error: 'Failed to fetch global leaderboard' });
+  }
+});
+
+// Candidate profile: results in every challenge the user entered
+app.get('/api/users/:userId', requireRole('recruiter', 'candidate'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Candidates may only see their own profile
+    if (req.user.role === 'candidate' && req.user.sub !== userId) {
+      return res.status(403).json({ error: 'Candidates can only view their own profile' });
+    }
+
+    const profile = await buildCandidateProfile(db, userId);
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching user profile:', error);
+    res.status(500).json({ error: 'Failed to fetch user profile' });
+  }
+});
+
+// Get the audit log, filtered by challenge, actor, action and date range
+app.get('/api/audit', requireRole('recruiter'), async (req, res) => {
+  try {
+    const { filters, errors } = parseAuditQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid audit query', details: errors });
+    }
+
+    const entries = await db.getAuditLog(filters);
+    res.json({ filters, total: entries.length, entries });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
 // Get all challenges
 app.get('/api/challenges', async (req, res) => {
   try {
@@ -0,0 +1,95 @@
+// The storage interface the routes and services rely on. DatabaseAdapter (SQLite and the
+// in-memory store), Database (database.js) and SupabaseAdapter all implement it, and
+// test/adapter-conformance.test.js checks the behaviour every backend must share.
+//
+// Every method is async. Rows use the snake_case column names of the schema in
+// server/migrations; ranking payloads (saveFinalRanking and friends) use the camelCase
+// fields of rankingService.toRankingPayload.
+//
+// SQL-backed adapters may also implement rankChallengeInDatabase(challengeId, criteria), which
+// ranks with window functions (see sqlRanking.js), and set rankingEngine = 'database' to use it
+// when RANKING_ENGINE is unset; both are optional and not checked here.
+
+const ADAPTER_CONTRACT = {
+  // Users
+  createUser: '(userId, name, email = null) -> user. Replaces an existing user with the same id',
+  getUser: '(userId) -> { user_id, name, email } or null',
+
+  // Challenges
+  createChallenge: '(challengeId, title, description = null, lifecycle = {}, tags = []) -> challenge. An existing challenge only takes the new title and description',
+  getChallenge: '(challengeId) -> { challenge_id, title, description, status, tags, starts_at, ends_at, closed_at } or null',
+  getAllChallenges: '() -> [challenge]',
+  updateChallengeLifecycle: '(challengeId, { status, starts_at, ends_at }, actor = null) -> challenge or null. Closing stamps closed_at',
+
+  // Scores: every submission is kept as a separate attempt
+  submitAIScore: '(score, actor = null) -> score with its id',
+  submitAIScores: '(scores, actor = null) -> [score with its id]. All or nothing; name/email create the users',
+  getAllAIScores: '(challengeId) -> [score], every attempt',
+  getAttempts: '(challengeId, userId) -> [score], newest first',
+  getAttemptsForUsers: '(challengeId, userIds) -> [score], every attempt of those candidates in one read',
+  getUserChallenges: '(userId) -> [{ challenge_id, attempt_count, first_submitted_at, last_submitted_at }], most recent first',
+
+  // Criteria: never overwritten, every change is the next version
+  setRecruiterCriteria: '(challengeId, criteria, actor = null) -> criteria with its version',
+  getRecruiterCriteria: '(challengeId, version = null) -> criteria or null; null version is the latest',
+  getCriteriaVersions: '(challengeId) -> [criteria], newest first',
+
+  // Stored rankings
+  saveFinalRanking: '(ranking) -> saved ranking. Upserts one candidate',
+  saveFinalRankings: '(rankings) -> saved rankings. Upserts several candidates',
+  replaceChallengeRankings: '(challengeId, rankings) -> saved rankings. Atomically replaces the whole ranking',
+  saveRankingChanges: '(challengeId, rankings, [{ userId, rank }]) -> void. Atomically upserts and re-ranks',
+  getFinalRankings: '(challengeId) -> [{ user_id, final_score, rank, criteria_version }], best rank first',
+  getRankingsAcrossChallenges: '(challengeIds = null) -> [{ challenge_id, user_id, name, final_score, rank }]',
+  recalculateRankings: '(challengeId) -> [ranking]. Re-ranks the stored scores under the current criteria',
+
+  // Leaderboard reads: stored ranking joined with the candidate and the counted attempt
+  getLeaderboard: '(challengeId, limit = 100) -> [entry], best rank first',
+  getUserRanking: '(challengeId, userId, neighbours = 2) -> { entry, above, below, total, scoredLower, scoredEqual } or null',
+  queryLeaderboard: '(challengeId, options from parseLeaderboardQuery) -> { rows, total, matched, hasMore }',
+
+  // Audit log: append-only
+  recordAudit: '({ actor, action, challengeId, target, before, after }) -> entry',
+  getAuditLog: '({ challengeId, actor, action, from, to, limit }) -> [entry], newest first',
+
+  // Deletes, each audited. Callers re-rank after deleteUserFromChallenge
+  deleteChallengeLeaderboard: '(challengeId, actor = null) -> void. Removes scores and rankings, keeps the challenge',
+  deleteChallenge: '(challengeId, actor = null) -> void. Removes the challenge with its scores, criteria and rankings',
+  deleteUserFromChallenge: '(challengeId, userId, actor = null) -> void. Removes one candidate\'s attempts and ranking',
+
+  close: '() -> void'
+};
+
+const ADAPTER_METHODS = Object.keys(ADAPTER_CONTRACT);
+
+/**
+ * Contract methods an adapter does not implement. Adapters also expose `ready`, a promise
+ * that settles once the backend can be queried.
+ * @param {Object} adapter - Database adapter
+ * @returns {Array} Missing method names (and 'ready'), empty when the adapter conforms
+ */
+function missingMethods(adapter) {
+  const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (!adapter.ready || typeof adapter.ready.then !== 'function') {
+    missing.push('ready');
+  }
+  return missing;
+}
+
+/**
+ * Throw unless the adapter implements the whole contract
+ * @param {Object} adapter - Database adapter
+ */
+function assertAdapter(adapter) {
+  const missing = missingMethods(adapter);
+  if (missing.length > 0) {
+    throw new Error(`Database adapter ${adapter.constructor.name} does not implement: ${missing.join(', ')}`);
+  }
+}
+
+module.exports = {
+  ADAPTER_CONTRACT,
+  ADAPTER_METHODS,
+  missingMethods,
+  assertAdapter
+};
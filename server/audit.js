@@ -0,0 +1,120 @@
+// Audit trail helpers shared by the database adapters.
+// Entries are append-only: the adapters only ever insert into audit_log.
+
+const AUDIT_ACTIONS = {
+  CRITERIA_SET: 'criteria.set',
+  SCORE_SUBMIT: 'score.submit',
+  SCORE_BULK_SUBMIT: 'score.bulk_submit',
+  RANKINGS_CALCULATE: 'rankings.calculate',
+  LEADERBOARD_DELETE: 'leaderboard.delete',
+  CHALLENGE_DELETE: 'challenge.delete',
+  CHALLENGE_LIFECYCLE: 'challenge.lifecycle',
+  USER_DELETE: 'user.delete'
+};
+
+/**
+ * Actor columns for an authenticated caller (req.user) or an anonymous/system call
+ * @param {Object|null} actor - { sub, role }
+ * @returns {Object} { actor, actor_role }
+ */
+function actorFields(actor) {
+  return {
+    actor: actor && actor.sub ? actor.sub : 'anonymous',
+    actor_role: actor && actor.role ? actor.role : null
+  };
+}
+
+/**
+ * Compact view of a challenge's ranking, small enough to keep in an audit payload
+ * @param {Array} leaderboard - Rows from getFinalRankings or getLeaderboard
+ * @returns {Array} [{ user_id, rank, final_score }]
+ */
+function rankingSnapshot(leaderboard) {
+  return leaderboard.map(entry => ({
+    user_id: entry.user_id,
+    rank: entry.rank,
+    final_score: entry.final_score
+  }));
+}
+
+/**
+ * Lifecycle fields of a challenge row
+ * @param {Object} challenge - Challenge row
+ * @returns {Object} { status, starts_at, ends_at, closed_at }
+ */
+function lifecycleSnapshot(challenge) {
+  return {
+    status: challenge.status,
+    starts_at: challenge.starts_at || null,
+    ends_at: challenge.ends_at || null,
+    closed_at: challenge.closed_at || null
+  };
+}
+
+/**
+ * State of a challenge before a destructive action
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @returns {Object} { criteria, attempts, rankings }
+ */
+async function challengeSnapshot(db, challengeId) {
+  const [criteria, aiScores, rankings] = await Promise.all([
+    db.getRecruiterCriteria(challengeId),
+    db.getAllAIScores(challengeId),
+    db.getFinalRankings(challengeId)
+  ]);
+
+  return {
+    criteria: criteria || null,
+    attempts: aiScores.length,
+    rankings: rankingSnapshot(rankings)
+  };
+}
+
+/**
+ * Parse and check GET /api/audit query parameters
+ * @param {Object} query - Express req.query
+ * @returns {Object} { filters, errors }
+ */
+function parseAuditQuery(query) {
+  const errors = [];
+  const filters = {
+    challengeId: query.challengeId || null,
+    actor: query.actor || null,
+    action: query.action || null,
+    from: null,
+    to: null,
+    limit: 100
+  };
+
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const date = new Date(query[field]);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${field} must be a valid date`);
+      } else {
+        filters[field] = date.toISOString();
+      }
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      errors.push('limit must be an integer between 1 and 1000');
+    } else {
+      filters.limit = limit;
+    }
+  }
+
+  return { filters, errors };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  actorFields,
+  rankingSnapshot,
+  challengeSnapshot,
+  lifecycleSnapshot,
+  parseAuditQuery
+};
@@ -0,0 +1,161 @@
+// Authentication and role checks for the Express API.
+// Humans authenticate with signed session tokens (Authorization: Bearer <token>),
+// the AI grading service with an API key (X-API-Key) listed in GRADER_API_KEYS.
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'recruiter', 'grader', 'candidate'];
+const DEFAULT_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+// No fallback secret in any environment: a known secret would let anyone forge an admin token
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new Error('AUTH_SECRET must be set');
+  }
+  return secret;
+}
+
+// The built-in issuer hands out any role to anyone, so it only runs when explicitly enabled
+const devIssuerEnabled = () => ['1', 'true'].includes(process.env.AUTH_DEV_ISSUER);
+
+function getGraderApiKeys() {
+  return (process.env.GRADER_API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+}
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Issue a signed session token
+ * @param {Object} claims - { sub, role }
+ * @param {Object} options - { ttlSeconds }
+ * @returns {Object} { token, expiresAt }
+ */
+function issueToken({ sub, role }, { ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS } = {}) {
+  if (!sub) {
+    throw new Error('Token subject is required');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ sub, role, exp })).toString('base64url');
+  return {
+    token: `${payload}.${sign(payload, getSecret())}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token issued by issueToken
+ * @returns {Object|null} { sub, role, exp }, or null when the token is malformed, forged or expired
+ */
+function verifyToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload, getSecret()))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!ROLES.includes(claims.role) || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Attach req.user from a bearer token or grader API key.
+ * Requests without credentials pass through anonymously; invalid credentials are rejected.
+ */
+function authenticate(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    if (!getGraderApiKeys().some(key => safeEqual(key, apiKey))) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.user = { sub: 'grading-service', role: 'grader' };
+    return next();
+  }
+
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    const claims = verifyToken(header.slice('Bearer '.length).trim());
+    if (!claims) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = { sub: claims.sub, role: claims.role };
+  }
+
+  next();
+}
+
+/**
+ * Only let the given roles through (admins are always allowed)
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Throw unless tokens can be signed and verified, so a misconfigured server fails at startup
+ */
+function assertAuthConfigured() {
+  getSecret();
+}
+
+/**
+ * Built-in token issuer for local development and tests.
+ * Disabled unless AUTH_DEV_ISSUER=1 (or true), whatever NODE_ENV says.
+ */
+function devTokenIssuer(req, res) {
+  if (!devIssuerEnabled()) {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+
+  const { userId, role } = req.body || {};
+  if (!userId || !ROLES.includes(role)) {
+    return res.status(400).json({ error: `userId and role (${ROLES.join(', ')}) are required` });
+  }
+
+  try {
+    const { token, expiresAt } = issueToken({ sub: userId, role });
+    res.status(201).json({ token, userId, role, expiresAt });
+  } catch (error) {
+    console.error('Error issuing token:', error);
+    res.status(500).json({ error: 'Failed to issue token' });
+  }
+}
+
+module.exports = {
+  ROLES,
+  issueToken,
+  verifyToken,
+  authenticate,
+  requireRole,
+  assertAuthConfigured,
+  devTokenIssuer
+};
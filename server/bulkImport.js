@@ -0,0 +1,233 @@
+// Parsing and validation for bulk score uploads (CSV or NDJSON batch files from the grader)
+const ScoreCalculator = require('./scoreCalculator');
+const { DEFAULT_DIMENSIONS, parseJSONField } = require('./dimensions');
+
+const SCORE_FIELDS = ['ai_score', 'code_quality', ...DEFAULT_DIMENSIONS.map(dimension => dimension.scoreField)];
+const TEXT_FIELDS = ['user_id', 'challenge_id', 'name', 'email'];
+const DIMENSION_PREFIX = 'dimension_scores.';
+// Bodies the bulk route reads as raw text; plain text needs ?format= to say what it is
+const BULK_CONTENT_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson', 'application/jsonl', 'text/plain'];
+
+/**
+ * Pick the upload format from ?format= or the request's Content-Type
+ * @param {string} contentType - Content-Type header
+ * @param {string} format - Explicit format query parameter
+ * @returns {string|null} 'csv', 'ndjson' or null when it cannot be told
+ */
+function detectFormat(contentType = '', format = null) {
+  if (format) {
+    return ['csv', 'ndjson'].includes(format) ? format : null;
+  }
+  if (contentType.includes('csv')) return 'csv';
+  if (contentType.includes('ndjson') || contentType.includes('jsonl')) return 'ndjson';
+  return null;
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings)
+ * @param {string} text - CSV text
+ * @returns {Array} Rows as { line, fields }, blank lines skipped
+ */
+function parseCSVRows(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse a CSV upload into raw records keyed by header
+ * @param {string} text - CSV with a header row
+ * @returns {Object} { records: [{ row, data }], errors: [{ row, errors }] }
+ */
+function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text);
+  if (!header) {
+    return { records: [], errors: [{ row: 1, errors: ['CSV upload is empty'] }] };
+  }
+
+  const columns = header.fields.map(column => column.trim());
+  const records = [];
+  const errors = [];
+
+  for (const { line, fields } of rows) {
+    if (fields.length !== columns.length) {
+      errors.push({ row: line, errors: [`Expected ${columns.length} columns, got ${fields.length}`] });
+      continue;
+    }
+    const data = {};
+    columns.forEach((column, index) => {
+      data[column] = fields[index].trim();
+    });
+    records.push({ row: line, data });
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Parse an NDJSON upload (one JSON object per line)
+ * @param {string} text - NDJSON text
+ * @returns {Object} { records: [{ row, data }], errors: [{ row, errors }] }
+ */
+function parseNDJSON(text) {
+  const records = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      const data = JSON.parse(line);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push({ row: index + 1, errors: ['Each line must be a JSON object'] });
+      } else {
+        records.push({ row: index + 1, data });
+      }
+    } catch (error) {
+      errors.push({ row: index + 1, errors: [`Invalid JSON: ${error.message}`] });
+    }
+  });
+
+  return { records, errors };
+}
+
+// CSV cells arrive as strings; anything that is not a clean number is left for validation to reject
+const toScore = value => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  const number = Number(value);
+  return typeof value === 'string' && value.trim() !== '' && !Number.isNaN(number) ? number : value;
+};
+
+/**
+ * Turn a raw record into an AI score for the challenge
+ * @param {Object} data - Raw record
+ * @param {string} challengeId - Challenge the upload is for
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {Object} { aiScore, ignored } where ignored lists unrecognised columns
+ */
+function toAIScore(data, challengeId, dimensions) {
+  const customKeys = dimensions.filter(dimension => !dimension.scoreField).map(dimension => dimension.key);
+  const aiScore = { challenge_id: challengeId };
+  const dimensionScores = { ...(parseJSONField(data.dimension_scores, {}) || {}) };
+  const ignored = [];
+
+  for (const [column, value] of Object.entries(data)) {
+    if (column === 'dimension_scores') {
+      continue;
+    } else if (SCORE_FIELDS.includes(column)) {
+      const score = toScore(value);
+      if (score !== undefined) aiScore[column] = score;
+    } else if (TEXT_FIELDS.includes(column)) {
+      if (value !== undefined && value !== null && value !== '') aiScore[column] = String(value);
+    } else if (column.startsWith(DIMENSION_PREFIX) || customKeys.includes(column)) {
+      const score = toScore(value);
+      if (score !== undefined) dimensionScores[column.replace(DIMENSION_PREFIX, '')] = score;
+    } else {
+      ignored.push(column);
+    }
+  }
+
+  if (Object.keys(dimensionScores).length > 0) {
+    aiScore.dimension_scores = dimensionScores;
+  }
+  if (data.challenge_id && data.challenge_id !== challengeId) {
+    aiScore.challenge_id = data.challenge_id;
+  }
+
+  return { aiScore, ignored };
+}
+
+/**
+ * Parse and validate a bulk upload
+ * @param {string} text - Upload body
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {string} challengeId - Challenge the upload is for
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {Object} { totalRows, valid: [aiScore], errors: [{ row, user_id, errors }], ignoredColumns }
+ */
+function prepareBulkScores(text, format, challengeId, dimensions) {
+  const parsed = format === 'csv' ? parseCSV(text) : parseNDJSON(text);
+  const valid = [];
+  const errors = [...parsed.errors];
+  const ignoredColumns = new Set();
+
+  for (const { row, data } of parsed.records) {
+    const { aiScore, ignored } = toAIScore(data, challengeId, dimensions);
+    ignored.forEach(column => ignoredColumns.add(column));
+
+    const rowErrors = [];
+    if (aiScore.challenge_id !== challengeId) {
+      rowErrors.push(`challenge_id ${aiScore.challenge_id} does not match ${challengeId}`);
+    }
+    rowErrors.push(...ScoreCalculator.validateAIScore(aiScore, dimensions).errors);
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, user_id: aiScore.user_id || null, errors: rowErrors });
+    } else {
+      valid.push(aiScore);
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return {
+    totalRows: parsed.records.length + parsed.errors.length,
+    valid,
+    errors,
+    ignoredColumns: [...ignoredColumns]
+  };
+}
+
+module.exports = {
+  BULK_CONTENT_TYPES,
+  detectFormat,
+  parseCSV,
+  parseNDJSON,
+  prepareBulkScores
+};
@@ -0,0 +1,119 @@
+// Candidate profile: one user's results across every challenge they entered
+const { resolveDimensions, getDimensionScore, getRowContributions } = require('./dimensions');
+const { getUserStanding } = require('./rankingService');
+const { getChallengeState } = require('./challengeLifecycle');
+
+const round = value => Math.round(value * 100) / 100;
+const average = values => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+/**
+ * One challenge's result for the candidate. Raw scores come from the attempt that
+ * counted towards the ranking, or the latest attempt when the challenge is not ranked yet.
+ */
+async function getChallengeResult(db, userId, participation) {
+  const challengeId = participation.challenge_id;
+  const [challenge, criteria, standing] = await Promise.all([
+    db.getChallenge(challengeId),
+    db.getRecruiterCriteria(challengeId),
+    getUserStanding(db, challengeId, userId, 0)
+  ]);
+  // Dimensions the challenge gives no weight were not judged, so they stay out of the averages
+  const dimensions = resolveDimensions(criteria || {}).filter(dimension => dimension.weight > 0);
+  const scoreSource = standing || (await db.getAttempts(challengeId, userId))[0] || {};
+  const contributions = standing ? getRowContributions(standing) : {};
+
+  const scores = {};
+  const dimensionContributions = {};
+  for (const dimension of dimensions) {
+    const score = getDimensionScore(scoreSource, dimension);
+    if (score !== undefined) scores[dimension.key] = score;
+    if (contributions[dimension.key] !== undefined) dimensionContributions[dimension.key] = contributions[dimension.key];
+  }
+
+  return {
+    result: {
+      challengeId,
+      title: challenge ? challenge.title : challengeId,
+      status: challenge ? getChallengeState(challenge).status : null,
+      attemptCount: participation.attempt_count,
+      firstSubmittedAt: participation.first_submitted_at,
+      lastSubmittedAt: participation.last_submitted_at,
+      ranked: Boolean(standing),
+      rank: standing ? standing.rank : null,
+      finalScore: standing ? standing.final_score : null,
+      percentile: standing ? standing.percentile : null,
+      totalParticipants: standing ? standing.totalParticipants : null,
+      criteriaVersion: standing ? standing.criteria_version : null,
+      scores,
+      contributions: dimensionContributions
+    },
+    dimensions
+  };
+}
+
+/**
+ * Per-dimension averages across challenges. Dimensions are matched by key, so a
+ * custom dimension only averages over the challenges that define it.
+ * @param {Array} results - [{ result, dimensions }] from getChallengeResult
+ * @returns {Array} [{ key, label, averageScore, averageContribution, challenges }]
+ */
+function averageDimensions(results) {
+  const byKey = new Map();
+  for (const { result, dimensions } of results) {
+    for (const dimension of dimensions) {
+      if (result.scores[dimension.key] === undefined) continue;
+      const entry = byKey.get(dimension.key) || { key: dimension.key, label: dimension.label, scores: [], contributions: [] };
+      entry.scores.push(result.scores[dimension.key]);
+      if (result.contributions[dimension.key] !== undefined) entry.contributions.push(result.contributions[dimension.key]);
+      byKey.set(dimension.key, entry);
+    }
+  }
+
+  return [...byKey.values()].map(entry => ({
+    key: entry.key,
+    label: entry.label,
+    averageScore: average(entry.scores),
+    averageContribution: average(entry.contributions),
+    challenges: entry.scores.length
+  }));
+}
+
+/**
+ * Build a candidate's profile
+ * @param {Object} db - Database adapter
+ * @param {string} userId - Candidate
+ * @returns {Object|null} { user, summary, challenges, dimensionAverages }, null for an unknown user
+ */
+async function buildCandidateProfile(db, userId) {
+  const [user, participation] = await Promise.all([db.getUser(userId), db.getUserChallenges(userId)]);
+  if (!user && participation.length === 0) {
+    return null;
+  }
+
+  const results = await Promise.all(participation.map(entry => getChallengeResult(db, userId, entry)));
+  const challenges = results.map(({ result }) => result);
+  const ranked = challenges.filter(result => result.ranked);
+
+  return {
+    user: {
+      user_id: userId,
+      name: user ? user.name : userId,
+      email: user ? user.email || null : null,
+      created_at: user ? user.created_at || null : null
+    },
+    summary: {
+      challengesEntered: challenges.length,
+      challengesRanked: ranked.length,
+      totalAttempts: challenges.reduce((sum, result) => sum + result.attemptCount, 0),
+      bestRank: ranked.length > 0 ? Math.min(...ranked.map(result => result.rank)) : null,
+      averageFinalScore: average(ranked.map(result => result.finalScore)),
+      averagePercentile: average(ranked.map(result => result.percentile))
+    },
+    challenges,
+    dimensionAverages: averageDimensions(results)
+  };
+}
+
+module.exports = {
+  buildCandidateProfile
+};
@@ -0,0 +1,144 @@
+// Challenge lifecycle: draft -> open -> closed -> archived, with an optional submission window.
+// A closed or archived challenge's leaderboard is final and no longer changes.
+const CHALLENGE_STATUSES = ['draft', 'open', 'closed', 'archived'];
+const DEFAULT_STATUS = 'open';
+
+// Closing is one-way so the final leaderboard stays final
+const TRANSITIONS = {
+  draft: ['open', 'archived'],
+  open: ['closed'],
+  closed: ['archived'],
+  archived: []
+};
+
+const toTime = value => (value ? new Date(value).getTime() : null);
+
+/**
+ * Check the status and window fields of a create or lifecycle request
+ * @param {Object} body - { status, startsAt, endsAt } (all optional)
+ * @param {Object|null} current - The challenge being changed, null when creating one
+ * @returns {Object} { changes: { status, starts_at, ends_at }, errors }
+ */
+function parseLifecycleChanges(body, current = null) {
+  const errors = [];
+  const changes = {};
+  const state = current ? getChallengeState(current) : null;
+
+  if (body.status !== undefined) {
+    if (!CHALLENGE_STATUSES.includes(body.status)) {
+      errors.push(`status must be one of: ${CHALLENGE_STATUSES.join(', ')}`);
+    } else if (!current && !['draft', 'open'].includes(body.status)) {
+      errors.push('New challenges start as draft or open');
+    } else {
+      changes.status = body.status;
+    }
+  }
+
+  for (const [field, column] of [['startsAt', 'starts_at'], ['endsAt', 'ends_at']]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      changes[column] = null;
+    } else if (Number.isNaN(new Date(body[field]).getTime())) {
+      errors.push(`${field} must be a valid date`);
+    } else {
+      changes[column] = new Date(body[field]).toISOString();
+    }
+  }
+
+  const startsAt = changes.starts_at !== undefined ? changes.starts_at : current && current.starts_at;
+  const endsAt = changes.ends_at !== undefined ? changes.ends_at : current && current.ends_at;
+  if (startsAt && endsAt && toTime(endsAt) <= toTime(startsAt)) {
+    errors.push('endsAt must be after startsAt');
+  }
+
+  if (state && changes.status && changes.status !== state.status && !TRANSITIONS[state.status].includes(changes.status)) {
+    errors.push(`Cannot move a ${state.status} challenge to ${changes.status}`);
+  }
+  if (state && state.frozen && (changes.starts_at !== undefined || changes.ends_at !== undefined)) {
+    errors.push('The submission window of a closed challenge cannot be changed');
+  }
+
+  return { changes, errors };
+}
+
+/**
+ * Where a challenge is in its lifecycle right now. An open challenge whose window
+ * has ended counts as closed even before anyone closes it.
+ * @param {Object} challenge - Challenge row
+ * @param {Date} now - Current time
+ * @returns {Object} { status, acceptingSubmissions, frozen, reason }
+ */
+function getChallengeState(challenge, now = new Date()) {
+  let status = challenge.status || DEFAULT_STATUS;
+  const startsAt = toTime(challenge.starts_at);
+  const endsAt = toTime(challenge.ends_at);
+  const windowEnded = status === 'open' && endsAt !== null && endsAt <= now.getTime();
+  if (windowEnded) {
+    status = 'closed';
+  }
+
+  let reason = null;
+  if (status === 'draft') {
+    reason = 'Challenge is still a draft';
+  } else if (windowEnded) {
+    reason = `Submission window ended at ${challenge.ends_at}`;
+  } else if (status === 'closed') {
+    reason = 'Challenge is closed';
+  } else if (status === 'archived') {
+    reason = 'Challenge is archived';
+  } else if (startsAt !== null && startsAt > now.getTime()) {
+    reason = `Submissions open at ${challenge.starts_at}`;
+  }
+
+  return {
+    status,
+    acceptingSubmissions: reason === null,
+    frozen: status === 'closed' || status === 'archived',
+    reason
+  };
+}
+
+/**
+ * Challenge row with its current lifecycle state, as returned by the API
+ * @param {Object} challenge - Challenge row
+ * @returns {Object} Challenge with status, acceptingSubmissions and frozen
+ */
+function withLifecycle(challenge) {
+  const { status, acceptingSubmissions, frozen } = getChallengeState(challenge);
+  return { ...challenge, status, acceptingSubmissions, frozen };
+}
+
+/**
+ * Why a challenge cannot take submissions right now. Challenges that were never
+ * created through the API have no lifecycle and always accept them.
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @returns {string|null} Reason, null when submissions are accepted
+ */
+async function getSubmissionBlock(db, challengeId) {
+  const challenge = await db.getChallenge(challengeId);
+  return challenge ? getChallengeState(challenge).reason : null;
+}
+
+/**
+ * Why a challenge's ranking cannot change right now (its leaderboard is final)
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @returns {string|null} Reason, null when re-ranking is allowed
+ */
+async function getFrozenReason(db, challengeId) {
+  const challenge = await db.getChallenge(challengeId);
+  if (!challenge) return null;
+  const state = getChallengeState(challenge);
+  return state.frozen ? state.reason : null;
+}
+
+module.exports = {
+  CHALLENGE_STATUSES,
+  DEFAULT_STATUS,
+  parseLifecycleChanges,
+  getChallengeState,
+  withLifecycle,
+  getSubmissionBlock,
+  getFrozenReason
+};
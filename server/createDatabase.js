@@ -0,0 +1,33 @@
+// Picks the database adapter from DB_CLIENT: supabase (default; SQLite in development) or postgres
+const { assertAdapter } = require('./adapterContract');
+
+const DB_CLIENTS = ['supabase', 'postgres'];
+
+/**
+ * Create the configured database adapter
+ * @param {Object} env - Environment variables (DB_CLIENT, DATABASE_URL, ...)
+ * @returns {Object} Adapter implementing the contract in adapterContract.js
+ */
+function createDatabase(env = process.env) {
+  const client = (env.DB_CLIENT || 'supabase').toLowerCase();
+  if (!DB_CLIENTS.includes(client)) {
+    throw new Error(`Unknown DB_CLIENT "${env.DB_CLIENT}" (expected one of: ${DB_CLIENTS.join(', ')})`);
+  }
+
+  let db;
+  if (client === 'postgres') {
+    const PostgresAdapter = require('./postgres-adapter');
+    db = new PostgresAdapter({ connectionString: env.DATABASE_URL });
+  } else {
+    const SupabaseAdapter = require('./supabase-adapter');
+    db = new SupabaseAdapter();
+  }
+
+  assertAdapter(db);
+  return db;
+}
+
+module.exports = {
+  DB_CLIENTS,
+  createDatabase
+};
@@ -1,121 +1,154 @@
 // Database adapter that works with both SQLite (dev) and cloud databases (production)
 const path = require('path');
+const {
+  parseJSONField,
+  getExtraDimensionScores,
+  getLegacyWeights,
+  getRowContributions
+} = require('./dimensions');
+const { AUDIT_ACTIONS, actorFields, challengeSnapshot, lifecycleSnapshot, rankingSnapshot } = require('./audit');
+const { MISSING_SCORE, pageRows } = require('./leaderboardQuery');
+const { DEFAULT_STATUS } = require('./challengeLifecycle');
+const { migrationLabel, sqliteConnection, migrateUp } = require('./migrator');
+const { recalculateChallengeRankings } = require('./rankingService');
+const { canRankInDatabase, buildRankingStatement, toRankings } = require('./sqlRanking');
+const SQLiteQueue = require('./sqliteQueue');
+
+// Leaderboard rows: the stored ranking joined with the candidate and the attempt that counted
+const LEADERBOARD_SELECT = `
+  SELECT
+    fr.user_id,
+    u.name,
+    fr.final_score,
+    fr.rank,
+    fr.logic_contribution,
+    fr.clarity_contribution,
+    fr.testing_contribution,
+    fr.efficiency_contribution,
+    fr.api_ui_contribution,
+    fr.edge_cases_contribution,
+    fr.creativity_contribution,
+    fr.contributions,
+    fr.normalized_scores,
+    fr.breakdown,
+    fr.attempt_count,
+    fr.criteria_version,
+    ai.id AS attempt_id,
+    ai.ai_score,
+    ai.code_quality,
+    ai.testing_rate,
+    ai.logic_score,
+    ai.clarity_score,
+    ai.efficiency_score,
+    ai.api_ui_score,
+    ai.edge_cases_score,
+    ai.creativity_score,
+    ai.dimension_scores
+  FROM final_rankings fr
+  JOIN users u ON fr.user_id = u.user_id
+  JOIN ai_scores ai ON ai.id = COALESCE(fr.attempt_id, (
+    SELECT MAX(latest.id) FROM ai_scores latest
+    WHERE latest.user_id = fr.user_id AND latest.challenge_id = fr.challenge_id
+  ))`;
+
+const toLeaderboardRow = row => ({
+  ...row,
+  contributions: getRowContributions(row),
+  normalized_scores: parseJSONField(row.normalized_scores),
+  breakdown: parseJSONField(row.breakdown),
+  dimension_scores: parseJSONField(row.dimension_scores, {})
+});
+
+const toChallengeRow = row => ({ ...row, tags: parseJSONField(row.tags, []) || [] });
+
+// INSERT OR REPLACE statement for a saveFinalRanking payload
+const toRankingStatement = rankingData => {
+  const {
+    userId, challengeId, finalScore, rank,
+    logicContribution, clarityContribution, testingContribution, efficiencyContribution,
+    apiUiContribution = 0, edgeCasesContribution = 0, creativityContribution = 0,
+    contributions = null, normalizedScores = null, breakdown = null,
+    attemptId = null, attemptCount = 1, criteriaVersion = null
+  } = rankingData;
+  return {
+    sql: `INSERT OR REPLACE INTO final_rankings
+          (user_id, challenge_id, final_score, rank, logic_contribution, clarity_contribution, testing_contribution, efficiency_contribution, api_ui_contribution, edge_cases_contribution, creativity_contribution, contributions, normalized_scores, breakdown, attempt_id, attempt_count, criteria_version)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    params: [userId, challengeId, finalScore, rank, logicContribution, clarityContribution, testingContribution, efficiencyContribution, apiUiContribution, edgeCasesContribution, creativityContribution, contributions ? JSON.stringify(contributions) : null, normalizedScores ? JSON.stringify(normalizedScores) : null, breakdown ? JSON.stringify(breakdown) : null, attemptId, attemptCount, criteriaVersion]
+  };
+};
+
+// SQL for a leaderboard sort field (see leaderboardQuery.getSortFields)
+const sortExpression = field => {
+  const table = { ranking: 'fr', user: 'u', score: 'ai' }[field.source];
+  if (field.jsonKey) {
+    return `COALESCE(json_extract(${table}.${field.column}, '$.${field.jsonKey}'), ${MISSING_SCORE})`;
+  }
+  return `${table}.${field.column}`;
+};
 
 class DatabaseAdapter {
-  constructor() {
-    this.isProduction = process.env.NODE_ENV === 'production';
+  /**
+   * @param {Object} options - { memory: use the in-memory store, filename: SQLite file }
+   */
+  constructor(options = {}) {
+    this.isProduction = options.memory !== undefined ? options.memory : process.env.NODE_ENV === 'production';
+    this.filename = options.filename || path.join(__dirname, 'leaderboard.db');
     this.db = null;
+    this.lastId = 0;
+    // Memory mode keeps audit entries outside the Map so challenge deletes cannot sweep them up
+    this.auditLog = [];
     this.init();
   }
 
-  async init() {
+  // Not async: callers observe `ready` itself, so a failed migration is never left unhandled elsewhere
+  init() {
     if (this.isProduction) {
       // For production, we'll use a simple in-memory store or connect to a cloud database
       // For now, using a simple JSON-based approach that can be replaced with a real cloud DB
       this.db = new Map();
+      this.ready = Promise.resolve();
       console.log('Using in-memory database for production');
     } else {
       // For development, use SQLite
       const sqlite3 = require('sqlite3').verbose();
-      this.db = new sqlite3.Database(path.join(__dirname, 'leaderboard.db'));
-      this.initSQLiteTables();
-    }
-  }
-
-  initSQLiteTables() {
-    if (!this.isProduction) {
-      this.db.serialize(() => {
-        // Users table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id TEXT UNIQUE NOT NULL,
-            name TEXT NOT NULL,
-            email TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-
-        // Challenges table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS challenges (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            challenge_id TEXT UNIQUE NOT NULL,
-            title TEXT NOT NULL,
-            description TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-
-        // AI Scores table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS ai_scores (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id TEXT NOT NULL,
-            challenge_id TEXT NOT NULL,
-            ai_score REAL NOT NULL,
-            code_quality REAL NOT NULL,
-            testing_rate REAL NOT NULL,
-            logic_score REAL NOT NULL,
-            clarity_score REAL NOT NULL,
-            efficiency_score REAL NOT NULL,
-            api_ui_score REAL NOT NULL DEFAULT 0,
-            edge_cases_score REAL NOT NULL DEFAULT 0,
-            creativity_score REAL NOT NULL DEFAULT 0,
-            submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users (user_id),
-            FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
-            UNIQUE(user_id, challenge_id)
-          )
-        `);
-
-        // Recruiter Criteria table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS recruiter_criteria (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            challenge_id TEXT NOT NULL,
-            logic_weight REAL NOT NULL DEFAULT 0.25,
-            clarity_weight REAL NOT NULL DEFAULT 0.30,
-            testing_weight REAL NOT NULL DEFAULT 0.0,
-            efficiency_weight REAL NOT NULL DEFAULT 0.0,
-            api_ui_weight REAL NOT NULL DEFAULT 0.20,
-            edge_cases_weight REAL NOT NULL DEFAULT 0.15,
-            creativity_weight REAL NOT NULL DEFAULT 0.10,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
-          )
-        `);
-
-        // Final Rankings table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS final_rankings (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id TEXT NOT NULL,
-            challenge_id TEXT NOT NULL,
-            final_score REAL NOT NULL,
-            rank INTEGER NOT NULL,
-            logic_contribution REAL NOT NULL,
-            clarity_contribution REAL NOT NULL,
-            testing_contribution REAL NOT NULL,
-            efficiency_contribution REAL NOT NULL,
-            api_ui_contribution REAL NOT NULL DEFAULT 0,
-            edge_cases_contribution REAL NOT NULL DEFAULT 0,
-            creativity_contribution REAL NOT NULL DEFAULT 0,
-            calculated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users (user_id),
-            FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
-            UNIQUE(user_id, challenge_id)
-          )
-        `);
-      });
+      this.db = new SQLiteQueue(new sqlite3.Database(this.filename));
+      this.ready = this.migrateSQLite();
     }
+    return this.ready;
+  }
+
+  // Apply pending migrations (server/migrations) to the SQLite file; callers wait on `ready` before querying
+  async migrateSQLite() {
+    const applied = await migrateUp(sqliteConnection(this.db));
+    applied.forEach(migration => console.log(`Applied migration ${migrationLabel(migration)}`));
+  }
+
+  // Unique ids for the in-memory store (Date.now() alone collides within a millisecond)
+  nextId() {
+    this.lastId = Math.max(Date.now(), this.lastId + 1);
+    return this.lastId;
+  }
+
+  /**
+   * Run SQLite statements in one transaction, rolling everything back if any of them fails
+   * @param {Array} statements - [{ sql, params }]
+   * @returns {Array} lastID of each statement
+   */
+  runTransaction(statements) {
+    return this.db.transaction(async run => {
+      const ids = [];
+      for (const { sql, params } of statements) {
+        ids.push((await run(sql, params)).lastID);
+      }
+      return ids;
+    });
   }
 
   // User operations
   async createUser(userId, name, email = null) {
     if (this.isProduction) {
-      const user = { id: Date.now(), userId, name, email, created_at: new Date().toISOString() };
+      const user = { id: Date.now(), userId, user_id: userId, name, email, created_at: new Date().toISOString() };
       this.db.set(`user_${userId}`, user);
       return user;
     } else {
@@ -142,7 +175,7 @@ class DatabaseAdapter {
           [userId],
           (err, row) => {
             if (err) reject(err);
-            else resolve(row);
+            else resolve(row || null);
           }
         );
       });
@@ -150,48 +183,120 @@ class DatabaseAdapter {
   }
 
   // Challenge operations
-  async createChallenge(challengeId, title, description = null) {
+  async createChallenge(challengeId, title, description = null, lifecycle = {}, tags = []) {
+    const { status = DEFAULT_STATUS, starts_at = null, ends_at = null } = lifecycle;
+
     if (this.isProduction) {
-      const challenge = { id: Date.now(), challengeId, title, description, created_at: new Date().toISOString() };
+      const existing = this.db.get(`challenge_${challengeId}`);
+      // Creating an existing challenge again renames it; its lifecycle only moves through updateChallengeLifecycle
+      const challenge = existing ? { ...existing, title, description } : {
+        id: Date.now(), challengeId, challenge_id: challengeId, title, description, status, tags, starts_at, ends_at, closed_at: null,
+        created_at: new Date().toISOString()
+      };
       this.db.set(`challenge_${challengeId}`, challenge);
       return challenge;
     } else {
-      return new Promise((resolve, reject) => {
+      await new Promise((resolve, reject) => {
         this.db.run(
-          'INSERT OR REPLACE INTO challenges (challenge_id, title, description) VALUES (?, ?, ?)',
-          [challengeId, title, description],
-          function(err) {
+          `INSERT INTO challenges (challenge_id, title, description, status, tags, starts_at, ends_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (challenge_id) DO UPDATE SET title = excluded.title, description = excluded.description`,
+          [challengeId, title, description, status, JSON.stringify(tags), starts_at, ends_at],
+          err => (err ? reject(err) : resolve())
+        );
+      });
+      return this.getChallenge(challengeId);
+    }
+  }
+
+  async getChallenge(challengeId) {
+    if (this.isProduction) {
+      return this.db.get(`challenge_${challengeId}`) || null;
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.get(
+          'SELECT * FROM challenges WHERE challenge_id = ?',
+          [challengeId],
+          (err, row) => {
             if (err) reject(err);
-            else resolve({ id: this.lastID, challengeId, title, description });
+            else resolve(row ? toChallengeRow(row) : null);
           }
         );
       });
     }
   }
 
+  /**
+   * Change a challenge's status and/or submission window. Closing stamps closed_at.
+   * @param {string} challengeId - Challenge
+   * @param {Object} changes - { status, starts_at, ends_at } (any subset)
+   * @param {Object|null} actor - Caller responsible for the change
+   * @returns {Object|null} The updated challenge, null when it does not exist
+   */
+  async updateChallengeLifecycle(challengeId, changes, actor = null) {
+    const before = await this.getChallenge(challengeId);
+    if (!before) {
+      return null;
+    }
+
+    const update = { ...changes };
+    if (changes.status === 'closed' && before.status !== 'closed') {
+      update.closed_at = new Date().toISOString();
+    }
+
+    if (this.isProduction) {
+      this.db.set(`challenge_${challengeId}`, { ...before, ...update });
+    } else {
+      const columns = Object.keys(update);
+      if (columns.length > 0) {
+        await new Promise((resolve, reject) => {
+          this.db.run(
+            `UPDATE challenges SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE challenge_id = ?`,
+            [...columns.map(column => update[column]), challengeId],
+            (err) => {
+              if (err) reject(err);
+              else resolve();
+            }
+          );
+        });
+      }
+    }
+
+    const after = await this.getChallenge(challengeId);
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.CHALLENGE_LIFECYCLE,
+      challengeId,
+      before: lifecycleSnapshot(before),
+      after: lifecycleSnapshot(after)
+    });
+    return after;
+  }
+
   // AI Score operations
-  async submitAIScore(scoreData) {
+  async submitAIScore(scoreData, actor = null) {
     const { 
-      user_id, challenge_id, ai_score, code_quality, testing_rate, 
-      logic_score, clarity_score, efficiency_score, 
+      user_id, challenge_id, ai_score, code_quality, testing_rate = 0, 
+      logic_score = 0, clarity_score = 0, efficiency_score = 0, 
       api_ui_score = 0, edge_cases_score = 0, creativity_score = 0 
     } = scoreData;
+    const extraScores = getExtraDimensionScores(scoreData);
+    const dimensionScores = Object.keys(extraScores).length > 0 ? JSON.stringify(extraScores) : null;
 
+    let score;
     if (this.isProduction) {
-      const score = { 
-        id: Date.now(), 
+      score = { 
+        id: this.nextId(), 
         ...scoreData, 
         submitted_at: new Date().toISOString() 
       };
-      this.db.set(`ai_score_${user_id}_${challenge_id}`, score);
-      return score;
+      this.db.set(`ai_score_${score.id}`, score);
     } else {
-      return new Promise((resolve, reject) => {
+      score = await new Promise((resolve, reject) => {
         this.db.run(
-          `INSERT OR REPLACE INTO ai_scores 
-           (user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score) 
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score],
+          `INSERT INTO ai_scores 
+           (user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score, dimension_scores) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score, dimensionScores],
           function(err) {
             if (err) reject(err);
             else resolve({ id: this.lastID, ...scoreData });
@@ -199,52 +304,167 @@ class DatabaseAdapter {
         );
       });
     }
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.SCORE_SUBMIT,
+      challengeId: challenge_id,
+      target: user_id,
+      after: score
+    });
+    return score;
+  }
+
+  /**
+   * Insert a batch of AI scores (and their users) all-or-nothing
+   * @param {Array} scores - Validated AI scores; name/email fill the users table
+   * @param {Object|null} actor - Caller recorded in the audit log
+   * @returns {Array} Inserted scores with their ids
+   */
+  async submitAIScores(scores, actor = null) {
+    if (scores.length === 0) {
+      return [];
+    }
+    const challengeId = scores[0].challenge_id;
+
+    let inserted;
+    if (this.isProduction) {
+      // Nothing below can fail half-way, so building the rows first keeps the batch atomic
+      inserted = scores.map(({ name, email, ...scoreData }) => ({
+        id: this.nextId(),
+        ...scoreData,
+        submitted_at: new Date().toISOString()
+      }));
+      scores.forEach(({ user_id, name, email = null }) => {
+        this.db.set(`user_${user_id}`, { id: Date.now(), userId: user_id, user_id, name: name || user_id, email, created_at: new Date().toISOString() });
+      });
+      inserted.forEach(score => this.db.set(`ai_score_${score.id}`, score));
+    } else {
+      const statements = [];
+      for (const { name, email = null, ...scoreData } of scores) {
+        const {
+          user_id, challenge_id, ai_score, code_quality, testing_rate = 0,
+          logic_score = 0, clarity_score = 0, efficiency_score = 0,
+          api_ui_score = 0, edge_cases_score = 0, creativity_score = 0
+        } = scoreData;
+        const extraScores = getExtraDimensionScores(scoreData);
+        const dimensionScores = Object.keys(extraScores).length > 0 ? JSON.stringify(extraScores) : null;
+
+        statements.push({
+          sql: 'INSERT OR REPLACE INTO users (user_id, name, email) VALUES (?, ?, ?)',
+          params: [user_id, name || user_id, email]
+        }, {
+          sql: `INSERT INTO ai_scores
+                (user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score, dimension_scores)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          params: [user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score, dimensionScores]
+        });
+      }
+
+      const ids = await this.runTransaction(statements);
+      // Every score follows its users statement, so its id sits at the odd positions
+      inserted = scores.map(({ name, email, ...scoreData }, index) => ({ id: ids[index * 2 + 1], ...scoreData }));
+    }
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.SCORE_BULK_SUBMIT,
+      challengeId,
+      after: { inserted: inserted.length, user_ids: inserted.map(score => score.user_id) }
+    });
+    return inserted;
   }
 
   // Recruiter Criteria operations
-  async setRecruiterCriteria(challengeId, criteria) {
+  async setRecruiterCriteria(challengeId, criteria, actor = null) {
+    // A declared dimension set still fills the legacy weight columns for its built-in dimensions
     const { 
       logic_weight, clarity_weight, testing_weight, efficiency_weight,
       api_ui_weight = 0.20, edge_cases_weight = 0.15, creativity_weight = 0.10
+    } = criteria.dimensions ? { ...criteria, ...getLegacyWeights(criteria.dimensions) } : criteria;
+    const dimensions = criteria.dimensions ? JSON.stringify(criteria.dimensions) : null;
+    const {
+      ranking_policy = 'competition', normalization = 'none',
+      attempt_policy = 'latest', attempt_window = 3
     } = criteria;
+    // Criteria are never overwritten: every change is stored as the next version
+    const before = await this.getRecruiterCriteria(challengeId);
+    const version = before ? before.version + 1 : 1;
 
+    let result;
     if (this.isProduction) {
-      const criteriaData = { 
+      result = { 
         id: Date.now(), 
         challengeId, 
         ...criteria, 
+        version,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
-      this.db.set(`criteria_${challengeId}`, criteriaData);
-      return criteriaData;
+      const versions = this.db.get(`criteria_${challengeId}`) || [];
+      this.db.set(`criteria_${challengeId}`, [...versions, result]);
     } else {
-      return new Promise((resolve, reject) => {
+      result = await new Promise((resolve, reject) => {
         this.db.run(
-          `INSERT OR REPLACE INTO recruiter_criteria 
-           (challenge_id, logic_weight, clarity_weight, testing_weight, efficiency_weight, api_ui_weight, edge_cases_weight, creativity_weight, updated_at) 
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-          [challengeId, logic_weight, clarity_weight, testing_weight, efficiency_weight, api_ui_weight, edge_cases_weight, creativity_weight],
+          `INSERT INTO recruiter_criteria 
+           (challenge_id, logic_weight, clarity_weight, testing_weight, efficiency_weight, api_ui_weight, edge_cases_weight, creativity_weight, dimensions, ranking_policy, normalization, attempt_policy, attempt_window, version, updated_at) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [challengeId, logic_weight, clarity_weight, testing_weight, efficiency_weight, api_ui_weight, edge_cases_weight, creativity_weight, dimensions, ranking_policy, normalization, attempt_policy, attempt_window, version],
           function(err) {
             if (err) reject(err);
-            else resolve({ id: this.lastID, challengeId, ...criteria });
+            else resolve({ id: this.lastID, challengeId, ...criteria, version });
           }
         );
       });
     }
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.CRITERIA_SET,
+      challengeId,
+      before,
+      after: { ...criteria, version }
+    });
+    return result;
   }
 
-  async getRecruiterCriteria(challengeId) {
+  /**
+   * Criteria for a challenge
+   * @param {string} challengeId - Challenge
+   * @param {number|null} version - Criteria version, or null for the current (latest) one
+   * @returns {Object|null} Criteria
+   */
+  async getRecruiterCriteria(challengeId, version = null) {
     if (this.isProduction) {
-      return this.db.get(`criteria_${challengeId}`) || null;
+      const versions = this.db.get(`criteria_${challengeId}`) || [];
+      return (version === null ? versions[versions.length - 1] : versions.find(v => v.version === version)) || null;
     } else {
       return new Promise((resolve, reject) => {
         this.db.get(
-          'SELECT * FROM recruiter_criteria WHERE challenge_id = ?',
-          [challengeId],
+          `SELECT * FROM recruiter_criteria WHERE challenge_id = ?
+           ${version === null ? '' : 'AND version = ?'}
+           ORDER BY version DESC LIMIT 1`,
+          version === null ? [challengeId] : [challengeId, version],
           (err, row) => {
             if (err) reject(err);
-            else resolve(row);
+            else resolve(row ? { ...row, dimensions: parseJSONField(row.dimensions) } : null);
+          }
+        );
+      });
+    }
+  }
+
+  async getCriteriaVersions(challengeId) {
+    if (this.isProduction) {
+      return [...(this.db.get(`criteria_${challengeId}`) || [])].reverse();
+    } else {
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          'SELECT * FROM recruiter_criteria WHERE challenge_id = ? ORDER BY version DESC',
+          [challengeId],
+          (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows.map(row => ({ ...row, dimensions: parseJSONField(row.dimensions) })));
           }
         );
       });
@@ -253,30 +473,167 @@ class DatabaseAdapter {
 
   // Ranking operations
   async saveFinalRanking(rankingData) {
-    const { 
-      userId, challengeId, finalScore, rank, 
-      logicContribution, clarityContribution, testingContribution, efficiencyContribution,
-      apiUiContribution = 0, edgeCasesContribution = 0, creativityContribution = 0
-    } = rankingData;
+    if (this.isProduction) {
+      return this.setMemoryRanking(rankingData);
+    } else {
+      const { sql, params } = toRankingStatement(rankingData);
+      return new Promise((resolve, reject) => {
+        this.db.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...rankingData });
+        });
+      });
+    }
+  }
 
+  // In-memory final_rankings row for a saveFinalRanking payload
+  setMemoryRanking(rankingData) {
+    const ranking = {
+      id: Date.now(),
+      ...rankingData,
+      calculated_at: new Date().toISOString()
+    };
+    this.db.set(`ranking_${rankingData.userId}_${rankingData.challengeId}`, ranking);
+    return ranking;
+  }
+
+  /**
+   * Save many final rankings in one batch
+   * @param {Array} rankings - saveFinalRanking payloads
+   */
+  async saveFinalRankings(rankings) {
     if (this.isProduction) {
-      const ranking = { 
-        id: Date.now(), 
-        ...rankingData, 
-        calculated_at: new Date().toISOString() 
-      };
-      this.db.set(`ranking_${userId}_${challengeId}`, ranking);
-      return ranking;
+      return rankings.map(ranking => this.setMemoryRanking(ranking));
+    }
+
+    const ids = await this.runTransaction(rankings.map(toRankingStatement));
+    return rankings.map((rankingData, index) => ({ id: ids[index], ...rankingData }));
+  }
+
+  /**
+   * Replace a challenge's whole ranking at once. Readers see either the old ranking
+   * or the new one, never a mix, and candidates missing from the new one are dropped.
+   * @param {string} challengeId - Challenge
+   * @param {Array} rankings - saveFinalRanking payloads for every ranked candidate
+   * @returns {Array} Saved rankings
+   */
+  async replaceChallengeRankings(challengeId, rankings) {
+    if (this.isProduction) {
+      // Nothing awaits between dropping the old rows and adding the new ones, so no reader runs in between
+      for (const [key, value] of [...this.db.entries()]) {
+        if (key.startsWith('ranking_') && value.challengeId === challengeId) {
+          this.db.delete(key);
+        }
+      }
+      return rankings.map(ranking => this.setMemoryRanking(ranking));
+    }
+
+    const ids = await this.runTransaction([
+      { sql: 'DELETE FROM final_rankings WHERE challenge_id = ?', params: [challengeId] },
+      ...rankings.map(toRankingStatement)
+    ]);
+    return rankings.map((rankingData, index) => ({ id: ids[index + 1], ...rankingData }));
+  }
+
+  /**
+   * Apply an incremental re-rank in one step: save the rows of candidates whose score
+   * changed and move other candidates to new ranks without touching the rest of their row
+   * @param {string} challengeId - Challenge
+   * @param {Array} rankings - saveFinalRanking payloads for the candidates whose score changed
+   * @param {Array} ranks - [{ userId, finalScore, rank }] for candidates who only moved
+   */
+  async saveRankingChanges(challengeId, rankings, ranks) {
+    if (this.isProduction) {
+      for (const ranking of rankings) {
+        this.setMemoryRanking(ranking);
+      }
+      for (const { userId, rank } of ranks) {
+        const ranking = this.db.get(`ranking_${userId}_${challengeId}`);
+        if (ranking) {
+          this.db.set(`ranking_${userId}_${challengeId}`, { ...ranking, rank });
+        }
+      }
+      return;
+    }
+
+    await this.runTransaction([
+      ...rankings.map(toRankingStatement),
+      ...ranks.map(({ userId, rank }) => ({
+        sql: 'UPDATE final_rankings SET rank = ? WHERE challenge_id = ? AND user_id = ?',
+        params: [rank, challengeId, userId]
+      }))
+    ]);
+  }
+
+  /**
+   * Stored ranking order of a challenge, without the score details getLeaderboard joins in
+   * @param {string} challengeId - Challenge
+   * @returns {Array} [{ user_id, final_score, rank, criteria_version }] best rank first
+   */
+  async getFinalRankings(challengeId) {
+    if (this.isProduction) {
+      const rankings = [];
+      for (const [key, value] of this.db.entries()) {
+        if (key.startsWith('ranking_') && value.challengeId === challengeId) {
+          rankings.push({
+            user_id: value.userId,
+            final_score: value.finalScore,
+            rank: value.rank,
+            criteria_version: value.criteriaVersion || null
+          });
+        }
+      }
+      return rankings.sort((a, b) => a.rank - b.rank);
     } else {
       return new Promise((resolve, reject) => {
-        this.db.run(
-          `INSERT OR REPLACE INTO final_rankings 
-           (user_id, challenge_id, final_score, rank, logic_contribution, clarity_contribution, testing_contribution, efficiency_contribution, api_ui_contribution, edge_cases_contribution, creativity_contribution) 
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [userId, challengeId, finalScore, rank, logicContribution, clarityContribution, testingContribution, efficiencyContribution, apiUiContribution, edgeCasesContribution, creativityContribution],
-          function(err) {
+        this.db.all(
+          `SELECT user_id, final_score, rank, criteria_version FROM final_rankings
+           WHERE challenge_id = ? ORDER BY rank ASC, final_score DESC`,
+          [challengeId],
+          (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          }
+        );
+      });
+    }
+  }
+
+  /**
+   * Stored rankings of several challenges at once, with each candidate's name
+   * @param {Array|null} challengeIds - Challenges to read, null for every challenge
+   * @returns {Array} [{ challenge_id, user_id, name, final_score, rank }]
+   */
+  async getRankingsAcrossChallenges(challengeIds = null) {
+    if (this.isProduction) {
+      const rankings = [];
+      for (const [key, value] of this.db.entries()) {
+        if (!key.startsWith('ranking_') || (challengeIds && !challengeIds.includes(value.challengeId))) continue;
+        const user = this.db.get(`user_${value.userId}`);
+        rankings.push({
+          challenge_id: value.challengeId,
+          user_id: value.userId,
+          name: user ? user.name : value.userId,
+          final_score: value.finalScore,
+          rank: value.rank
+        });
+      }
+      return rankings;
+    } else {
+      if (challengeIds && challengeIds.length === 0) {
+        return [];
+      }
+      const filter = challengeIds ? `WHERE fr.challenge_id IN (${challengeIds.map(() => '?').join(', ')})` : '';
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          `SELECT fr.challenge_id, fr.user_id, u.name, fr.final_score, fr.rank
+           FROM final_rankings fr
+           JOIN users u ON fr.user_id = u.user_id
+           ${filter}`,
+          challengeIds || [],
+          (err, rows) => {
             if (err) reject(err);
-            else resolve({ id: this.lastID, ...rankingData });
+            else resolve(rows);
           }
         );
       });
@@ -305,7 +662,7 @@ class DatabaseAdapter {
                 reject(err);
               } else {
                 console.log('Retrieved challenges:', rows);
-                resolve(rows);
+                resolve(rows.map(toChallengeRow));
               }
             }
           );
@@ -326,7 +683,11 @@ class DatabaseAdapter {
         if (key.startsWith(`ranking_`) && value.challengeId === challengeId) {
           const userId = value.userId;
           const user = this.db.get(`user_${userId}`);
-          const aiScore = this.db.get(`ai_score_${userId}_${challengeId}`);
+          // The counted attempt, or the latest one for rankings saved without an attempt id
+          const aiScore = this.db.get(`ai_score_${value.attemptId}`) ||
+            [...this.db.values()]
+              .filter(v => v.challenge_id === challengeId && v.user_id === userId && v.ai_score !== undefined)
+              .sort((a, b) => b.id - a.id)[0];
           
           if (user && aiScore) {
             rankings.push({
@@ -341,6 +702,12 @@ class DatabaseAdapter {
               api_ui_contribution: value.apiUiContribution,
               edge_cases_contribution: value.edgeCasesContribution,
               creativity_contribution: value.creativityContribution,
+              contributions: value.contributions || null,
+              normalized_scores: value.normalizedScores || null,
+              breakdown: value.breakdown || null,
+              attempt_id: aiScore.id,
+              attempt_count: value.attemptCount || 1,
+              criteria_version: value.criteriaVersion || null,
               ai_score: aiScore.ai_score,
               code_quality: aiScore.code_quality,
               testing_rate: aiScore.testing_rate,
@@ -349,7 +716,8 @@ class DatabaseAdapter {
               efficiency_score: aiScore.efficiency_score,
               api_ui_score: aiScore.api_ui_score,
               edge_cases_score: aiScore.edge_cases_score,
-              creativity_score: aiScore.creativity_score
+              creativity_score: aiScore.creativity_score,
+              dimension_scores: aiScore.dimension_scores || {}
             });
           }
         }
@@ -358,43 +726,150 @@ class DatabaseAdapter {
     } else {
       return new Promise((resolve, reject) => {
         this.db.all(
-          `SELECT 
-            fr.user_id,
-            u.name,
-            fr.final_score,
-            fr.rank,
-            fr.logic_contribution,
-            fr.clarity_contribution,
-            fr.testing_contribution,
-            fr.efficiency_contribution,
-            fr.api_ui_contribution,
-            fr.edge_cases_contribution,
-            fr.creativity_contribution,
-            ai.ai_score,
-            ai.code_quality,
-            ai.testing_rate,
-            ai.logic_score,
-            ai.clarity_score,
-            ai.efficiency_score,
-            ai.api_ui_score,
-            ai.edge_cases_score,
-            ai.creativity_score
-          FROM final_rankings fr
-          JOIN users u ON fr.user_id = u.user_id
-          JOIN ai_scores ai ON fr.user_id = ai.user_id AND fr.challenge_id = ai.challenge_id
+          `${LEADERBOARD_SELECT}
           WHERE fr.challenge_id = ?
           ORDER BY fr.rank ASC
           LIMIT ?`,
           [challengeId, limit],
           (err, rows) => {
             if (err) reject(err);
-            else resolve(rows);
+            else resolve(rows.map(toLeaderboardRow));
           }
         );
       });
     }
   }
 
+  /**
+   * One candidate's leaderboard row with the candidates ranked right around them
+   * @param {string} challengeId - Challenge
+   * @param {string} userId - Candidate
+   * @param {number} neighbours - How many rows to return above and below
+   * @returns {Object|null} { entry, above, below, total, scoredLower, scoredEqual }, null when unranked
+   */
+  async getUserRanking(challengeId, userId, neighbours = 2) {
+    if (this.isProduction) {
+      const rows = (await this.getLeaderboard(challengeId, Infinity))
+        .sort((a, b) => (a.rank - b.rank) || String(a.user_id).localeCompare(String(b.user_id)));
+      const index = rows.findIndex(row => row.user_id === userId);
+      if (index === -1) {
+        return null;
+      }
+      const entry = rows[index];
+      return {
+        entry,
+        above: rows.slice(Math.max(0, index - neighbours), index),
+        below: rows.slice(index + 1, index + 1 + neighbours),
+        total: rows.length,
+        scoredLower: rows.filter(row => row.final_score < entry.final_score).length,
+        scoredEqual: rows.filter(row => row.final_score === entry.final_score).length
+      };
+    }
+
+    const all = (sql, params) => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    const [entry] = await all(`${LEADERBOARD_SELECT} WHERE fr.challenge_id = ? AND fr.user_id = ?`, [challengeId, userId]);
+    if (!entry) {
+      return null;
+    }
+
+    // Both neighbour queries walk the (challenge_id, rank) index from the candidate's position
+    const [above, below, [counts]] = await Promise.all([
+      all(
+        `${LEADERBOARD_SELECT}
+        WHERE fr.challenge_id = ? AND (fr.rank, fr.user_id) < (?, ?)
+        ORDER BY fr.rank DESC, fr.user_id DESC
+        LIMIT ?`,
+        [challengeId, entry.rank, userId, neighbours]
+      ),
+      all(
+        `${LEADERBOARD_SELECT}
+        WHERE fr.challenge_id = ? AND (fr.rank, fr.user_id) > (?, ?)
+        ORDER BY fr.rank ASC, fr.user_id ASC
+        LIMIT ?`,
+        [challengeId, entry.rank, userId, neighbours]
+      ),
+      all(
+        `SELECT COUNT(*) AS total,
+                COALESCE(SUM(final_score < ?), 0) AS scored_lower,
+                COALESCE(SUM(final_score = ?), 0) AS scored_equal
+         FROM final_rankings WHERE challenge_id = ?`,
+        [entry.final_score, entry.final_score, challengeId]
+      )
+    ]);
+
+    return {
+      entry: toLeaderboardRow(entry),
+      above: above.reverse().map(toLeaderboardRow),
+      below: below.map(toLeaderboardRow),
+      total: counts.total,
+      scoredLower: counts.scored_lower,
+      scoredEqual: counts.scored_equal
+    };
+  }
+
+  /**
+   * One page of a challenge's leaderboard, searched and sorted in the database
+   * @param {string} challengeId - Challenge
+   * @param {Object} options - Parsed options from leaderboardQuery.parseLeaderboardQuery
+   * @returns {Object} { rows, total, matched, hasMore }
+   */
+  async queryLeaderboard(challengeId, options) {
+    if (this.isProduction) {
+      return pageRows(await this.getLeaderboard(challengeId, Infinity), options);
+    }
+
+    const { sortField, order, search, cursor, offset, limit } = options;
+    const all = (sql, params) => new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    let where = 'WHERE fr.challenge_id = ?';
+    const params = [challengeId];
+    if (search) {
+      where += " AND (u.name LIKE ? ESCAPE '\\' OR fr.user_id LIKE ? ESCAPE '\\')";
+      const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+      params.push(pattern, pattern);
+    }
+
+    const expression = sortExpression(sortField);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    let pageWhere = where;
+    const pageParams = [...params];
+    if (cursor) {
+      // Keyset paging: rows strictly after the last one returned, so inserts and deletes do not shift pages
+      pageWhere += ` AND (${expression}, fr.user_id) ${order === 'asc' ? '>' : '<'} (?, ?)`;
+      pageParams.push(cursor.value, cursor.userId);
+    }
+
+    const [rows, [{ total }], [{ matched }]] = await Promise.all([
+      all(
+        `${LEADERBOARD_SELECT}
+        ${pageWhere}
+        ORDER BY ${expression} ${direction}, fr.user_id ${direction}
+        LIMIT ? OFFSET ?`,
+        [...pageParams, limit + 1, cursor ? 0 : offset]
+      ),
+      all(`SELECT COUNT(*) AS total FROM (${LEADERBOARD_SELECT} WHERE fr.challenge_id = ?)`, [challengeId]),
+      all(`SELECT COUNT(*) AS matched FROM (${LEADERBOARD_SELECT} ${where})`, params)
+    ]);
+
+    return {
+      rows: rows.slice(0, limit).map(toLeaderboardRow),
+      total,
+      matched,
+      hasMore: rows.length > limit
+    };
+  }
+
   async getAllAIScores(challengeId) {
     if (this.isProduction) {
       const scores = [];
@@ -411,239 +886,314 @@ class DatabaseAdapter {
           [challengeId],
           (err, rows) => {
             if (err) reject(err);
-            else resolve(rows);
+            else resolve(rows.map(row => ({ ...row, dimension_scores: parseJSONField(row.dimension_scores, {}) })));
           }
         );
       });
     }
   }
 
-  async deleteChallengeLeaderboard(challengeId) {
+  async getAttempts(challengeId, userId) {
     if (this.isProduction) {
-      // For production, remove all related data from in-memory store
+      const attempts = [];
       for (const [key, value] of this.db.entries()) {
-        if (key.includes(`_${challengeId}`) || 
-            (value && value.challengeId === challengeId) ||
-            (value && value.challenge_id === challengeId)) {
-          this.db.delete(key);
+        if (key.startsWith('ai_score_') && value.challenge_id === challengeId && value.user_id === userId) {
+          attempts.push(value);
         }
       }
+      return attempts.sort((a, b) => b.id - a.id);
     } else {
       return new Promise((resolve, reject) => {
-        this.db.serialize(() => {
-          // Delete from ai_scores
-          this.db.run('DELETE FROM ai_scores WHERE challenge_id = ?', [challengeId]);
-          
-          // Delete from final_rankings
-          this.db.run('DELETE FROM final_rankings WHERE challenge_id = ?', [challengeId]);
-          
-          resolve();
-        });
+        this.db.all(
+          `SELECT * FROM ai_scores WHERE challenge_id = ? AND user_id = ?
+           ORDER BY submitted_at DESC, id DESC`,
+          [challengeId, userId],
+          (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows.map(row => ({ ...row, dimension_scores: parseJSONField(row.dimension_scores, {}) })));
+          }
+        );
       });
     }
   }
 
-  async deleteChallenge(challengeId) {
+  /**
+   * Every attempt of several candidates in one read
+   * @param {string} challengeId - Challenge
+   * @param {Array} userIds - Candidates
+   * @returns {Array} Attempts, newest first
+   */
+  async getAttemptsForUsers(challengeId, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
     if (this.isProduction) {
-      // For production, remove all related data from in-memory store
+      const wanted = new Set(userIds);
+      const attempts = [];
       for (const [key, value] of this.db.entries()) {
-        if (key.includes(`_${challengeId}`) || 
-            (value && value.challengeId === challengeId) ||
-            (value && value.challenge_id === challengeId)) {
-          this.db.delete(key);
+        if (key.startsWith('ai_score_') && value.challenge_id === challengeId && wanted.has(value.user_id)) {
+          attempts.push(value);
         }
       }
+      return attempts.sort((a, b) => b.id - a.id);
     } else {
       return new Promise((resolve, reject) => {
-        this.db.serialize(() => {
-          // Delete from ai_scores
-          this.db.run('DELETE FROM ai_scores WHERE challenge_id = ?', [challengeId]);
-          
-          // Delete from final_rankings
-          this.db.run('DELETE FROM final_rankings WHERE challenge_id = ?', [challengeId]);
-          
-          // Delete from recruiter_criteria
-          this.db.run('DELETE FROM recruiter_criteria WHERE challenge_id = ?', [challengeId]);
-          
-          // Delete from challenges
-          this.db.run('DELETE FROM challenges WHERE challenge_id = ?', [challengeId]);
-          
-          resolve();
-        });
+        this.db.all(
+          `SELECT * FROM ai_scores WHERE challenge_id = ? AND user_id IN (${userIds.map(() => '?').join(', ')})
+           ORDER BY submitted_at DESC, id DESC`,
+          [challengeId, ...userIds],
+          (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows.map(row => ({ ...row, dimension_scores: parseJSONField(row.dimension_scores, {}) })));
+          }
+        );
       });
     }
   }
 
-  async deleteUserFromChallenge(challengeId, userId) {
+  /**
+   * Challenges a user has submitted to, most recent first
+   * @param {string} userId - User
+   * @returns {Array} [{ challenge_id, attempt_count, first_submitted_at, last_submitted_at }]
+   */
+  async getUserChallenges(userId) {
     if (this.isProduction) {
-      // For production, remove user data from in-memory store
+      const byChallenge = new Map();
       for (const [key, value] of this.db.entries()) {
-        if (key.includes(`_${challengeId}_${userId}`) || 
-            (value && value.challengeId === challengeId && value.userId === userId) ||
-            (value && value.challenge_id === challengeId && value.user_id === userId)) {
-          this.db.delete(key);
-        }
+        if (!key.startsWith('ai_score_') || value.user_id !== userId) continue;
+        const entry = byChallenge.get(value.challenge_id) || {
+          challenge_id: value.challenge_id,
+          attempt_count: 0,
+          first_submitted_at: value.submitted_at,
+          last_submitted_at: value.submitted_at
+        };
+        entry.attempt_count++;
+        if (value.submitted_at < entry.first_submitted_at) entry.first_submitted_at = value.submitted_at;
+        if (value.submitted_at > entry.last_submitted_at) entry.last_submitted_at = value.submitted_at;
+        byChallenge.set(value.challenge_id, entry);
       }
+      return [...byChallenge.values()].sort((a, b) => b.last_submitted_at.localeCompare(a.last_submitted_at));
     } else {
       return new Promise((resolve, reject) => {
-        this.db.serialize(() => {
-          // Delete from ai_scores
-          this.db.run('DELETE FROM ai_scores WHERE challenge_id = ? AND user_id = ?', [challengeId, userId], (err) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-            
-            // Delete from final_rankings
-            this.db.run('DELETE FROM final_rankings WHERE challenge_id = ? AND user_id = ?', [challengeId, userId], (err) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              
-              // Recalculate rankings for all remaining users in this challenge
-              // this.recalculateRankingsSync(challengeId, resolve, reject);
-              resolve();
-            });
-          });
-        });
+        this.db.all(
+          `SELECT challenge_id, COUNT(*) AS attempt_count,
+                  MIN(submitted_at) AS first_submitted_at, MAX(submitted_at) AS last_submitted_at
+           FROM ai_scores WHERE user_id = ?
+           GROUP BY challenge_id
+           ORDER BY last_submitted_at DESC, challenge_id`,
+          [userId],
+          (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          }
+        );
       });
     }
   }
 
-  recalculateRankings(challengeId) {
+  // Audit operations
+  async recordAudit({ actor = null, action, challengeId = null, target = null, before = null, after = null }) {
+    const entry = {
+      ...actorFields(actor),
+      action,
+      challenge_id: challengeId,
+      target,
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after,
+      created_at: new Date().toISOString()
+    };
+
     if (this.isProduction) {
-      // For production, recalculate rankings in memory
-      const scores = [];
-      for (const [key, value] of this.db.entries()) {
-        if (key.startsWith(`ai_score_`) && value.challenge_id === challengeId) {
-          scores.push(value);
-        }
-      }
-      
-      // Sort by final_score descending
-      scores.sort((a, b) => b.final_score - a.final_score);
-      
-      // Update rankings
-      for (let i = 0; i < scores.length; i++) {
-        const newRank = i + 1;
-        const key = `final_ranking_${challengeId}_${scores[i].user_id}`;
-        this.db.set(key, {
-          ...scores[i],
-          rank: newRank
-        });
-      }
+      const stored = Object.freeze({ id: this.nextId(), ...entry });
+      this.auditLog.push(stored);
+      return stored;
     } else {
       return new Promise((resolve, reject) => {
-        this.db.serialize(() => {
-          // Get all remaining scores for this challenge
-          this.db.all(
-            'SELECT * FROM ai_scores WHERE challenge_id = ? ORDER BY final_score DESC',
-            [challengeId],
-            (err, scores) => {
-              if (err) {
-                reject(err);
-                return;
-              }
-              
-              // Update rankings for all remaining users
-              let completed = 0;
-              const total = scores.length;
-              
-              if (total === 0) {
-                resolve();
-                return;
-              }
-              
-              scores.forEach((score, index) => {
-                const newRank = index + 1;
-                this.db.run(
-                  'UPDATE final_rankings SET rank = ? WHERE challenge_id = ? AND user_id = ?',
-                  [newRank, challengeId, score.user_id],
-                  (updateErr) => {
-                    if (updateErr) {
-                      reject(updateErr);
-                      return;
-                    }
-                    
-                    completed++;
-                    if (completed === total) {
-                      resolve();
-                    }
-                  }
-                );
-              });
-            }
-          );
-        });
+        this.db.run(
+          `INSERT INTO audit_log
+           (actor, actor_role, action, challenge_id, target, before_payload, after_payload, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [entry.actor, entry.actor_role, action, challengeId, target, JSON.stringify(entry.before), JSON.stringify(entry.after), entry.created_at],
+          function(err) {
+            if (err) reject(err);
+            else resolve({ id: this.lastID, ...entry });
+          }
+        );
       });
     }
   }
 
-  recalculateRankingsSync(challengeId, resolve, reject) {
+  /**
+   * Audit entries, newest first
+   * @param {Object} filters - { challengeId, actor, action, from, to (ISO timestamps), limit }
+   */
+  async getAuditLog({ challengeId = null, actor = null, action = null, from = null, to = null, limit = 100 } = {}) {
     if (this.isProduction) {
-      // For production, recalculate rankings in memory
-      const scores = [];
-      for (const [key, value] of this.db.entries()) {
-        if (key.startsWith(`ai_score_`) && value.challenge_id === challengeId) {
-          scores.push(value);
-        }
-      }
-      
-      // Sort by final_score descending
-      scores.sort((a, b) => b.final_score - a.final_score);
-      
-      // Update rankings
-      for (let i = 0; i < scores.length; i++) {
-        const newRank = i + 1;
-        const key = `final_ranking_${challengeId}_${scores[i].user_id}`;
-        this.db.set(key, {
-          ...scores[i],
-          rank: newRank
-        });
+      return this.auditLog
+        .filter(entry => (!challengeId || entry.challenge_id === challengeId) &&
+          (!actor || entry.actor === actor) &&
+          (!action || entry.action === action) &&
+          (!from || entry.created_at >= from) &&
+          (!to || entry.created_at <= to))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit);
+    } else {
+      const conditions = [];
+      const params = [];
+      if (challengeId) { conditions.push('challenge_id = ?'); params.push(challengeId); }
+      if (actor) { conditions.push('actor = ?'); params.push(actor); }
+      if (action) { conditions.push('action = ?'); params.push(action); }
+      if (from) { conditions.push('created_at >= ?'); params.push(from); }
+      if (to) { conditions.push('created_at <= ?'); params.push(to); }
+
+      return new Promise((resolve, reject) => {
+        this.db.all(
+          `SELECT * FROM audit_log
+           ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+           ORDER BY id DESC
+           LIMIT ?`,
+          [...params, limit],
+          (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows.map(({ before_payload, after_payload, ...row }) => ({
+              ...row,
+              before: parseJSONField(before_payload),
+              after: parseJSONField(after_payload)
+            })));
+          }
+        );
+      });
+    }
+  }
+
+  // Drop a challenge's attempts and rankings from the in-memory store, or one candidate's
+  deleteMemoryScores(challengeId, userId = null) {
+    for (const [key, value] of [...this.db.entries()]) {
+      const isScore = key.startsWith('ai_score_') && value.challenge_id === challengeId &&
+        (userId === null || value.user_id === userId);
+      const isRanking = key.startsWith('ranking_') && value.challengeId === challengeId &&
+        (userId === null || value.userId === userId);
+      if (isScore || isRanking) {
+        this.db.delete(key);
       }
-      resolve();
+    }
+  }
+
+  async deleteChallengeLeaderboard(challengeId, actor = null) {
+    const before = await challengeSnapshot(this, challengeId);
+
+    if (this.isProduction) {
+      this.deleteMemoryScores(challengeId);
+    } else {
+      await this.runTransaction([
+        { sql: 'DELETE FROM ai_scores WHERE challenge_id = ?', params: [challengeId] },
+        { sql: 'DELETE FROM final_rankings WHERE challenge_id = ?', params: [challengeId] }
+      ]);
+    }
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.LEADERBOARD_DELETE,
+      challengeId,
+      before
+    });
+  }
+
+  async deleteChallenge(challengeId, actor = null) {
+    const before = await challengeSnapshot(this, challengeId);
+
+    if (this.isProduction) {
+      this.deleteMemoryScores(challengeId);
+      this.db.delete(`criteria_${challengeId}`);
+      this.db.delete(`challenge_${challengeId}`);
+    } else {
+      await this.runTransaction([
+        { sql: 'DELETE FROM ai_scores WHERE challenge_id = ?', params: [challengeId] },
+        { sql: 'DELETE FROM final_rankings WHERE challenge_id = ?', params: [challengeId] },
+        { sql: 'DELETE FROM recruiter_criteria WHERE challenge_id = ?', params: [challengeId] },
+        { sql: 'DELETE FROM challenges WHERE challenge_id = ?', params: [challengeId] }
+      ]);
+    }
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.CHALLENGE_DELETE,
+      challengeId,
+      before
+    });
+  }
+
+  async deleteUserFromChallenge(challengeId, userId, actor = null) {
+    const rankings = await this.getFinalRankings(challengeId);
+    const before = {
+      ranking: rankingSnapshot(rankings.filter(entry => entry.user_id === userId))[0] || null,
+      attempts: await this.getAttempts(challengeId, userId)
+    };
+
+    if (this.isProduction) {
+      this.deleteMemoryScores(challengeId, userId);
     } else {
-      // Get all remaining scores for this challenge
+      // The caller re-ranks the remaining candidates afterwards (see rankingService)
+      await this.runTransaction([
+        { sql: 'DELETE FROM ai_scores WHERE challenge_id = ? AND user_id = ?', params: [challengeId, userId] },
+        { sql: 'DELETE FROM final_rankings WHERE challenge_id = ? AND user_id = ?', params: [challengeId, userId] }
+      ]);
+    }
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.USER_DELETE,
+      challengeId,
+      target: userId,
+      before
+    });
+  }
+
+  /**
+   * Re-rank a challenge from its stored scores under the current criteria
+   * @param {string} challengeId - Challenge
+   * @returns {Array} Saved rankings (empty when the challenge has no criteria or scores)
+   */
+  async recalculateRankings(challengeId) {
+    return recalculateChallengeRankings(this, challengeId);
+  }
+
+  /**
+   * Rank a challenge with window functions inside SQLite (see sqlRanking.js), replacing its
+   * final_rankings in one transaction. A challenge without scores keeps its stored ranking,
+   * as it does when ranked in Node.
+   * @param {string} challengeId - Challenge
+   * @param {Object} criteria - Current recruiter criteria
+   * @returns {Array|null} Saved rankings, or null when the in-memory store or the criteria need Node
+   */
+  async rankChallengeInDatabase(challengeId, criteria) {
+    if (this.isProduction || !canRankInDatabase(criteria)) {
+      return null;
+    }
+
+    await this.runTransaction([
+      {
+        sql: `DELETE FROM final_rankings WHERE challenge_id = ?
+              AND EXISTS (SELECT 1 FROM ai_scores WHERE challenge_id = ?)`,
+        params: [challengeId, challengeId]
+      },
+      buildRankingStatement('sqlite', challengeId, criteria)
+    ]);
+
+    const rows = await new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT * FROM ai_scores WHERE challenge_id = ? ORDER BY final_score DESC',
+        `SELECT fr.*, ai.submitted_at FROM final_rankings fr
+         LEFT JOIN ai_scores ai ON ai.id = fr.attempt_id
+         WHERE fr.challenge_id = ?`,
         [challengeId],
-        (err, scores) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          // Update rankings for all remaining users
-          let completed = 0;
-          const total = scores.length;
-          
-          if (total === 0) {
-            resolve();
-            return;
-          }
-          
-          scores.forEach((score, index) => {
-            const newRank = index + 1;
-            this.db.run(
-              'UPDATE final_rankings SET rank = ? WHERE challenge_id = ? AND user_id = ?',
-              [newRank, challengeId, score.user_id],
-              (updateErr) => {
-                if (updateErr) {
-                  reject(updateErr);
-                  return;
-                }
-                
-                completed++;
-                if (completed === total) {
-                  resolve();
-                }
-              }
-            );
-          });
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
         }
       );
-    }
+    });
+    return toRankings(rows, criteria);
   }
 
   close() {
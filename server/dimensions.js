@@ -0,0 +1,160 @@
+// Scoring dimensions shared by the score calculator, the adapters and the API.
+// The seven built-in dimensions map onto the legacy ai_scores / recruiter_criteria /
+// final_rankings columns; a challenge can instead declare its own set of dimensions
+// (e.g. "security", "accessibility") whose scores live in ai_scores.dimension_scores.
+
+const DEFAULT_DIMENSIONS = [
+  { key: 'logic', label: 'Logic', scoreField: 'logic_score', weight: 0.25, required: true },
+  { key: 'clarity', label: 'Clarity & Structure', scoreField: 'clarity_score', weight: 0.30, required: true },
+  { key: 'testing', label: 'Testing', scoreField: 'testing_rate', weight: 0.0, required: true },
+  { key: 'efficiency', label: 'Efficiency', scoreField: 'efficiency_score', weight: 0.0, required: false },
+  { key: 'api_ui', label: 'API/UI Design', scoreField: 'api_ui_score', weight: 0.20, required: false },
+  { key: 'edge_cases', label: 'Edge Cases', scoreField: 'edge_cases_score', weight: 0.15, required: false },
+  { key: 'creativity', label: 'Creativity', scoreField: 'creativity_score', weight: 0.10, required: false }
+];
+
+const DIMENSION_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Parse a JSON column (SQLite stores TEXT, Postgres returns JSONB already parsed)
+ * @param {*} value - Raw column value
+ * @param {*} fallback - Value returned when the column is empty or malformed
+ * @returns {*} Parsed value
+ */
+function parseJSONField(value, fallback = null) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Resolve the dimension set and weights a challenge is scored with
+ * @param {Object} criteria - Recruiter criteria (declared dimensions or legacy *_weight fields)
+ * @returns {Array} Dimensions with key, label, scoreField, weight and required flag
+ */
+function resolveDimensions(criteria = {}) {
+  const declared = parseJSONField(criteria.dimensions);
+
+  if (Array.isArray(declared) && declared.length > 0) {
+    return declared.map(dimension => {
+      const builtIn = DEFAULT_DIMENSIONS.find(d => d.key === dimension.key);
+      return {
+        key: dimension.key,
+        label: dimension.label || (builtIn ? builtIn.label : dimension.key),
+        scoreField: builtIn ? builtIn.scoreField : null,
+        weight: dimension.weight,
+        required: dimension.required !== undefined ? dimension.required : true
+      };
+    });
+  }
+
+  // Legacy criteria: one *_weight field per built-in dimension
+  return DEFAULT_DIMENSIONS.map(dimension => {
+    const weight = criteria[`${dimension.key}_weight`];
+    return {
+      ...dimension,
+      weight: weight === undefined || weight === null ? dimension.weight : weight
+    };
+  });
+}
+
+/**
+ * Read the raw score for a dimension from an AI score record
+ * @param {Object} aiScore - AI score record
+ * @param {Object} dimension - Dimension definition
+ * @returns {number|undefined} Score, or undefined when it was not submitted
+ */
+function getDimensionScore(aiScore, dimension) {
+  if (dimension.scoreField) {
+    const value = aiScore[dimension.scoreField];
+    if (value !== undefined && value !== null) {
+      return value;
+    }
+  }
+
+  const extraScores = parseJSONField(aiScore.dimension_scores, {}) || {};
+  const value = extraScores[dimension.key];
+  return value === undefined || value === null ? undefined : value;
+}
+
+/**
+ * Collect the scores for dimensions that have no dedicated ai_scores column
+ * @param {Object} aiScore - AI score record
+ * @returns {Object} Map of dimension key to score
+ */
+function getExtraDimensionScores(aiScore) {
+  const extraScores = parseJSONField(aiScore.dimension_scores, {}) || {};
+  const result = {};
+  for (const [key, value] of Object.entries(extraScores)) {
+    if (!DEFAULT_DIMENSIONS.some(d => d.key === key)) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Name of the camelCase contribution field for a dimension (api_ui -> apiUiContribution)
+ * @param {string} key - Dimension key
+ * @returns {string} Field name
+ */
+function contributionField(key) {
+  const camel = key.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+  return `${camel}Contribution`;
+}
+
+/**
+ * Weights for the legacy *_weight columns implied by a declared dimension set
+ * @param {Array} dimensions - Declared dimensions
+ * @returns {Object} Legacy weight fields (0 for built-ins the challenge does not use)
+ */
+function getLegacyWeights(dimensions) {
+  const weights = {};
+  for (const dimension of DEFAULT_DIMENSIONS) {
+    const declared = dimensions.find(d => d.key === dimension.key);
+    weights[`${dimension.key}_weight`] = declared ? declared.weight : 0;
+  }
+  return weights;
+}
+
+/**
+ * Contributions for a stored ranking row, falling back to the legacy columns
+ * for rows calculated before per-dimension contributions were stored
+ * @param {Object} row - final_rankings row
+ * @returns {Object} Map of dimension key to contribution
+ */
+function getRowContributions(row) {
+  const contributions = parseJSONField(row.contributions);
+  if (contributions) {
+    return contributions;
+  }
+
+  const legacy = {};
+  for (const dimension of DEFAULT_DIMENSIONS) {
+    const value = row[`${dimension.key}_contribution`];
+    if (value !== undefined && value !== null) {
+      legacy[dimension.key] = value;
+    }
+  }
+  return legacy;
+}
+
+module.exports = {
+  DEFAULT_DIMENSIONS,
+  DIMENSION_KEY_PATTERN,
+  parseJSONField,
+  resolveDimensions,
+  getDimensionScore,
+  getExtraDimensionScores,
+  contributionField,
+  getLegacyWeights,
+  getRowContributions
+};
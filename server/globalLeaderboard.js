@@ -0,0 +1,278 @@
+// Platform-wide leaderboard built from the stored ranking of every challenge
+const ScoreCalculator = require('./scoreCalculator');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./leaderboardQuery');
+
+const AGGREGATIONS = ['sum', 'percentile', 'elo'];
+const DEFAULT_AGGREGATION = 'sum';
+const ELO_START = 1500;
+const ELO_K = 32;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_TAGS = 10;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Normalize challenge tags from a JSON array or a comma-separated query value
+ * @param {Array|string} value - Tags
+ * @returns {Object} { tags, errors } with tags lowercased and de-duplicated
+ */
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') {
+    return { tags: [], errors: [] };
+  }
+
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  if (raw.some(tag => typeof tag !== 'string')) {
+    return { tags: [], errors: ['tags must be strings'] };
+  }
+
+  const tags = [...new Set(raw.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  const errors = [];
+  const invalid = tags.filter(tag => !TAG_PATTERN.test(tag));
+  if (invalid.length > 0) {
+    errors.push(`Invalid tags: ${invalid.join(', ')} (use lowercase letters, digits, - and _, up to 40 characters)`);
+  }
+  if (tags.length > MAX_TAGS) {
+    errors.push(`At most ${MAX_TAGS} tags are allowed`);
+  }
+  return { tags, errors };
+}
+
+/**
+ * Parse and check GET /api/leaderboard/global query parameters
+ * @param {Object} query - Express req.query (aggregation, tags, minChallenges, limit, offset)
+ * @returns {Object} { options: { aggregation, tags, minChallenges, limit, offset }, errors }
+ */
+function parseGlobalQuery(query) {
+  const { tags, errors } = parseTags(query.tags);
+  const options = {
+    aggregation: query.aggregation || DEFAULT_AGGREGATION,
+    tags,
+    minChallenges: 1,
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0
+  };
+
+  if (!AGGREGATIONS.includes(options.aggregation)) {
+    errors.push(`aggregation must be one of: ${AGGREGATIONS.join(', ')}`);
+  }
+
+  const integers = [
+    ['minChallenges', 1, Infinity, 'a positive integer'],
+    ['limit', 1, MAX_PAGE_SIZE, `an integer between 1 and ${MAX_PAGE_SIZE}`],
+    ['offset', 0, Infinity, 'a non-negative integer']
+  ];
+  for (const [field, min, max, description] of integers) {
+    if (query[field] === undefined) continue;
+    const value = Number(query[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${field} must be ${description}`);
+    } else {
+      options[field] = value;
+    }
+  }
+
+  return { options, errors };
+}
+
+// Mid-rank percentile of every final score in one challenge (ties count half, as in getUserStanding)
+function challengePercentiles(rows) {
+  const scores = rows.map(row => row.final_score).sort((a, b) => a - b);
+  const percentiles = new Map();
+  let start = 0;
+  while (start < scores.length) {
+    let end = start;
+    while (end + 1 < scores.length && scores[end + 1] === scores[start]) end++;
+    percentiles.set(scores[start], ((start + 0.5 * (end - start + 1)) / scores.length) * 100);
+    start = end + 1;
+  }
+  return percentiles;
+}
+
+/**
+ * Score each candidate across challenges
+ * @param {Array} challenges - [{ challengeId, rows }] in chronological order
+ * @param {string} aggregation - 'sum', 'percentile' or 'elo'
+ * @returns {Map} userId -> score
+ */
+function aggregateScores(challenges, aggregation) {
+  const totals = new Map();
+  const add = (userId, value) => totals.set(userId, (totals.get(userId) || 0) + value);
+
+  if (aggregation === 'sum') {
+    // Each challenge is worth up to 100: final score as a share of the challenge's top score
+    for (const { rows } of challenges) {
+      const top = rows.reduce((max, row) => Math.max(max, row.final_score), -Infinity);
+      rows.forEach(row => add(row.user_id, top > 0 ? (row.final_score / top) * 100 : 0));
+    }
+    return totals;
+  }
+
+  if (aggregation === 'percentile') {
+    const counts = new Map();
+    for (const { rows } of challenges) {
+      const percentiles = challengePercentiles(rows);
+      rows.forEach(row => {
+        add(row.user_id, percentiles.get(row.final_score));
+        counts.set(row.user_id, (counts.get(row.user_id) || 0) + 1);
+      });
+    }
+    for (const [userId, total] of totals) {
+      totals.set(userId, total / counts.get(userId));
+    }
+    return totals;
+  }
+
+  // Elo-style rating, one update per challenge in the order they ran. Each candidate plays the
+  // field: the expected result is against the average rating of the others, and the actual
+  // result is the share of the others they outscored (ties count half).
+  for (const { rows } of challenges) {
+    rows.forEach(row => {
+      if (!totals.has(row.user_id)) totals.set(row.user_id, ELO_START);
+    });
+    if (rows.length < 2) continue;
+
+    const others = rows.length - 1;
+    const ratingSum = rows.reduce((sum, row) => sum + totals.get(row.user_id), 0);
+    const percentiles = challengePercentiles(rows);
+    const deltas = rows.map(row => {
+      const rating = totals.get(row.user_id);
+      const fieldRating = (ratingSum - rating) / others;
+      const expected = 1 / (1 + Math.pow(10, (fieldRating - rating) / 400));
+      // Convert the mid-rank percentile (which counts the candidate themself) to a share of the others
+      const actual = ((percentiles.get(row.final_score) / 100) * rows.length - 0.5) / others;
+      return ELO_K * (actual - expected);
+    });
+    rows.forEach((row, index) => totals.set(row.user_id, totals.get(row.user_id) + deltas[index]));
+  }
+  return totals;
+}
+
+// A zone-less timestamp (SQLite's CURRENT_TIMESTAMP, e.g. "2024-01-01 12:00:00") is UTC
+const ZONELESS_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+/**
+ * When a challenge took place, for ordering Elo updates. Stores hand back ISO strings,
+ * SQLite timestamps or Date objects, so compare them as milliseconds.
+ * @param {Object} challenge - Challenge row
+ * @returns {number} Milliseconds since the epoch, -Infinity when the challenge has no usable date
+ */
+function challengeTime(challenge) {
+  const value = challenge.ends_at || challenge.closed_at || challenge.created_at;
+  if (!value) return -Infinity;
+  if (value instanceof Date) return value.getTime();
+
+  let text = String(value).trim().replace(' ', 'T');
+  if (ZONELESS_TIMESTAMP.test(text)) text += 'Z';
+  const time = Date.parse(text);
+  return Number.isNaN(time) ? -Infinity : time;
+}
+
+// Built boards are kept per adapter until a ranking write invalidates them. The TTL bounds
+// how stale a board can get when the write happened in another process (serverless instances).
+const CACHE_TTL_MS = 60000;
+// db -> { generation, boards: Map of cache key -> { builtAt, board } }
+const caches = new WeakMap();
+
+const cacheFor = db => {
+  if (!caches.has(db)) caches.set(db, { generation: 0, boards: new Map() });
+  return caches.get(db);
+};
+
+/**
+ * Drop every cached global board of an adapter. Call after rankings, challenge dates or tags change.
+ * @param {Object} db - Database adapter
+ */
+function invalidateGlobalLeaderboard(db) {
+  const cache = cacheFor(db);
+  cache.generation++;
+  cache.boards.clear();
+}
+
+// Every ranked row of the global board for one aggregation, challenge set and minimum
+async function rankGlobalBoard(db, { aggregation, tags, minChallenges }) {
+  const allChallenges = (await db.getAllChallenges()).map(challenge => ({
+    ...challenge,
+    challengeId: challenge.challenge_id || challenge.challengeId
+  }));
+  const selected = tags.length > 0
+    ? allChallenges.filter(challenge => (challenge.tags || []).some(tag => tags.includes(tag)))
+    : null;
+  const rows = await db.getRankingsAcrossChallenges(selected ? selected.map(challenge => challenge.challengeId) : null);
+
+  const byChallenge = new Map();
+  const names = new Map();
+  const entries = new Map();
+  for (const row of rows) {
+    if (!byChallenge.has(row.challenge_id)) byChallenge.set(row.challenge_id, []);
+    byChallenge.get(row.challenge_id).push(row);
+    names.set(row.user_id, row.name || row.user_id);
+    const entry = entries.get(row.user_id) || { challenges: 0, bestRank: Infinity };
+    entry.challenges++;
+    entry.bestRank = Math.min(entry.bestRank, row.rank);
+    entries.set(row.user_id, entry);
+  }
+
+  const times = new Map(allChallenges.map(challenge => [challenge.challengeId, challengeTime(challenge)]));
+  const ordered = [...byChallenge.entries()]
+    .map(([challengeId, challengeRows]) => ({ challengeId, rows: challengeRows, time: times.has(challengeId) ? times.get(challengeId) : -Infinity }))
+    .sort((a, b) => (a.time === b.time ? a.challengeId.localeCompare(b.challengeId) : (a.time < b.time ? -1 : 1)));
+
+  const scores = aggregateScores(ordered, aggregation);
+  const sorted = [...scores.entries()]
+    .filter(([userId]) => entries.get(userId).challenges >= minChallenges)
+    .map(([userId, score]) => ({ userId, finalScore: round(score) }))
+    .sort((a, b) => (b.finalScore - a.finalScore) || a.userId.localeCompare(b.userId));
+
+  return {
+    challenges: ordered.map(challenge => challenge.challengeId),
+    rows: ScoreCalculator.assignRanks(sorted).map(row => ({
+      rank: row.rank,
+      user_id: row.userId,
+      name: names.get(row.userId),
+      score: row.finalScore,
+      challenges: entries.get(row.userId).challenges,
+      best_rank: entries.get(row.userId).bestRank
+    }))
+  };
+}
+
+/**
+ * Build the global leaderboard. The ranked board is cached per aggregation, tag set and
+ * minimum, so paging through it does not re-read every challenge's ranking.
+ * @param {Object} db - Database adapter
+ * @param {Object} options - Parsed options from parseGlobalQuery
+ * @returns {Object} { challenges, totalParticipants, leaderboard }
+ */
+async function buildGlobalLeaderboard(db, options) {
+  const { aggregation, tags, minChallenges, limit, offset } = options;
+  const cache = cacheFor(db);
+  const key = JSON.stringify([aggregation, [...tags].sort(), minChallenges]);
+
+  let cached = cache.boards.get(key);
+  if (!cached || Date.now() - cached.builtAt > CACHE_TTL_MS) {
+    const generation = cache.generation;
+    cached = { builtAt: Date.now(), board: await rankGlobalBoard(db, { aggregation, tags, minChallenges }) };
+    // A write that landed while the board was being built makes it stale already
+    if (cache.generation === generation) {
+      cache.boards.set(key, cached);
+    }
+  }
+
+  const { challenges, rows } = cached.board;
+  return {
+    challenges,
+    totalParticipants: rows.length,
+    leaderboard: rows.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  AGGREGATIONS,
+  parseTags,
+  parseGlobalQuery,
+  aggregateScores,
+  challengeTime,
+  buildGlobalLeaderboard,
+  invalidateGlobalLeaderboard
+};
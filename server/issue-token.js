@@ -0,0 +1,13 @@
+// Print a session token for local testing: npm run token -- <userId> <role>
+const { ROLES, issueToken } = require('./auth');
+
+const [userId, role = 'admin'] = process.argv.slice(2);
+
+if (!userId || !ROLES.includes(role)) {
+  console.error(`Usage: npm run token -- <userId> [${ROLES.join('|')}]`);
+  process.exit(1);
+}
+
+const { token, expiresAt } = issueToken({ sub: userId, role });
+console.log(token);
+console.error(`${role} token for ${userId}, expires ${expiresAt}`);
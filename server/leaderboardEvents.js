@@ -0,0 +1,144 @@
+// Live leaderboard updates over Server-Sent Events (boards projected during hiring events).
+// Subscribers are held in memory, so updates reach clients connected to the same server process;
+// only the long-running server (server/index.js) mounts the stream, not the serverless api/index.js.
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 3000;
+
+// challengeId -> Set of open responses
+const subscribers = new Map();
+// challengeId -> Map of userId -> { rank, final_score }, the ranks subscribers last saw
+const snapshots = new Map();
+// challengeId -> promise of the publish in flight, so diffs are taken one at a time
+const queues = new Map();
+
+const toSnapshot = rankings => new Map(
+  rankings.map(ranking => [ranking.user_id, { rank: ranking.rank, final_score: ranking.final_score }])
+);
+
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Compare stored rankings with what subscribers last saw
+ * @param {Map} previous - Snapshot from toSnapshot
+ * @param {Array} rankings - Rows from db.getFinalRankings
+ * @returns {Object} { changes: [{ user_id, rank, previousRank, final_score, previousScore }], removed: [userId] }
+ */
+function diffRankings(previous, rankings) {
+  const changes = [];
+  for (const ranking of rankings) {
+    const before = previous.get(ranking.user_id);
+    if (!before || before.rank !== ranking.rank || before.final_score !== ranking.final_score) {
+      changes.push({
+        user_id: ranking.user_id,
+        rank: ranking.rank,
+        previousRank: before ? before.rank : null,
+        final_score: ranking.final_score,
+        previousScore: before ? before.final_score : null
+      });
+    }
+  }
+
+  const current = new Set(rankings.map(ranking => ranking.user_id));
+  const removed = [...previous.keys()].filter(userId => !current.has(userId));
+  return { changes, removed };
+}
+
+// Run publishes for a challenge in order; a failure is logged and does not block the next one
+function enqueue(challengeId, task) {
+  const next = (queues.get(challengeId) || Promise.resolve())
+    .then(task)
+    .catch(error => console.error('Error publishing leaderboard update:', error));
+  queues.set(challengeId, next);
+  next.then(() => {
+    if (queues.get(challengeId) === next) queues.delete(challengeId);
+  });
+  return next;
+}
+
+/**
+ * Open an event stream for a challenge's leaderboard. Sends a `ready` event, then
+ * `rankings` events whenever the stored ranking changes.
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function subscribe(db, challengeId, req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (!subscribers.has(challengeId)) {
+    subscribers.set(challengeId, new Set());
+  }
+  subscribers.get(challengeId).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = subscribers.get(challengeId);
+    if (!clients) return;
+    clients.delete(res);
+    if (clients.size === 0) {
+      subscribers.delete(challengeId);
+      snapshots.delete(challengeId);
+    }
+  });
+
+  return enqueue(challengeId, async () => {
+    if (!snapshots.has(challengeId)) {
+      snapshots.set(challengeId, toSnapshot(await db.getFinalRankings(challengeId)));
+    }
+    send(res, 'ready', { challengeId, totalParticipants: snapshots.get(challengeId).size });
+  });
+}
+
+/**
+ * Push rank changes to a challenge's subscribers. Does nothing when nobody is listening,
+ * and never throws, so callers can fire it after responding.
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge ID
+ * @param {string} reason - What changed the ranking (e.g. 'submission', 'recalculation', 'deletion')
+ * @returns {Promise} Resolves once the update has been sent
+ */
+function publishRankings(db, challengeId, reason) {
+  if (!subscribers.has(challengeId)) {
+    return Promise.resolve();
+  }
+
+  return enqueue(challengeId, async () => {
+    const clients = subscribers.get(challengeId);
+    if (!clients) return;
+
+    const rankings = await db.getFinalRankings(challengeId);
+    const { changes, removed } = diffRankings(snapshots.get(challengeId) || new Map(), rankings);
+    snapshots.set(challengeId, toSnapshot(rankings));
+    if (changes.length === 0 && removed.length === 0) return;
+
+    const event = {
+      challengeId,
+      reason,
+      totalParticipants: rankings.length,
+      changes,
+      removed,
+      at: new Date().toISOString()
+    };
+    for (const res of clients) {
+      send(res, 'rankings', event);
+    }
+  });
+}
+
+module.exports = {
+  diffRankings,
+  subscribe,
+  publishRankings
+};
@@ -0,0 +1,187 @@
+// Leaderboard exports (CSV, JSON and printable HTML) for hiring packets
+const { getDimensionScore, getRowContributions } = require('./dimensions');
+
+const EXPORT_FORMATS = ['csv', 'json', 'html'];
+const EXPORT_LIMIT = 100000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+
+const valueOrNull = value => (value === undefined || value === null ? null : value);
+
+/**
+ * Flatten leaderboard rows into one record per candidate with every contribution and raw score
+ * @param {Array} leaderboard - Rows from getLeaderboard
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {Array} [{ rank, userId, name, finalScore, aiScore, codeQuality, scores, contributions }]
+ */
+function buildExportRows(leaderboard, dimensions) {
+  return leaderboard.map(entry => {
+    const contributions = getRowContributions(entry);
+    const scores = {};
+    const dimensionContributions = {};
+    for (const dimension of dimensions) {
+      scores[dimension.key] = valueOrNull(getDimensionScore(entry, dimension));
+      dimensionContributions[dimension.key] = valueOrNull(contributions[dimension.key]);
+    }
+
+    return {
+      rank: entry.rank,
+      userId: entry.user_id,
+      name: entry.name,
+      finalScore: entry.final_score,
+      aiScore: valueOrNull(entry.ai_score),
+      codeQuality: valueOrNull(entry.code_quality),
+      scores,
+      contributions: dimensionContributions
+    };
+  });
+}
+
+// Quote per RFC 4180, and keep spreadsheet apps from running names that look like formulas
+// (a leading tab or carriage return is stripped by some of them, exposing the formula behind it)
+const csvCell = value => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array} rows - From buildExportRows
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {string} CSV with a header row
+ */
+function toCSV(rows, dimensions) {
+  const header = [
+    'rank', 'user_id', 'name', 'final_score', 'ai_score', 'code_quality',
+    ...dimensions.map(dimension => `${dimension.key}_contribution`),
+    ...dimensions.map(dimension => `${dimension.key}_score`)
+  ];
+  const lines = rows.map(row => [
+    row.rank, row.userId, row.name, row.finalScore, row.aiScore, row.codeQuality,
+    ...dimensions.map(dimension => row.contributions[dimension.key]),
+    ...dimensions.map(dimension => row.scores[dimension.key])
+  ].map(csvCell).join(','));
+
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+const escapeHTML = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatNumber = value => (typeof value === 'number' ? value.toFixed(2) : '–');
+
+/**
+ * Standalone page that prints cleanly to PDF from the browser
+ * @param {Object} meta - { challengeId, title, criteriaVersion, exportedAt }
+ * @param {Array} rows - From buildExportRows
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {string} HTML document
+ */
+function toHTML(meta, rows, dimensions) {
+  const weightLine = dimensions
+    .map(dimension => `${escapeHTML(dimension.label)} ${Math.round(dimension.weight * 100)}%`)
+    .join(' · ');
+  const headerCells = dimensions
+    .map(dimension => `<th>${escapeHTML(dimension.label)}<br><small>contribution / raw</small></th>`)
+    .join('');
+  const bodyRows = rows.map(row => `
+      <tr>
+        <td>${escapeHTML(row.rank)}</td>
+        <td>${escapeHTML(row.name)}<br><small>@${escapeHTML(row.userId)}</small></td>
+        <td><strong>${formatNumber(row.finalScore)}</strong></td>
+        <td>${formatNumber(row.aiScore)}</td>
+        <td>${formatNumber(row.codeQuality)}</td>
+        ${dimensions.map(dimension => `<td>${formatNumber(row.contributions[dimension.key])} / ${formatNumber(row.scores[dimension.key])}</td>`).join('')}
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(meta.title)} - Leaderboard</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; margin: 30px; }
+    h1 { font-size: 1.6rem; margin: 0 0 5px 0; }
+    .meta { color: #6c757d; font-size: 0.85rem; margin-bottom: 20px; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #dee2e6; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    small { color: #6c757d; font-weight: normal; }
+    tr { page-break-inside: avoid; }
+    @page { size: landscape; margin: 15mm; }
+    @media print { body { margin: 0; } thead { display: table-header-group; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(meta.title)}</h1>
+  <div class="meta">
+    Challenge ${escapeHTML(meta.challengeId)} · Criteria ${meta.criteriaVersion ? `v${escapeHTML(meta.criteriaVersion)}` : 'not set'} · ${rows.length} participants · Exported ${escapeHTML(meta.exportedAt)}<br>
+    ${weightLine}
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Rank</th>
+        <th>Candidate</th>
+        <th>Final Score</th>
+        <th>AI Score</th>
+        <th>Code Quality</th>
+        ${headerCells}
+      </tr>
+    </thead>
+    <tbody>${bodyRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a challenge's leaderboard in an export format
+ * @param {string} format - 'csv', 'json' or 'html'
+ * @param {Object} meta - { challengeId, title, criteriaVersion, exportedAt }
+ * @param {Array} leaderboard - Rows from getLeaderboard
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {Object} { contentType, filename, body }
+ */
+function renderExport(format, meta, leaderboard, dimensions) {
+  const rows = buildExportRows(leaderboard, dimensions);
+  const filename = `${meta.challengeId}-leaderboard.${format}`;
+
+  let body;
+  if (format === 'csv') {
+    body = toCSV(rows, dimensions);
+  } else if (format === 'html') {
+    body = toHTML(meta, rows, dimensions);
+  } else {
+    body = JSON.stringify({
+      ...meta,
+      dimensions: dimensions.map(({ key, label, weight }) => ({ key, label, weight })),
+      totalParticipants: rows.length,
+      rankings: rows
+    }, null, 2);
+  }
+
+  return { contentType: CONTENT_TYPES[format], filename, body };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_LIMIT,
+  buildExportRows,
+  toCSV,
+  toHTML,
+  renderExport
+};
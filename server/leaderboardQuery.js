@@ -0,0 +1,207 @@
+// Paging, sorting and search options for GET /api/challenges/:challengeId/leaderboard
+const { DEFAULT_DIMENSIONS } = require('./dimensions');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Missing scores sort as -1 so every value compares (and cursors stay exact)
+const MISSING_SCORE = -1;
+
+/**
+ * Sortable leaderboard fields for a challenge. Each field says which table it comes
+ * from and, for custom dimensions, which key of a JSON column holds the value.
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {Object} Map of sort key to { source: 'ranking'|'user'|'score', column, jsonKey, numeric }
+ */
+function getSortFields(dimensions) {
+  const fields = {
+    rank: { source: 'ranking', column: 'rank', numeric: true },
+    final_score: { source: 'ranking', column: 'final_score', numeric: true },
+    attempt_count: { source: 'ranking', column: 'attempt_count', numeric: true },
+    name: { source: 'user', column: 'name', numeric: false },
+    user_id: { source: 'ranking', column: 'user_id', numeric: false },
+    ai_score: { source: 'score', column: 'ai_score', numeric: true },
+    code_quality: { source: 'score', column: 'code_quality', numeric: true }
+  };
+
+  for (const dimension of [...DEFAULT_DIMENSIONS, ...dimensions]) {
+    const builtIn = DEFAULT_DIMENSIONS.some(d => d.key === dimension.key);
+    fields[`${dimension.key}_contribution`] = builtIn
+      ? { source: 'ranking', column: `${dimension.key}_contribution`, numeric: true }
+      : { source: 'ranking', column: 'contributions', jsonKey: dimension.key, numeric: true };
+    const scoreField = builtIn
+      ? { source: 'score', column: dimension.scoreField, numeric: true }
+      : { source: 'score', column: 'dimension_scores', jsonKey: dimension.key, numeric: true };
+    fields[`${dimension.key}_score`] = scoreField;
+    if (dimension.scoreField) {
+      fields[dimension.scoreField] = scoreField;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Value of a sort field on a leaderboard row (as returned by the adapters)
+ * @param {Object} row - Leaderboard row
+ * @param {Object} field - From getSortFields
+ * @returns {number|string} Comparable value
+ */
+function getSortValue(row, field) {
+  let value;
+  if (field.jsonKey) {
+    const source = field.column === 'contributions' ? row.contributions : row.dimension_scores;
+    value = source ? source[field.jsonKey] : undefined;
+  } else {
+    value = row[field.column];
+  }
+
+  if (field.numeric) {
+    return typeof value === 'number' ? value : MISSING_SCORE;
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+const encodeCursor = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = cursor => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// A cursor's value is whatever getSortValue gave the last row: a finite number for numeric fields, text otherwise
+const isSortValue = (value, field) => (field.numeric ? Number.isFinite(value) : typeof value === 'string');
+
+/**
+ * Parse and check leaderboard query parameters
+ * @param {Object} query - Express req.query (limit, offset, cursor, sort, order, search)
+ * @param {Array} dimensions - The challenge's scoring dimensions
+ * @returns {Object} { options: { limit, offset, cursor, sort, sortField, order, search }, errors }
+ */
+function parseLeaderboardQuery(query, dimensions) {
+  const errors = [];
+  const fields = getSortFields(dimensions);
+  const sort = query.sort || 'rank';
+  const options = {
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0,
+    cursor: null,
+    sort,
+    sortField: fields[sort] || null,
+    order: null,
+    search: typeof query.search === 'string' && query.search.trim() !== '' ? query.search.trim() : null
+  };
+
+  if (!options.sortField) {
+    errors.push(`sort must be one of: ${Object.keys(fields).join(', ')}`);
+  }
+
+  // Ranks and names read naturally ascending; scores and contributions descending
+  if (query.order === undefined) {
+    options.order = ['rank', 'name', 'user_id'].includes(sort) ? 'asc' : 'desc';
+  } else if (['asc', 'desc'].includes(query.order)) {
+    options.order = query.order;
+  } else {
+    errors.push('order must be asc or desc');
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    // A cursor only continues the listing it came from
+    if (!cursor || cursor.sort !== sort || cursor.order !== options.order || cursor.search !== options.search ||
+        !Number.isInteger(cursor.offset) || cursor.offset < 0 || typeof cursor.userId !== 'string' ||
+        !options.sortField || !isSortValue(cursor.value, options.sortField)) {
+      errors.push('cursor is invalid or belongs to a different sort or search');
+    } else {
+      options.cursor = cursor;
+      options.offset = cursor.offset;
+    }
+  } else if (query.offset !== undefined) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+      errors.push('offset must be a non-negative integer');
+    } else {
+      options.offset = offset;
+    }
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Cursor for the page after the given rows
+ * @param {Array} rows - The page just returned
+ * @param {Object} options - Parsed options the page was fetched with
+ * @returns {string} Opaque cursor
+ */
+function nextCursor(rows, options) {
+  const last = rows[rows.length - 1];
+  return encodeCursor({
+    sort: options.sort,
+    order: options.order,
+    search: options.search,
+    value: getSortValue(last, options.sortField),
+    userId: last.user_id,
+    offset: options.offset + rows.length
+  });
+}
+
+/**
+ * Search, sort and page leaderboard rows in memory (for stores without a query engine)
+ * @param {Array} rows - Every leaderboard row of the challenge
+ * @param {Object} options - Parsed options
+ * @returns {Object} { rows, total, matched, hasMore }
+ */
+function pageRows(rows, options) {
+  const { sortField, order, search, cursor, offset, limit } = options;
+  const direction = order === 'asc' ? 1 : -1;
+  const needle = search ? search.toLowerCase() : null;
+
+  const compareKeys = (valueA, userA, valueB, userB) => {
+    const diff = sortField.numeric ? valueA - valueB : String(valueA).localeCompare(String(valueB));
+    return direction * (diff || String(userA).localeCompare(String(userB)));
+  };
+
+  const matched = rows
+    .filter(row => !needle || row.name.toLowerCase().includes(needle) || row.user_id.toLowerCase().includes(needle))
+    .map(row => ({ row, value: getSortValue(row, sortField) }))
+    .sort((a, b) => compareKeys(a.value, a.row.user_id, b.value, b.row.user_id));
+
+  let start = offset;
+  if (cursor) {
+    start = matched.findIndex(({ row, value }) => compareKeys(value, row.user_id, cursor.value, cursor.userId) > 0);
+    if (start === -1) start = matched.length;
+  }
+
+  const page = matched.slice(start, start + limit + 1);
+  return {
+    rows: page.slice(0, limit).map(({ row }) => row),
+    total: rows.length,
+    matched: matched.length,
+    hasMore: page.length > limit
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MISSING_SCORE,
+  getSortFields,
+  getSortValue,
+  parseLeaderboardQuery,
+  nextCursor,
+  pageRows
+};
@@ -0,0 +1,84 @@
+// Bring a database's schema up to date, or roll it back: npm run migrate -- [up|down|status|sql] [--to <version>]
+// Uses Postgres when DATABASE_URL is set, otherwise the SQLite file (SQLITE_FILE, default leaderboard.db).
+require('dotenv').config();
+const path = require('path');
+const {
+  migrationLabel,
+  loadMigrations,
+  sqliteConnection,
+  postgresConnection,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  renderPostgresScript
+} = require('./migrator');
+
+const COMMANDS = ['up', 'down', 'status', 'sql'];
+
+function parseArgs(args) {
+  const [command = 'up', ...rest] = args;
+  const toIndex = rest.indexOf('--to');
+  const to = toIndex === -1 ? undefined : Number(rest[toIndex + 1]);
+  if (!COMMANDS.includes(command) || (to !== undefined && (!Number.isInteger(to) || to < 0))) {
+    return null;
+  }
+  return { command, to };
+}
+
+async function connect() {
+  if (process.env.DATABASE_URL) {
+    const { Client } = require('pg');
+    const client = new Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+    return { connection: postgresConnection(client), target: 'Postgres', close: () => client.end() };
+  }
+
+  const sqlite3 = require('sqlite3');
+  const filename = process.env.SQLITE_FILE || path.join(__dirname, 'leaderboard.db');
+  const db = new sqlite3.Database(filename);
+  return {
+    connection: sqliteConnection(db),
+    target: `SQLite (${filename})`,
+    close: () => new Promise(resolve => db.close(resolve))
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.error(`Usage: npm run migrate -- [${COMMANDS.join('|')}] [--to <version>]`);
+    process.exit(1);
+  }
+
+  const migrations = loadMigrations();
+  if (options.command === 'sql') {
+    process.stdout.write(renderPostgresScript(migrations));
+    return;
+  }
+
+  const { connection, target, close } = await connect();
+  try {
+    if (options.command === 'status') {
+      const status = await getStatus(connection, migrations);
+      console.log(`${target}:`);
+      status.forEach(migration => {
+        console.log(`  ${migration.applied ? 'applied' : 'pending'}  ${migrationLabel(migration)}`);
+      });
+    } else if (options.command === 'up') {
+      const applied = await migrateUp(connection, { migrations, to: options.to });
+      applied.forEach(migration => console.log(`Applied ${migrationLabel(migration)}`));
+      if (applied.length === 0) console.log(`${target}: nothing to apply`);
+    } else {
+      const rolledBack = await migrateDown(connection, { migrations, to: options.to });
+      rolledBack.forEach(migration => console.log(`Rolled back ${migrationLabel(migration)}`));
+      if (rolledBack.length === 0) console.log(`${target}: nothing to roll back`);
+    }
+  } finally {
+    await close();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,322 @@
+// Tables, indexes and the append-only audit log guard. Tables are created IF NOT EXISTS so a
+// database set up before versioned migrations is adopted rather than rebuilt; the guarded column
+// additions below then bring such a database's columns and constraints up to date.
+
+const STATUS_CHECK = "CHECK (status IN ('draft', 'open', 'closed', 'archived'))";
+
+// Indexes shared by both backends
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_ai_scores_challenge_id ON ai_scores(challenge_id)',
+  'CREATE INDEX IF NOT EXISTS idx_ai_scores_user_id ON ai_scores(user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_ai_scores_challenge_user ON ai_scores(challenge_id, user_id)',
+  'CREATE INDEX IF NOT EXISTS idx_final_rankings_challenge_id ON final_rankings(challenge_id)',
+  'CREATE INDEX IF NOT EXISTS idx_final_rankings_rank ON final_rankings(challenge_id, rank)',
+  'CREATE INDEX IF NOT EXISTS idx_recruiter_criteria_challenge_id ON recruiter_criteria(challenge_id)',
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_recruiter_criteria_version ON recruiter_criteria(challenge_id, version)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_challenge ON audit_log(challenge_id, created_at)'
+];
+
+const DROP_TABLES = [
+  'DROP TABLE IF EXISTS audit_log',
+  'DROP TABLE IF EXISTS final_rankings',
+  'DROP TABLE IF EXISTS recruiter_criteria',
+  'DROP TABLE IF EXISTS ai_scores',
+  'DROP TABLE IF EXISTS challenges',
+  'DROP TABLE IF EXISTS users'
+];
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so each column is added only when table_info lacks it
+const addColumn = (table, column, definition) => async connection => {
+  const columns = await connection.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(existing => existing.name === column)) {
+    await connection.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+const sqliteScoresTable = name => `CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    ai_score REAL NOT NULL,
+    code_quality REAL NOT NULL,
+    testing_rate REAL NOT NULL,
+    logic_score REAL NOT NULL,
+    clarity_score REAL NOT NULL,
+    efficiency_score REAL NOT NULL,
+    api_ui_score REAL NOT NULL DEFAULT 0,
+    edge_cases_score REAL NOT NULL DEFAULT 0,
+    creativity_score REAL NOT NULL DEFAULT 0,
+    dimension_scores TEXT,
+    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
+  )`;
+
+// Before multiple attempts, ai_scores had UNIQUE(user_id, challenge_id). SQLite cannot drop a
+// table constraint, so the table is copied into one without it.
+async function dropAttemptUniqueness(connection) {
+  const indexes = await connection.all('PRAGMA index_list(ai_scores)');
+  if (!indexes.some(index => index.unique && index.origin === 'u')) {
+    return;
+  }
+  const columns = (await connection.all('PRAGMA table_info(ai_scores)')).map(column => column.name).join(', ');
+  await connection.run(sqliteScoresTable('ai_scores_rebuilt'));
+  await connection.run(`INSERT INTO ai_scores_rebuilt (${columns}) SELECT ${columns} FROM ai_scores`);
+  await connection.run('DROP TABLE ai_scores');
+  await connection.run('ALTER TABLE ai_scores_rebuilt RENAME TO ai_scores');
+}
+
+const sqlite = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS challenges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    challenge_id TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'open' ${STATUS_CHECK},
+    tags TEXT,
+    starts_at TEXT,
+    ends_at TEXT,
+    closed_at TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Every submission is kept as an attempt, so there is no unique (user_id, challenge_id) here
+  sqliteScoresTable('ai_scores'),
+  `CREATE TABLE IF NOT EXISTS recruiter_criteria (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    challenge_id TEXT NOT NULL,
+    logic_weight REAL NOT NULL DEFAULT 0.25,
+    clarity_weight REAL NOT NULL DEFAULT 0.30,
+    testing_weight REAL NOT NULL DEFAULT 0.0,
+    efficiency_weight REAL NOT NULL DEFAULT 0.0,
+    api_ui_weight REAL NOT NULL DEFAULT 0.20,
+    edge_cases_weight REAL NOT NULL DEFAULT 0.15,
+    creativity_weight REAL NOT NULL DEFAULT 0.10,
+    dimensions TEXT,
+    ranking_policy TEXT NOT NULL DEFAULT 'competition',
+    normalization TEXT NOT NULL DEFAULT 'none',
+    attempt_policy TEXT NOT NULL DEFAULT 'latest',
+    attempt_window INTEGER NOT NULL DEFAULT 3,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS final_rankings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    final_score REAL NOT NULL,
+    rank REAL NOT NULL,
+    logic_contribution REAL NOT NULL,
+    clarity_contribution REAL NOT NULL,
+    testing_contribution REAL NOT NULL,
+    efficiency_contribution REAL NOT NULL,
+    api_ui_contribution REAL NOT NULL DEFAULT 0,
+    edge_cases_contribution REAL NOT NULL DEFAULT 0,
+    creativity_contribution REAL NOT NULL DEFAULT 0,
+    contributions TEXT,
+    normalized_scores TEXT,
+    breakdown TEXT,
+    attempt_id INTEGER,
+    attempt_count INTEGER NOT NULL DEFAULT 1,
+    criteria_version INTEGER,
+    calculated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
+    UNIQUE(user_id, challenge_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor TEXT NOT NULL,
+    actor_role TEXT,
+    action TEXT NOT NULL,
+    challenge_id TEXT,
+    target TEXT,
+    before_payload TEXT,
+    after_payload TEXT,
+    created_at TEXT NOT NULL
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`,
+  `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`,
+
+  // Columns added to the tables above after they were first published
+  addColumn('ai_scores', 'dimension_scores', 'TEXT'),
+  addColumn('recruiter_criteria', 'dimensions', 'TEXT'),
+  addColumn('recruiter_criteria', 'ranking_policy', "TEXT NOT NULL DEFAULT 'competition'"),
+  addColumn('recruiter_criteria', 'normalization', "TEXT NOT NULL DEFAULT 'none'"),
+  addColumn('recruiter_criteria', 'attempt_policy', "TEXT NOT NULL DEFAULT 'latest'"),
+  addColumn('recruiter_criteria', 'attempt_window', 'INTEGER NOT NULL DEFAULT 3'),
+  addColumn('recruiter_criteria', 'version', 'INTEGER NOT NULL DEFAULT 1'),
+  addColumn('challenges', 'status', `TEXT NOT NULL DEFAULT 'open' ${STATUS_CHECK}`),
+  addColumn('challenges', 'tags', 'TEXT'),
+  addColumn('challenges', 'starts_at', 'TEXT'),
+  addColumn('challenges', 'ends_at', 'TEXT'),
+  addColumn('challenges', 'closed_at', 'TEXT'),
+  addColumn('final_rankings', 'contributions', 'TEXT'),
+  addColumn('final_rankings', 'normalized_scores', 'TEXT'),
+  addColumn('final_rankings', 'breakdown', 'TEXT'),
+  addColumn('final_rankings', 'attempt_id', 'INTEGER'),
+  addColumn('final_rankings', 'attempt_count', 'INTEGER NOT NULL DEFAULT 1'),
+  addColumn('final_rankings', 'criteria_version', 'INTEGER'),
+  // final_rankings.rank needs no change: an INTEGER column keeps fractional ranks like 1.5 as REAL values
+
+  dropAttemptUniqueness,
+  ...INDEXES
+];
+
+const postgres = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS challenges (
+    id SERIAL PRIMARY KEY,
+    challenge_id TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'open' ${STATUS_CHECK},
+    tags JSONB NOT NULL DEFAULT '[]',
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS ai_scores (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    ai_score REAL NOT NULL,
+    code_quality REAL NOT NULL,
+    testing_rate REAL NOT NULL,
+    logic_score REAL NOT NULL,
+    clarity_score REAL NOT NULL,
+    efficiency_score REAL NOT NULL,
+    api_ui_score REAL NOT NULL DEFAULT 0,
+    edge_cases_score REAL NOT NULL DEFAULT 0,
+    creativity_score REAL NOT NULL DEFAULT 0,
+    dimension_scores JSONB,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS recruiter_criteria (
+    id SERIAL PRIMARY KEY,
+    challenge_id TEXT NOT NULL,
+    logic_weight REAL NOT NULL DEFAULT 0.25,
+    clarity_weight REAL NOT NULL DEFAULT 0.30,
+    testing_weight REAL NOT NULL DEFAULT 0.0,
+    efficiency_weight REAL NOT NULL DEFAULT 0.0,
+    api_ui_weight REAL NOT NULL DEFAULT 0.20,
+    edge_cases_weight REAL NOT NULL DEFAULT 0.15,
+    creativity_weight REAL NOT NULL DEFAULT 0.10,
+    dimensions JSONB,
+    ranking_policy TEXT NOT NULL DEFAULT 'competition',
+    normalization TEXT NOT NULL DEFAULT 'none',
+    attempt_policy TEXT NOT NULL DEFAULT 'latest',
+    attempt_window INTEGER NOT NULL DEFAULT 3,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS final_rankings (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    final_score REAL NOT NULL,
+    rank REAL NOT NULL,
+    logic_contribution REAL NOT NULL,
+    clarity_contribution REAL NOT NULL,
+    testing_contribution REAL NOT NULL,
+    efficiency_contribution REAL NOT NULL,
+    api_ui_contribution REAL NOT NULL DEFAULT 0,
+    edge_cases_contribution REAL NOT NULL DEFAULT 0,
+    creativity_contribution REAL NOT NULL DEFAULT 0,
+    contributions JSONB,
+    normalized_scores JSONB,
+    breakdown JSONB,
+    attempt_id INTEGER,
+    attempt_count INTEGER NOT NULL DEFAULT 1,
+    criteria_version INTEGER,
+    calculated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
+    UNIQUE(user_id, challenge_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor TEXT NOT NULL,
+    actor_role TEXT,
+    action TEXT NOT NULL,
+    challenge_id TEXT,
+    target TEXT,
+    before_payload JSONB,
+    after_payload JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  )`,
+  `CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+  BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+  END;
+  $$ LANGUAGE plpgsql`,
+  'DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log',
+  `CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change()`,
+
+  // Columns added to the tables above after they were first published
+  'ALTER TABLE ai_scores ADD COLUMN IF NOT EXISTS dimension_scores JSONB',
+  'ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS dimensions JSONB',
+  "ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS ranking_policy TEXT NOT NULL DEFAULT 'competition'",
+  "ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS normalization TEXT NOT NULL DEFAULT 'none'",
+  "ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS attempt_policy TEXT NOT NULL DEFAULT 'latest'",
+  'ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS attempt_window INTEGER NOT NULL DEFAULT 3',
+  'ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1',
+  "ALTER TABLE challenges ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open'",
+  'ALTER TABLE challenges ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE',
+  'ALTER TABLE challenges ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE',
+  'ALTER TABLE challenges ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE',
+  "ALTER TABLE challenges ADD COLUMN IF NOT EXISTS tags JSONB NOT NULL DEFAULT '[]'",
+  'ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS contributions JSONB',
+  'ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS normalized_scores JSONB',
+  'ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS attempt_id INTEGER',
+  'ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS attempt_count INTEGER NOT NULL DEFAULT 1',
+  'ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS criteria_version INTEGER',
+  'ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS breakdown JSONB',
+  // Fractional tie policies store ranks like 1.5. Checked first because once migration 002's
+  // leaderboard_entries view reads the column, Postgres refuses to change its type again
+  `DO $$
+  BEGIN
+    IF (SELECT data_type FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'final_rankings' AND column_name = 'rank') <> 'real' THEN
+      ALTER TABLE final_rankings ALTER COLUMN rank TYPE REAL;
+    END IF;
+  END $$`,
+  'ALTER TABLE challenges DROP CONSTRAINT IF EXISTS challenges_status_check',
+  `ALTER TABLE challenges ADD CONSTRAINT challenges_status_check ${STATUS_CHECK}`,
+  // Constraints from before multiple attempts and versioned criteria
+  'ALTER TABLE ai_scores DROP CONSTRAINT IF EXISTS ai_scores_user_id_challenge_id_key',
+  'ALTER TABLE recruiter_criteria DROP CONSTRAINT IF EXISTS recruiter_criteria_challenge_id_key',
+  'ALTER TABLE recruiter_criteria DROP CONSTRAINT IF EXISTS recruiter_criteria_challenge_id_version_key',
+  ...INDEXES
+];
+
+module.exports = {
+  up: { sqlite, postgres },
+  down: {
+    sqlite: DROP_TABLES,
+    postgres: [...DROP_TABLES, 'DROP FUNCTION IF EXISTS reject_audit_log_change()']
+  }
+};
@@ -0,0 +1,127 @@
+// What the Supabase adapter needs beyond the tables: the leaderboard view, the atomic ranking
+// write functions and row level security. SQLite reads the tables directly, so it has nothing
+// to apply here.
+
+const TABLES = ['users', 'challenges', 'ai_scores', 'recruiter_criteria', 'final_rankings', 'audit_log'];
+
+const RANKING_COLUMNS = 'user_id, challenge_id, final_score, rank, logic_contribution, clarity_contribution, testing_contribution, efficiency_contribution, api_ui_contribution, edge_cases_contribution, creativity_contribution, contributions, normalized_scores, breakdown, attempt_id, attempt_count, criteria_version';
+const RANKING_VALUES = 'r.user_id, p_challenge_id, r.final_score, r.rank, r.logic_contribution, r.clarity_contribution, r.testing_contribution, r.efficiency_contribution, r.api_ui_contribution, r.edge_cases_contribution, r.creativity_contribution, r.contributions, r.normalized_scores, r.breakdown, r.attempt_id, r.attempt_count, r.criteria_version';
+
+// [name, table, command, clause] for every policy; audit_log deliberately gets no update policy,
+// and only final_rankings can be deleted from (replace_challenge_rankings runs as the caller)
+const POLICIES = [
+  ...TABLES.map(table => ['Allow public read access', table, 'SELECT', 'USING (true)']),
+  ...TABLES.map(table => ['Allow public insert access', table, 'INSERT', 'WITH CHECK (true)']),
+  ...TABLES.filter(table => table !== 'audit_log').map(table => ['Allow public update access', table, 'UPDATE', 'USING (true)']),
+  ['Allow public delete access', 'final_rankings', 'DELETE', 'USING (true)']
+];
+
+const dropPolicy = ([name, table]) => `DROP POLICY IF EXISTS "${name}" ON ${table}`;
+
+const postgres = [
+  // Leaderboard rows as the API serves them: the stored ranking, the candidate's name and
+  // the attempt that counted, so paging, sorting and search run in one PostgREST query
+  `CREATE OR REPLACE VIEW leaderboard_entries WITH (security_invoker = true) AS
+  SELECT
+    fr.challenge_id,
+    fr.user_id,
+    u.name,
+    fr.final_score,
+    fr.rank,
+    fr.logic_contribution,
+    fr.clarity_contribution,
+    fr.testing_contribution,
+    fr.efficiency_contribution,
+    fr.api_ui_contribution,
+    fr.edge_cases_contribution,
+    fr.creativity_contribution,
+    fr.contributions,
+    fr.normalized_scores,
+    fr.attempt_count,
+    fr.criteria_version,
+    ai.id AS attempt_id,
+    ai.ai_score,
+    ai.code_quality,
+    ai.testing_rate,
+    ai.logic_score,
+    ai.clarity_score,
+    ai.efficiency_score,
+    ai.api_ui_score,
+    ai.edge_cases_score,
+    ai.creativity_score,
+    ai.dimension_scores,
+    fr.breakdown
+  FROM final_rankings fr
+  JOIN users u ON u.user_id = fr.user_id
+  JOIN ai_scores ai ON ai.id = COALESCE(fr.attempt_id, (
+    SELECT MAX(latest.id) FROM ai_scores latest
+    WHERE latest.user_id = fr.user_id AND latest.challenge_id = fr.challenge_id
+  ))`,
+
+  // Full recalculation: drop the challenge's ranking and insert the new one in one transaction
+  // (p_rankings holds final_rankings rows as JSON)
+  `CREATE OR REPLACE FUNCTION replace_challenge_rankings(p_challenge_id TEXT, p_rankings JSONB)
+  RETURNS VOID AS $$
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id;
+
+    INSERT INTO final_rankings (${RANKING_COLUMNS})
+    SELECT ${RANKING_VALUES}
+    FROM jsonb_populate_recordset(NULL::final_rankings, p_rankings) AS r;
+  END;
+  $$ LANGUAGE plpgsql`,
+
+  // Incremental re-rank: upsert the candidates whose score changed (p_rankings) and move
+  // others to new ranks (p_ranks: [{ user_id, rank }]) without touching the rest of their row
+  `CREATE OR REPLACE FUNCTION apply_ranking_changes(p_challenge_id TEXT, p_rankings JSONB, p_ranks JSONB)
+  RETURNS VOID AS $$
+  BEGIN
+    INSERT INTO final_rankings (${RANKING_COLUMNS})
+    SELECT ${RANKING_VALUES}
+    FROM jsonb_populate_recordset(NULL::final_rankings, p_rankings) AS r
+    ON CONFLICT (user_id, challenge_id) DO UPDATE SET
+      final_score = EXCLUDED.final_score,
+      rank = EXCLUDED.rank,
+      logic_contribution = EXCLUDED.logic_contribution,
+      clarity_contribution = EXCLUDED.clarity_contribution,
+      testing_contribution = EXCLUDED.testing_contribution,
+      efficiency_contribution = EXCLUDED.efficiency_contribution,
+      api_ui_contribution = EXCLUDED.api_ui_contribution,
+      edge_cases_contribution = EXCLUDED.edge_cases_contribution,
+      creativity_contribution = EXCLUDED.creativity_contribution,
+      contributions = EXCLUDED.contributions,
+      normalized_scores = EXCLUDED.normalized_scores,
+      breakdown = EXCLUDED.breakdown,
+      attempt_id = EXCLUDED.attempt_id,
+      attempt_count = EXCLUDED.attempt_count,
+      criteria_version = EXCLUDED.criteria_version,
+      calculated_at = NOW();
+
+    UPDATE final_rankings fr
+    SET rank = r.rank
+    FROM jsonb_to_recordset(p_ranks) AS r(user_id TEXT, rank REAL)
+    WHERE fr.challenge_id = p_challenge_id AND fr.user_id = r.user_id;
+  END;
+  $$ LANGUAGE plpgsql`,
+
+  ...TABLES.map(table => `ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY`),
+  // Dropped first so databases that already had the policies are adopted
+  ...POLICIES.flatMap(policy => {
+    const [name, table, command, clause] = policy;
+    return [dropPolicy(policy), `CREATE POLICY "${name}" ON ${table} FOR ${command} ${clause}`];
+  })
+];
+
+module.exports = {
+  up: { sqlite: [], postgres },
+  down: {
+    sqlite: [],
+    postgres: [
+      ...POLICIES.map(dropPolicy),
+      ...TABLES.map(table => `ALTER TABLE ${table} DISABLE ROW LEVEL SECURITY`),
+      'DROP FUNCTION IF EXISTS apply_ranking_changes(TEXT, JSONB, JSONB)',
+      'DROP FUNCTION IF EXISTS replace_challenge_rankings(TEXT, JSONB)',
+      'DROP VIEW IF EXISTS leaderboard_entries'
+    ]
+  }
+};
@@ -0,0 +1,62 @@
+// Deletes for the Supabase adapter. Row level security lets the anon key delete only from
+// final_rankings, and PostgREST reports a delete that policies filter out as success with no
+// rows, so each delete runs as one SECURITY DEFINER function that returns how many attempts
+// it removed. SQLite has nothing to apply here.
+
+// Owner-privileged functions must not resolve tables through the caller's search_path
+const DEFINER = 'LANGUAGE plpgsql SECURITY DEFINER SET search_path = public';
+
+const postgres = [
+  // One candidate's attempts and ranking in a challenge
+  `CREATE OR REPLACE FUNCTION delete_challenge_user(p_challenge_id TEXT, p_user_id TEXT)
+  RETURNS INTEGER AS $$
+  DECLARE
+    deleted INTEGER;
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id AND user_id = p_user_id;
+    DELETE FROM ai_scores WHERE challenge_id = p_challenge_id AND user_id = p_user_id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    RETURN deleted;
+  END;
+  $$ ${DEFINER}`,
+
+  // Every attempt and ranking in a challenge, keeping the challenge and its criteria
+  `CREATE OR REPLACE FUNCTION delete_challenge_scores(p_challenge_id TEXT)
+  RETURNS INTEGER AS $$
+  DECLARE
+    deleted INTEGER;
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id;
+    DELETE FROM ai_scores WHERE challenge_id = p_challenge_id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    RETURN deleted;
+  END;
+  $$ ${DEFINER}`,
+
+  // The challenge itself along with everything stored for it
+  `CREATE OR REPLACE FUNCTION delete_challenge(p_challenge_id TEXT)
+  RETURNS INTEGER AS $$
+  DECLARE
+    deleted INTEGER;
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id;
+    DELETE FROM ai_scores WHERE challenge_id = p_challenge_id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    DELETE FROM recruiter_criteria WHERE challenge_id = p_challenge_id;
+    DELETE FROM challenges WHERE challenge_id = p_challenge_id;
+    RETURN deleted;
+  END;
+  $$ ${DEFINER}`
+];
+
+module.exports = {
+  up: { sqlite: [], postgres },
+  down: {
+    sqlite: [],
+    postgres: [
+      'DROP FUNCTION IF EXISTS delete_challenge(TEXT)',
+      'DROP FUNCTION IF EXISTS delete_challenge_scores(TEXT)',
+      'DROP FUNCTION IF EXISTS delete_challenge_user(TEXT, TEXT)'
+    ]
+  }
+};
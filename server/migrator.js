@@ -0,0 +1,220 @@
+// Versioned schema migrations shared by SQLite and Postgres. Each file in migrations/ is named
+// <version>_<name>.js and exports up and down statements for both dialects; schema_migrations
+// records which versions a database has applied. A SQLite step may also be an async function
+// of the connection, for changes that depend on what the database already has.
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const DIALECTS = ['sqlite', 'postgres'];
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const MIGRATIONS_TABLE = {
+  sqlite: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  postgres: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  )`
+};
+
+// 001_initial_schema, as the file is named
+const migrationLabel = migration => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+/**
+ * Read every migration, ordered by version
+ * @param {string} dir - Directory holding the migration files
+ * @returns {Array} [{ version, name, up: { sqlite, postgres }, down: { sqlite, postgres } }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .map(file => {
+      const match = FILE_PATTERN.exec(file);
+      if (!match) {
+        throw new Error(`Migration file ${file} must be named <version>_<name>.js`);
+      }
+      const { up, down } = require(path.join(dir, file));
+      for (const dialect of DIALECTS) {
+        if (!Array.isArray(up && up[dialect]) || !Array.isArray(down && down[dialect])) {
+          throw new Error(`Migration ${file} must define up and down statements for ${dialect}`);
+        }
+      }
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Wrap a sqlite3 connection for the migrator
+ * @param {Object} db - sqlite3.Database
+ * @returns {Object} { dialect, run, all }
+ */
+function sqliteConnection(db) {
+  return {
+    dialect: 'sqlite',
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, err => (err ? reject(err) : resolve()));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    })
+  };
+}
+
+/**
+ * Wrap a connected pg client for the migrator
+ * @param {Object} client - pg.Client
+ * @returns {Object} { dialect, run, all }
+ */
+function postgresConnection(client) {
+  // The schema_migrations statements use ? placeholders; pg numbers them
+  const numbered = sql => {
+    let index = 0;
+    return sql.replace(/\?/g, () => `$${++index}`);
+  };
+  return {
+    dialect: 'postgres',
+    run: async (sql, params = []) => {
+      await client.query(params.length > 0 ? numbered(sql) : sql, params);
+    },
+    all: async (sql, params = []) => (await client.query(params.length > 0 ? numbered(sql) : sql, params)).rows
+  };
+}
+
+// Run statements and the schema_migrations bookkeeping as one transaction
+async function applyStatements(connection, statements, record) {
+  await connection.run('BEGIN');
+  try {
+    for (const step of statements) {
+      if (typeof step === 'function') await step(connection);
+      else await connection.run(step);
+    }
+    await connection.run(record.sql, record.params);
+    await connection.run('COMMIT');
+  } catch (error) {
+    await connection.run('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Every known migration and whether the database has applied it
+ * @param {Object} connection - From sqliteConnection or postgresConnection
+ * @param {Array} migrations - From loadMigrations
+ * @returns {Array} [{ version, name, applied, appliedAt }]
+ */
+async function getStatus(connection, migrations = loadMigrations()) {
+  await connection.run(MIGRATIONS_TABLE[connection.dialect]);
+  const rows = await connection.all('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(rows.map(row => [Number(row.version), row.applied_at]));
+
+  // A version the code does not know about means the database is ahead of this checkout
+  const unknown = [...applied.keys()].filter(version => !migrations.some(migration => migration.version === version));
+  if (unknown.length > 0) {
+    throw new Error(`Database has migrations this code does not know about: ${unknown.join(', ')}`);
+  }
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version) : null
+  }));
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {Object} connection - From sqliteConnection or postgresConnection
+ * @param {Object} options - { to: last version to apply (default: the latest), migrations }
+ * @returns {Array} Migrations applied, [{ version, name }]
+ */
+async function migrateUp(connection, options = {}) {
+  const { migrations = loadMigrations(), to = Infinity } = options;
+  const status = await getStatus(connection, migrations);
+
+  const pending = migrations.filter((migration, index) => !status[index].applied && migration.version <= to);
+  for (const migration of pending) {
+    await applyStatements(connection, migration.up[connection.dialect], {
+      sql: 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      params: [migration.version, migration.name]
+    });
+  }
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} connection - From sqliteConnection or postgresConnection
+ * @param {Object} options - { to: version to end at (default: the one before the latest applied), migrations }
+ * @returns {Array} Migrations rolled back, [{ version, name }]
+ */
+async function migrateDown(connection, options = {}) {
+  const { migrations = loadMigrations() } = options;
+  const status = await getStatus(connection, migrations);
+  const applied = migrations.filter((migration, index) => status[index].applied);
+  if (applied.length === 0) {
+    return [];
+  }
+
+  const to = options.to !== undefined
+    ? options.to
+    : (applied.length > 1 ? applied[applied.length - 2].version : 0);
+  const rollback = applied.filter(migration => migration.version > to).reverse();
+  for (const migration of rollback) {
+    await applyStatements(connection, migration.down[connection.dialect], {
+      sql: 'DELETE FROM schema_migrations WHERE version = ?',
+      params: [migration.version]
+    });
+  }
+  return rollback.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * The Postgres schema as one script, for running in the Supabase SQL editor.
+ * It records the versions it applies, so `migrate` picks up from there afterwards.
+ * @param {Array} migrations - From loadMigrations
+ * @returns {string} SQL
+ */
+function renderPostgresScript(migrations = loadMigrations()) {
+  const sections = migrations.map(migration => [
+    `-- ${migrationLabel(migration)}`,
+    ...migration.up.postgres.map(sql => `${sql};`),
+    `INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}') ON CONFLICT (version) DO NOTHING;`
+  ].join('\n\n'));
+
+  return [
+    [
+      '-- EduVerse Leaderboard Database Schema',
+      '-- Generated from server/migrations by `npm run migrate -- sql` (do not edit by hand).',
+      '-- Run this in your Supabase SQL editor, or run `npm run migrate` with DATABASE_URL set.'
+    ].join('\n'),
+    'BEGIN;',
+    `${MIGRATIONS_TABLE.postgres};`,
+    ...sections,
+    'COMMIT;'
+  ].join('\n\n') + '\n';
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrationLabel,
+  loadMigrations,
+  sqliteConnection,
+  postgresConnection,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  renderPostgresScript
+};
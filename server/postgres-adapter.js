@@ -0,0 +1,735 @@
+// PostgreSQL adapter for self-hosted databases, talking to Postgres directly through pg
+// (no Supabase). The schema comes from server/migrations: run `npm run migrate` first.
+const { Pool, types } = require('pg');
+const { getExtraDimensionScores, getLegacyWeights, getRowContributions } = require('./dimensions');
+const { AUDIT_ACTIONS, actorFields, challengeSnapshot, lifecycleSnapshot, rankingSnapshot } = require('./audit');
+const { MISSING_SCORE } = require('./leaderboardQuery');
+const { DEFAULT_STATUS } = require('./challengeLifecycle');
+const { postgresConnection, getStatus } = require('./migrator');
+const { recalculateChallengeRankings } = require('./rankingService');
+const { canRankInDatabase, buildRankingStatement, toRankings } = require('./sqlRanking');
+
+// Timestamps come back as ISO strings and counts as numbers, like the other adapters return them
+const parseTimestamp = types.getTypeParser(types.builtins.TIMESTAMPTZ);
+const TYPE_PARSERS = {
+  [types.builtins.TIMESTAMPTZ]: value => parseTimestamp(value).toISOString(),
+  [types.builtins.INT8]: Number
+};
+const pgTypes = {
+  getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+};
+
+// Leaderboard rows: the stored ranking joined with the candidate and the attempt that counted
+// (the same join as the leaderboard_entries view)
+const LEADERBOARD_SELECT = `
+  SELECT
+    fr.user_id,
+    u.name,
+    fr.final_score,
+    fr.rank,
+    fr.logic_contribution,
+    fr.clarity_contribution,
+    fr.testing_contribution,
+    fr.efficiency_contribution,
+    fr.api_ui_contribution,
+    fr.edge_cases_contribution,
+    fr.creativity_contribution,
+    fr.contributions,
+    fr.normalized_scores,
+    fr.breakdown,
+    fr.attempt_count,
+    fr.criteria_version,
+    ai.id AS attempt_id,
+    ai.ai_score,
+    ai.code_quality,
+    ai.testing_rate,
+    ai.logic_score,
+    ai.clarity_score,
+    ai.efficiency_score,
+    ai.api_ui_score,
+    ai.edge_cases_score,
+    ai.creativity_score,
+    ai.dimension_scores
+  FROM final_rankings fr
+  JOIN users u ON fr.user_id = u.user_id
+  JOIN ai_scores ai ON ai.id = COALESCE(fr.attempt_id, (
+    SELECT MAX(latest.id) FROM ai_scores latest
+    WHERE latest.user_id = fr.user_id AND latest.challenge_id = fr.challenge_id
+  ))`;
+
+const toLeaderboardRow = row => ({
+  ...row,
+  contributions: getRowContributions(row),
+  dimension_scores: row.dimension_scores || {}
+});
+
+const toAuditEntry = ({ before_payload, after_payload, ...row }) => ({
+  ...row,
+  before: before_payload,
+  after: after_payload
+});
+
+const json = value => (value === null || value === undefined ? null : JSON.stringify(value));
+
+// Upsert for a saveFinalRanking payload
+const toRankingStatement = rankingData => {
+  const {
+    userId, challengeId, finalScore, rank,
+    logicContribution, clarityContribution, testingContribution, efficiencyContribution,
+    apiUiContribution = 0, edgeCasesContribution = 0, creativityContribution = 0,
+    contributions = null, normalizedScores = null, breakdown = null,
+    attemptId = null, attemptCount = 1, criteriaVersion = null
+  } = rankingData;
+  return {
+    sql: `INSERT INTO final_rankings
+          (user_id, challenge_id, final_score, rank, logic_contribution, clarity_contribution, testing_contribution, efficiency_contribution, api_ui_contribution, edge_cases_contribution, creativity_contribution, contributions, normalized_scores, breakdown, attempt_id, attempt_count, criteria_version)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+          ON CONFLICT (user_id, challenge_id) DO UPDATE SET
+            final_score = EXCLUDED.final_score,
+            rank = EXCLUDED.rank,
+            logic_contribution = EXCLUDED.logic_contribution,
+            clarity_contribution = EXCLUDED.clarity_contribution,
+            testing_contribution = EXCLUDED.testing_contribution,
+            efficiency_contribution = EXCLUDED.efficiency_contribution,
+            api_ui_contribution = EXCLUDED.api_ui_contribution,
+            edge_cases_contribution = EXCLUDED.edge_cases_contribution,
+            creativity_contribution = EXCLUDED.creativity_contribution,
+            contributions = EXCLUDED.contributions,
+            normalized_scores = EXCLUDED.normalized_scores,
+            breakdown = EXCLUDED.breakdown,
+            attempt_id = EXCLUDED.attempt_id,
+            attempt_count = EXCLUDED.attempt_count,
+            criteria_version = EXCLUDED.criteria_version,
+            calculated_at = NOW()
+          RETURNING id`,
+    params: [userId, challengeId, finalScore, rank, logicContribution, clarityContribution, testingContribution, efficiencyContribution, apiUiContribution, edgeCasesContribution, creativityContribution, json(contributions), json(normalizedScores), json(breakdown), attemptId, attemptCount, criteriaVersion]
+  };
+};
+
+// ai_scores insert for a submitted score
+const toScoreStatement = scoreData => {
+  const {
+    user_id, challenge_id, ai_score, code_quality, testing_rate = 0,
+    logic_score = 0, clarity_score = 0, efficiency_score = 0,
+    api_ui_score = 0, edge_cases_score = 0, creativity_score = 0
+  } = scoreData;
+  const extraScores = getExtraDimensionScores(scoreData);
+  return {
+    sql: `INSERT INTO ai_scores
+          (user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score, dimension_scores)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING id`,
+    params: [user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score, api_ui_score, edge_cases_score, creativity_score, Object.keys(extraScores).length > 0 ? json(extraScores) : null]
+  };
+};
+
+const USER_UPSERT = `INSERT INTO users (user_id, name, email) VALUES ($1, $2, $3)
+  ON CONFLICT (user_id) DO UPDATE SET name = EXCLUDED.name, email = EXCLUDED.email
+  RETURNING *`;
+
+// SQL for a leaderboard sort field (see leaderboardQuery.getSortFields)
+const sortExpression = field => {
+  const table = { ranking: 'fr', user: 'u', score: 'ai' }[field.source];
+  if (field.jsonKey) {
+    return `COALESCE((${table}.${field.column} ->> '${field.jsonKey}')::REAL, ${MISSING_SCORE})`;
+  }
+  return `${table}.${field.column}`;
+};
+
+class PostgresAdapter {
+  /**
+   * @param {Object} options - { connectionString (default DATABASE_URL), max: pool size }
+   */
+  constructor(options = {}) {
+    const connectionString = options.connectionString || process.env.DATABASE_URL;
+    if (!connectionString) {
+      throw new Error('DATABASE_URL is required for the Postgres database');
+    }
+
+    this.pool = new Pool({ connectionString, max: options.max || 10, types: pgTypes });
+    // Full re-ranks run as window functions here unless RANKING_ENGINE=node (see rankingService)
+    this.rankingEngine = 'database';
+    this.ready = this.checkSchema();
+    console.log('Using PostgreSQL database');
+  }
+
+  // Refuse to start against a database that is missing migrations
+  async checkSchema() {
+    const status = await getStatus(postgresConnection(this.pool));
+    const pending = status.filter(migration => !migration.applied);
+    if (pending.length > 0) {
+      throw new Error(`Postgres schema is out of date (pending: ${pending.map(migration => migration.name).join(', ')}). Run npm run migrate.`);
+    }
+  }
+
+  async query(sql, params = []) {
+    return (await this.pool.query(sql, params)).rows;
+  }
+
+  /**
+   * Run statements in one transaction, rolling everything back if any of them fails
+   * @param {Array} statements - [{ sql, params }]
+   * @returns {Array} Rows returned by each statement
+   */
+  async runTransaction(statements) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const results = [];
+      for (const { sql, params } of statements) {
+        results.push((await client.query(sql, params)).rows);
+      }
+      await client.query('COMMIT');
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // User operations
+  async createUser(userId, name, email = null) {
+    const [user] = await this.query(USER_UPSERT, [userId, name, email]);
+    return user;
+  }
+
+  async getUser(userId) {
+    const [user] = await this.query('SELECT * FROM users WHERE user_id = $1', [userId]);
+    return user || null;
+  }
+
+  // Challenge operations
+  // Creating an existing challenge again renames it; its lifecycle only moves through updateChallengeLifecycle
+  async createChallenge(challengeId, title, description = null, lifecycle = {}, tags = []) {
+    const { status = DEFAULT_STATUS, starts_at = null, ends_at = null } = lifecycle;
+    const [challenge] = await this.query(
+      `INSERT INTO challenges (challenge_id, title, description, status, tags, starts_at, ends_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (challenge_id) DO UPDATE SET title = EXCLUDED.title, description = EXCLUDED.description
+       RETURNING *`,
+      [challengeId, title, description, status, json(tags), starts_at, ends_at]
+    );
+    return challenge;
+  }
+
+  async getChallenge(challengeId) {
+    const [challenge] = await this.query('SELECT * FROM challenges WHERE challenge_id = $1', [challengeId]);
+    return challenge || null;
+  }
+
+  async getAllChallenges() {
+    return this.query('SELECT * FROM challenges ORDER BY created_at DESC');
+  }
+
+  /**
+   * Change a challenge's status and/or submission window. Closing stamps closed_at.
+   * @param {string} challengeId - Challenge
+   * @param {Object} changes - { status, starts_at, ends_at } (any subset)
+   * @param {Object|null} actor - Caller responsible for the change
+   * @returns {Object|null} The updated challenge, null when it does not exist
+   */
+  async updateChallengeLifecycle(challengeId, changes, actor = null) {
+    const before = await this.getChallenge(challengeId);
+    if (!before) {
+      return null;
+    }
+
+    const update = { ...changes };
+    if (changes.status === 'closed' && before.status !== 'closed') {
+      update.closed_at = new Date().toISOString();
+    }
+
+    const columns = Object.keys(update);
+    if (columns.length > 0) {
+      await this.query(
+        `UPDATE challenges SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+         WHERE challenge_id = $${columns.length + 1}`,
+        [...columns.map(column => update[column]), challengeId]
+      );
+    }
+
+    const after = await this.getChallenge(challengeId);
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.CHALLENGE_LIFECYCLE,
+      challengeId,
+      before: lifecycleSnapshot(before),
+      after: lifecycleSnapshot(after)
+    });
+    return after;
+  }
+
+  // AI Score operations
+  async submitAIScore(scoreData, actor = null) {
+    const { sql, params } = toScoreStatement(scoreData);
+    const [{ id }] = await this.query(sql, params);
+    const score = { id, ...scoreData };
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.SCORE_SUBMIT,
+      challengeId: scoreData.challenge_id,
+      target: scoreData.user_id,
+      after: score
+    });
+    return score;
+  }
+
+  /**
+   * Insert a batch of AI scores (and their users) all-or-nothing
+   * @param {Array} scores - Validated AI scores; name/email fill the users table
+   * @param {Object|null} actor - Caller recorded in the audit log
+   * @returns {Array} Inserted scores with their ids
+   */
+  async submitAIScores(scores, actor = null) {
+    if (scores.length === 0) {
+      return [];
+    }
+
+    const statements = scores.flatMap(({ name, email = null, ...scoreData }) => [
+      { sql: USER_UPSERT, params: [scoreData.user_id, name || scoreData.user_id, email] },
+      toScoreStatement(scoreData)
+    ]);
+    const results = await this.runTransaction(statements);
+    // Every score follows its users statement, so its id sits at the odd positions
+    const inserted = scores.map(({ name, email, ...scoreData }, index) => ({ id: results[index * 2 + 1][0].id, ...scoreData }));
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.SCORE_BULK_SUBMIT,
+      challengeId: scores[0].challenge_id,
+      after: { inserted: inserted.length, user_ids: inserted.map(score => score.user_id) }
+    });
+    return inserted;
+  }
+
+  async getAllAIScores(challengeId) {
+    const rows = await this.query('SELECT * FROM ai_scores WHERE challenge_id = $1 ORDER BY id', [challengeId]);
+    return rows.map(row => ({ ...row, dimension_scores: row.dimension_scores || {} }));
+  }
+
+  async getAttempts(challengeId, userId) {
+    const rows = await this.query(
+      `SELECT * FROM ai_scores WHERE challenge_id = $1 AND user_id = $2
+       ORDER BY submitted_at DESC, id DESC`,
+      [challengeId, userId]
+    );
+    return rows.map(row => ({ ...row, dimension_scores: row.dimension_scores || {} }));
+  }
+
+  /**
+   * Every attempt of several candidates in one read
+   * @param {string} challengeId - Challenge
+   * @param {Array} userIds - Candidates
+   * @returns {Array} Attempts, newest first
+   */
+  async getAttemptsForUsers(challengeId, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+    const rows = await this.query(
+      `SELECT * FROM ai_scores WHERE challenge_id = $1 AND user_id = ANY($2)
+       ORDER BY submitted_at DESC, id DESC`,
+      [challengeId, userIds]
+    );
+    return rows.map(row => ({ ...row, dimension_scores: row.dimension_scores || {} }));
+  }
+
+  /**
+   * Challenges a user has submitted to, most recent first
+   * @param {string} userId - User
+   * @returns {Array} [{ challenge_id, attempt_count, first_submitted_at, last_submitted_at }]
+   */
+  async getUserChallenges(userId) {
+    return this.query(
+      `SELECT challenge_id, COUNT(*) AS attempt_count,
+              MIN(submitted_at) AS first_submitted_at, MAX(submitted_at) AS last_submitted_at
+       FROM ai_scores WHERE user_id = $1
+       GROUP BY challenge_id
+       ORDER BY last_submitted_at DESC, challenge_id`,
+      [userId]
+    );
+  }
+
+  // Recruiter Criteria operations
+  async setRecruiterCriteria(challengeId, criteria, actor = null) {
+    // A declared dimension set still fills the legacy weight columns for its built-in dimensions
+    const {
+      logic_weight, clarity_weight, testing_weight, efficiency_weight,
+      api_ui_weight = 0.20, edge_cases_weight = 0.15, creativity_weight = 0.10
+    } = criteria.dimensions ? { ...criteria, ...getLegacyWeights(criteria.dimensions) } : criteria;
+    const {
+      ranking_policy = 'competition', normalization = 'none',
+      attempt_policy = 'latest', attempt_window = 3
+    } = criteria;
+    // Criteria are never overwritten: every change is stored as the next version
+    const before = await this.getRecruiterCriteria(challengeId);
+    const version = before ? before.version + 1 : 1;
+
+    const [{ id }] = await this.query(
+      `INSERT INTO recruiter_criteria
+       (challenge_id, logic_weight, clarity_weight, testing_weight, efficiency_weight, api_ui_weight, edge_cases_weight, creativity_weight, dimensions, ranking_policy, normalization, attempt_policy, attempt_window, version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING id`,
+      [challengeId, logic_weight, clarity_weight, testing_weight, efficiency_weight, api_ui_weight, edge_cases_weight, creativity_weight, json(criteria.dimensions), ranking_policy, normalization, attempt_policy, attempt_window, version]
+    );
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.CRITERIA_SET,
+      challengeId,
+      before,
+      after: { ...criteria, version }
+    });
+    return { id, challengeId, ...criteria, version };
+  }
+
+  /**
+   * Criteria for a challenge
+   * @param {string} challengeId - Challenge
+   * @param {number|null} version - Criteria version, or null for the current (latest) one
+   * @returns {Object|null} Criteria
+   */
+  async getRecruiterCriteria(challengeId, version = null) {
+    const [criteria] = version === null
+      ? await this.query('SELECT * FROM recruiter_criteria WHERE challenge_id = $1 ORDER BY version DESC LIMIT 1', [challengeId])
+      : await this.query('SELECT * FROM recruiter_criteria WHERE challenge_id = $1 AND version = $2', [challengeId, version]);
+    return criteria || null;
+  }
+
+  async getCriteriaVersions(challengeId) {
+    return this.query('SELECT * FROM recruiter_criteria WHERE challenge_id = $1 ORDER BY version DESC', [challengeId]);
+  }
+
+  // Ranking operations
+  async saveFinalRanking(rankingData) {
+    const { sql, params } = toRankingStatement(rankingData);
+    const [{ id }] = await this.query(sql, params);
+    return { id, ...rankingData };
+  }
+
+  /**
+   * Save many final rankings in one batch
+   * @param {Array} rankings - saveFinalRanking payloads
+   */
+  async saveFinalRankings(rankings) {
+    const results = await this.runTransaction(rankings.map(toRankingStatement));
+    return rankings.map((rankingData, index) => ({ id: results[index][0].id, ...rankingData }));
+  }
+
+  /**
+   * Replace a challenge's whole ranking at once. Readers see either the old ranking
+   * or the new one, never a mix, and candidates missing from the new one are dropped.
+   * @param {string} challengeId - Challenge
+   * @param {Array} rankings - saveFinalRanking payloads for every ranked candidate
+   * @returns {Array} Saved rankings
+   */
+  async replaceChallengeRankings(challengeId, rankings) {
+    const results = await this.runTransaction([
+      { sql: 'DELETE FROM final_rankings WHERE challenge_id = $1', params: [challengeId] },
+      ...rankings.map(toRankingStatement)
+    ]);
+    return rankings.map((rankingData, index) => ({ id: results[index + 1][0].id, ...rankingData }));
+  }
+
+  /**
+   * Apply an incremental re-rank in one step: save the rows of candidates whose score
+   * changed and move other candidates to new ranks without touching the rest of their row
+   * @param {string} challengeId - Challenge
+   * @param {Array} rankings - saveFinalRanking payloads for the candidates whose score changed
+   * @param {Array} ranks - [{ userId, finalScore, rank }] for candidates who only moved
+   */
+  async saveRankingChanges(challengeId, rankings, ranks) {
+    await this.runTransaction([
+      ...rankings.map(toRankingStatement),
+      ...ranks.map(({ userId, rank }) => ({
+        sql: 'UPDATE final_rankings SET rank = $1 WHERE challenge_id = $2 AND user_id = $3',
+        params: [rank, challengeId, userId]
+      }))
+    ]);
+  }
+
+  /**
+   * Stored ranking order of a challenge, without the score details getLeaderboard joins in
+   * @param {string} challengeId - Challenge
+   * @returns {Array} [{ user_id, final_score, rank, criteria_version }] best rank first
+   */
+  async getFinalRankings(challengeId) {
+    return this.query(
+      `SELECT user_id, final_score, rank, criteria_version FROM final_rankings
+       WHERE challenge_id = $1 ORDER BY rank ASC, final_score DESC`,
+      [challengeId]
+    );
+  }
+
+  /**
+   * Stored rankings of several challenges at once, with each candidate's name
+   * @param {Array|null} challengeIds - Challenges to read, null for every challenge
+   * @returns {Array} [{ challenge_id, user_id, name, final_score, rank }]
+   */
+  async getRankingsAcrossChallenges(challengeIds = null) {
+    return this.query(
+      `SELECT fr.challenge_id, fr.user_id, u.name, fr.final_score, fr.rank
+       FROM final_rankings fr
+       JOIN users u ON fr.user_id = u.user_id
+       ${challengeIds ? 'WHERE fr.challenge_id = ANY($1)' : ''}`,
+      challengeIds ? [challengeIds] : []
+    );
+  }
+
+  /**
+   * Re-rank a challenge from its stored scores under the current criteria
+   * @param {string} challengeId - Challenge
+   * @returns {Array} Saved rankings (empty when the challenge has no criteria or scores)
+   */
+  async recalculateRankings(challengeId) {
+    return recalculateChallengeRankings(this, challengeId);
+  }
+
+  /**
+   * Rank a challenge with window functions inside Postgres (see sqlRanking.js), replacing
+   * its final_rankings in one transaction. A challenge without scores keeps its stored ranking.
+   * @param {string} challengeId - Challenge
+   * @param {Object} criteria - Current recruiter criteria
+   * @returns {Array|null} Saved rankings, or null when the criteria need Node
+   */
+  async rankChallengeInDatabase(challengeId, criteria) {
+    if (!canRankInDatabase(criteria)) {
+      return null;
+    }
+
+    await this.runTransaction([
+      {
+        sql: `DELETE FROM final_rankings WHERE challenge_id = $1
+              AND EXISTS (SELECT 1 FROM ai_scores WHERE challenge_id = $1)`,
+        params: [challengeId]
+      },
+      buildRankingStatement('postgres', challengeId, criteria)
+    ]);
+
+    const rows = await this.query(
+      `SELECT fr.*, ai.submitted_at FROM final_rankings fr
+       LEFT JOIN ai_scores ai ON ai.id = fr.attempt_id
+       WHERE fr.challenge_id = $1`,
+      [challengeId]
+    );
+    return toRankings(rows, criteria);
+  }
+
+  async getLeaderboard(challengeId, limit = 100) {
+    const rows = await this.query(
+      `${LEADERBOARD_SELECT}
+      WHERE fr.challenge_id = $1
+      ORDER BY fr.rank ASC, fr.user_id ASC
+      LIMIT $2`,
+      [challengeId, Number.isFinite(limit) ? limit : null]
+    );
+    return rows.map(toLeaderboardRow);
+  }
+
+  /**
+   * One candidate's leaderboard row with the candidates ranked right around them. Window
+   * functions number the rows and count lower and equal scores in the same query.
+   * @param {string} challengeId - Challenge
+   * @param {string} userId - Candidate
+   * @param {number} neighbours - How many rows to return above and below
+   * @returns {Object|null} { entry, above, below, total, scoredLower, scoredEqual }, null when unranked
+   */
+  async getUserRanking(challengeId, userId, neighbours = 2) {
+    const rows = await this.query(
+      `WITH ranked AS (
+         SELECT entries.*,
+                ROW_NUMBER() OVER (ORDER BY entries.rank, entries.user_id) AS position,
+                COUNT(*) OVER () AS total,
+                RANK() OVER (ORDER BY entries.final_score ASC) - 1 AS scored_lower,
+                COUNT(*) OVER (PARTITION BY entries.final_score) AS scored_equal
+         FROM (${LEADERBOARD_SELECT} WHERE fr.challenge_id = $1) entries
+       ),
+       target AS (SELECT position FROM ranked WHERE user_id = $2)
+       SELECT ranked.* FROM ranked, target
+       WHERE ranked.position BETWEEN target.position - $3 AND target.position + $3
+       ORDER BY ranked.position`,
+      [challengeId, userId, neighbours]
+    );
+
+    const index = rows.findIndex(row => row.user_id === userId);
+    if (index === -1) {
+      return null;
+    }
+    const toRow = ({ position, total, scored_lower, scored_equal, ...row }) => toLeaderboardRow(row);
+    const entry = rows[index];
+    return {
+      entry: toRow(entry),
+      above: rows.slice(0, index).map(toRow),
+      below: rows.slice(index + 1).map(toRow),
+      total: entry.total,
+      scoredLower: entry.scored_lower,
+      scoredEqual: entry.scored_equal
+    };
+  }
+
+  /**
+   * One page of a challenge's leaderboard, searched and sorted in the database
+   * @param {string} challengeId - Challenge
+   * @param {Object} options - Parsed options from leaderboardQuery.parseLeaderboardQuery
+   * @returns {Object} { rows, total, matched, hasMore }
+   */
+  async queryLeaderboard(challengeId, options) {
+    const { sortField, order, search, cursor, offset, limit } = options;
+
+    let where = 'WHERE fr.challenge_id = $1';
+    const params = [challengeId];
+    if (search) {
+      params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+      where += ` AND (u.name ILIKE $${params.length} ESCAPE '\\' OR fr.user_id ILIKE $${params.length} ESCAPE '\\')`;
+    }
+
+    const expression = sortExpression(sortField);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    let pageWhere = where;
+    const pageParams = [...params];
+    if (cursor) {
+      // Keyset paging: rows strictly after the last one returned, so inserts and deletes do not shift pages
+      pageParams.push(cursor.value, cursor.userId);
+      pageWhere += ` AND (${expression}, fr.user_id) ${order === 'asc' ? '>' : '<'} ($${pageParams.length - 1}, $${pageParams.length})`;
+    }
+    pageParams.push(limit + 1, cursor ? 0 : offset);
+
+    const [rows, [{ total }], [{ matched }]] = await Promise.all([
+      this.query(
+        `${LEADERBOARD_SELECT}
+        ${pageWhere}
+        ORDER BY ${expression} ${direction}, fr.user_id ${direction}
+        LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+        pageParams
+      ),
+      this.query(`SELECT COUNT(*) AS total FROM (${LEADERBOARD_SELECT} WHERE fr.challenge_id = $1) entries`, [challengeId]),
+      this.query(`SELECT COUNT(*) AS matched FROM (${LEADERBOARD_SELECT} ${where}) entries`, params)
+    ]);
+
+    return {
+      rows: rows.slice(0, limit).map(toLeaderboardRow),
+      total,
+      matched,
+      hasMore: rows.length > limit
+    };
+  }
+
+  // Audit operations
+  async recordAudit({ actor = null, action, challengeId = null, target = null, before = null, after = null }) {
+    const entry = {
+      ...actorFields(actor),
+      action,
+      challenge_id: challengeId,
+      target,
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after,
+      created_at: new Date().toISOString()
+    };
+
+    const [{ id }] = await this.query(
+      `INSERT INTO audit_log
+       (actor, actor_role, action, challenge_id, target, before_payload, after_payload, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [entry.actor, entry.actor_role, action, challengeId, target, json(entry.before), json(entry.after), entry.created_at]
+    );
+    return { id, ...entry };
+  }
+
+  /**
+   * Audit entries, newest first
+   * @param {Object} filters - { challengeId, actor, action, from, to (ISO timestamps), limit }
+   */
+  async getAuditLog({ challengeId = null, actor = null, action = null, from = null, to = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    const filters = [
+      ['challenge_id =', challengeId],
+      ['actor =', actor],
+      ['action =', action],
+      ['created_at >=', from],
+      ['created_at <=', to]
+    ];
+    for (const [condition, value] of filters) {
+      if (value) {
+        params.push(value);
+        conditions.push(`${condition} $${params.length}`);
+      }
+    }
+    params.push(limit);
+
+    const rows = await this.query(
+      `SELECT * FROM audit_log
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows.map(toAuditEntry);
+  }
+
+  async deleteChallengeLeaderboard(challengeId, actor = null) {
+    const before = await challengeSnapshot(this, challengeId);
+
+    await this.runTransaction([
+      { sql: 'DELETE FROM final_rankings WHERE challenge_id = $1', params: [challengeId] },
+      { sql: 'DELETE FROM ai_scores WHERE challenge_id = $1', params: [challengeId] }
+    ]);
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.LEADERBOARD_DELETE,
+      challengeId,
+      before
+    });
+  }
+
+  async deleteChallenge(challengeId, actor = null) {
+    const before = await challengeSnapshot(this, challengeId);
+
+    await this.runTransaction([
+      { sql: 'DELETE FROM final_rankings WHERE challenge_id = $1', params: [challengeId] },
+      { sql: 'DELETE FROM ai_scores WHERE challenge_id = $1', params: [challengeId] },
+      { sql: 'DELETE FROM recruiter_criteria WHERE challenge_id = $1', params: [challengeId] },
+      { sql: 'DELETE FROM challenges WHERE challenge_id = $1', params: [challengeId] }
+    ]);
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.CHALLENGE_DELETE,
+      challengeId,
+      before
+    });
+  }
+
+  async deleteUserFromChallenge(challengeId, userId, actor = null) {
+    const rankings = await this.getFinalRankings(challengeId);
+    const before = {
+      ranking: rankingSnapshot(rankings.filter(entry => entry.user_id === userId))[0] || null,
+      attempts: await this.getAttempts(challengeId, userId)
+    };
+
+    // The caller re-ranks the remaining candidates afterwards (see rankingService)
+    await this.runTransaction([
+      { sql: 'DELETE FROM final_rankings WHERE challenge_id = $1 AND user_id = $2', params: [challengeId, userId] },
+      { sql: 'DELETE FROM ai_scores WHERE challenge_id = $1 AND user_id = $2', params: [challengeId, userId] }
+    ]);
+
+    await this.recordAudit({
+      actor,
+      action: AUDIT_ACTIONS.USER_DELETE,
+      challengeId,
+      target: userId,
+      before
+    });
+  }
+
+  close() {
+    return this.pool.end();
+  }
+}
+
+module.exports = PostgresAdapter;
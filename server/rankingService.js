@@ -0,0 +1,405 @@
+// Ranking workflow shared by the Express server and the Vercel API
+const ScoreCalculator = require('./scoreCalculator');
+const { AUDIT_ACTIONS, rankingSnapshot } = require('./audit');
+const { resolveDimensions } = require('./dimensions');
+const { canRankInDatabase } = require('./sqlRanking');
+const { invalidateGlobalLeaderboard } = require('./globalLeaderboard');
+
+// Criteria fields copied when an old version is restored
+const CRITERIA_FIELDS = [
+  'logic_weight', 'clarity_weight', 'testing_weight', 'efficiency_weight',
+  'api_ui_weight', 'edge_cases_weight', 'creativity_weight',
+  'ranking_policy', 'normalization', 'attempt_policy', 'attempt_window'
+];
+
+// Simulated rankings returned when the request does not ask for a number, and the most it may ask for
+const DEFAULT_SIMULATION_LIMIT = 10;
+const MAX_SIMULATION_LIMIT = 500;
+
+// saveFinalRanking payload for a ranking from ScoreCalculator.processChallengeScores
+const toRankingPayload = ranking => ({
+  userId: ranking.userId,
+  challengeId: ranking.challengeId,
+  finalScore: ranking.finalScore,
+  rank: ranking.rank,
+  logicContribution: ranking.logicContribution,
+  clarityContribution: ranking.clarityContribution,
+  testingContribution: ranking.testingContribution,
+  efficiencyContribution: ranking.efficiencyContribution,
+  apiUiContribution: ranking.apiUiContribution,
+  edgeCasesContribution: ranking.edgeCasesContribution,
+  creativityContribution: ranking.creativityContribution,
+  contributions: ranking.contributions,
+  normalizedScores: ranking.normalizedScores,
+  breakdown: ranking.breakdown,
+  attemptId: ranking.attemptId,
+  attemptCount: ranking.attemptCount,
+  criteriaVersion: ranking.criteriaVersion
+});
+
+// Audit a full re-rank of a challenge against the leaderboard it replaced
+async function auditRankings(db, challengeId, before, rankings, actor) {
+  await db.recordAudit({
+    actor,
+    action: AUDIT_ACTIONS.RANKINGS_CALCULATE,
+    challengeId,
+    before: { rankings: before },
+    after: {
+      rankings: rankings.map(ranking => ({
+        user_id: ranking.userId,
+        rank: ranking.rank,
+        final_score: ranking.finalScore
+      }))
+    }
+  });
+}
+
+/**
+ * Persist the rankings produced by ScoreCalculator.processChallengeScores, replacing
+ * the challenge's stored ranking in one step, and audit the ranking change
+ * @param {Object} db - Database adapter
+ * @param {Array} rankings - Ranked final scores
+ * @param {Object|null} actor - Caller responsible for the recalculation
+ */
+async function saveRankings(db, rankings, actor = null) {
+  if (rankings.length === 0) {
+    return;
+  }
+
+  const challengeId = rankings[0].challengeId;
+  const before = rankingSnapshot(await db.getFinalRankings(challengeId));
+
+  await db.replaceChallengeRankings(challengeId, rankings.map(toRankingPayload));
+
+  await auditRankings(db, challengeId, before, rankings, actor);
+}
+
+// Rank inside SQLite or Postgres (see sqlRanking.js) where the adapter supports it. RANKING_ENGINE
+// picks node or database; unset, the adapter's own rankingEngine decides (Postgres: database)
+const ranksInDatabase = (db, criteria) =>
+  (process.env.RANKING_ENGINE || db.rankingEngine || 'node') === 'database' &&
+  typeof db.rankChallengeInDatabase === 'function' &&
+  canRankInDatabase(criteria);
+
+// Ranking writes read the stored ranking and write a new one, so two at once for the same
+// challenge could each build on the ranking the other is replacing. They run one after the
+// other per challenge instead (within this process; every write path goes through here).
+// Each write also drops the cached global boards built from the ranking it replaced.
+const rankingQueues = new Map();
+
+function queueRankingWrite(db, challengeId, write) {
+  const result = (rankingQueues.get(challengeId) || Promise.resolve())
+    .then(write)
+    .finally(() => invalidateGlobalLeaderboard(db));
+  const settled = result.catch(() => {});
+  rankingQueues.set(challengeId, settled);
+  settled.then(() => {
+    if (rankingQueues.get(challengeId) === settled) rankingQueues.delete(challengeId);
+  });
+  return result;
+}
+
+/**
+ * Recalculate and save the rankings of a challenge from its current AI scores
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge to re-rank
+ * @param {Object|null} actor - Caller responsible for the recalculation
+ * @returns {Array} Saved rankings (empty when the challenge has no criteria or scores)
+ */
+function recalculateChallengeRankings(db, challengeId, actor = null) {
+  return queueRankingWrite(db, challengeId, () => rankChallenge(db, challengeId, actor));
+}
+
+// recalculateChallengeRankings without the queue, for callers already holding it
+async function rankChallenge(db, challengeId, actor) {
+  const criteria = await db.getRecruiterCriteria(challengeId);
+  if (!criteria) {
+    return [];
+  }
+
+  if (ranksInDatabase(db, criteria)) {
+    const before = rankingSnapshot(await db.getFinalRankings(challengeId));
+    const rankings = await db.rankChallengeInDatabase(challengeId, criteria);
+    if (rankings) {
+      if (rankings.length > 0) {
+        await auditRankings(db, challengeId, before, rankings, actor);
+      }
+      return rankings;
+    }
+  }
+
+  const aiScores = await db.getAllAIScores(challengeId);
+  const rankings = ScoreCalculator.processChallengeScores(aiScores, criteria);
+  await saveRankings(db, rankings, actor);
+
+  return rankings;
+}
+
+/**
+ * Re-rank a challenge after one candidate's scores changed. The candidate's final
+ * score is recomputed from their own attempts and slotted into the stored order;
+ * only the rows whose rank actually moves are written.
+ *
+ * Falls back to a full recalculation when there is no stored order to build on
+ * or it cannot be trusted: normalized scores depend on the whole cohort, and
+ * rankings saved under an older criteria version would mix two scoring rules.
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @param {string} userId - Candidate whose scores changed
+ * @param {Object|null} actor - Caller responsible for the change
+ * @returns {Object|null} { mode: 'incremental'|'full', ranking, shifted }, null without criteria
+ */
+function updateCandidateRanking(db, challengeId, userId, actor = null) {
+  return queueRankingWrite(db, challengeId, () => slotCandidate(db, challengeId, userId, actor));
+}
+
+async function slotCandidate(db, challengeId, userId, actor) {
+  const criteria = await db.getRecruiterCriteria(challengeId);
+  if (!criteria) {
+    return null;
+  }
+
+  const stored = await db.getFinalRankings(challengeId);
+  const stale = stored.some(row => row.criteria_version !== criteria.version);
+  if (stored.length === 0 || (criteria.normalization || 'none') !== 'none' || stale) {
+    const rankings = await rankChallenge(db, challengeId, actor);
+    return {
+      mode: 'full',
+      ranking: rankings.find(ranking => ranking.userId === userId) || null,
+      shifted: rankings.length
+    };
+  }
+
+  const [candidate] = ScoreCalculator.processChallengeScores(await db.getAttempts(challengeId, userId), criteria);
+  if (!candidate) {
+    return null;
+  }
+  const policy = criteria.ranking_policy || 'competition';
+  const others = stored.filter(row => row.user_id !== userId);
+
+  // Everyone above the candidate stays above; ties only need the tie-breakers when ranks are ordinal
+  let position = others.findIndex(row => row.final_score < candidate.finalScore);
+  if (position === -1) position = others.length;
+  const tiedStart = others.findIndex(row => row.final_score === candidate.finalScore);
+  if (policy === 'ordinal' && tiedStart !== -1) {
+    let tiedEnd = tiedStart;
+    while (tiedEnd < others.length && others[tiedEnd].final_score === candidate.finalScore) tiedEnd++;
+
+    // One read for the whole tie group; without normalization each candidate scores on their own attempts
+    const tiedIds = others.slice(tiedStart, tiedEnd).map(row => row.user_id);
+    const tiedScores = ScoreCalculator.processChallengeScores(await db.getAttemptsForUsers(challengeId, tiedIds), criteria);
+    const tiedByUser = new Map(tiedScores.map(tied => [tied.userId, tied]));
+
+    position = tiedStart;
+    while (position < tiedEnd) {
+      const tied = tiedByUser.get(others[position].user_id);
+      if (tied && ScoreCalculator.compareTieBreakers(candidate, tied) < 0) {
+        break;
+      }
+      position++;
+    }
+  }
+
+  const order = others.map(row => ({ userId: row.user_id, finalScore: row.final_score, previousRank: row.rank }));
+  const previous = stored.find(row => row.user_id === userId);
+  order.splice(position, 0, { userId, finalScore: candidate.finalScore, previousRank: previous ? previous.rank : null });
+  const ranked = ScoreCalculator.assignRanks(order, policy);
+
+  const shifted = ranked.filter(entry => entry.userId !== userId && entry.rank !== entry.previousRank);
+  const ranking = { ...candidate, rank: ranked[position].rank };
+
+  await db.saveRankingChanges(
+    challengeId,
+    [toRankingPayload(ranking)],
+    shifted.map(({ userId: shiftedId, finalScore, rank }) => ({ userId: shiftedId, finalScore, rank }))
+  );
+
+  await db.recordAudit({
+    actor,
+    action: AUDIT_ACTIONS.RANKINGS_CALCULATE,
+    challengeId,
+    target: userId,
+    before: {
+      rankings: [previous, ...shifted.map(entry => stored.find(row => row.user_id === entry.userId))]
+        .filter(Boolean)
+        .map(row => ({ user_id: row.user_id, rank: row.rank, final_score: row.final_score }))
+    },
+    after: {
+      rankings: [ranking, ...shifted].map(entry => ({
+        user_id: entry.userId,
+        rank: entry.rank,
+        final_score: entry.finalScore
+      }))
+    }
+  });
+
+  return { mode: 'incremental', ranking, shifted: shifted.length };
+}
+
+/**
+ * A candidate's standing: their row, percentile and the candidates ranked around them
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @param {string} userId - Candidate
+ * @param {number} neighbours - Rows to include above and below the candidate
+ * @returns {Object|null} Ranking details, null when the candidate is not ranked
+ */
+async function getUserStanding(db, challengeId, userId, neighbours) {
+  const standing = await db.getUserRanking(challengeId, userId, neighbours);
+  if (!standing) {
+    return null;
+  }
+
+  const { entry, above, below, total, scoredLower, scoredEqual } = standing;
+  const neighbour = row => ({ user_id: row.user_id, name: row.name, rank: row.rank, final_score: row.final_score });
+  return {
+    ...entry,
+    totalParticipants: total,
+    // Mid-rank percentile, the same definition as percentile normalization: share scoring lower, ties count half
+    percentile: Math.round(((scoredLower + 0.5 * scoredEqual) / total) * 10000) / 100,
+    neighbours: {
+      above: above.map(neighbour),
+      below: below.map(neighbour)
+    }
+  };
+}
+
+/**
+ * Rank a challenge's current AI scores with the given criteria without saving anything
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge to rank
+ * @param {Object} criteria - Criteria to rank with (e.g. an earlier criteria version)
+ * @returns {Array} Rankings
+ */
+async function previewRankings(db, challengeId, criteria) {
+  const aiScores = await db.getAllAIScores(challengeId);
+  return ScoreCalculator.processChallengeScores(aiScores, criteria);
+}
+
+/**
+ * Make an earlier criteria version current again and re-rank with it.
+ * The restore is stored as a new version so the history stays linear.
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @param {number} version - Criteria version to restore
+ * @param {Object|null} actor - Caller responsible for the restore
+ * @returns {Object|null} { criteria, rankings }, or null when the version does not exist
+ */
+async function restoreCriteriaVersion(db, challengeId, version, actor = null) {
+  const previous = await db.getRecruiterCriteria(challengeId, version);
+  if (!previous) {
+    return null;
+  }
+
+  const restored = {};
+  for (const field of CRITERIA_FIELDS) {
+    if (previous[field] !== undefined && previous[field] !== null) {
+      restored[field] = previous[field];
+    }
+  }
+  if (previous.dimensions) {
+    restored.dimensions = previous.dimensions;
+  }
+
+  const criteria = await db.setRecruiterCriteria(challengeId, restored, actor);
+  const rankings = await recalculateChallengeRankings(db, challengeId, actor);
+
+  return { criteria, rankings };
+}
+
+/**
+ * Criteria for a what-if simulation: the current criteria with some dimension weights
+ * (and optionally the tie policy or normalization) swapped out
+ * @param {Object} current - Current recruiter criteria
+ * @param {Object} overrides - { weights: { dimensionKey: weight }, ranking_policy, normalization }
+ * @returns {Object} { criteria, errors }
+ */
+function buildSimulationCriteria(current, { weights = {}, ranking_policy, normalization } = {}) {
+  const dimensions = resolveDimensions(current);
+  const errors = Object.keys(weights)
+    .filter(key => !dimensions.some(dimension => dimension.key === key))
+    .map(key => `Unknown dimension: ${key}`);
+
+  const criteria = {
+    ...current,
+    dimensions: dimensions.map(dimension => ({
+      key: dimension.key,
+      label: dimension.label,
+      weight: weights[dimension.key] !== undefined ? weights[dimension.key] : dimension.weight,
+      required: dimension.required
+    }))
+  };
+  if (ranking_policy !== undefined) criteria.ranking_policy = ranking_policy;
+  if (normalization !== undefined) criteria.normalization = normalization;
+
+  errors.push(...ScoreCalculator.validateCriteria(criteria).errors);
+  return { criteria, errors };
+}
+
+/**
+ * Check how many simulated rankings a what-if request wants back
+ * @param {*} value - req.body.limit
+ * @returns {Object} { limit, errors }
+ */
+function parseSimulationLimit(value) {
+  if (value === undefined) {
+    return { limit: DEFAULT_SIMULATION_LIMIT, errors: [] };
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SIMULATION_LIMIT) {
+    return { limit: DEFAULT_SIMULATION_LIMIT, errors: [`limit must be an integer between 1 and ${MAX_SIMULATION_LIMIT}`] };
+  }
+  return { limit, errors: [] };
+}
+
+/**
+ * Rank with simulated criteria and compare against the saved final_rankings
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @param {Object} criteria - Criteria from buildSimulationCriteria
+ * @returns {Object} { rankings, movers: { up, down } }; rankDelta > 0 means the candidate moves up
+ */
+async function simulateRankings(db, challengeId, criteria) {
+  // Every stored rank with its candidate's name, so no one past the first page looks new
+  const [simulated, stored] = await Promise.all([
+    previewRankings(db, challengeId, criteria),
+    db.getRankingsAcrossChallenges([challengeId])
+  ]);
+  const current = new Map(stored.map(entry => [entry.user_id, entry]));
+
+  const rankings = simulated.map(ranking => {
+    const saved = current.get(ranking.userId);
+    return {
+      userId: ranking.userId,
+      name: saved ? saved.name : ranking.userId,
+      rank: ranking.rank,
+      finalScore: ranking.finalScore,
+      contributions: ranking.contributions,
+      currentRank: saved ? saved.rank : null,
+      currentScore: saved ? saved.final_score : null,
+      rankDelta: saved ? saved.rank - ranking.rank : null,
+      scoreDelta: saved ? Math.round((ranking.finalScore - saved.final_score) * 100) / 100 : null
+    };
+  });
+
+  const moved = rankings.filter(ranking => ranking.rankDelta);
+  return {
+    rankings,
+    movers: {
+      up: moved.filter(ranking => ranking.rankDelta > 0).sort((a, b) => b.rankDelta - a.rankDelta).slice(0, 5),
+      down: moved.filter(ranking => ranking.rankDelta < 0).sort((a, b) => a.rankDelta - b.rankDelta).slice(0, 5)
+    }
+  };
+}
+
+module.exports = {
+  saveRankings,
+  recalculateChallengeRankings,
+  updateCandidateRanking,
+  getUserStanding,
+  previewRankings,
+  restoreCriteriaVersion,
+  buildSimulationCriteria,
+  parseSimulationLimit,
+  simulateRankings
+};
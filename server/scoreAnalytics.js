@@ -0,0 +1,166 @@
+// Distribution of the grader's raw scores in one challenge, to judge how well it
+// separates candidates: summary statistics and a histogram per score field, and
+// the correlation between fields.
+const { resolveDimensions, getDimensionScore } = require('./dimensions');
+
+const DEFAULT_BUCKETS = 10;
+const MAX_BUCKETS = 50;
+// Correlations from fewer paired scores than this are too noisy to report
+const MIN_CORRELATION_SAMPLES = 3;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Parse the histogram bucket count from the query string
+ * @param {*} value - req.query.buckets
+ * @returns {Object} { buckets, errors }
+ */
+function parseBuckets(value) {
+  if (value === undefined) {
+    return { buckets: DEFAULT_BUCKETS, errors: [] };
+  }
+  const buckets = Number(value);
+  if (!Number.isInteger(buckets) || buckets < 2 || buckets > MAX_BUCKETS) {
+    return { buckets: DEFAULT_BUCKETS, errors: [`buckets must be an integer between 2 and ${MAX_BUCKETS}`] };
+  }
+  return { buckets, errors: [] };
+}
+
+// Score fields reported for a challenge: the two overall scores, then each dimension
+function getScoreFields(dimensions) {
+  return [
+    { field: 'ai_score', key: null, label: 'AI Score', weight: null, read: score => score.ai_score },
+    { field: 'code_quality', key: null, label: 'Code Quality', weight: null, read: score => score.code_quality },
+    ...dimensions.map(dimension => ({
+      field: dimension.scoreField || `dimension_scores.${dimension.key}`,
+      key: dimension.key,
+      label: dimension.label,
+      weight: dimension.weight,
+      read: score => getDimensionScore(score, dimension)
+    }))
+  ];
+}
+
+// Quantile of sorted values with linear interpolation between the closest ranks
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summary statistics and histogram for one score field. Scores are on the 0-100
+ * scale, so every field uses the same buckets and the histograms line up.
+ * @param {Array} values - Scores
+ * @param {number} buckets - Number of histogram buckets
+ * @returns {Object} { count, mean, median, stddev, min, max, q1, q3, iqr, histogram }
+ */
+function describe(values, buckets) {
+  const width = 100 / buckets;
+  const histogram = Array.from({ length: buckets }, (_, index) => ({
+    from: round(index * width),
+    to: round((index + 1) * width),
+    count: 0
+  }));
+  if (values.length === 0) {
+    return { count: 0, mean: null, median: null, stddev: null, min: null, max: null, q1: null, q3: null, iqr: null, histogram };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  // Population standard deviation: the submissions are the whole cohort, not a sample of it
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+
+  for (const value of values) {
+    // The last bucket is closed so a perfect 100 lands in it
+    histogram[Math.min(Math.floor(value / width), buckets - 1)].count++;
+  }
+
+  return {
+    count: values.length,
+    mean: round(mean),
+    median: round(quantile(sorted, 0.5)),
+    stddev: round(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    q1: round(q1),
+    q3: round(q3),
+    iqr: round(q3 - q1),
+    histogram
+  };
+}
+
+// Pearson correlation over the submissions that have both scores, null when it is undefined
+function correlate(pairs) {
+  if (pairs.length < MIN_CORRELATION_SAMPLES) return null;
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 1000) / 1000;
+}
+
+/**
+ * Build the analytics for a challenge from every graded submission (all attempts)
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @param {Object} options - { buckets }
+ * @returns {Object} { submissions, candidates, fields, correlations: { fields, matrix } }
+ */
+async function buildScoreAnalytics(db, challengeId, options = {}) {
+  const { buckets = DEFAULT_BUCKETS } = options;
+  const [scores, criteria] = await Promise.all([
+    db.getAllAIScores(challengeId),
+    db.getRecruiterCriteria(challengeId)
+  ]);
+
+  const columns = getScoreFields(resolveDimensions(criteria || {})).map(column => ({
+    ...column,
+    values: scores.map(score => {
+      const value = column.read(score);
+      return typeof value === 'number' ? value : null;
+    })
+  }));
+  // Optional dimensions nobody was scored on have nothing to show
+  const reported = columns.filter(column => column.values.some(value => value !== null));
+
+  const matrix = reported.map(a => reported.map(b => {
+    const pairs = [];
+    a.values.forEach((value, index) => {
+      if (value !== null && b.values[index] !== null) pairs.push([value, b.values[index]]);
+    });
+    return correlate(pairs);
+  }));
+
+  return {
+    submissions: scores.length,
+    candidates: new Set(scores.map(score => score.user_id)).size,
+    fields: reported.map(column => ({
+      field: column.field,
+      key: column.key,
+      label: column.label,
+      weight: column.weight,
+      ...describe(column.values.filter(value => value !== null), buckets)
+    })),
+    correlations: {
+      fields: reported.map(column => column.field),
+      matrix
+    }
+  };
+}
+
+module.exports = {
+  parseBuckets,
+  describe,
+  buildScoreAnalytics
+};
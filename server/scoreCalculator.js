@@ -1,106 +1,209 @@
+const {
+  DEFAULT_DIMENSIONS,
+  DIMENSION_KEY_PATTERN,
+  resolveDimensions,
+  getDimensionScore,
+  contributionField,
+  parseJSONField
+} = require('./dimensions');
+
+const RANKING_POLICIES = ['competition', 'dense', 'ordinal', 'fractional'];
+const NORMALIZATION_MODES = ['none', 'zscore', 'minmax', 'percentile'];
+const ATTEMPT_POLICIES = ['latest', 'best', 'average'];
+const DEFAULT_ATTEMPT_WINDOW = 3;
+
+const SCORE_FIELDS = ['ai_score', 'code_quality', 'testing_rate', 'logic_score', 'clarity_score', 'efficiency_score', 'api_ui_score', 'edge_cases_score', 'creativity_score'];
+
+const round = value => Math.round(value * 100) / 100;
+
+// Missing or unparseable timestamps sort after every real submission
+const toTimestamp = value => {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(time) ? Number.MAX_SAFE_INTEGER : time;
+};
+
+// Field-by-field mean of several attempts, keeping the latest attempt's identity
+const averageAttempts = attempts => {
+  const latest = attempts[attempts.length - 1];
+  const averaged = { ...latest };
+
+  for (const field of SCORE_FIELDS) {
+    const values = attempts.map(attempt => attempt[field]).filter(value => typeof value === 'number');
+    if (values.length > 0) {
+      averaged[field] = round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    }
+  }
+
+  const totals = {};
+  for (const attempt of attempts) {
+    for (const [key, value] of Object.entries(parseJSONField(attempt.dimension_scores, {}) || {})) {
+      totals[key] = totals[key] || [];
+      totals[key].push(value);
+    }
+  }
+  averaged.dimension_scores = {};
+  for (const [key, values] of Object.entries(totals)) {
+    averaged.dimension_scores[key] = round(values.reduce((sum, value) => sum + value, 0) / values.length);
+  }
+
+  return averaged;
+};
+
 class ScoreCalculator {
   /**
    * Calculate final weighted score based on AI scores and recruiter criteria
    * @param {Object} aiScore - AI evaluation scores
-   * @param {Object} criteria - Recruiter-defined weights
+   * @param {Object} criteria - Recruiter-defined weights or dimension set
+   * @param {Object} normalizedScores - Optional map of dimension key to normalized score,
+   *   weighted instead of the raw score when present
    * @returns {Object} Final score breakdown
    */
-  static calculateFinalScore(aiScore, criteria) {
-    const {
-      logic_score,
-      clarity_score,
-      testing_rate,
-      efficiency_score = 0,
-      api_ui_score = 0,
-      edge_cases_score = 0,
-      creativity_score = 0
-    } = aiScore;
-
-    const {
-      logic_weight = 0.25,
-      clarity_weight = 0.30,
-      testing_weight = 0.0,
-      efficiency_weight = 0.0,
-      api_ui_weight = 0.20,
-      edge_cases_weight = 0.15,
-      creativity_weight = 0.10
-    } = criteria;
-
-    // Validate weights sum to 1.0 (with small tolerance for floating point)
-    const totalWeight = logic_weight + clarity_weight + testing_weight + efficiency_weight + api_ui_weight + edge_cases_weight + creativity_weight;
-    if (Math.abs(totalWeight - 1.0) > 0.01) {
-      throw new Error(`Weights must sum to 1.0, got ${totalWeight}`);
-    }
+  static calculateFinalScore(aiScore, criteria, normalizedScores = null) {
+    const dimensions = resolveDimensions(criteria);
+    this.checkWeights(dimensions);
 
     // Calculate weighted contributions
-    const logicContribution = logic_score * logic_weight;
-    const clarityContribution = clarity_score * clarity_weight;
-    const testingContribution = testing_rate * testing_weight;
-    const efficiencyContribution = efficiency_score * efficiency_weight;
-    const apiUiContribution = api_ui_score * api_ui_weight;
-    const edgeCasesContribution = edge_cases_score * edge_cases_weight;
-    const creativityContribution = creativity_score * creativity_weight;
+    const contributions = {};
+    const breakdown = {};
+    let finalScore = 0;
 
-    // Calculate final score
-    const finalScore = logicContribution + clarityContribution + testingContribution + efficiencyContribution + apiUiContribution + edgeCasesContribution + creativityContribution;
+    for (const dimension of dimensions) {
+      const score = getDimensionScore(aiScore, dimension) || 0;
+      const weightedScore = normalizedScores ? normalizedScores[dimension.key] : score;
+      const contribution = weightedScore * dimension.weight;
 
-    return {
-      finalScore: Math.round(finalScore * 100) / 100, // Round to 2 decimal places
-      logicContribution: Math.round(logicContribution * 100) / 100,
-      clarityContribution: Math.round(clarityContribution * 100) / 100,
-      testingContribution: Math.round(testingContribution * 100) / 100,
-      efficiencyContribution: Math.round(efficiencyContribution * 100) / 100,
-      apiUiContribution: Math.round(apiUiContribution * 100) / 100,
-      edgeCasesContribution: Math.round(edgeCasesContribution * 100) / 100,
-      creativityContribution: Math.round(creativityContribution * 100) / 100,
-      breakdown: {
-        logic: { score: logic_score, weight: logic_weight, contribution: logicContribution },
-        clarity: { score: clarity_score, weight: clarity_weight, contribution: clarityContribution },
-        testing: { score: testing_rate, weight: testing_weight, contribution: testingContribution },
-        efficiency: { score: efficiency_score, weight: efficiency_weight, contribution: efficiencyContribution },
-        apiUi: { score: api_ui_score, weight: api_ui_weight, contribution: apiUiContribution },
-        edgeCases: { score: edge_cases_score, weight: edge_cases_weight, contribution: edgeCasesContribution },
-        creativity: { score: creativity_score, weight: creativity_weight, contribution: creativityContribution }
+      finalScore += contribution;
+      contributions[dimension.key] = round(contribution);
+      breakdown[dimension.key] = {
+        label: dimension.label,
+        score,
+        weight: dimension.weight,
+        contribution
+      };
+      if (normalizedScores) {
+        breakdown[dimension.key].normalizedScore = weightedScore;
       }
+    }
+
+    const result = {
+      finalScore: round(finalScore), // Round to 2 decimal places
+      contributions,
+      normalizedScores,
+      breakdown
     };
+
+    // Built-in dimensions keep their camelCase fields for the legacy *_contribution columns
+    for (const dimension of DEFAULT_DIMENSIONS) {
+      result[contributionField(dimension.key)] = contributions[dimension.key] || 0;
+    }
+
+    return result;
+  }
+
+  /**
+   * Throw unless the weights sum to 1.0 (with small tolerance for floating point)
+   * @param {Array} dimensions - Resolved dimensions
+   */
+  static checkWeights(dimensions) {
+    const totalWeight = dimensions.reduce((sum, dimension) => sum + dimension.weight, 0);
+    if (Math.abs(totalWeight - 1.0) > 0.01) {
+      throw new Error(`Weights must sum to 1.0, got ${totalWeight}`);
+    }
   }
 
   /**
    * Calculate rankings with proper tie handling
    * @param {Array} scores - Array of score objects with user_id and finalScore
+   * @param {string} policy - Tie policy: competition (1,1,3), dense (1,1,2),
+   *   ordinal (1,2,3 broken by tie-breakers) or fractional (1.5,1.5,3)
    * @returns {Array} Ranked scores with rank property
    */
-  static calculateRankings(scores) {
+  static calculateRankings(scores, policy = 'competition') {
     if (!scores || scores.length === 0) {
       return [];
     }
 
-    // Sort by final score in descending order
-    const sortedScores = [...scores].sort((a, b) => b.finalScore - a.finalScore);
+    if (!RANKING_POLICIES.includes(policy)) {
+      throw new Error(`Unknown ranking policy: ${policy}`);
+    }
+
+    // Sort by final score in descending order, ties in tie-breaker order
+    const sortedScores = [...scores].sort((a, b) =>
+      (b.finalScore - a.finalScore) || this.compareTieBreakers(a, b)
+    );
+
+    return this.assignRanks(sortedScores, policy);
+  }
 
-    // Assign ranks with tie handling
+  /**
+   * Assign ranks to scores that are already in ranking order
+   * @param {Array} sortedScores - Score objects sorted by finalScore descending, ties in tie-breaker order
+   * @param {string} policy - Tie policy (see calculateRankings)
+   * @returns {Array} Scores with rank property
+   */
+  static assignRanks(sortedScores, policy = 'competition') {
     const rankedScores = [];
-    let currentRank = 1;
-    let previousScore = null;
+    let groupStart = 0;
+    let denseRank = 0;
 
-    for (let i = 0; i < sortedScores.length; i++) {
-      const score = sortedScores[i];
-      
-      if (previousScore !== null && score.finalScore !== previousScore) {
-        currentRank = i + 1;
+    while (groupStart < sortedScores.length) {
+      let groupEnd = groupStart;
+      while (groupEnd + 1 < sortedScores.length &&
+             sortedScores[groupEnd + 1].finalScore === sortedScores[groupStart].finalScore) {
+        groupEnd++;
       }
-      
-      rankedScores.push({
-        ...score,
-        rank: currentRank
-      });
-      
-      previousScore = score.finalScore;
+      denseRank++;
+
+      for (let i = groupStart; i <= groupEnd; i++) {
+        let rank;
+        if (policy === 'dense') {
+          rank = denseRank;
+        } else if (policy === 'ordinal') {
+          rank = i + 1;
+        } else if (policy === 'fractional') {
+          rank = (groupStart + groupEnd + 2) / 2;
+        } else {
+          rank = groupStart + 1;
+        }
+
+        rankedScores.push({
+          ...sortedScores[i],
+          rank
+        });
+      }
+
+      groupStart = groupEnd + 1;
     }
 
     return rankedScores;
   }
 
+  /**
+   * Deterministic order for candidates with the same final score: earlier
+   * submission first, then higher score on each dimension in declaration
+   * order (logic, clarity, ... for the built-in set), then user id
+   * @param {Object} a - Score object
+   * @param {Object} b - Score object
+   * @returns {number} Sort comparison
+   */
+  static compareTieBreakers(a, b) {
+    const submittedDiff = toTimestamp(a.submittedAt) - toTimestamp(b.submittedAt);
+    if (submittedDiff) {
+      return submittedDiff;
+    }
+
+    const keys = Object.keys(a.breakdown || {});
+    for (const key of keys) {
+      const scoreA = a.breakdown[key].score;
+      const scoreB = b.breakdown && b.breakdown[key] ? b.breakdown[key].score : 0;
+      if (scoreA !== scoreB) {
+        return scoreB - scoreA;
+      }
+    }
+
+    return String(a.userId).localeCompare(String(b.userId));
+  }
+
   /**
    * Process all scores for a challenge and calculate rankings
    * @param {Array} aiScores - Array of AI scores
@@ -112,31 +215,150 @@ class ScoreCalculator {
       return [];
     }
 
+    // One counted attempt per candidate
+    const effectiveScores = this.selectAttempts(aiScores, criteria);
+
+    // Normalize each dimension across the cohort before weighting
+    const normalized = this.normalizeScores(effectiveScores, resolveDimensions(criteria), criteria.normalization || 'none');
+
     // Calculate final scores for all users
-    const finalScores = aiScores.map(aiScore => {
-      const calculation = this.calculateFinalScore(aiScore, criteria);
+    const finalScores = effectiveScores.map((aiScore, index) => {
+      const calculation = this.calculateFinalScore(aiScore, criteria, normalized ? normalized[index] : null);
       return {
         userId: aiScore.user_id,
         challengeId: aiScore.challenge_id,
+        submittedAt: aiScore.submitted_at,
+        attemptId: aiScore.id,
+        attemptIds: aiScore.attempt_ids,
+        attemptCount: aiScore.attempt_count,
+        criteriaVersion: criteria.version || null,
         finalScore: calculation.finalScore,
         ...calculation
       };
     });
 
-    // Calculate rankings
-    const rankings = this.calculateRankings(finalScores);
+    // Calculate rankings with the challenge's tie policy
+    const rankings = this.calculateRankings(finalScores, criteria.ranking_policy || 'competition');
 
     return rankings;
   }
 
+  /**
+   * Pick the attempt that counts for each candidate
+   *  - latest: most recent submission
+   *  - best: submission with the highest final score (the earliest one wins a tie)
+   *  - average: field-by-field mean of the last attempt_window submissions
+   * @param {Array} aiScores - Every submission for the challenge
+   * @param {Object} criteria - Recruiter criteria (attempt_policy, attempt_window)
+   * @returns {Array} One AI score per candidate, with attempt_ids and attempt_count
+   */
+  static selectAttempts(aiScores, criteria = {}) {
+    const policy = criteria.attempt_policy || 'latest';
+    const attemptWindow = criteria.attempt_window || DEFAULT_ATTEMPT_WINDOW;
+
+    if (!ATTEMPT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown attempt policy: ${policy}`);
+    }
+
+    const attemptsByUser = new Map();
+    for (const aiScore of aiScores) {
+      if (!attemptsByUser.has(aiScore.user_id)) {
+        attemptsByUser.set(aiScore.user_id, []);
+      }
+      attemptsByUser.get(aiScore.user_id).push(aiScore);
+    }
+
+    const selected = [];
+    for (const attempts of attemptsByUser.values()) {
+      // Oldest first; ids break ties between submissions within the same second
+      attempts.sort((a, b) => (toTimestamp(a.submitted_at) - toTimestamp(b.submitted_at)) || ((a.id || 0) - (b.id || 0)));
+
+      let counted;
+      let effective;
+      if (policy === 'best') {
+        let bestScore = -Infinity;
+        for (const attempt of attempts) {
+          const { finalScore } = this.calculateFinalScore(attempt, criteria);
+          if (finalScore > bestScore) {
+            bestScore = finalScore;
+            effective = attempt;
+          }
+        }
+        counted = [effective];
+      } else if (policy === 'average') {
+        counted = attempts.slice(-attemptWindow);
+        effective = averageAttempts(counted);
+      } else {
+        effective = attempts[attempts.length - 1];
+        counted = [effective];
+      }
+
+      selected.push({
+        ...effective,
+        attempt_ids: counted.map(attempt => attempt.id),
+        attempt_count: attempts.length
+      });
+    }
+
+    return selected;
+  }
+
+  /**
+   * Normalize every dimension across a challenge's cohort
+   *  - zscore: standard score rescaled to mean 50 / standard deviation 10
+   *  - minmax: lowest score maps to 0, highest to 100
+   *  - percentile: mid-rank percentile (share of the cohort scoring lower, ties count half)
+   * A dimension on which everyone scored the same normalizes to 50.
+   * @param {Array} aiScores - Array of AI scores
+   * @param {Array} dimensions - Resolved dimensions
+   * @param {string} mode - Normalization mode
+   * @returns {Array|null} Map of dimension key to normalized score per AI score, or null for 'none'
+   */
+  static normalizeScores(aiScores, dimensions, mode = 'none') {
+    if (!NORMALIZATION_MODES.includes(mode)) {
+      throw new Error(`Unknown normalization mode: ${mode}`);
+    }
+    if (mode === 'none') {
+      return null;
+    }
+
+    const normalized = aiScores.map(() => ({}));
+
+    for (const dimension of dimensions) {
+      const values = aiScores.map(aiScore => getDimensionScore(aiScore, dimension) || 0);
+      const count = values.length;
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      const mean = values.reduce((sum, value) => sum + value, 0) / count;
+      const stddev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count);
+
+      values.forEach((value, index) => {
+        let result = 50;
+        if (mode === 'zscore' && stddev > 0) {
+          result = 50 + 10 * ((value - mean) / stddev);
+        } else if (mode === 'minmax' && max > min) {
+          result = ((value - min) / (max - min)) * 100;
+        } else if (mode === 'percentile' && max > min) {
+          const below = values.filter(other => other < value).length;
+          const equal = values.filter(other => other === value).length;
+          result = ((below + 0.5 * equal) / count) * 100;
+        }
+        normalized[index][dimension.key] = round(result);
+      });
+    }
+
+    return normalized;
+  }
+
   /**
    * Validate AI score data
    * @param {Object} aiScore - AI score object
+   * @param {Array} dimensions - Dimension set of the challenge (defaults to the built-in seven)
    * @returns {Object} Validation result
    */
-  static validateAIScore(aiScore) {
+  static validateAIScore(aiScore, dimensions = DEFAULT_DIMENSIONS) {
     const errors = [];
-    const required = ['user_id', 'challenge_id', 'ai_score', 'code_quality', 'testing_rate', 'logic_score', 'clarity_score'];
+    const required = ['user_id', 'challenge_id', 'ai_score', 'code_quality'];
     
     // Check required fields
     for (const field of required) {
@@ -145,9 +367,14 @@ class ScoreCalculator {
       }
     }
 
+    for (const dimension of dimensions) {
+      if (dimension.required && getDimensionScore(aiScore, dimension) === undefined) {
+        errors.push(`Missing required field: ${dimension.scoreField || `dimension_scores.${dimension.key}`}`);
+      }
+    }
+
     // Check score ranges (assuming 0-100 scale)
-    const scoreFields = ['ai_score', 'code_quality', 'testing_rate', 'logic_score', 'clarity_score', 'efficiency_score', 'api_ui_score', 'edge_cases_score', 'creativity_score'];
-    for (const field of scoreFields) {
+    for (const field of SCORE_FIELDS) {
       if (aiScore[field] !== undefined && aiScore[field] !== null) {
         if (typeof aiScore[field] !== 'number' || aiScore[field] < 0 || aiScore[field] > 100) {
           errors.push(`${field} must be a number between 0 and 100`);
@@ -155,6 +382,17 @@ class ScoreCalculator {
       }
     }
 
+    const extraScores = parseJSONField(aiScore.dimension_scores, {});
+    if (!extraScores || typeof extraScores !== 'object' || Array.isArray(extraScores)) {
+      errors.push('dimension_scores must be an object of dimension scores');
+    } else {
+      for (const [key, value] of Object.entries(extraScores)) {
+        if (typeof value !== 'number' || value < 0 || value > 100) {
+          errors.push(`dimension_scores.${key} must be a number between 0 and 100`);
+        }
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -168,19 +406,79 @@ class ScoreCalculator {
    */
   static validateCriteria(criteria) {
     const errors = [];
-    const weightFields = ['logic_weight', 'clarity_weight', 'testing_weight', 'efficiency_weight', 'api_ui_weight', 'edge_cases_weight', 'creativity_weight'];
-    
-    // Check weight ranges
-    for (const field of weightFields) {
-      if (criteria[field] !== undefined && criteria[field] !== null) {
-        if (typeof criteria[field] !== 'number' || criteria[field] < 0 || criteria[field] > 1) {
-          errors.push(`${field} must be a number between 0 and 1`);
+
+    if (criteria.dimensions !== undefined && criteria.dimensions !== null) {
+      errors.push(...this.validateDimensions(criteria.dimensions).errors);
+    } else {
+      const weightFields = DEFAULT_DIMENSIONS.map(dimension => `${dimension.key}_weight`);
+      
+      // Check weight ranges
+      for (const field of weightFields) {
+        if (criteria[field] !== undefined && criteria[field] !== null) {
+          if (typeof criteria[field] !== 'number' || criteria[field] < 0 || criteria[field] > 1) {
+            errors.push(`${field} must be a number between 0 and 1`);
+          }
         }
       }
+
+      // Check total weight
+      const totalWeight = weightFields.reduce((sum, field) => sum + (criteria[field] || 0), 0);
+      if (Math.abs(totalWeight - 1.0) > 0.01) {
+        errors.push(`Total weight must equal 1.0, got ${totalWeight}`);
+      }
+    }
+
+    if (criteria.ranking_policy !== undefined && !RANKING_POLICIES.includes(criteria.ranking_policy)) {
+      errors.push(`ranking_policy must be one of: ${RANKING_POLICIES.join(', ')}`);
+    }
+
+    if (criteria.normalization !== undefined && !NORMALIZATION_MODES.includes(criteria.normalization)) {
+      errors.push(`normalization must be one of: ${NORMALIZATION_MODES.join(', ')}`);
+    }
+
+    if (criteria.attempt_policy !== undefined && !ATTEMPT_POLICIES.includes(criteria.attempt_policy)) {
+      errors.push(`attempt_policy must be one of: ${ATTEMPT_POLICIES.join(', ')}`);
+    }
+
+    if (criteria.attempt_window !== undefined && (!Number.isInteger(criteria.attempt_window) || criteria.attempt_window < 1)) {
+      errors.push('attempt_window must be a positive integer');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validate a challenge-declared dimension set
+   * @param {Array} dimensions - Array of { key, label, weight, required }
+   * @returns {Object} Validation result
+   */
+  static validateDimensions(dimensions) {
+    const errors = [];
+
+    if (!Array.isArray(dimensions) || dimensions.length === 0) {
+      return { isValid: false, errors: ['dimensions must be a non-empty array'] };
+    }
+
+    const seen = new Set();
+    for (const dimension of dimensions) {
+      if (!dimension || typeof dimension.key !== 'string' || !DIMENSION_KEY_PATTERN.test(dimension.key)) {
+        errors.push('Each dimension needs a key of lowercase letters, digits and underscores');
+        continue;
+      }
+      if (seen.has(dimension.key)) {
+        errors.push(`Duplicate dimension: ${dimension.key}`);
+      }
+      seen.add(dimension.key);
+
+      if (typeof dimension.weight !== 'number' || dimension.weight < 0 || dimension.weight > 1) {
+        errors.push(`${dimension.key} weight must be a number between 0 and 1`);
+      }
     }
 
-    // Check total weight
-    const totalWeight = weightFields.reduce((sum, field) => sum + (criteria[field] || 0), 0);
+    const totalWeight = dimensions.reduce((sum, dimension) => sum + ((dimension && dimension.weight) || 0), 0);
     if (Math.abs(totalWeight - 1.0) > 0.01) {
       errors.push(`Total weight must equal 1.0, got ${totalWeight}`);
     }
@@ -192,4 +490,9 @@ class ScoreCalculator {
   }
 }
 
+ScoreCalculator.RANKING_POLICIES = RANKING_POLICIES;
+ScoreCalculator.NORMALIZATION_MODES = NORMALIZATION_MODES;
+ScoreCalculator.ATTEMPT_POLICIES = ATTEMPT_POLICIES;
+ScoreCalculator.DEFAULT_ATTEMPT_WINDOW = DEFAULT_ATTEMPT_WINDOW;
+
 module.exports = ScoreCalculator;
@@ -0,0 +1,141 @@
+// Why a candidate has their final score and rank, and what it would take to move up
+const ScoreCalculator = require('./scoreCalculator');
+const { getUserStanding } = require('./rankingService');
+
+// Final scores are stored to two decimals, so this is the smallest lead that overtakes
+const SCORE_STEP = 0.01;
+// Normalization modes whose normalized scores are capped at 100 like raw scores
+const BOUNDED_NORMALIZATION = ['none', 'minmax', 'percentile'];
+
+const round = value => Math.round(value * 100) / 100;
+const roundUp = value => Math.ceil(value * 100 - 1e-9) / 100;
+
+/**
+ * The breakdown the candidate was ranked with. Rankings saved before breakdowns were
+ * stored are rebuilt from the counted attempt under the criteria version they used.
+ */
+async function getBreakdown(db, entry) {
+  if (entry.breakdown) {
+    return { breakdown: entry.breakdown, source: 'stored' };
+  }
+
+  const criteria = await db.getRecruiterCriteria(entry.challenge_id, entry.criteria_version || null);
+  if (!criteria) {
+    return { breakdown: {}, source: 'unavailable' };
+  }
+  const { breakdown } = ScoreCalculator.calculateFinalScore(entry, criteria, entry.normalized_scores);
+  return { breakdown, source: 'recomputed' };
+}
+
+/**
+ * The closest candidate ranked strictly above, from the stored ranking order
+ * @returns {Object|null} Stored ranking row, null for a candidate already ranked first
+ */
+async function getNextRank(db, challengeId, rank) {
+  const ahead = (await db.getFinalRankings(challengeId)).filter(row => row.rank < rank);
+  if (ahead.length === 0) {
+    return null;
+  }
+  return ahead.reduce((closest, row) => (row.rank > closest.rank ? row : closest));
+}
+
+/**
+ * How much each weighted dimension would have to rise on its own to close the gap.
+ * Scores are in the units the weights apply to: raw scores, or normalized scores when
+ * the challenge normalizes (an estimate, since the cohort's scores would shift too).
+ */
+function getImprovements(dimensions, pointsNeeded, normalization) {
+  const bounded = BOUNDED_NORMALIZATION.includes(normalization);
+
+  return dimensions
+    .filter(dimension => dimension.weight > 0)
+    .map(dimension => {
+      const current = normalization !== 'none' && dimension.normalizedScore !== null ? dimension.normalizedScore : dimension.score;
+      const required = roundUp(pointsNeeded / dimension.weight);
+      return {
+        key: dimension.key,
+        label: dimension.label,
+        weight: dimension.weight,
+        basis: normalization === 'none' ? 'raw' : 'normalized',
+        current,
+        required,
+        target: round(current + required),
+        // Unbounded z-scores can always rise in theory, so only capped scales can rule a dimension out
+        feasible: bounded ? current + required <= 100 : null
+      };
+    })
+    .sort((a, b) => (a.feasible === false) - (b.feasible === false) || a.required - b.required);
+}
+
+/**
+ * Explain a candidate's score in a challenge
+ * @param {Object} db - Database adapter
+ * @param {string} challengeId - Challenge
+ * @param {string} userId - Candidate
+ * @returns {Object|null} Explanation, null when the candidate is not ranked
+ */
+async function buildScoreExplanation(db, challengeId, userId) {
+  const standing = await getUserStanding(db, challengeId, userId, 0);
+  if (!standing) {
+    return null;
+  }
+
+  const entry = { ...standing, challenge_id: challengeId };
+  // The criteria the stored ranking was calculated with, which may be older than the current ones
+  const [criteria, { breakdown, source }, next] = await Promise.all([
+    db.getRecruiterCriteria(challengeId, standing.criteria_version || null),
+    getBreakdown(db, entry),
+    getNextRank(db, challengeId, standing.rank)
+  ]);
+  const normalization = (criteria && criteria.normalization) || 'none';
+
+  const dimensions = Object.entries(breakdown).map(([key, dimension]) => ({
+    key,
+    label: dimension.label,
+    score: dimension.score,
+    normalizedScore: dimension.normalizedScore !== undefined ? dimension.normalizedScore : null,
+    weight: dimension.weight,
+    contribution: round(dimension.contribution),
+    // Share of the final score this dimension accounts for
+    percentOfFinalScore: standing.final_score > 0 ? round((dimension.contribution / standing.final_score) * 100) : 0
+  }));
+
+  let nextRank = null;
+  let improvements = [];
+  if (next) {
+    const nextUser = await db.getUser(next.user_id);
+    const gap = round(next.final_score - standing.final_score);
+    const pointsNeeded = round(gap + SCORE_STEP);
+    nextRank = {
+      rank: next.rank,
+      user_id: next.user_id,
+      name: nextUser ? nextUser.name : next.user_id,
+      final_score: next.final_score,
+      gap,
+      pointsNeeded
+    };
+    improvements = getImprovements(dimensions, pointsNeeded, normalization);
+  }
+
+  const fastest = improvements.find(improvement => improvement.feasible !== false) || null;
+  return {
+    challengeId,
+    userId,
+    name: standing.name,
+    rank: standing.rank,
+    finalScore: standing.final_score,
+    totalParticipants: standing.totalParticipants,
+    percentile: standing.percentile,
+    criteriaVersion: standing.criteria_version || null,
+    normalization,
+    breakdownSource: source,
+    breakdown: dimensions,
+    nextRank,
+    improvements,
+    fastestImprovement: fastest ? fastest.key : null
+  };
+}
+
+module.exports = {
+  buildScoreExplanation
+};
@@ -0,0 +1,191 @@
+// Ranking computed inside the database: the weighted sum, the counted attempt and the rank
+// come from window functions (SQLite 3.25+ and Postgres), and final_rankings is filled by a
+// single INSERT ... SELECT instead of pulling every ai_scores row into Node.
+//
+// Results match ScoreCalculator.processChallengeScores, including its rounding and tie-breakers.
+// One difference remains: candidates tied on score, submission time and every dimension are
+// ordered by the database's collation of user_id rather than localeCompare, which only matters
+// for ordinal ranks.
+const ScoreCalculator = require('./scoreCalculator');
+const {
+  DEFAULT_DIMENSIONS,
+  DIMENSION_KEY_PATTERN,
+  resolveDimensions,
+  contributionField,
+  parseJSONField
+} = require('./dimensions');
+
+// Normalization and averaged attempts need the whole cohort in Node
+const SQL_ATTEMPT_POLICIES = ['latest', 'best'];
+
+const DIALECTS = {
+  sqlite: {
+    param: () => '?',
+    // json_object keeps only 15 significant digits; printf('%!.17g') round-trips the double exactly
+    jsonNumber: sql => `json(printf('%!.17g', ${sql}))`,
+    jsonObject: 'json_object',
+    column: column => `ai.${column}`,
+    extraScore: key => `json_extract(ai.dimension_scores, '$.${key}')`,
+    // Math.round(value * 100) / 100 for the non-negative scores this ranks
+    round: sql => `CAST((${sql}) * 100 + 0.5 AS INTEGER) / 100.0`
+  },
+  postgres: {
+    param: (index, type) => `CAST($${index} AS ${type})`,
+    jsonNumber: sql => sql,
+    jsonObject: 'jsonb_build_object',
+    // REAL columns are read through their text form, the same digits pg hands to Node
+    column: column => `CAST(CAST(ai.${column} AS TEXT) AS DOUBLE PRECISION)`,
+    extraScore: key => `CAST(ai.dimension_scores ->> '${key}' AS DOUBLE PRECISION)`,
+    round: sql => `FLOOR((${sql}) * 100 + 0.5) / 100`
+  }
+};
+
+const RANK_EXPRESSIONS = {
+  competition: () => 'RANK() OVER (ORDER BY final_score DESC)',
+  dense: () => 'DENSE_RANK() OVER (ORDER BY final_score DESC)',
+  ordinal: tieBreakers => `ROW_NUMBER() OVER (ORDER BY final_score DESC, ${tieBreakers})`,
+  fractional: () => '(2 * RANK() OVER (ORDER BY final_score DESC) + COUNT(*) OVER (PARTITION BY final_score) - 1) / 2.0'
+};
+
+// Which attempt counts: the newest, or the best with the earliest winning a tie
+const ATTEMPT_ORDER = {
+  latest: 'submitted_at DESC, id DESC',
+  best: 'final_score DESC, submitted_at ASC, id ASC'
+};
+
+/**
+ * Whether criteria can be ranked in SQL; the rest go through ScoreCalculator
+ * @param {Object} criteria - Recruiter criteria
+ * @returns {boolean} True for unnormalized criteria counting the latest or best attempt
+ */
+function canRankInDatabase(criteria) {
+  return (criteria.normalization || 'none') === 'none' &&
+    SQL_ATTEMPT_POLICIES.includes(criteria.attempt_policy || 'latest') &&
+    ScoreCalculator.RANKING_POLICIES.includes(criteria.ranking_policy || 'competition');
+}
+
+/**
+ * The INSERT ... SELECT that ranks a challenge's scores into final_rankings. The caller
+ * clears the challenge's previous rows in the same transaction.
+ * @param {string} dialect - 'sqlite' or 'postgres'
+ * @param {string} challengeId - Challenge
+ * @param {Object} criteria - Recruiter criteria accepted by canRankInDatabase
+ * @returns {Object} { sql, params }
+ */
+function buildRankingStatement(dialect, challengeId, criteria) {
+  const sql = DIALECTS[dialect];
+  const dimensions = resolveDimensions(criteria);
+  ScoreCalculator.checkWeights(dimensions);
+  for (const dimension of dimensions) {
+    // Keys end up in JSON paths, so only the validated form is accepted
+    if (!DIMENSION_KEY_PATTERN.test(dimension.key)) {
+      throw new Error(`Invalid dimension key: ${dimension.key}`);
+    }
+  }
+
+  // Placeholders are numbered in the order they appear, so the SQL is built front to back
+  const params = [];
+  const param = (value, type) => {
+    params.push(value);
+    return sql.param(params.length, type);
+  };
+
+  const scores = dimensions.map((dimension, index) => {
+    const extra = sql.extraScore(dimension.key);
+    const score = dimension.scoreField ? `COALESCE(${sql.column(dimension.scoreField)}, ${extra}, 0)` : `COALESCE(${extra}, 0)`;
+    return `${score} AS score_${index}`;
+  });
+  const attempts = `attempts AS (
+    SELECT ai.id, ai.user_id, ai.challenge_id, ai.submitted_at, ${scores.join(', ')}
+    FROM ai_scores ai
+    WHERE ai.challenge_id = ${param(challengeId, 'TEXT')}
+  )`;
+
+  const weighted = `weighted AS (
+    SELECT attempts.*, ${dimensions.map((dimension, index) => `score_${index} * ${param(dimension.weight, 'DOUBLE PRECISION')} AS contribution_${index}`).join(', ')}
+    FROM attempts
+  )`;
+
+  const totals = `totals AS (
+    SELECT weighted.*, ${sql.round(dimensions.map((dimension, index) => `contribution_${index}`).join(' + '))} AS final_score
+    FROM weighted
+  )`;
+
+  const policy = criteria.attempt_policy || 'latest';
+  const counted = `counted AS (
+    SELECT totals.*,
+           COUNT(*) OVER (PARTITION BY user_id) AS attempt_count,
+           ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY ${ATTEMPT_ORDER[policy]}) AS attempt_order
+    FROM totals
+  )`;
+
+  // ScoreCalculator.compareTieBreakers: earlier submission, then each dimension's score, then user id
+  const tieBreakers = ['submitted_at ASC', ...dimensions.map((dimension, index) => `score_${index} DESC`), 'user_id ASC'].join(', ');
+  const ranked = `ranked AS (
+    SELECT counted.*, ${RANK_EXPRESSIONS[criteria.ranking_policy || 'competition'](tieBreakers)} AS rank
+    FROM counted
+    WHERE attempt_order = 1
+  )`;
+
+  const legacyContributions = DEFAULT_DIMENSIONS.map(builtIn => {
+    const index = dimensions.findIndex(dimension => dimension.key === builtIn.key);
+    return index === -1 ? '0' : sql.round(`contribution_${index}`);
+  });
+  const contributions = `${sql.jsonObject}(${dimensions.map((dimension, index) =>
+    `'${dimension.key}', ${sql.jsonNumber(sql.round(`contribution_${index}`))}`).join(', ')})`;
+  const breakdown = `${sql.jsonObject}(${dimensions.map((dimension, index) =>
+    `'${dimension.key}', ${sql.jsonObject}('label', ${param(dimension.label, 'TEXT')}, 'score', ${sql.jsonNumber(`score_${index}`)}, 'weight', ${sql.jsonNumber(param(dimension.weight, 'DOUBLE PRECISION'))}, 'contribution', ${sql.jsonNumber(`contribution_${index}`)})`).join(', ')})`;
+
+  return {
+    sql: `WITH ${[attempts, weighted, totals, counted, ranked].join(',\n')}
+    INSERT INTO final_rankings
+      (user_id, challenge_id, final_score, rank, ${DEFAULT_DIMENSIONS.map(dimension => `${dimension.key}_contribution`).join(', ')}, contributions, normalized_scores, breakdown, attempt_id, attempt_count, criteria_version)
+    SELECT user_id, challenge_id, final_score, rank, ${legacyContributions.join(', ')}, ${contributions}, NULL, ${breakdown}, id, attempt_count, ${param(criteria.version || null, 'INTEGER')}
+    FROM ranked`,
+    params
+  };
+}
+
+/**
+ * Turn final_rankings rows written by buildRankingStatement back into the rankings
+ * ScoreCalculator.processChallengeScores returns, in the same order
+ * @param {Array} rows - final_rankings rows with the counted attempt's submitted_at
+ * @param {Object} criteria - Criteria the rows were ranked with
+ * @returns {Array} Rankings
+ */
+function toRankings(rows, criteria) {
+  const dimensions = resolveDimensions(criteria);
+  // JSONB does not keep key order, and the tie-breakers read the breakdown in declaration order
+  const inDimensionOrder = map => Object.fromEntries(dimensions.map(dimension => [dimension.key, map[dimension.key]]));
+
+  return rows
+    .map(row => {
+      const contributions = inDimensionOrder(parseJSONField(row.contributions, {}));
+      const ranking = {
+        userId: row.user_id,
+        challengeId: row.challenge_id,
+        submittedAt: row.submitted_at,
+        attemptId: row.attempt_id,
+        attemptIds: [row.attempt_id],
+        attemptCount: row.attempt_count,
+        criteriaVersion: row.criteria_version,
+        finalScore: row.final_score,
+        contributions,
+        normalizedScores: null,
+        breakdown: inDimensionOrder(parseJSONField(row.breakdown, {}))
+      };
+      for (const dimension of DEFAULT_DIMENSIONS) {
+        ranking[contributionField(dimension.key)] = contributions[dimension.key] || 0;
+      }
+      ranking.rank = row.rank;
+      return ranking;
+    })
+    .sort((a, b) => (b.finalScore - a.finalScore) || ScoreCalculator.compareTieBreakers(a, b));
+}
+
+module.exports = {
+  SQL_ATTEMPT_POLICIES,
+  canRankInDatabase,
+  buildRankingStatement,
+  toRankings
+};
@@ -0,0 +1,106 @@
+// One sqlite3 connection shared by every request, with transactions that other callers cannot
+// interleave with: while a transaction is open, their statements are held and then issued in order.
+
+// The statement methods DatabaseAdapter calls; each takes (sql, [params], [callback])
+const STATEMENT_METHODS = ['run', 'get', 'all'];
+
+class SQLiteQueue {
+  /**
+   * @param {Object} connection - sqlite3.Database
+   */
+  constructor(connection) {
+    this.connection = connection;
+    // Tail of the chain of transactions, which run one at a time
+    this.transactions = Promise.resolve();
+    // Statements waiting for the open transaction to end (null when none is open)
+    this.held = null;
+    // Statements issued outside a transaction that have not finished yet
+    this.inFlight = 0;
+    this.onIdle = null;
+
+    for (const method of STATEMENT_METHODS) {
+      this[method] = (...args) => {
+        this.issue(method, args);
+        return this;
+      };
+    }
+  }
+
+  issue(method, args) {
+    if (this.held) {
+      this.held.push(() => this.issue(method, args));
+      return;
+    }
+
+    this.inFlight++;
+    const done = () => {
+      this.inFlight--;
+      if (this.inFlight === 0 && this.onIdle) this.onIdle();
+    };
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    // sqlite3 reports lastID and changes on `this`, so the callback keeps its receiver
+    this.connection[method](...args, function(...results) {
+      done();
+      if (callback) callback.apply(this, results);
+    });
+  }
+
+  // Resolves once the statements already issued have finished, so none of them runs inside a transaction
+  idle() {
+    if (this.inFlight === 0) return Promise.resolve();
+    return new Promise(resolve => {
+      this.onIdle = () => {
+        this.onIdle = null;
+        resolve();
+      };
+    });
+  }
+
+  // Promise form of a statement on the raw connection, for use inside a transaction
+  execute(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  /**
+   * Run `body` inside BEGIN ... COMMIT, after any transaction already queued. The body gets
+   * `run(sql, params)` resolving to { lastID, changes }; if it throws, the transaction is rolled back.
+   * @param {Function} body - async (run) => result
+   * @returns {Promise} The body's result
+   */
+  transaction(body) {
+    const result = this.transactions.then(async () => {
+      this.held = [];
+      try {
+        await this.idle();
+        await this.execute('BEGIN TRANSACTION');
+        try {
+          const value = await body((sql, params) => this.execute(sql, params));
+          await this.execute('COMMIT');
+          return value;
+        } catch (error) {
+          // The body's error is the one worth reporting, not a failed rollback
+          await this.execute('ROLLBACK').catch(() => {});
+          throw error;
+        }
+      } finally {
+        const held = this.held;
+        this.held = null;
+        held.forEach(issue => issue());
+      }
+    });
+    // A failed transaction must not stop the ones queued after it
+    this.transactions = result.catch(() => {});
+    return result;
+  }
+
+  close(callback) {
+    this.transactions.then(() => this.connection.close(callback));
+  }
+}
+
+module.exports = SQLiteQueue;
@@ -1,127 +1,69 @@
 // Supabase database adapter for production
 const { createClient } = require('@supabase/supabase-js');
+const { getExtraDimensionScores, getLegacyWeights, getRowContributions } = require('./dimensions');
+const { AUDIT_ACTIONS, actorFields, challengeSnapshot, lifecycleSnapshot, rankingSnapshot } = require('./audit');
+const { DEFAULT_STATUS } = require('./challengeLifecycle');
+const { recalculateChallengeRankings } = require('./rankingService');
+
+// final_rankings columns for a saveFinalRanking payload
+function toRankingRow(rankingData) {
+  const {
+    userId, challengeId, finalScore, rank,
+    logicContribution, clarityContribution, testingContribution, efficiencyContribution,
+    apiUiContribution = 0, edgeCasesContribution = 0, creativityContribution = 0,
+    contributions = null, normalizedScores = null, breakdown = null,
+    attemptId = null, attemptCount = 1, criteriaVersion = null
+  } = rankingData;
+
+  return {
+    user_id: userId,
+    challenge_id: challengeId,
+    final_score: finalScore,
+    rank,
+    logic_contribution: logicContribution,
+    clarity_contribution: clarityContribution,
+    testing_contribution: testingContribution,
+    efficiency_contribution: efficiencyContribution,
+    api_ui_contribution: apiUiContribution,
+    edge_cases_contribution: edgeCasesContribution,
+    creativity_contribution: creativityContribution,
+    contributions,
+    normalized_scores: normalizedScores,
+    breakdown,
+    attempt_id: attemptId,
+    attempt_count: attemptCount,
+    criteria_version: criteriaVersion
+  };
+}
 
 class SupabaseAdapter {
-  constructor() {
-    this.isProduction = process.env.NODE_ENV === 'production';
+  /**
+   * @param {Object} options - { client: Supabase client to use instead of one created from SUPABASE_URL }
+   */
+  constructor(options = {}) {
+    this.isProduction = options.client !== undefined || process.env.NODE_ENV === 'production';
     
     if (this.isProduction) {
       const supabaseUrl = process.env.SUPABASE_URL;
       const supabaseKey = process.env.SUPABASE_ANON_KEY;
       
-      if (!supabaseUrl || !supabaseKey) {
+      if (!options.client && (!supabaseUrl || !supabaseKey)) {
         throw new Error('Supabase URL and Key are required for production');
       }
       
-      this.supabase = createClient(supabaseUrl, supabaseKey);
+      this.supabase = options.client || createClient(supabaseUrl, supabaseKey);
+      // The schema is managed by `npm run migrate` (server/migrations), not created at runtime
+      this.ready = Promise.resolve();
       console.log('Using Supabase database for production');
     } else {
       // For development, use the existing SQLite adapter
       const DatabaseAdapter = require('./database-adapter');
       this.db = new DatabaseAdapter();
+      this.ready = this.db.ready;
       console.log('Using SQLite database for development');
     }
   }
 
-  async init() {
-    if (this.isProduction) {
-      // Initialize Supabase tables if they don't exist
-      await this.createTables();
-    } else {
-      await this.db.init();
-    }
-  }
-
-  async createTables() {
-    if (!this.isProduction) return;
-
-    // Create tables using Supabase SQL
-    const tables = [
-      // Users table
-      `CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        user_id TEXT UNIQUE NOT NULL,
-        name TEXT NOT NULL,
-        email TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      )`,
-      
-      // Challenges table
-      `CREATE TABLE IF NOT EXISTS challenges (
-        id SERIAL PRIMARY KEY,
-        challenge_id TEXT UNIQUE NOT NULL,
-        title TEXT NOT NULL,
-        description TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      )`,
-      
-      // AI Scores table
-      `CREATE TABLE IF NOT EXISTS ai_scores (
-        id SERIAL PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        challenge_id TEXT NOT NULL,
-        ai_score REAL NOT NULL,
-        code_quality REAL NOT NULL,
-        testing_rate REAL NOT NULL,
-        logic_score REAL NOT NULL,
-        clarity_score REAL NOT NULL,
-        efficiency_score REAL NOT NULL,
-        api_ui_score REAL NOT NULL DEFAULT 0,
-        edge_cases_score REAL NOT NULL DEFAULT 0,
-        creativity_score REAL NOT NULL DEFAULT 0,
-        submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        FOREIGN KEY (user_id) REFERENCES users (user_id),
-        FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
-      )`,
-      
-      // Recruiter Criteria table
-      `CREATE TABLE IF NOT EXISTS recruiter_criteria (
-        id SERIAL PRIMARY KEY,
-        challenge_id TEXT NOT NULL,
-        logic_weight REAL NOT NULL DEFAULT 0.25,
-        clarity_weight REAL NOT NULL DEFAULT 0.30,
-        testing_weight REAL NOT NULL DEFAULT 0.0,
-        efficiency_weight REAL NOT NULL DEFAULT 0.0,
-        api_ui_weight REAL NOT NULL DEFAULT 0.20,
-        edge_cases_weight REAL NOT NULL DEFAULT 0.15,
-        creativity_weight REAL NOT NULL DEFAULT 0.10,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
-      )`,
-      
-      // Final Rankings table
-      `CREATE TABLE IF NOT EXISTS final_rankings (
-        id SERIAL PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        challenge_id TEXT NOT NULL,
-        final_score REAL NOT NULL,
-        rank INTEGER NOT NULL,
-        logic_contribution REAL NOT NULL,
-        clarity_contribution REAL NOT NULL,
-        testing_contribution REAL NOT NULL,
-        efficiency_contribution REAL NOT NULL,
-        api_ui_contribution REAL NOT NULL DEFAULT 0,
-        edge_cases_contribution REAL NOT NULL DEFAULT 0,
-        creativity_contribution REAL NOT NULL DEFAULT 0,
-        calculated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        FOREIGN KEY (user_id) REFERENCES users (user_id),
-        FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
-      )`
-    ];
-
-    for (const table of tables) {
-      try {
-        const { error } = await this.supabase.rpc('exec_sql', { sql: table });
-        if (error) {
-          console.log('Table might already exist:', error.message);
-        }
-      } catch (error) {
-        console.log('Error creating table:', error.message);
-      }
-    }
-  }
-
   // User operations
   async createUser(userId, name, email = null) {
     if (this.isProduction) {
@@ -154,33 +96,93 @@ class SupabaseAdapter {
   }
 
   // Challenge operations
-  async createChallenge(challengeId, title, description = null) {
+  async createChallenge(challengeId, title, description = null, lifecycle = {}, tags = []) {
     if (this.isProduction) {
+      // Creating an existing challenge again renames it; its lifecycle only moves through updateChallengeLifecycle
+      const { data: renamed, error: renameError } = await this.supabase
+        .from('challenges')
+        .update({ title, description })
+        .eq('challenge_id', challengeId)
+        .select();
+
+      if (renameError) throw renameError;
+      if (renamed.length > 0) return renamed[0];
+
+      const { status = DEFAULT_STATUS, starts_at = null, ends_at = null } = lifecycle;
       const { data, error } = await this.supabase
         .from('challenges')
-        .upsert({ challenge_id: challengeId, title, description })
+        .insert({ challenge_id: challengeId, title, description, status, tags, starts_at, ends_at })
         .select()
         .single();
       
       if (error) throw error;
       return data;
     } else {
-      return await this.db.createChallenge(challengeId, title, description);
+      return await this.db.createChallenge(challengeId, title, description, lifecycle, tags);
+    }
+  }
+
+  async getChallenge(challengeId) {
+    if (this.isProduction) {
+      const { data, error } = await this.supabase
+        .from('challenges')
+        .select('*')
+        .eq('challenge_id', challengeId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } else {
+      return await this.db.getChallenge(challengeId);
+    }
+  }
+
+  async updateChallengeLifecycle(challengeId, changes, actor = null) {
+    if (this.isProduction) {
+      const before = await this.getChallenge(challengeId);
+      if (!before) {
+        return null;
+      }
+
+      const update = { ...changes };
+      if (changes.status === 'closed' && before.status !== 'closed') {
+        update.closed_at = new Date().toISOString();
+      }
+
+      const { data, error } = await this.supabase
+        .from('challenges')
+        .update(update)
+        .eq('challenge_id', challengeId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      await this.recordAudit({
+        actor,
+        action: AUDIT_ACTIONS.CHALLENGE_LIFECYCLE,
+        challengeId,
+        before: lifecycleSnapshot(before),
+        after: lifecycleSnapshot(data)
+      });
+      return data;
+    } else {
+      return await this.db.updateChallengeLifecycle(challengeId, changes, actor);
     }
   }
 
   // AI Score operations
-  async submitAIScore(scoreData) {
+  async submitAIScore(scoreData, actor = null) {
     const { 
-      user_id, challenge_id, ai_score, code_quality, testing_rate, 
-      logic_score, clarity_score, efficiency_score, 
+      user_id, challenge_id, ai_score, code_quality, testing_rate = 0, 
+      logic_score = 0, clarity_score = 0, efficiency_score = 0, 
       api_ui_score = 0, edge_cases_score = 0, creativity_score = 0 
     } = scoreData;
+    const extraScores = getExtraDimensionScores(scoreData);
 
     if (this.isProduction) {
       const { data, error } = await this.supabase
         .from('ai_scores')
-        .upsert({
+        .insert({
           user_id,
           challenge_id,
           ai_score,
@@ -191,30 +193,95 @@ class SupabaseAdapter {
           efficiency_score,
           api_ui_score,
           edge_cases_score,
-          creativity_score
+          creativity_score,
+          dimension_scores: Object.keys(extraScores).length > 0 ? extraScores : null
         })
         .select()
         .single();
       
       if (error) throw error;
+
+      await this.recordAudit({
+        actor,
+        action: AUDIT_ACTIONS.SCORE_SUBMIT,
+        challengeId: challenge_id,
+        target: user_id,
+        after: data
+      });
       return data;
     } else {
-      return await this.db.submitAIScore(scoreData);
+      return await this.db.submitAIScore(scoreData, actor);
+    }
+  }
+
+  async submitAIScores(scores, actor = null) {
+    if (this.isProduction) {
+      if (scores.length === 0) {
+        return [];
+      }
+      const challengeId = scores[0].challenge_id;
+
+      // Users are upserted first so the score rows' foreign keys resolve; re-running an upload is harmless for them
+      const users = new Map(scores.map(({ user_id, name, email = null }) => [user_id, { user_id, name: name || user_id, email }]));
+      const { error: userError } = await this.supabase
+        .from('users')
+        .upsert([...users.values()]);
+
+      if (userError) throw userError;
+
+      // A single multi-row insert is one statement, so PostgREST applies it all-or-nothing
+      const { data, error } = await this.supabase
+        .from('ai_scores')
+        .insert(scores.map(scoreData => {
+          const extraScores = getExtraDimensionScores(scoreData);
+          return {
+            user_id: scoreData.user_id,
+            challenge_id: scoreData.challenge_id,
+            ai_score: scoreData.ai_score,
+            code_quality: scoreData.code_quality,
+            testing_rate: scoreData.testing_rate || 0,
+            logic_score: scoreData.logic_score || 0,
+            clarity_score: scoreData.clarity_score || 0,
+            efficiency_score: scoreData.efficiency_score || 0,
+            api_ui_score: scoreData.api_ui_score || 0,
+            edge_cases_score: scoreData.edge_cases_score || 0,
+            creativity_score: scoreData.creativity_score || 0,
+            dimension_scores: Object.keys(extraScores).length > 0 ? extraScores : null
+          };
+        }))
+        .select();
+
+      if (error) throw error;
+
+      await this.recordAudit({
+        actor,
+        action: AUDIT_ACTIONS.SCORE_BULK_SUBMIT,
+        challengeId,
+        after: { inserted: data.length, user_ids: data.map(score => score.user_id) }
+      });
+      return data;
+    } else {
+      return await this.db.submitAIScores(scores, actor);
     }
   }
 
   // Recruiter Criteria operations
-  async setRecruiterCriteria(challengeId, criteria) {
+  async setRecruiterCriteria(challengeId, criteria, actor = null) {
+    // A declared dimension set still fills the legacy weight columns for its built-in dimensions
     const { 
       logic_weight, clarity_weight, testing_weight, efficiency_weight,
       api_ui_weight = 0.20, edge_cases_weight = 0.15, creativity_weight = 0.10
-    } = criteria;
+    } = criteria.dimensions ? { ...criteria, ...getLegacyWeights(criteria.dimensions) } : criteria;
 
     if (this.isProduction) {
+      // Every change is inserted as the next criteria version
+      const before = await this.getRecruiterCriteria(challengeId);
+      const version = before ? before.version + 1 : 1;
       const { data, error } = await this.supabase
         .from('recruiter_criteria')
-        .upsert({
+        .insert({
           challenge_id: challengeId,
+          version,
           logic_weight,
           clarity_weight,
           testing_weight,
@@ -222,57 +289,73 @@ class SupabaseAdapter {
           api_ui_weight,
           edge_cases_weight,
           creativity_weight,
+          dimensions: criteria.dimensions || null,
+          ranking_policy: criteria.ranking_policy || 'competition',
+          normalization: criteria.normalization || 'none',
+          attempt_policy: criteria.attempt_policy || 'latest',
+          attempt_window: criteria.attempt_window || 3,
           updated_at: new Date().toISOString()
         })
         .select()
         .single();
       
       if (error) throw error;
+
+      await this.recordAudit({
+        actor,
+        action: AUDIT_ACTIONS.CRITERIA_SET,
+        challengeId,
+        before,
+        after: { ...criteria, version }
+      });
       return data;
     } else {
-      return await this.db.setRecruiterCriteria(challengeId, criteria);
+      return await this.db.setRecruiterCriteria(challengeId, criteria, actor);
     }
   }
 
-  async getRecruiterCriteria(challengeId) {
+  async getRecruiterCriteria(challengeId, version = null) {
+    if (this.isProduction) {
+      let query = this.supabase
+        .from('recruiter_criteria')
+        .select('*')
+        .eq('challenge_id', challengeId);
+
+      if (version !== null) query = query.eq('version', version);
+
+      const { data, error } = await query
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    } else {
+      return await this.db.getRecruiterCriteria(challengeId, version);
+    }
+  }
+
+  async getCriteriaVersions(challengeId) {
     if (this.isProduction) {
       const { data, error } = await this.supabase
         .from('recruiter_criteria')
         .select('*')
         .eq('challenge_id', challengeId)
-        .single();
+        .order('version', { ascending: false });
       
-      if (error && error.code !== 'PGRST116') throw error;
+      if (error) throw error;
       return data;
     } else {
-      return await this.db.getRecruiterCriteria(challengeId);
+      return await this.db.getCriteriaVersions(challengeId);
     }
   }
 
   // Ranking operations
   async saveFinalRanking(rankingData) {
-    const { 
-      userId, challengeId, finalScore, rank, 
-      logicContribution, clarityContribution, testingContribution, efficiencyContribution,
-      apiUiContribution = 0, edgeCasesContribution = 0, creativityContribution = 0
-    } = rankingData;
-
     if (this.isProduction) {
       const { data, error } = await this.supabase
         .from('final_rankings')
-        .upsert({
-          user_id: userId,
-          challenge_id: challengeId,
-          final_score: finalScore,
-          rank,
-          logic_contribution: logicContribution,
-          clarity_contribution: clarityContribution,
-          testing_contribution: testingContribution,
-          efficiency_contribution: efficiencyContribution,
-          api_ui_contribution: apiUiContribution,
-          edge_cases_contribution: edgeCasesContribution,
-          creativity_contribution: creativityContribution
-        })
+        .upsert(toRankingRow(rankingData), { onConflict: 'user_id,challenge_id' })
         .select()
         .single();
       
@@ -283,79 +366,351 @@ class SupabaseAdapter {
     }
   }
 
-  async getLeaderboard(challengeId, limit = 100) {
+  async saveFinalRankings(rankings) {
     if (this.isProduction) {
+      if (rankings.length === 0) {
+        return [];
+      }
       const { data, error } = await this.supabase
         .from('final_rankings')
-        .select(`
-          user_id,
-          final_score,
-          rank,
-          logic_contribution,
-          clarity_contribution,
-          testing_contribution,
-          efficiency_contribution,
-          api_ui_contribution,
-          edge_cases_contribution,
-          creativity_contribution,
-          users!inner(name),
-          ai_scores!inner(
-            ai_score,
-            code_quality,
-            testing_rate,
-            logic_score,
-            clarity_score,
-            efficiency_score,
-            api_ui_score,
-            edge_cases_score,
-            creativity_score
-          )
-        `)
-        .eq('challenge_id', challengeId)
-        .order('rank', { ascending: true })
-        .limit(limit);
-      
+        .upsert(rankings.map(toRankingRow), { onConflict: 'user_id,challenge_id' })
+        .select();
+
       if (error) throw error;
-      
-      // Transform the data to match the expected format
-      return data.map(row => ({
-        user_id: row.user_id,
-        name: row.users.name,
-        final_score: row.final_score,
-        rank: row.rank,
-        logic_contribution: row.logic_contribution,
-        clarity_contribution: row.clarity_contribution,
-        testing_contribution: row.testing_contribution,
-        efficiency_contribution: row.efficiency_contribution,
-        api_ui_contribution: row.api_ui_contribution,
-        edge_cases_contribution: row.edge_cases_contribution,
-        creativity_contribution: row.creativity_contribution,
-        ai_score: row.ai_scores.ai_score,
-        code_quality: row.ai_scores.code_quality,
-        testing_rate: row.ai_scores.testing_rate,
-        logic_score: row.ai_scores.logic_score,
-        clarity_score: row.ai_scores.clarity_score,
-        efficiency_score: row.ai_scores.efficiency_score,
-        api_ui_score: row.ai_scores.api_ui_score,
-        edge_cases_score: row.ai_scores.edge_cases_score,
-        creativity_score: row.ai_scores.creativity_score
+      return data;
+    } else {
+      return await this.db.saveFinalRankings(rankings);
+    }
+  }
+
+  async replaceChallengeRankings(challengeId, rankings) {
+    if (this.isProduction) {
+      // One database function call, so the delete and the inserts commit together
+      const { error } = await this.supabase.rpc('replace_challenge_rankings', {
+        p_challenge_id: challengeId,
+        p_rankings: rankings.map(toRankingRow)
+      });
+
+      if (error) throw error;
+      return rankings;
+    } else {
+      return await this.db.replaceChallengeRankings(challengeId, rankings);
+    }
+  }
+
+  async saveRankingChanges(challengeId, rankings, ranks) {
+    if (this.isProduction) {
+      const { error } = await this.supabase.rpc('apply_ranking_changes', {
+        p_challenge_id: challengeId,
+        p_rankings: rankings.map(toRankingRow),
+        p_ranks: ranks.map(({ userId, rank }) => ({ user_id: userId, rank }))
+      });
+
+      if (error) throw error;
+    } else {
+      return await this.db.saveRankingChanges(challengeId, rankings, ranks);
+    }
+  }
+
+  async getFinalRankings(challengeId) {
+    if (this.isProduction) {
+      // Every candidate, however long the board: PostgREST caps each response, so read by pages
+      const pageSize = 1000;
+      const rankings = [];
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase
+          .from('final_rankings')
+          .select('user_id, final_score, rank, criteria_version')
+          .eq('challenge_id', challengeId)
+          .order('rank', { ascending: true })
+          .order('final_score', { ascending: false })
+          .order('user_id', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        rankings.push(...data);
+        if (data.length < pageSize) break;
+      }
+      return rankings;
+    } else {
+      return await this.db.getFinalRankings(challengeId);
+    }
+  }
+
+  async getLeaderboard(challengeId, limit = 100) {
+    if (this.isProduction) {
+      // leaderboard_entries joins each ranking with its counted attempt in SQL. PostgREST caps
+      // each response, so limits beyond a page are read a page at a time.
+      const pageSize = 1000;
+      const entries = [];
+      while (entries.length < limit) {
+        const size = Math.min(pageSize, limit - entries.length);
+        const { data, error } = await this.supabase
+          .from('leaderboard_entries')
+          .select('*')
+          .eq('challenge_id', challengeId)
+          .order('rank', { ascending: true })
+          .order('user_id', { ascending: true })
+          .range(entries.length, entries.length + size - 1);
+
+        if (error) throw error;
+        entries.push(...data);
+        if (data.length < size) break;
+      }
+
+      return entries.map(({ challenge_id, ...row }) => ({
+        ...row,
+        contributions: getRowContributions(row),
+        attempt_count: row.attempt_count || 1,
+        dimension_scores: row.dimension_scores || {}
       }));
     } else {
       return await this.db.getLeaderboard(challengeId, limit);
     }
   }
 
+  async getUserRanking(challengeId, userId, neighbours = 2) {
+    if (this.isProduction) {
+      const { data: entry, error } = await this.supabase
+        .from('leaderboard_entries')
+        .select('*')
+        .eq('challenge_id', challengeId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!entry) {
+        return null;
+      }
+
+      // Rows strictly before/after the candidate in (rank, user_id) order
+      const quotedId = `"${userId.replace(/["\\]/g, '\\$&')}"`;
+      const [aboveResult, belowResult, totalResult, lowerResult, equalResult] = await Promise.all([
+        this.supabase
+          .from('leaderboard_entries')
+          .select('*')
+          .eq('challenge_id', challengeId)
+          .or(`rank.lt.${entry.rank},and(rank.eq.${entry.rank},user_id.lt.${quotedId})`)
+          .order('rank', { ascending: false })
+          .order('user_id', { ascending: false })
+          .limit(neighbours),
+        this.supabase
+          .from('leaderboard_entries')
+          .select('*')
+          .eq('challenge_id', challengeId)
+          .or(`rank.gt.${entry.rank},and(rank.eq.${entry.rank},user_id.gt.${quotedId})`)
+          .order('rank', { ascending: true })
+          .order('user_id', { ascending: true })
+          .limit(neighbours),
+        this.supabase
+          .from('final_rankings')
+          .select('user_id', { count: 'exact', head: true })
+          .eq('challenge_id', challengeId),
+        this.supabase
+          .from('final_rankings')
+          .select('user_id', { count: 'exact', head: true })
+          .eq('challenge_id', challengeId)
+          .lt('final_score', entry.final_score),
+        this.supabase
+          .from('final_rankings')
+          .select('user_id', { count: 'exact', head: true })
+          .eq('challenge_id', challengeId)
+          .eq('final_score', entry.final_score)
+      ]);
+
+      for (const result of [aboveResult, belowResult, totalResult, lowerResult, equalResult]) {
+        if (result.error) throw result.error;
+      }
+
+      const toRow = row => ({ ...row, contributions: getRowContributions(row), dimension_scores: row.dimension_scores || {} });
+      return {
+        entry: toRow(entry),
+        above: aboveResult.data.reverse().map(toRow),
+        below: belowResult.data.map(toRow),
+        total: totalResult.count,
+        scoredLower: lowerResult.count,
+        scoredEqual: equalResult.count
+      };
+    } else {
+      return await this.db.getUserRanking(challengeId, userId, neighbours);
+    }
+  }
+
+  async queryLeaderboard(challengeId, options) {
+    if (this.isProduction) {
+      const { sortField, order, search, offset, limit } = options;
+      const ascending = order === 'asc';
+
+      let query = this.supabase
+        .from('leaderboard_entries')
+        .select('*', { count: 'exact' })
+        .eq('challenge_id', challengeId);
+
+      if (search) {
+        // LIKE wildcards in the search are literal; the value is quoted for PostgREST's or() syntax
+        const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`.replace(/["\\]/g, '\\$&');
+        query = query.or(`name.ilike."${pattern}",user_id.ilike."${pattern}"`);
+      }
+
+      // Missing custom-dimension values sort like the lowest score, as in the SQLite adapter.
+      // PostgREST cannot express the (value, user_id) keyset comparison on JSON paths, so
+      // cursors resume from the offset they carry.
+      const column = sortField.jsonKey ? `${sortField.column}->${sortField.jsonKey}` : sortField.column;
+      const { data, error, count } = await query
+        .order(column, { ascending, nullsFirst: ascending })
+        .order('user_id', { ascending })
+        .range(offset, offset + limit);
+
+      if (error) throw error;
+
+      const { count: total, error: totalError } = await this.supabase
+        .from('final_rankings')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('challenge_id', challengeId);
+
+      if (totalError) throw totalError;
+
+      return {
+        rows: data.slice(0, limit).map(row => ({
+          ...row,
+          contributions: getRowContributions(row),
+          dimension_scores: row.dimension_scores || {}
+        })),
+        total,
+        matched: count,
+        hasMore: data.length > limit
+      };
+    } else {
+      return await this.db.queryLeaderboard(challengeId, options);
+    }
+  }
+
   async getAllAIScores(challengeId) {
+    if (this.isProduction) {
+      // Read by pages like getFinalRankings, or attempts past the response cap go unranked
+      const pageSize = 1000;
+      const scores = [];
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase
+          .from('ai_scores')
+          .select('*')
+          .eq('challenge_id', challengeId)
+          .order('id', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        scores.push(...data);
+        if (data.length < pageSize) break;
+      }
+      return scores;
+    } else {
+      return await this.db.getAllAIScores(challengeId);
+    }
+  }
+
+  async getAttempts(challengeId, userId) {
     if (this.isProduction) {
       const { data, error } = await this.supabase
         .from('ai_scores')
         .select('*')
-        .eq('challenge_id', challengeId);
+        .eq('challenge_id', challengeId)
+        .eq('user_id', userId)
+        .order('submitted_at', { ascending: false })
+        .order('id', { ascending: false });
       
       if (error) throw error;
       return data;
     } else {
-      return await this.db.getAllAIScores(challengeId);
+      return await this.db.getAttempts(challengeId, userId);
+    }
+  }
+
+  async getAttemptsForUsers(challengeId, userIds) {
+    if (userIds.length === 0) {
+      return [];
+    }
+
+    if (this.isProduction) {
+      // Read by pages like getAllAIScores
+      const pageSize = 1000;
+      const attempts = [];
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await this.supabase
+          .from('ai_scores')
+          .select('*')
+          .eq('challenge_id', challengeId)
+          .in('user_id', userIds)
+          .order('submitted_at', { ascending: false })
+          .order('id', { ascending: false })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        attempts.push(...data);
+        if (data.length < pageSize) break;
+      }
+      return attempts;
+    } else {
+      return await this.db.getAttemptsForUsers(challengeId, userIds);
+    }
+  }
+
+  async getUserChallenges(userId) {
+    if (this.isProduction) {
+      const { data, error } = await this.supabase
+        .from('ai_scores')
+        .select('challenge_id, submitted_at')
+        .eq('user_id', userId);
+
+      if (error) throw error;
+
+      // PostgREST has no GROUP BY, so attempts are folded per challenge here
+      const byChallenge = new Map();
+      for (const attempt of data) {
+        const entry = byChallenge.get(attempt.challenge_id) || {
+          challenge_id: attempt.challenge_id,
+          attempt_count: 0,
+          first_submitted_at: attempt.submitted_at,
+          last_submitted_at: attempt.submitted_at
+        };
+        entry.attempt_count++;
+        if (attempt.submitted_at < entry.first_submitted_at) entry.first_submitted_at = attempt.submitted_at;
+        if (attempt.submitted_at > entry.last_submitted_at) entry.last_submitted_at = attempt.submitted_at;
+        byChallenge.set(attempt.challenge_id, entry);
+      }
+      return [...byChallenge.values()].sort((a, b) => b.last_submitted_at.localeCompare(a.last_submitted_at));
+    } else {
+      return await this.db.getUserChallenges(userId);
+    }
+  }
+
+  async getRankingsAcrossChallenges(challengeIds = null) {
+    if (this.isProduction) {
+      if (challengeIds && challengeIds.length === 0) {
+        return [];
+      }
+
+      // PostgREST caps each response, so read the rankings a page at a time
+      const pageSize = 1000;
+      const rankings = [];
+      for (let offset = 0; ; offset += pageSize) {
+        let query = this.supabase
+          .from('leaderboard_entries')
+          .select('challenge_id, user_id, name, final_score, rank')
+          .order('challenge_id', { ascending: true })
+          .order('user_id', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+        if (challengeIds) {
+          query = query.in('challenge_id', challengeIds);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+        rankings.push(...data);
+        if (data.length < pageSize) break;
+      }
+      return rankings;
+    } else {
+      return await this.db.getRankingsAcrossChallenges(challengeIds);
     }
   }
 
@@ -373,106 +728,140 @@ class SupabaseAdapter {
     }
   }
 
-  async deleteChallengeLeaderboard(challengeId) {
+  // Audit operations
+  async recordAudit({ actor = null, action, challengeId = null, target = null, before = null, after = null }) {
     if (this.isProduction) {
-      // Delete from ai_scores table
-      await this.supabase
-        .from('ai_scores')
-        .delete()
-        .eq('challenge_id', challengeId);
-      
-      // Delete from final_rankings table
-      await this.supabase
-        .from('final_rankings')
-        .delete()
-        .eq('challenge_id', challengeId);
+      const { data, error } = await this.supabase
+        .from('audit_log')
+        .insert({
+          ...actorFields(actor),
+          action,
+          challenge_id: challengeId,
+          target,
+          before_payload: before,
+          after_payload: after
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
     } else {
-      return await this.db.deleteChallengeLeaderboard(challengeId);
+      return await this.db.recordAudit({ actor, action, challengeId, target, before, after });
     }
   }
 
-  async deleteChallenge(challengeId) {
+  async getAuditLog({ challengeId = null, actor = null, action = null, from = null, to = null, limit = 100 } = {}) {
     if (this.isProduction) {
-      // Delete from ai_scores table
-      await this.supabase
-        .from('ai_scores')
-        .delete()
-        .eq('challenge_id', challengeId);
-      
-      // Delete from final_rankings table
-      await this.supabase
-        .from('final_rankings')
-        .delete()
-        .eq('challenge_id', challengeId);
-      
-      // Delete from recruiter_criteria table
-      await this.supabase
-        .from('recruiter_criteria')
-        .delete()
-        .eq('challenge_id', challengeId);
-      
-      // Delete from challenges table
-      await this.supabase
-        .from('challenges')
-        .delete()
-        .eq('challenge_id', challengeId);
+      let query = this.supabase
+        .from('audit_log')
+        .select('*')
+        .order('id', { ascending: false })
+        .limit(limit);
+
+      if (challengeId) query = query.eq('challenge_id', challengeId);
+      if (actor) query = query.eq('actor', actor);
+      if (action) query = query.eq('action', action);
+      if (from) query = query.gte('created_at', from);
+      if (to) query = query.lte('created_at', to);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data.map(({ before_payload, after_payload, ...row }) => ({
+        ...row,
+        before: before_payload,
+        after: after_payload
+      }));
     } else {
-      return await this.db.deleteChallenge(challengeId);
+      return await this.db.getAuditLog({ challengeId, actor, action, from, to, limit });
     }
   }
 
-  async deleteUserFromChallenge(challengeId, userId) {
+  /**
+   * Run one of migration 003's delete functions and check it removed every attempt read
+   * beforehand, so a delete the database refused cannot pass for a successful one
+   * @param {string} fn - Function name
+   * @param {Object} params - Its arguments
+   * @param {number} expected - Attempts the caller's snapshot counted
+   */
+  async deleteAttempts(fn, params, expected) {
+    const { data: deleted, error } = await this.supabase.rpc(fn, params);
+
+    if (error) {
+      throw error;
+    }
+    if (typeof deleted !== 'number' || deleted < expected) {
+      throw new Error(`${fn} removed ${deleted} of ${expected} attempts`);
+    }
+  }
+
+  async deleteChallengeLeaderboard(challengeId, actor = null) {
     if (this.isProduction) {
-      // Delete from ai_scores table
-      await this.supabase
-        .from('ai_scores')
-        .delete()
-        .eq('challenge_id', challengeId)
-        .eq('user_id', userId);
-      
-      // Delete from final_rankings table
-      await this.supabase
-        .from('final_rankings')
-        .delete()
-        .eq('challenge_id', challengeId)
-        .eq('user_id', userId);
-      
-      // Recalculate rankings for remaining users
-      await this.recalculateRankings(challengeId);
+      const before = await challengeSnapshot(this, challengeId);
+
+      await this.deleteAttempts('delete_challenge_scores', { p_challenge_id: challengeId }, before.attempts);
+
+      await this.recordAudit({ actor, action: AUDIT_ACTIONS.LEADERBOARD_DELETE, challengeId, before });
     } else {
-      return await this.db.deleteUserFromChallenge(challengeId, userId);
+      return await this.db.deleteChallengeLeaderboard(challengeId, actor);
     }
   }
 
-  async recalculateRankings(challengeId) {
+  async deleteChallenge(challengeId, actor = null) {
     if (this.isProduction) {
-      // Get all remaining scores for this challenge, ordered by final_score descending
-      const { data: scores, error } = await this.supabase
-        .from('ai_scores')
-        .select('*')
-        .eq('challenge_id', challengeId)
-        .order('final_score', { ascending: false });
-      
-      if (error) {
-        throw error;
-      }
-      
-      // Update rankings for all remaining users
-      const updatePromises = scores.map((score, index) => {
-        const newRank = index + 1;
-        return this.supabase
-          .from('final_rankings')
-          .update({ rank: newRank })
-          .eq('challenge_id', challengeId)
-          .eq('user_id', score.user_id);
-      });
-      
-      await Promise.all(updatePromises);
+      const before = await challengeSnapshot(this, challengeId);
+
+      // Scores, rankings, criteria and the challenge row go together
+      await this.deleteAttempts('delete_challenge', { p_challenge_id: challengeId }, before.attempts);
+
+      await this.recordAudit({ actor, action: AUDIT_ACTIONS.CHALLENGE_DELETE, challengeId, before });
+    } else {
+      return await this.db.deleteChallenge(challengeId, actor);
+    }
+  }
+
+  async deleteUserFromChallenge(challengeId, userId, actor = null) {
+    if (this.isProduction) {
+      const rankings = await this.getFinalRankings(challengeId);
+      const before = {
+        ranking: rankingSnapshot(rankings.filter(entry => entry.user_id === userId))[0] || null,
+        attempts: await this.getAttempts(challengeId, userId)
+      };
+
+      await this.deleteAttempts('delete_challenge_user', { p_challenge_id: challengeId, p_user_id: userId }, before.attempts.length);
+
+      // The caller re-ranks the remaining candidates afterwards (see rankingService)
+      await this.recordAudit({ actor, action: AUDIT_ACTIONS.USER_DELETE, challengeId, target: userId, before });
     } else {
-      return await this.db.recalculateRankings(challengeId);
+      return await this.db.deleteUserFromChallenge(challengeId, userId, actor);
     }
   }
 
+  /**
+   * Rank a challenge with window functions inside the database (see sqlRanking.js).
+   * supabase-js cannot run the ranking statement, so production leaves ranking to Node.
+   * @param {string} challengeId - Challenge
+   * @param {Object} criteria - Current recruiter criteria
+   * @returns {Array|null} Saved rankings, or null when the caller should rank in Node
+   */
+  async rankChallengeInDatabase(challengeId, criteria) {
+    if (this.isProduction) {
+      return null;
+    } else {
+      return await this.db.rankChallengeInDatabase(challengeId, criteria);
+    }
+  }
+
+  /**
+   * Re-rank a challenge from its stored scores under the current criteria, with the
+   * same weighting and tie policy as the calculate-rankings route
+   * @param {string} challengeId - Challenge
+   * @returns {Array} Saved rankings (empty when the challenge has no criteria or scores)
+   */
+  async recalculateRankings(challengeId) {
+    return recalculateChallengeRankings(this, challengeId);
+  }
+
   close() {
     if (!this.isProduction && this.db) {
       this.db.close();
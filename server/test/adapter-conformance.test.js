@@ -0,0 +1,347 @@
+// Behaviour every storage backend must share (see adapterContract.js). Run with `npm test`.
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseAdapter = require('../database-adapter');
+const Database = require('../database');
+const PostgresAdapter = require('../postgres-adapter');
+const { missingMethods } = require('../adapterContract');
+const { resolveDimensions } = require('../dimensions');
+const { parseLeaderboardQuery } = require('../leaderboardQuery');
+const { postgresConnection, migrateUp } = require('../migrator');
+
+// Runs against a real Postgres only when given one, e.g. TEST_DATABASE_URL=postgres://localhost/leaderboard_test.
+// The database is migrated and then emptied before every test, so never point this at real data.
+const { TEST_DATABASE_URL } = process.env;
+
+// Run fn with a pg client connected to the test database
+async function withPostgres(fn) {
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: TEST_DATABASE_URL });
+  await client.connect();
+  try {
+    await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+const BACKENDS = [
+  { name: 'SQLite', create: filename => new DatabaseAdapter({ memory: false, filename }) },
+  { name: 'in-memory store', create: () => new DatabaseAdapter({ memory: true }) },
+  { name: 'Database (database.js)', create: filename => new Database({ filename }) },
+  {
+    name: 'PostgreSQL',
+    skip: !TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against Postgres',
+    create: () => new PostgresAdapter({ connectionString: TEST_DATABASE_URL, max: 2 }),
+    setup: () => withPostgres(client => migrateUp(postgresConnection(client))),
+    // TRUNCATE skips the row triggers that keep audit_log append-only
+    reset: () => withPostgres(client => client.query(
+      'TRUNCATE users, challenges, ai_scores, recruiter_criteria, final_rankings, audit_log RESTART IDENTITY CASCADE'
+    ))
+  }
+];
+
+const CRITERIA = {
+  logic_weight: 0.5,
+  clarity_weight: 0.5,
+  testing_weight: 0,
+  efficiency_weight: 0,
+  api_ui_weight: 0,
+  edge_cases_weight: 0,
+  creativity_weight: 0
+};
+
+const score = (userId, challengeId, logic, clarity) => ({
+  user_id: userId,
+  challenge_id: challengeId,
+  ai_score: 80,
+  code_quality: 80,
+  testing_rate: 0,
+  logic_score: logic,
+  clarity_score: clarity,
+  efficiency_score: 0,
+  api_ui_score: 0,
+  edge_cases_score: 0,
+  creativity_score: 0
+});
+
+const ranking = (userId, challengeId, finalScore, rank) => ({
+  userId,
+  challengeId,
+  finalScore,
+  rank,
+  logicContribution: finalScore / 2,
+  clarityContribution: finalScore / 2,
+  testingContribution: 0,
+  efficiencyContribution: 0
+});
+
+const order = rows => rows.map(row => [row.user_id, row.rank]);
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} adapter`, { skip: backend.skip }, () => {
+    let db;
+    let filename;
+
+    if (backend.setup) {
+      before(backend.setup);
+    }
+
+    beforeEach(async () => {
+      if (backend.reset) {
+        await backend.reset();
+      }
+      filename = path.join(os.tmpdir(), `leaderboard-conformance-${process.pid}-${Date.now()}.db`);
+      db = backend.create(filename);
+      await db.ready;
+    });
+
+    afterEach(async () => {
+      await db.close();
+      fs.rmSync(filename, { force: true });
+    });
+
+    // Challenge c1 with criteria and three ranked candidates: alice 90, carol 80, bob 70
+    async function seedRankedChallenge() {
+      await db.createChallenge('c1', 'Challenge One');
+      await db.setRecruiterCriteria('c1', CRITERIA);
+      for (const [userId, name, points] of [['alice', 'Alice', 90], ['bob', 'Bob', 70], ['carol', 'Carol', 80]]) {
+        await db.createUser(userId, name);
+        await db.submitAIScore(score(userId, 'c1', points, points));
+      }
+      return db.recalculateRankings('c1');
+    }
+
+    it('implements the adapter contract', () => {
+      assert.deepEqual(missingMethods(db), []);
+    });
+
+    it('creates and reads users and challenges', async () => {
+      await db.createUser('alice', 'Alice', 'alice@example.com');
+      const user = await db.getUser('alice');
+      assert.equal(user.user_id, 'alice');
+      assert.equal(user.name, 'Alice');
+      assert.equal(user.email, 'alice@example.com');
+      assert.equal(await db.getUser('nobody'), null);
+
+      await db.createChallenge('c1', 'Challenge One', 'Build it', {}, ['backend']);
+      const challenge = await db.getChallenge('c1');
+      assert.equal(challenge.challenge_id, 'c1');
+      assert.equal(challenge.title, 'Challenge One');
+      assert.equal(challenge.status, 'open');
+      assert.deepEqual(challenge.tags, ['backend']);
+      assert.equal(await db.getChallenge('missing'), null);
+
+      const all = await db.getAllChallenges();
+      assert.deepEqual(all.map(entry => entry.challenge_id), ['c1']);
+    });
+
+    it('updates the challenge lifecycle', async () => {
+      await db.createChallenge('c1', 'Challenge One');
+      const closed = await db.updateChallengeLifecycle('c1', { status: 'closed' });
+      assert.equal(closed.status, 'closed');
+      assert.ok(closed.closed_at);
+      assert.equal(await db.updateChallengeLifecycle('missing', { status: 'closed' }), null);
+    });
+
+    it('keeps the lifecycle when a challenge is created again', async () => {
+      await db.createChallenge('c1', 'Challenge One', null, { ends_at: '2030-01-01T00:00:00.000Z' }, ['backend']);
+      const closed = await db.updateChallengeLifecycle('c1', { status: 'closed' });
+
+      const recreated = await db.createChallenge('c1', 'Challenge 1', 'Renamed', { status: 'open', ends_at: null }, []);
+
+      assert.equal(recreated.title, 'Challenge 1');
+      const challenge = await db.getChallenge('c1');
+      assert.equal(challenge.title, 'Challenge 1');
+      assert.equal(challenge.description, 'Renamed');
+      assert.equal(challenge.status, 'closed');
+      assert.equal(new Date(challenge.closed_at).getTime(), new Date(closed.closed_at).getTime());
+      assert.equal(new Date(challenge.ends_at).toISOString(), '2030-01-01T00:00:00.000Z');
+      assert.deepEqual(challenge.tags, ['backend']);
+    });
+
+    it('keeps every submission as an attempt', async () => {
+      await db.createChallenge('c1', 'Challenge One');
+      await db.createUser('alice', 'Alice');
+      await db.createUser('bob', 'Bob');
+      const first = await db.submitAIScore(score('alice', 'c1', 60, 60));
+      const second = await db.submitAIScore(score('alice', 'c1', 75, 75));
+      await db.submitAIScore(score('bob', 'c1', 50, 50));
+
+      assert.equal((await db.getAllAIScores('c1')).length, 3);
+      const attempts = await db.getAttempts('c1', 'alice');
+      assert.deepEqual(attempts.map(attempt => attempt.id), [second.id, first.id]);
+      assert.equal(attempts[0].logic_score, 75);
+      const both = await db.getAttemptsForUsers('c1', ['alice', 'bob', 'nobody']);
+      assert.deepEqual(both.map(attempt => attempt.user_id).sort(), ['alice', 'alice', 'bob']);
+      assert.deepEqual(await db.getAttemptsForUsers('c1', []), []);
+
+      const challenges = await db.getUserChallenges('alice');
+      assert.equal(challenges.length, 1);
+      assert.equal(challenges[0].challenge_id, 'c1');
+      assert.equal(challenges[0].attempt_count, 2);
+    });
+
+    it('submits a batch of scores together with their users', async () => {
+      await db.createChallenge('c1', 'Challenge One');
+      const inserted = await db.submitAIScores([
+        { ...score('alice', 'c1', 90, 90), name: 'Alice' },
+        { ...score('bob', 'c1', 70, 70), name: 'Bob' }
+      ]);
+      assert.equal(inserted.length, 2);
+      assert.ok(inserted.every(entry => entry.id !== undefined));
+      assert.equal((await db.getUser('bob')).name, 'Bob');
+      assert.equal((await db.getAllAIScores('c1')).length, 2);
+    });
+
+    it('stores every criteria change as a new version', async () => {
+      await db.createChallenge('c1', 'Challenge One');
+      await db.setRecruiterCriteria('c1', CRITERIA);
+      await db.setRecruiterCriteria('c1', { ...CRITERIA, logic_weight: 0.7, clarity_weight: 0.3 });
+
+      const current = await db.getRecruiterCriteria('c1');
+      assert.equal(current.version, 2);
+      assert.equal(current.logic_weight, 0.7);
+      assert.equal((await db.getRecruiterCriteria('c1', 1)).logic_weight, 0.5);
+      assert.deepEqual((await db.getCriteriaVersions('c1')).map(criteria => criteria.version), [2, 1]);
+      assert.equal(await db.getRecruiterCriteria('missing'), null);
+    });
+
+    it('ranks candidates and serves the leaderboard', async () => {
+      const rankings = await seedRankedChallenge();
+      assert.equal(rankings.length, 3);
+
+      assert.deepEqual(order(await db.getFinalRankings('c1')), [['alice', 1], ['carol', 2], ['bob', 3]]);
+
+      const leaderboard = await db.getLeaderboard('c1');
+      assert.deepEqual(order(leaderboard), [['alice', 1], ['carol', 2], ['bob', 3]]);
+      assert.equal(leaderboard[0].name, 'Alice');
+      assert.equal(leaderboard[0].final_score, 90);
+      assert.equal(leaderboard[0].logic_score, 90);
+      assert.equal(leaderboard[0].criteria_version, 1);
+      assert.equal(leaderboard[0].breakdown.logic.contribution, 45);
+
+      const standing = await db.getUserRanking('c1', 'carol', 1);
+      assert.equal(standing.entry.rank, 2);
+      assert.deepEqual(standing.above.map(row => row.user_id), ['alice']);
+      assert.deepEqual(standing.below.map(row => row.user_id), ['bob']);
+      assert.equal(standing.total, 3);
+      assert.equal(standing.scoredLower, 1);
+      assert.equal(await db.getUserRanking('c1', 'nobody'), null);
+
+      const across = await db.getRankingsAcrossChallenges(['c1']);
+      assert.equal(across.length, 3);
+      assert.ok(across.some(row => row.user_id === 'bob' && row.name === 'Bob' && row.rank === 3));
+    });
+
+    it('searches, sorts and pages the leaderboard', async () => {
+      await seedRankedChallenge();
+      const dimensions = resolveDimensions(await db.getRecruiterCriteria('c1'));
+
+      const { options } = parseLeaderboardQuery({ sort: 'final_score', order: 'asc', limit: '2' }, dimensions);
+      const page = await db.queryLeaderboard('c1', options);
+      assert.deepEqual(page.rows.map(row => row.user_id), ['bob', 'carol']);
+      assert.equal(page.total, 3);
+      assert.equal(page.matched, 3);
+      assert.equal(page.hasMore, true);
+
+      const search = parseLeaderboardQuery({ search: 'car' }, dimensions).options;
+      const found = await db.queryLeaderboard('c1', search);
+      assert.deepEqual(found.rows.map(row => row.user_id), ['carol']);
+      assert.equal(found.matched, 1);
+    });
+
+    it('recalculates rankings after scores and criteria change', async () => {
+      await seedRankedChallenge();
+
+      // Bob's new attempt counts under the default latest-attempt policy
+      await db.submitAIScore(score('bob', 'c1', 100, 100));
+      await db.recalculateRankings('c1');
+      assert.deepEqual(order(await db.getFinalRankings('c1')), [['bob', 1], ['alice', 2], ['carol', 3]]);
+
+      // Weighting only clarity, where Carol leads
+      await db.submitAIScore(score('carol', 'c1', 0, 100));
+      await db.setRecruiterCriteria('c1', { ...CRITERIA, logic_weight: 0, clarity_weight: 1 });
+      await db.recalculateRankings('c1');
+      const leaderboard = await db.getLeaderboard('c1');
+      assert.deepEqual(order(leaderboard), [['bob', 1], ['carol', 1], ['alice', 3]]);
+      assert.ok(leaderboard.every(row => row.criteria_version === 2));
+    });
+
+    it('replaces a whole ranking and applies incremental changes', async () => {
+      await seedRankedChallenge();
+
+      await db.replaceChallengeRankings('c1', [ranking('bob', 'c1', 95, 1), ranking('alice', 'c1', 90, 2)]);
+      assert.deepEqual(order(await db.getFinalRankings('c1')), [['bob', 1], ['alice', 2]]);
+
+      await db.saveRankingChanges('c1', [ranking('carol', 'c1', 99, 1)], [
+        { userId: 'bob', rank: 2 },
+        { userId: 'alice', rank: 3 }
+      ]);
+      const rows = await db.getFinalRankings('c1');
+      assert.deepEqual(order(rows), [['carol', 1], ['bob', 2], ['alice', 3]]);
+      // A rank change leaves the rest of the row alone
+      assert.equal(rows.find(row => row.user_id === 'bob').final_score, 95);
+    });
+
+    it('deletes a candidate from a challenge', async () => {
+      await seedRankedChallenge();
+
+      await db.deleteUserFromChallenge('c1', 'carol');
+      assert.deepEqual(await db.getAttempts('c1', 'carol'), []);
+      assert.deepEqual((await db.getFinalRankings('c1')).map(row => row.user_id), ['alice', 'bob']);
+
+      await db.recalculateRankings('c1');
+      assert.deepEqual(order(await db.getFinalRankings('c1')), [['alice', 1], ['bob', 2]]);
+      assert.ok(await db.getUser('carol'), 'the user record is kept');
+    });
+
+    it('clears a leaderboard but keeps the challenge and its criteria', async () => {
+      await seedRankedChallenge();
+
+      await db.deleteChallengeLeaderboard('c1');
+      assert.deepEqual(await db.getLeaderboard('c1'), []);
+      assert.deepEqual(await db.getAllAIScores('c1'), []);
+      assert.ok(await db.getChallenge('c1'));
+      assert.ok(await db.getRecruiterCriteria('c1'));
+    });
+
+    it('deletes a challenge without touching challenges with similar ids', async () => {
+      await seedRankedChallenge();
+      await db.createChallenge('c10', 'Challenge Ten');
+      await db.setRecruiterCriteria('c10', CRITERIA);
+      await db.submitAIScore(score('alice', 'c10', 50, 50));
+      await db.recalculateRankings('c10');
+
+      await db.deleteChallenge('c1');
+      assert.equal(await db.getChallenge('c1'), null);
+      assert.equal(await db.getRecruiterCriteria('c1'), null);
+      assert.deepEqual(await db.getAllAIScores('c1'), []);
+      assert.deepEqual(await db.getFinalRankings('c1'), []);
+
+      assert.ok(await db.getChallenge('c10'));
+      assert.ok(await db.getRecruiterCriteria('c10'));
+      assert.deepEqual(order(await db.getFinalRankings('c10')), [['alice', 1]]);
+      assert.deepEqual((await db.getAllChallenges()).map(entry => entry.challenge_id), ['c10']);
+    });
+
+    it('audits criteria changes, submissions and deletes, newest first', async () => {
+      const actor = { sub: 'rita', role: 'recruiter' };
+      await db.createChallenge('c1', 'Challenge One');
+      await db.setRecruiterCriteria('c1', CRITERIA, actor);
+      await db.submitAIScore(score('alice', 'c1', 90, 90), actor);
+      await db.deleteChallengeLeaderboard('c1', actor);
+
+      const entries = await db.getAuditLog({ challengeId: 'c1' });
+      assert.deepEqual(entries.map(entry => entry.action), ['leaderboard.delete', 'score.submit', 'criteria.set']);
+      assert.ok(entries.every(entry => entry.actor === 'rita' && entry.actor_role === 'recruiter'));
+      assert.equal(entries[2].after.version, 1);
+
+      const deletes = await db.getAuditLog({ action: 'leaderboard.delete' });
+      assert.equal(deletes.length, 1);
+    });
+  });
+}
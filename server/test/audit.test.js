@@ -0,0 +1,107 @@
+// Audit log query parsing and the snapshots stored with each entry
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseAdapter = require('../database-adapter');
+const { recalculateChallengeRankings } = require('../rankingService');
+const { actorFields, rankingSnapshot, lifecycleSnapshot, parseAuditQuery } = require('../audit');
+
+const CRITERIA = {
+  logic_weight: 1,
+  clarity_weight: 0,
+  testing_weight: 0,
+  efficiency_weight: 0,
+  api_ui_weight: 0,
+  edge_cases_weight: 0,
+  creativity_weight: 0
+};
+
+const score = (userId, logic) => ({ user_id: userId, challenge_id: 'c1', ai_score: 80, code_quality: 80, logic_score: logic, clarity_score: 0 });
+
+describe('parseAuditQuery', () => {
+  it('defaults to the latest 100 entries with no filters', () => {
+    assert.deepStrictEqual(parseAuditQuery({}), {
+      filters: { challengeId: null, actor: null, action: null, from: null, to: null, limit: 100 },
+      errors: []
+    });
+  });
+
+  it('normalizes dates to ISO strings and keeps the other filters', () => {
+    const { filters, errors } = parseAuditQuery({ challengeId: 'c1', actor: 'rita', action: 'criteria.set', from: '2024-01-01', to: '2024-01-31T12:00:00+02:00', limit: '5' });
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(filters, {
+      challengeId: 'c1', actor: 'rita', action: 'criteria.set',
+      from: '2024-01-01T00:00:00.000Z', to: '2024-01-31T10:00:00.000Z', limit: 5
+    });
+  });
+
+  it('rejects bad dates and limits outside 1 to 1000', () => {
+    assert.deepStrictEqual(parseAuditQuery({ from: 'yesterday', to: 'soon', limit: '1001' }).errors, [
+      'from must be a valid date',
+      'to must be a valid date',
+      'limit must be an integer between 1 and 1000'
+    ]);
+    assert.deepStrictEqual(parseAuditQuery({ limit: '0' }).errors, ['limit must be an integer between 1 and 1000']);
+  });
+});
+
+describe('audit snapshots', () => {
+  it('records anonymous and system calls without a role', () => {
+    assert.deepStrictEqual(actorFields({ sub: 'rita', role: 'recruiter' }), { actor: 'rita', actor_role: 'recruiter' });
+    assert.deepStrictEqual(actorFields(null), { actor: 'anonymous', actor_role: null });
+  });
+
+  it('keeps only ranks and scores of a leaderboard, and the lifecycle of a challenge', () => {
+    assert.deepStrictEqual(rankingSnapshot([{ user_id: 'alice', name: 'Alice', rank: 1, final_score: 90, logic_contribution: 90 }]),
+      [{ user_id: 'alice', rank: 1, final_score: 90 }]);
+    assert.deepStrictEqual(lifecycleSnapshot({ challenge_id: 'c1', title: 'One', status: 'open', ends_at: '2024-02-01T00:00:00.000Z' }),
+      { status: 'open', starts_at: null, ends_at: '2024-02-01T00:00:00.000Z', closed_at: null });
+  });
+});
+
+describe('audited ranking writes', () => {
+  const actor = { sub: 'rita', role: 'recruiter' };
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createChallenge('c1', 'Challenge One');
+    await db.setRecruiterCriteria('c1', CRITERIA, actor);
+    await db.submitAIScore(score('alice', 90));
+    await db.submitAIScore(score('bob', 70));
+  });
+
+  it('stores the leaderboard a recalculation replaced next to the new one', async () => {
+    await recalculateChallengeRankings(db, 'c1', actor);
+    await db.submitAIScore(score('bob', 95));
+    await recalculateChallengeRankings(db, 'c1', actor);
+
+    const [latest, first] = await db.getAuditLog({ action: 'rankings.calculate' });
+    assert.deepStrictEqual(first.before, { rankings: [] });
+    assert.deepStrictEqual(latest.before.rankings.map(entry => [entry.user_id, entry.rank]), [['alice', 1], ['bob', 2]]);
+    assert.deepStrictEqual(latest.after.rankings.map(entry => [entry.user_id, entry.rank]), [['bob', 1], ['alice', 2]]);
+    assert.equal(latest.actor, 'rita');
+  });
+
+  it('snapshots a challenge before a destructive delete', async () => {
+    await recalculateChallengeRankings(db, 'c1', actor);
+    await db.deleteChallengeLeaderboard('c1', { sub: 'ada', role: 'admin' });
+
+    const [entry] = await db.getAuditLog({ action: 'leaderboard.delete' });
+    assert.equal(entry.before.attempts, 2);
+    assert.equal(entry.before.criteria.logic_weight, 1);
+    assert.deepStrictEqual(entry.before.rankings.map(row => row.user_id), ['alice', 'bob']);
+    assert.deepStrictEqual([entry.actor, entry.actor_role], ['ada', 'admin']);
+  });
+
+  it('does not let entries be changed once written', async () => {
+    const [entry] = await db.getAuditLog({});
+    assert.ok(Object.isFrozen(entry));
+    assert.throws(() => Object.defineProperty(entry, 'action', { value: 'criteria.tampered' }), TypeError);
+  });
+
+  it('filters by actor and time', async () => {
+    assert.deepStrictEqual((await db.getAuditLog({ actor: 'rita' })).map(entry => entry.action), ['criteria.set']);
+    assert.deepStrictEqual(await db.getAuditLog({ from: '2999-01-01T00:00:00.000Z' }), []);
+  });
+});
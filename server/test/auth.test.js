@@ -0,0 +1,159 @@
+// Token signing, request authentication, role checks and the built-in issuer's opt-in
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { issueToken, verifyToken, authenticate, requireRole, assertAuthConfigured, devTokenIssuer } = require('../auth');
+
+const ENV_KEYS = ['AUTH_SECRET', 'AUTH_DEV_ISSUER', 'NODE_ENV', 'GRADER_API_KEYS'];
+
+// Just enough of an Express response to read what a handler sent
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+// Just enough of an Express request to carry headers and the caller
+const request = (headers = {}, user = undefined) => ({
+  user,
+  get: name => headers[Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase())]
+});
+
+// Run a middleware and report whether it called next
+const run = (middleware, req) => {
+  const res = response();
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { res, passed };
+};
+
+describe('auth configuration', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it('requires AUTH_SECRET whatever NODE_ENV says', () => {
+    for (const env of [undefined, 'development', 'test', 'production']) {
+      if (env === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = env;
+      assert.throws(() => assertAuthConfigured(), /AUTH_SECRET must be set/);
+      assert.throws(() => issueToken({ sub: 'alice', role: 'admin' }), /AUTH_SECRET must be set/);
+    }
+  });
+
+  it('only issues tokens when AUTH_DEV_ISSUER opts in', () => {
+    process.env.AUTH_SECRET = 'test-secret';
+    const req = { body: { userId: 'alice', role: 'admin' } };
+
+    for (const env of ['development', 'production']) {
+      process.env.NODE_ENV = env;
+      const res = response();
+      devTokenIssuer(req, res);
+      assert.equal(res.statusCode, 404);
+    }
+
+    process.env.AUTH_DEV_ISSUER = '1';
+    const res = response();
+    devTokenIssuer(req, res);
+    assert.equal(res.statusCode, 201);
+    const claims = verifyToken(res.body.token);
+    assert.equal(claims.sub, 'alice');
+    assert.equal(claims.role, 'admin');
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    process.env.AUTH_SECRET = 'first-secret';
+    const { token } = issueToken({ sub: 'alice', role: 'recruiter' });
+    assert.equal(verifyToken(token).sub, 'alice');
+
+    process.env.AUTH_SECRET = 'second-secret';
+    assert.equal(verifyToken(token), null);
+  });
+});
+
+describe('authenticate', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    process.env.AUTH_SECRET = 'test-secret';
+    process.env.GRADER_API_KEYS = 'key-one, key-two';
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it('attaches the caller from a bearer token', () => {
+    const { token } = issueToken({ sub: 'alice', role: 'recruiter' });
+    const req = request({ Authorization: `Bearer ${token}` });
+    assert.equal(run(authenticate, req).passed, true);
+    assert.deepStrictEqual(req.user, { sub: 'alice', role: 'recruiter' });
+  });
+
+  it('attaches the grading service from a listed API key', () => {
+    const req = request({ 'X-API-Key': 'key-two' });
+    assert.equal(run(authenticate, req).passed, true);
+    assert.deepStrictEqual(req.user, { sub: 'grading-service', role: 'grader' });
+  });
+
+  it('lets requests without credentials through anonymously', () => {
+    const req = request();
+    assert.equal(run(authenticate, req).passed, true);
+    assert.equal(req.user, undefined);
+  });
+
+  it('rejects unknown keys, forged tokens and expired tokens', () => {
+    const { token: expired } = issueToken({ sub: 'alice', role: 'admin' }, { ttlSeconds: -1 });
+    const { token } = issueToken({ sub: 'alice', role: 'candidate' });
+    const [payload, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ sub: 'alice', role: 'admin', exp: 9999999999 })).toString('base64url')}.${signature}`;
+
+    const cases = [
+      [{ 'X-API-Key': 'key-three' }, 'Invalid API key'],
+      [{ Authorization: `Bearer ${forged}` }, 'Invalid or expired token'],
+      [{ Authorization: `Bearer ${expired}` }, 'Invalid or expired token'],
+      [{ Authorization: `Bearer ${payload}` }, 'Invalid or expired token']
+    ];
+    for (const [headers, error] of cases) {
+      const { res, passed } = run(authenticate, request(headers));
+      assert.equal(passed, false);
+      assert.deepStrictEqual([res.statusCode, res.body], [401, { error }]);
+    }
+  });
+});
+
+describe('requireRole', () => {
+  const recruiterOrGrader = requireRole('recruiter', 'grader');
+
+  it('asks anonymous callers to authenticate', () => {
+    const { res, passed } = run(recruiterOrGrader, request());
+    assert.equal(passed, false);
+    assert.deepStrictEqual([res.statusCode, res.body], [401, { error: 'Authentication required' }]);
+  });
+
+  it('lets the listed roles and admins through', () => {
+    for (const role of ['recruiter', 'grader', 'admin']) {
+      assert.equal(run(recruiterOrGrader, request({}, { sub: 'u', role })).passed, true, role);
+    }
+  });
+
+  it('forbids every other role', () => {
+    const { res, passed } = run(recruiterOrGrader, request({}, { sub: 'u', role: 'candidate' }));
+    assert.equal(passed, false);
+    assert.deepStrictEqual([res.statusCode, res.body], [403, { error: 'Requires role: recruiter or grader' }]);
+  });
+});
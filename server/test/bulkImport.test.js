@@ -0,0 +1,104 @@
+// Bulk score uploads: format detection, CSV and NDJSON parsing, per-row validation
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDimensions } = require('../dimensions');
+const { detectFormat, parseCSV, parseNDJSON, prepareBulkScores } = require('../bulkImport');
+
+const BUILT_IN = resolveDimensions({});
+const DECLARED = resolveDimensions({ dimensions: [{ key: 'logic', weight: 0.6 }, { key: 'security', weight: 0.4 }] });
+
+describe('detectFormat', () => {
+  it('prefers ?format= and otherwise reads the Content-Type', () => {
+    assert.equal(detectFormat('text/plain', 'ndjson'), 'ndjson');
+    assert.equal(detectFormat('text/csv', 'xml'), null);
+    assert.equal(detectFormat('text/csv; charset=utf-8'), 'csv');
+    assert.equal(detectFormat('application/x-ndjson'), 'ndjson');
+    assert.equal(detectFormat('application/jsonl'), 'ndjson');
+    assert.equal(detectFormat('text/plain'), null);
+  });
+});
+
+describe('parseCSV', () => {
+  it('handles quoted commas, escaped quotes, line breaks in quotes and CRLF endings', () => {
+    const text = 'user_id,name\r\nalice,"Lovelace, Ada"\r\nbob,"Bob ""The Builder"""\r\n\r\ncarol,"Carol\nSecond line"\r\n';
+    const { records, errors } = parseCSV(text);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(records, [
+      { row: 2, data: { user_id: 'alice', name: 'Lovelace, Ada' } },
+      { row: 3, data: { user_id: 'bob', name: 'Bob "The Builder"' } },
+      { row: 5, data: { user_id: 'carol', name: 'Carol\nSecond line' } }
+    ]);
+  });
+
+  it('reports rows with the wrong number of columns and empty uploads', () => {
+    assert.deepStrictEqual(parseCSV('user_id,name\nalice\nbob,Bob').errors, [{ row: 2, errors: ['Expected 2 columns, got 1'] }]);
+    assert.deepStrictEqual(parseCSV('\n\n'), { records: [], errors: [{ row: 1, errors: ['CSV upload is empty'] }] });
+  });
+});
+
+describe('parseNDJSON', () => {
+  it('parses one object per line and reports the rest by line number', () => {
+    const { records, errors } = parseNDJSON('{"user_id":"alice"}\n\n[1,2]\n{oops\r\n{"user_id":"bob"}');
+    assert.deepStrictEqual(records.map(record => [record.row, record.data.user_id]), [[1, 'alice'], [5, 'bob']]);
+    assert.deepStrictEqual(errors.map(error => error.row), [3, 4]);
+    assert.deepStrictEqual(errors[0].errors, ['Each line must be a JSON object']);
+    assert.match(errors[1].errors[0], /^Invalid JSON: /);
+  });
+});
+
+describe('prepareBulkScores', () => {
+  const header = 'user_id,name,ai_score,code_quality,logic_score,clarity_score,testing_rate,notes';
+
+  it('keeps valid rows as AI scores and reports each invalid row', () => {
+    const text = [
+      header,
+      'alice,Alice,80,70,90,85,60,great',
+      'bob,Bob,80,seventy,90,85,60,',
+      'carol,Carol,80,70,90,150,60,',
+      ',Nobody,80,70,90,85,60,'
+    ].join('\n');
+
+    const { totalRows, valid, errors, ignoredColumns } = prepareBulkScores(text, 'csv', 'c1', BUILT_IN);
+
+    assert.equal(totalRows, 4);
+    assert.deepStrictEqual(valid, [{
+      challenge_id: 'c1', user_id: 'alice', name: 'Alice', ai_score: 80, code_quality: 70,
+      logic_score: 90, clarity_score: 85, testing_rate: 60
+    }]);
+    assert.deepStrictEqual(errors, [
+      { row: 3, user_id: 'bob', errors: ['code_quality must be a number between 0 and 100'] },
+      { row: 4, user_id: 'carol', errors: ['clarity_score must be a number between 0 and 100'] },
+      { row: 5, user_id: null, errors: ['Missing required field: user_id'] }
+    ]);
+    assert.deepStrictEqual(ignoredColumns, ['notes']);
+  });
+
+  it('reads declared dimensions from bare or dimension_scores.* columns', () => {
+    for (const column of ['security', 'dimension_scores.security']) {
+      const { valid } = prepareBulkScores(`user_id,ai_score,code_quality,logic_score,${column}\nalice,80,70,90,75\n`, 'csv', 'c1', DECLARED);
+      assert.deepStrictEqual(valid[0].dimension_scores, { security: 75 }, column);
+    }
+
+    const ndjson = '{"user_id":"bob","ai_score":80,"code_quality":70,"logic_score":60,"dimension_scores.security":55}\n' +
+      '{"user_id":"carol","ai_score":80,"code_quality":70,"logic_score":60,"dimension_scores":{"security":65}}';
+    const prepared = prepareBulkScores(ndjson, 'ndjson', 'c1', DECLARED);
+    assert.deepStrictEqual(prepared.valid.map(aiScore => aiScore.dimension_scores), [{ security: 55 }, { security: 65 }]);
+  });
+
+  it('rejects rows for another challenge and rows missing a required declared dimension', () => {
+    const ndjson = '{"user_id":"alice","challenge_id":"c2","ai_score":80,"code_quality":70,"logic_score":60,"security":50}\n' +
+      '{"user_id":"bob","ai_score":80,"code_quality":70,"logic_score":60}';
+    const { valid, errors } = prepareBulkScores(ndjson, 'ndjson', 'c1', DECLARED);
+    assert.deepStrictEqual(valid, []);
+    assert.deepStrictEqual(errors, [
+      { row: 1, user_id: 'alice', errors: ['challenge_id c2 does not match c1'] },
+      { row: 2, user_id: 'bob', errors: ['Missing required field: dimension_scores.security'] }
+    ]);
+  });
+
+  it('counts unparseable lines as rows with errors', () => {
+    const { totalRows, errors } = prepareBulkScores('not json\n{"user_id":"alice"}', 'ndjson', 'c1', BUILT_IN);
+    assert.equal(totalRows, 2);
+    assert.deepStrictEqual(errors.map(error => error.row), [1, 2]);
+  });
+});
@@ -0,0 +1,98 @@
+// Candidate profile across challenges, on the in-memory store
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseAdapter = require('../database-adapter');
+const { recalculateChallengeRankings } = require('../rankingService');
+const { buildCandidateProfile } = require('../candidateProfile');
+
+const BUILT_IN = {
+  logic_weight: 0.5,
+  clarity_weight: 0.5,
+  testing_weight: 0,
+  efficiency_weight: 0,
+  api_ui_weight: 0,
+  edge_cases_weight: 0,
+  creativity_weight: 0
+};
+const DECLARED = { dimensions: [{ key: 'logic', weight: 0.5 }, { key: 'security', weight: 0.5 }] };
+
+const score = (userId, challengeId, scores, submittedAt) => ({
+  user_id: userId, challenge_id: challengeId, ai_score: 80, code_quality: 80, testing_rate: 0, submitted_at: submittedAt, ...scores
+});
+
+const byKey = entries => Object.fromEntries(entries.map(({ key, ...rest }) => [key, rest]));
+
+describe('buildCandidateProfile', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createUser('alice', 'Alice', 'alice@example.com');
+    await db.createUser('bob', 'Bob');
+
+    // c1: built-in dimensions, alice 80 behind bob 90, with two attempts
+    await db.createChallenge('c1', 'Challenge One');
+    await db.setRecruiterCriteria('c1', BUILT_IN);
+    await db.submitAIScore(score('alice', 'c1', { logic_score: 60, clarity_score: 60 }, '2024-01-01T10:00:00Z'));
+    await db.submitAIScore(score('alice', 'c1', { logic_score: 80, clarity_score: 80 }, '2024-01-02T10:00:00Z'));
+    await db.submitAIScore(score('bob', 'c1', { logic_score: 90, clarity_score: 90 }, '2024-01-01T10:00:00Z'));
+    await recalculateChallengeRankings(db, 'c1');
+
+    // c2: a declared security dimension, alice 80 ahead of bob 50
+    await db.createChallenge('c2', 'Challenge Two');
+    await db.setRecruiterCriteria('c2', DECLARED);
+    await db.submitAIScore(score('alice', 'c2', { logic_score: 70, dimension_scores: { security: 90 } }, '2024-02-01T10:00:00Z'));
+    await db.submitAIScore(score('bob', 'c2', { logic_score: 50, dimension_scores: { security: 50 } }, '2024-02-01T10:00:00Z'));
+    await recalculateChallengeRankings(db, 'c2');
+
+    // c3: no criteria yet, so not ranked
+    await db.createChallenge('c3', 'Challenge Three');
+    await db.submitAIScore(score('alice', 'c3', { logic_score: 40, clarity_score: 40 }, '2024-03-01T10:00:00Z'));
+  });
+
+  it('summarizes every challenge the candidate entered', async () => {
+    const profile = await buildCandidateProfile(db, 'alice');
+
+    assert.equal(profile.user.name, 'Alice');
+    assert.equal(profile.user.email, 'alice@example.com');
+    assert.deepStrictEqual(profile.summary, {
+      challengesEntered: 3,
+      challengesRanked: 2,
+      totalAttempts: 4,
+      bestRank: 1,
+      averageFinalScore: 80,
+      averagePercentile: 50
+    });
+  });
+
+  it('reports each challenge from the attempt that counted', async () => {
+    const results = Object.fromEntries((await buildCandidateProfile(db, 'alice')).challenges.map(result => [result.challengeId, result]));
+
+    assert.deepStrictEqual(
+      [results.c1.rank, results.c1.finalScore, results.c1.percentile, results.c1.attemptCount, results.c1.scores, results.c1.contributions],
+      [2, 80, 25, 2, { logic: 80, clarity: 80 }, { logic: 40, clarity: 40 }]
+    );
+    assert.deepStrictEqual([results.c2.rank, results.c2.scores, results.c2.contributions], [1, { logic: 70, security: 90 }, { logic: 35, security: 45 }]);
+    assert.deepStrictEqual([results.c3.ranked, results.c3.rank, results.c3.scores.logic, results.c3.contributions], [false, null, 40, {}]);
+    assert.deepStrictEqual([results.c1.title, results.c1.status, results.c1.criteriaVersion], ['Challenge One', 'open', 1]);
+  });
+
+  it('averages each dimension over the challenges that judged it', async () => {
+    const averages = byKey((await buildCandidateProfile(db, 'alice')).dimensionAverages);
+
+    assert.deepStrictEqual(averages.logic, { label: 'Logic', averageScore: 63.33, averageContribution: 37.5, challenges: 3 });
+    assert.deepStrictEqual(averages.clarity, { label: 'Clarity & Structure', averageScore: 60, averageContribution: 40, challenges: 2 });
+    assert.deepStrictEqual(averages.security, { label: 'security', averageScore: 90, averageContribution: 45, challenges: 1 });
+    // Weighted 0 in c1, and never scored in c3
+    assert.equal(averages.testing, undefined);
+    assert.equal(averages.api_ui, undefined);
+  });
+
+  it('falls back to the user id for candidates without a user record, and null for strangers', async () => {
+    await db.submitAIScore(score('dan', 'c3', { logic_score: 50, clarity_score: 50 }, '2024-03-02T10:00:00Z'));
+    const profile = await buildCandidateProfile(db, 'dan');
+    assert.deepStrictEqual([profile.user.name, profile.user.email, profile.summary.challengesEntered], ['dan', null, 1]);
+    assert.equal(await buildCandidateProfile(db, 'zed'), null);
+  });
+});
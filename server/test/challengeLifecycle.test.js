@@ -0,0 +1,112 @@
+// Challenge lifecycle: status transitions, submission windows and frozen leaderboards
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseLifecycleChanges,
+  getChallengeState,
+  withLifecycle,
+  getSubmissionBlock,
+  getFrozenReason
+} = require('../challengeLifecycle');
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+
+describe('parseLifecycleChanges', () => {
+  it('starts new challenges as draft or open with an optional window', () => {
+    assert.deepStrictEqual(parseLifecycleChanges({ status: 'draft', startsAt: '2024-06-01', endsAt: '2024-06-02T00:00:00+02:00' }), {
+      changes: { status: 'draft', starts_at: '2024-06-01T00:00:00.000Z', ends_at: '2024-06-01T22:00:00.000Z' },
+      errors: []
+    });
+    assert.deepStrictEqual(parseLifecycleChanges({ status: 'closed' }).errors, ['New challenges start as draft or open']);
+  });
+
+  it('rejects unknown statuses, bad dates and windows that end before they start', () => {
+    assert.deepStrictEqual(parseLifecycleChanges({ status: 'paused', startsAt: 'soon' }).errors, [
+      'status must be one of: draft, open, closed, archived',
+      'startsAt must be a valid date'
+    ]);
+    assert.deepStrictEqual(parseLifecycleChanges({ startsAt: '2024-06-02', endsAt: '2024-06-01' }).errors, ['endsAt must be after startsAt']);
+    // Checked against the stored window when only one end moves
+    assert.deepStrictEqual(parseLifecycleChanges({ endsAt: '2024-05-01' }, { status: 'open', starts_at: '2024-05-15T00:00:00.000Z' }).errors,
+      ['endsAt must be after startsAt']);
+  });
+
+  it('moves draft -> open -> closed -> archived and never back', () => {
+    const allowed = [['draft', 'open'], ['draft', 'archived'], ['open', 'closed'], ['closed', 'archived'], ['open', 'open']];
+    for (const [from, to] of allowed) {
+      assert.deepStrictEqual(parseLifecycleChanges({ status: to }, { status: from }).errors, [], `${from} -> ${to}`);
+    }
+    const refused = [['open', 'draft'], ['closed', 'open'], ['archived', 'closed'], ['draft', 'closed']];
+    for (const [from, to] of refused) {
+      assert.deepStrictEqual(parseLifecycleChanges({ status: to }, { status: from }).errors, [`Cannot move a ${from} challenge to ${to}`], `${from} -> ${to}`);
+    }
+  });
+
+  it('keeps the window of a closed challenge fixed and lets it be cleared otherwise', () => {
+    assert.deepStrictEqual(parseLifecycleChanges({ endsAt: '2030-01-01' }, { status: 'closed' }).errors,
+      ['The submission window of a closed challenge cannot be changed']);
+    assert.deepStrictEqual(parseLifecycleChanges({ endsAt: null }, { status: 'open', ends_at: '2030-01-01T00:00:00.000Z' }),
+      { changes: { ends_at: null }, errors: [] });
+  });
+});
+
+describe('getChallengeState', () => {
+  const state = challenge => getChallengeState(challenge, NOW);
+
+  it('accepts submissions while open and inside the window', () => {
+    assert.deepStrictEqual(state({ status: 'open', starts_at: '2024-05-01T00:00:00Z', ends_at: '2024-07-01T00:00:00Z' }),
+      { status: 'open', acceptingSubmissions: true, frozen: false, reason: null });
+    // Challenges created before lifecycles existed have no status
+    assert.equal(state({}).acceptingSubmissions, true);
+  });
+
+  it('holds submissions before the window opens and for drafts', () => {
+    assert.deepStrictEqual(state({ status: 'open', starts_at: '2024-07-01T00:00:00.000Z' }),
+      { status: 'open', acceptingSubmissions: false, frozen: false, reason: 'Submissions open at 2024-07-01T00:00:00.000Z' });
+    assert.deepStrictEqual(state({ status: 'draft' }),
+      { status: 'draft', acceptingSubmissions: false, frozen: false, reason: 'Challenge is still a draft' });
+  });
+
+  it('treats an open challenge whose window ended as closed and frozen', () => {
+    assert.deepStrictEqual(state({ status: 'open', ends_at: '2024-06-01T12:00:00.000Z' }),
+      { status: 'closed', acceptingSubmissions: false, frozen: true, reason: 'Submission window ended at 2024-06-01T12:00:00.000Z' });
+  });
+
+  it('freezes closed and archived challenges', () => {
+    assert.deepStrictEqual([state({ status: 'closed' }).frozen, state({ status: 'closed' }).reason], [true, 'Challenge is closed']);
+    assert.deepStrictEqual([state({ status: 'archived' }).frozen, state({ status: 'archived' }).reason], [true, 'Challenge is archived']);
+  });
+
+  it('adds the state to challenge rows returned by the API', () => {
+    const challenge = withLifecycle({ challenge_id: 'c1', status: 'open', ends_at: '2000-01-01T00:00:00.000Z' });
+    assert.deepStrictEqual([challenge.challenge_id, challenge.status, challenge.acceptingSubmissions, challenge.frozen], ['c1', 'closed', false, true]);
+  });
+});
+
+describe('submission and re-rank guards', () => {
+  const db = {
+    challenges: {
+      open: { status: 'open' },
+      draft: { status: 'draft' },
+      closed: { status: 'closed' }
+    },
+    getChallenge: async challengeId => db.challenges[challengeId] || null
+  };
+
+  it('blocks submissions to drafts and closed challenges', async () => {
+    assert.equal(await getSubmissionBlock(db, 'open'), null);
+    assert.equal(await getSubmissionBlock(db, 'draft'), 'Challenge is still a draft');
+    assert.equal(await getSubmissionBlock(db, 'closed'), 'Challenge is closed');
+  });
+
+  it('only freezes the ranking of closed challenges', async () => {
+    assert.equal(await getFrozenReason(db, 'open'), null);
+    assert.equal(await getFrozenReason(db, 'draft'), null);
+    assert.equal(await getFrozenReason(db, 'closed'), 'Challenge is closed');
+  });
+
+  it('lets challenges that were never created through the API through', async () => {
+    assert.equal(await getSubmissionBlock(db, 'legacy'), null);
+    assert.equal(await getFrozenReason(db, 'legacy'), null);
+  });
+});
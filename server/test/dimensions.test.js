@@ -0,0 +1,103 @@
+// Challenge-declared scoring dimensions and the legacy built-in set
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ScoreCalculator = require('../scoreCalculator');
+const {
+  DEFAULT_DIMENSIONS,
+  resolveDimensions,
+  getDimensionScore,
+  getExtraDimensionScores,
+  contributionField,
+  getLegacyWeights,
+  getRowContributions
+} = require('../dimensions');
+
+const DECLARED = [
+  { key: 'logic', weight: 0.5 },
+  { key: 'security', label: 'Security', weight: 0.3 },
+  { key: 'accessibility', weight: 0.2, required: false }
+];
+
+describe('resolveDimensions', () => {
+  it('uses the built-in seven with the legacy *_weight fields', () => {
+    const dimensions = resolveDimensions({ logic_weight: 0.6, clarity_weight: 0.4, testing_weight: null });
+    assert.deepStrictEqual(dimensions.map(d => d.key), DEFAULT_DIMENSIONS.map(d => d.key));
+    assert.equal(dimensions.find(d => d.key === 'logic').weight, 0.6);
+    // Unset weights keep the built-in default
+    assert.equal(dimensions.find(d => d.key === 'api_ui').weight, 0.2);
+    assert.equal(dimensions.find(d => d.key === 'testing').weight, 0);
+  });
+
+  it('uses a declared set, from an array or a stored JSON column', () => {
+    for (const dimensions of [DECLARED, JSON.stringify(DECLARED)]) {
+      assert.deepStrictEqual(resolveDimensions({ dimensions }), [
+        { key: 'logic', label: 'Logic', scoreField: 'logic_score', weight: 0.5, required: true },
+        { key: 'security', label: 'Security', scoreField: null, weight: 0.3, required: true },
+        { key: 'accessibility', label: 'accessibility', scoreField: null, weight: 0.2, required: false }
+      ]);
+    }
+  });
+});
+
+describe('dimension scores', () => {
+  const aiScore = { logic_score: 80, dimension_scores: JSON.stringify({ security: 70, logic: 10 }) };
+  const [logic, security, accessibility] = resolveDimensions({ dimensions: DECLARED });
+
+  it('reads built-ins from their column and the rest from dimension_scores', () => {
+    assert.equal(getDimensionScore(aiScore, logic), 80);
+    assert.equal(getDimensionScore(aiScore, security), 70);
+    assert.equal(getDimensionScore(aiScore, accessibility), undefined);
+    assert.deepStrictEqual(getExtraDimensionScores(aiScore), { security: 70 });
+  });
+
+  it('weights a declared set into the final score', () => {
+    const result = ScoreCalculator.calculateFinalScore(aiScore, { dimensions: DECLARED });
+    assert.equal(result.finalScore, 61);
+    assert.deepStrictEqual(result.contributions, { logic: 40, security: 21, accessibility: 0 });
+    assert.equal(result.logicContribution, 40);
+    assert.equal(result.clarityContribution, 0);
+  });
+});
+
+describe('legacy columns', () => {
+  it('names camelCase contribution fields', () => {
+    assert.equal(contributionField('api_ui'), 'apiUiContribution');
+    assert.equal(contributionField('edge_cases'), 'edgeCasesContribution');
+  });
+
+  it('zeroes the weights of built-ins a declared set leaves out', () => {
+    const weights = getLegacyWeights(DECLARED);
+    assert.equal(weights.logic_weight, 0.5);
+    assert.equal(weights.clarity_weight, 0);
+    assert.equal(Object.keys(weights).length, DEFAULT_DIMENSIONS.length);
+  });
+
+  it('falls back to the *_contribution columns for older ranking rows', () => {
+    assert.deepStrictEqual(getRowContributions({ contributions: '{"security":21}' }), { security: 21 });
+    assert.deepStrictEqual(getRowContributions({ logic_contribution: 40, clarity_contribution: 12, testing_contribution: null }), { logic: 40, clarity: 12 });
+  });
+});
+
+describe('ScoreCalculator.validateDimensions', () => {
+  it('accepts a set whose weights sum to 1', () => {
+    assert.deepStrictEqual(ScoreCalculator.validateCriteria({ dimensions: DECLARED }), { isValid: true, errors: [] });
+  });
+
+  it('rejects bad keys, duplicates, bad weights and totals other than 1', () => {
+    assert.deepStrictEqual(ScoreCalculator.validateDimensions([]).errors, ['dimensions must be a non-empty array']);
+    assert.deepStrictEqual(ScoreCalculator.validateDimensions([{ key: 'Security', weight: 1 }]).errors, [
+      'Each dimension needs a key of lowercase letters, digits and underscores'
+    ]);
+    assert.deepStrictEqual(ScoreCalculator.validateDimensions([{ key: 'a', weight: 0.5 }, { key: 'a', weight: 0.5 }]).errors, ['Duplicate dimension: a']);
+    assert.deepStrictEqual(ScoreCalculator.validateDimensions([{ key: 'a', weight: 1.5 }]).errors, [
+      'a weight must be a number between 0 and 1',
+      'Total weight must equal 1.0, got 1.5'
+    ]);
+  });
+
+  it('rejects an AI score missing a required declared dimension', () => {
+    const dimensions = resolveDimensions({ dimensions: DECLARED });
+    const { errors } = ScoreCalculator.validateAIScore({ user_id: 'u', challenge_id: 'c', ai_score: 1, code_quality: 1, logic_score: 1 }, dimensions);
+    assert.deepStrictEqual(errors, ['Missing required field: dimension_scores.security']);
+  });
+});
@@ -0,0 +1,171 @@
+// Global leaderboard: query parsing, aggregation, challenge ordering and the cached board
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseAdapter = require('../database-adapter');
+const { recalculateChallengeRankings } = require('../rankingService');
+const {
+  parseTags,
+  parseGlobalQuery,
+  aggregateScores,
+  challengeTime,
+  buildGlobalLeaderboard,
+  invalidateGlobalLeaderboard
+} = require('../globalLeaderboard');
+
+const OPTIONS = { aggregation: 'elo', tags: [], minChallenges: 1, limit: 100, offset: 0 };
+
+const ranking = (challengeId, userId, finalScore, rank) => ({ challenge_id: challengeId, user_id: userId, name: userId, final_score: finalScore, rank });
+
+const rounded = totals => Object.fromEntries([...totals].map(([userId, value]) => [userId, Math.round(value * 100) / 100]));
+
+describe('parseGlobalQuery', () => {
+  it('defaults to summed scores over every challenge', () => {
+    assert.deepStrictEqual(parseGlobalQuery({}), {
+      options: { aggregation: 'sum', tags: [], minChallenges: 1, limit: 100, offset: 0 },
+      errors: []
+    });
+  });
+
+  it('lowercases and de-duplicates tags from a list or a comma-separated value', () => {
+    assert.deepStrictEqual(parseTags(' Backend,algorithms,,backend '), { tags: ['backend', 'algorithms'], errors: [] });
+    assert.deepStrictEqual(parseTags(['API', 'api']), { tags: ['api'], errors: [] });
+    assert.deepStrictEqual(parseTags([1]).errors, ['tags must be strings']);
+    assert.match(parseTags('front end').errors[0], /^Invalid tags: front end /);
+    assert.deepStrictEqual(parseTags(Array.from({ length: 11 }, (_, index) => `t${index}`)).errors, ['At most 10 tags are allowed']);
+  });
+
+  it('reports unknown aggregations and bad numbers', () => {
+    assert.deepStrictEqual(parseGlobalQuery({ aggregation: 'max', minChallenges: '0', limit: '501', offset: '1.5' }).errors, [
+      'aggregation must be one of: sum, percentile, elo',
+      'minChallenges must be a positive integer',
+      'limit must be an integer between 1 and 500',
+      'offset must be a non-negative integer'
+    ]);
+  });
+});
+
+describe('aggregateScores', () => {
+  // alice beats bob in A; bob then beats carol in B
+  const challengeA = { challengeId: 'A', rows: [ranking('A', 'alice', 90, 1), ranking('A', 'bob', 45, 2)] };
+  const challengeB = { challengeId: 'B', rows: [ranking('B', 'bob', 80, 1), ranking('B', 'carol', 40, 2)] };
+
+  it('sum scores each challenge out of 100 against its top score', () => {
+    assert.deepStrictEqual(rounded(aggregateScores([challengeA, challengeB], 'sum')), { alice: 100, bob: 150, carol: 50 });
+  });
+
+  it('percentile averages the mid-rank percentile of each challenge entered', () => {
+    assert.deepStrictEqual(rounded(aggregateScores([challengeA, challengeB], 'percentile')), { alice: 75, bob: 50, carol: 25 });
+  });
+
+  it('elo plays each challenge against the field in the order they ran', () => {
+    // Even ratings: the winner gains K/2 = 16. bob then meets carol as the underdog and gains more
+    assert.deepStrictEqual(rounded(aggregateScores([challengeA, challengeB], 'elo')), { alice: 1516, bob: 1500.74, carol: 1483.26 });
+    assert.deepStrictEqual(rounded(aggregateScores([challengeB, challengeA], 'elo')), { bob: 1499.26, carol: 1484, alice: 1516.74 });
+  });
+
+  it('elo leaves ties and one-candidate challenges alone', () => {
+    const tie = { challengeId: 'T', rows: [ranking('T', 'alice', 70, 1), ranking('T', 'bob', 70, 1)] };
+    const solo = { challengeId: 'S', rows: [ranking('S', 'dan', 99, 1)] };
+    assert.deepStrictEqual(rounded(aggregateScores([tie, solo], 'elo')), { alice: 1500, bob: 1500, dan: 1500 });
+  });
+});
+
+describe('challengeTime', () => {
+  it('reads ISO strings, SQLite timestamps and Dates as the same instant', () => {
+    const expected = Date.UTC(2024, 0, 1, 12, 0, 0);
+    assert.equal(challengeTime({ created_at: '2024-01-01 12:00:00' }), expected);
+    assert.equal(challengeTime({ created_at: '2024-01-01T12:00:00.000Z' }), expected);
+    assert.equal(challengeTime({ created_at: new Date(expected) }), expected);
+  });
+
+  it('prefers the end of the window, then the close, and puts undated challenges first', () => {
+    assert.equal(challengeTime({ ends_at: '2024-03-01T00:00:00Z', closed_at: '2024-02-01T00:00:00Z' }), Date.UTC(2024, 2, 1));
+    assert.equal(challengeTime({ closed_at: '2024-02-01 00:00:00', created_at: '2024-01-01 00:00:00' }), Date.UTC(2024, 1, 1));
+    assert.equal(challengeTime({}), -Infinity);
+    assert.equal(challengeTime({ created_at: 'not a date' }), -Infinity);
+  });
+});
+
+describe('buildGlobalLeaderboard', () => {
+  let db;
+  let challenges;
+  let rows;
+  let reads;
+
+  beforeEach(() => {
+    reads = 0;
+    // SQLite stamps created_at as "YYYY-MM-DD HH:MM:SS"; closing stamps an ISO string. As text,
+    // "2024-01-02 10:00:00" sorts before "2024-01-02T09:00:00.000Z", though it is an hour later
+    challenges = [
+      { challenge_id: 'late', created_at: '2024-01-02 10:00:00', tags: [] },
+      { challenge_id: 'early', closed_at: '2024-01-02T09:00:00.000Z', tags: [] }
+    ];
+    rows = [
+      ranking('early', 'alice', 90, 1), ranking('early', 'bob', 50, 2),
+      ranking('late', 'bob', 90, 1), ranking('late', 'alice', 50, 2)
+    ];
+    db = {
+      getAllChallenges: async () => challenges,
+      getRankingsAcrossChallenges: async () => { reads++; return rows; }
+    };
+  });
+
+  it('replays challenges in date order whatever format their dates are in', async () => {
+    const board = await buildGlobalLeaderboard(db, OPTIONS);
+    assert.deepStrictEqual(board.challenges, ['early', 'late']);
+    // bob won the later challenge, against a higher-rated alice, so he ends ahead
+    assert.equal(board.leaderboard[0].user_id, 'bob');
+  });
+
+  it('pages through one cached board until it is invalidated', async () => {
+    const first = await buildGlobalLeaderboard(db, { ...OPTIONS, limit: 1 });
+    const second = await buildGlobalLeaderboard(db, { ...OPTIONS, limit: 1, offset: 1 });
+    assert.equal(reads, 1);
+    assert.deepStrictEqual([...first.leaderboard, ...second.leaderboard].map(row => row.user_id), ['bob', 'alice']);
+
+    await buildGlobalLeaderboard(db, { ...OPTIONS, aggregation: 'sum' });
+    assert.equal(reads, 2);
+
+    rows = rows.filter(row => row.user_id !== 'bob');
+    invalidateGlobalLeaderboard(db);
+    const rebuilt = await buildGlobalLeaderboard(db, OPTIONS);
+    assert.equal(reads, 3);
+    assert.deepStrictEqual(rebuilt.leaderboard.map(row => row.user_id), ['alice']);
+  });
+
+  it('limits the board to tagged challenges and candidates who entered enough of them', async () => {
+    challenges[0].tags = ['backend'];
+    const requested = [];
+    db.getRankingsAcrossChallenges = async challengeIds => {
+      requested.push(challengeIds);
+      return rows.filter(row => !challengeIds || challengeIds.includes(row.challenge_id));
+    };
+
+    const tagged = await buildGlobalLeaderboard(db, { ...OPTIONS, aggregation: 'sum', tags: ['backend'] });
+    assert.deepStrictEqual(requested, [['late']]);
+    assert.deepStrictEqual(tagged.challenges, ['late']);
+    assert.deepStrictEqual(tagged.leaderboard.map(row => [row.rank, row.user_id, row.score, row.challenges, row.best_rank]),
+      [[1, 'bob', 100, 1, 1], [2, 'alice', 55.56, 1, 2]]);
+
+    rows.push(ranking('late', 'carol', 10, 3));
+    invalidateGlobalLeaderboard(db);
+    const regulars = await buildGlobalLeaderboard(db, { ...OPTIONS, aggregation: 'sum', minChallenges: 2 });
+    assert.deepStrictEqual(regulars.leaderboard.map(row => row.user_id), ['alice', 'bob']);
+    assert.equal(regulars.totalParticipants, 2);
+  });
+
+  it('is invalidated by a ranking write', async () => {
+    const store = new DatabaseAdapter({ memory: true });
+    await store.ready;
+    await store.createChallenge('c1', 'Challenge One');
+    await store.setRecruiterCriteria('c1', {
+      logic_weight: 1, clarity_weight: 0, testing_weight: 0, efficiency_weight: 0,
+      api_ui_weight: 0, edge_cases_weight: 0, creativity_weight: 0
+    });
+
+    assert.equal((await buildGlobalLeaderboard(store, OPTIONS)).totalParticipants, 0);
+    await store.submitAIScore({ user_id: 'alice', challenge_id: 'c1', ai_score: 80, code_quality: 80, logic_score: 70 });
+    await recalculateChallengeRankings(store, 'c1');
+    assert.equal((await buildGlobalLeaderboard(store, OPTIONS)).totalParticipants, 1);
+  });
+});
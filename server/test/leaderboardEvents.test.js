@@ -0,0 +1,100 @@
+// Live leaderboard events: rank diffs and what subscribers receive
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { diffRankings, subscribe, publishRankings } = require('../leaderboardEvents');
+
+const row = (userId, rank, finalScore) => ({ user_id: userId, rank, final_score: finalScore });
+
+// Just enough of an Express response to collect the events written to it
+const stream = () => ({
+  headers: null,
+  chunks: [],
+  set(headers) { this.headers = headers; },
+  flushHeaders() {},
+  write(chunk) { this.chunks.push(chunk); },
+  events(name) {
+    return this.chunks
+      .filter(chunk => chunk.startsWith(`event: ${name}\n`))
+      .map(chunk => JSON.parse(chunk.split('\ndata: ')[1]));
+  }
+});
+
+describe('diffRankings', () => {
+  it('lists new and moved candidates and those no longer ranked', () => {
+    const previous = new Map([['ann', { rank: 1, final_score: 90 }], ['ben', { rank: 2, final_score: 80 }], ['cat', { rank: 3, final_score: 70 }]]);
+    const { changes, removed } = diffRankings(previous, [row('dan', 1, 95), row('ann', 2, 90), row('ben', 3, 80)]);
+
+    assert.deepStrictEqual(changes, [
+      { user_id: 'dan', rank: 1, previousRank: null, final_score: 95, previousScore: null },
+      { user_id: 'ann', rank: 2, previousRank: 1, final_score: 90, previousScore: 90 },
+      { user_id: 'ben', rank: 3, previousRank: 2, final_score: 80, previousScore: 80 }
+    ]);
+    assert.deepStrictEqual(removed, ['cat']);
+  });
+
+  it('reports a score change that keeps the rank', () => {
+    const previous = new Map([['ann', { rank: 1, final_score: 90 }]]);
+    assert.deepStrictEqual(diffRankings(previous, [row('ann', 1, 92)]).changes.map(change => change.previousScore), [90]);
+    assert.deepStrictEqual(diffRankings(previous, [row('ann', 1, 90)]), { changes: [], removed: [] });
+  });
+});
+
+describe('subscribe and publishRankings', () => {
+  let rankings;
+  let db;
+  let req;
+  let res;
+
+  beforeEach(() => {
+    rankings = [row('ann', 1, 90), row('ben', 2, 80)];
+    db = { getFinalRankings: async () => rankings };
+    req = new EventEmitter();
+    res = stream();
+  });
+
+  // Disconnecting also stops the heartbeat timer
+  afterEach(() => req.emit('close'));
+
+  it('opens an unbuffered event stream with a ready event', async () => {
+    await subscribe(db, 'c1', req, res);
+
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(res.headers['X-Accel-Buffering'], 'no');
+    assert.equal(res.chunks[0], 'retry: 3000\n\n');
+    assert.deepStrictEqual(res.events('ready'), [{ challengeId: 'c1', totalParticipants: 2 }]);
+  });
+
+  it('sends only what changed since the last update, tagged with the reason', async () => {
+    await subscribe(db, 'c1', req, res);
+
+    rankings = [row('cat', 1, 95), row('ann', 2, 90)];
+    await publishRankings(db, 'c1', 'submission');
+    // Nothing moved since the last event
+    await publishRankings(db, 'c1', 'recalculation');
+
+    const events = res.events('rankings');
+    assert.equal(events.length, 1);
+    assert.deepStrictEqual({ ...events[0], at: undefined }, {
+      challengeId: 'c1',
+      reason: 'submission',
+      totalParticipants: 2,
+      changes: [
+        { user_id: 'cat', rank: 1, previousRank: null, final_score: 95, previousScore: null },
+        { user_id: 'ann', rank: 2, previousRank: 1, final_score: 90, previousScore: 90 }
+      ],
+      removed: ['ben'],
+      at: undefined
+    });
+  });
+
+  it('reads nothing for a challenge nobody is watching', async () => {
+    await subscribe(db, 'c1', req, res);
+    req.emit('close');
+
+    let reads = 0;
+    await publishRankings({ getFinalRankings: async () => { reads++; return []; } }, 'c1', 'submission');
+    assert.equal(reads, 0);
+    assert.deepStrictEqual(res.events('rankings'), []);
+  });
+});
@@ -0,0 +1,88 @@
+// CSV, JSON and HTML leaderboard exports
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS, buildExportRows, toCSV, toHTML, renderExport } = require('../leaderboardExport');
+
+const DIMENSIONS = [{ key: 'logic', label: 'Logic', scoreField: 'logic_score', weight: 1 }];
+
+const row = name => ({
+  rank: 1, userId: 'u1', name, finalScore: 90, aiScore: 80, codeQuality: 70,
+  scores: { logic: 90 }, contributions: { logic: 90 }
+});
+
+const nameCell = name => toCSV([row(name)], DIMENSIONS).split('\r\n')[1].split(',').slice(2, -5).join(',');
+
+const LEADERBOARD = [
+  {
+    rank: 1, user_id: 'alice', name: 'Alice', final_score: 90, ai_score: 85, code_quality: null,
+    logic_score: 90, contributions: '{"logic":90}'
+  },
+  // Ranked before contributions were stored per dimension: the legacy column is used
+  { rank: 2, user_id: 'bob', name: 'Bob, Jr.', final_score: 70.5, logic_score: 70.5, logic_contribution: 70.5 }
+];
+
+const META = { challengeId: 'c1', title: 'Graphs <Hard>', criteriaVersion: 3, exportedAt: '2024-01-01T00:00:00.000Z' };
+
+describe('buildExportRows', () => {
+  it('flattens each row with every dimension score and contribution', () => {
+    assert.deepStrictEqual(buildExportRows(LEADERBOARD, DIMENSIONS), [
+      { rank: 1, userId: 'alice', name: 'Alice', finalScore: 90, aiScore: 85, codeQuality: null, scores: { logic: 90 }, contributions: { logic: 90 } },
+      { rank: 2, userId: 'bob', name: 'Bob, Jr.', finalScore: 70.5, aiScore: null, codeQuality: null, scores: { logic: 70.5 }, contributions: { logic: 70.5 } }
+    ]);
+  });
+});
+
+describe('toCSV', () => {
+  it('writes a header and one CRLF-terminated line per candidate, quoting where needed', () => {
+    assert.equal(toCSV(buildExportRows(LEADERBOARD, DIMENSIONS), DIMENSIONS), [
+      'rank,user_id,name,final_score,ai_score,code_quality,logic_contribution,logic_score',
+      '1,alice,Alice,90,85,,90,90',
+      '2,bob,"Bob, Jr.",70.5,,,70.5,70.5',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('neutralises cells a spreadsheet would run as formulas', () => {
+    assert.equal(nameCell('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+    for (const prefix of ['+', '-', '@']) {
+      assert.equal(nameCell(`${prefix}1+1`), `'${prefix}1+1`);
+    }
+    assert.equal(nameCell('\t=1+1'), "'\t=1+1");
+    assert.equal(nameCell('\r=1+1'), '"\'\r=1+1"');
+    assert.equal(nameCell('Ada Lovelace'), 'Ada Lovelace');
+  });
+});
+
+describe('toHTML', () => {
+  it('escapes names and titles and lists the weights', () => {
+    const rows = buildExportRows([{ ...LEADERBOARD[0], name: '<script>alert(1)</script>' }], DIMENSIONS);
+    const html = toHTML(META, rows, [{ ...DIMENSIONS[0], weight: 0.6 }]);
+    assert.ok(html.includes('<title>Graphs &lt;Hard&gt; - Leaderboard</title>'));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('Criteria v3 · 1 participants'));
+    assert.ok(html.includes('Logic 60%'));
+    assert.ok(html.includes('<td>90.00 / 90.00</td>'));
+  });
+});
+
+describe('renderExport', () => {
+  it('names the file after the challenge and sets the content type for each format', () => {
+    assert.deepStrictEqual(EXPORT_FORMATS, ['csv', 'json', 'html']);
+    for (const [format, contentType] of [['csv', 'text/csv'], ['json', 'application/json'], ['html', 'text/html']]) {
+      const exported = renderExport(format, META, LEADERBOARD, DIMENSIONS);
+      assert.equal(exported.filename, `c1-leaderboard.${format}`);
+      assert.equal(exported.contentType, `${contentType}; charset=utf-8`);
+    }
+  });
+
+  it('puts the challenge, weights and every ranking in the JSON export', () => {
+    const body = JSON.parse(renderExport('json', META, LEADERBOARD, DIMENSIONS).body);
+    assert.deepStrictEqual({ ...body, rankings: body.rankings.map(row => row.userId) }, {
+      ...META,
+      dimensions: [{ key: 'logic', label: 'Logic', weight: 1 }],
+      totalParticipants: 2,
+      rankings: ['alice', 'bob']
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// Leaderboard query parsing, in-memory paging and keyset cursors
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSortFields, getSortValue, parseLeaderboardQuery, nextCursor, pageRows } = require('../leaderboardQuery');
+
+const CURSOR_ERROR = 'cursor is invalid or belongs to a different sort or search';
+
+const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const row = (userId, finalScore, name = userId) => ({ user_id: userId, name, final_score: finalScore, rank: 1 });
+
+const DIMENSIONS = [{ key: 'security', weight: 1 }];
+
+describe('parseLeaderboardQuery', () => {
+  it('defaults to the first 100 rows by rank', () => {
+    const { options, errors } = parseLeaderboardQuery({}, []);
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual({ ...options, sortField: undefined },
+      { limit: 100, offset: 0, cursor: null, sort: 'rank', sortField: undefined, order: 'asc', search: null });
+  });
+
+  it('sorts scores descending and names ascending unless told otherwise', () => {
+    assert.equal(parseLeaderboardQuery({ sort: 'final_score' }, []).options.order, 'desc');
+    assert.equal(parseLeaderboardQuery({ sort: 'name' }, []).options.order, 'asc');
+    assert.equal(parseLeaderboardQuery({ sort: 'name', order: 'desc' }, []).options.order, 'desc');
+    assert.equal(parseLeaderboardQuery({ search: '  ada ' }, []).options.search, 'ada');
+  });
+
+  it('sorts by a challenge\'s own dimensions', () => {
+    const fields = getSortFields(DIMENSIONS);
+    assert.deepStrictEqual(fields.security_score, { source: 'score', column: 'dimension_scores', jsonKey: 'security', numeric: true });
+    assert.deepStrictEqual(fields.security_contribution, { source: 'ranking', column: 'contributions', jsonKey: 'security', numeric: true });
+    assert.deepStrictEqual(fields.logic_score, { source: 'score', column: 'logic_score', numeric: true });
+    assert.deepStrictEqual(parseLeaderboardQuery({ sort: 'security_score' }, DIMENSIONS).errors, []);
+  });
+
+  it('reports unknown sorts, orders, limits and offsets', () => {
+    const { errors } = parseLeaderboardQuery({ sort: 'shoe_size', order: 'up', limit: '501', offset: '-1' }, []);
+    assert.equal(errors.length, 4);
+    assert.match(errors[0], /^sort must be one of: rank, final_score, /);
+    assert.deepStrictEqual(errors.slice(1), [
+      'order must be asc or desc',
+      'limit must be an integer between 1 and 500',
+      'offset must be a non-negative integer'
+    ]);
+  });
+});
+
+describe('getSortValue', () => {
+  it('reads columns and JSON keys, and sorts missing scores as -1', () => {
+    const fields = getSortFields(DIMENSIONS);
+    const entry = { final_score: 80, name: null, dimension_scores: { security: 65 }, contributions: {} };
+    assert.equal(getSortValue(entry, fields.final_score), 80);
+    assert.equal(getSortValue(entry, fields.security_score), 65);
+    assert.equal(getSortValue(entry, fields.security_contribution), -1);
+    assert.equal(getSortValue(entry, fields.name), '');
+  });
+});
+
+describe('pageRows', () => {
+  const rows = [
+    row('ann', 90, 'Ann'), row('bea', 80, 'Bea'), row('cal', 80, 'Cal'),
+    row('dee', 70, 'Dee'), row('eli', 60, 'Eli'), row('fin', 50, 'Annika')
+  ];
+  const options = query => parseLeaderboardQuery(query, []).options;
+
+  it('sorts, breaks ties by user id and reports the totals', () => {
+    const page = pageRows(rows, options({ sort: 'final_score', limit: '3' }));
+    assert.deepStrictEqual(page.rows.map(entry => entry.user_id), ['ann', 'cal', 'bea']);
+    assert.deepStrictEqual([page.total, page.matched, page.hasMore], [6, 6, true]);
+  });
+
+  it('searches names and user ids without regard to case', () => {
+    const page = pageRows(rows, options({ sort: 'name', search: 'ANN' }));
+    assert.deepStrictEqual(page.rows.map(entry => entry.name), ['Ann', 'Annika']);
+    assert.deepStrictEqual([page.total, page.matched, page.hasMore], [6, 2, false]);
+  });
+
+  it('walks the whole board with cursors, even across a tie, without repeats or gaps', () => {
+    for (const sort of ['final_score', 'name']) {
+      const seen = [];
+      let query = { sort, limit: '2' };
+      for (;;) {
+        const parsed = options(query);
+        const page = pageRows(rows, parsed);
+        seen.push(...page.rows.map(entry => entry.user_id));
+        if (!page.hasMore) break;
+        query = { sort, limit: '2', cursor: nextCursor(page.rows, parsed) };
+      }
+      assert.deepStrictEqual(seen, pageRows(rows, options({ sort })).rows.map(entry => entry.user_id), sort);
+    }
+  });
+
+  it('continues after the cursor row even when rows before it were removed', () => {
+    const first = options({ sort: 'final_score', limit: '3' });
+    const cursor = nextCursor(pageRows(rows, first).rows, first);
+    const remaining = rows.filter(entry => entry.user_id !== 'ann');
+    const page = pageRows(remaining, options({ sort: 'final_score', limit: '3', cursor }));
+    assert.deepStrictEqual(page.rows.map(entry => entry.user_id), ['dee', 'eli', 'fin']);
+  });
+});
+
+describe('parseLeaderboardQuery cursors', () => {
+  it('accepts the cursor nextCursor issued', () => {
+    for (const sort of ['final_score', 'name']) {
+      const { options } = parseLeaderboardQuery({ sort }, []);
+      const cursor = nextCursor([row('alice', 90, 'Alice')], options);
+
+      const next = parseLeaderboardQuery({ sort, cursor }, []);
+      assert.deepStrictEqual(next.errors, []);
+      assert.equal(next.options.cursor.userId, 'alice');
+    }
+  });
+
+  it('rejects a cursor value of the wrong type for the sort field', () => {
+    const base = { order: 'desc', search: null, userId: 'alice', offset: 1 };
+    for (const value of [{ $gt: 1 }, [1, 2], null, '90', Infinity]) {
+      const { errors } = parseLeaderboardQuery({ sort: 'final_score', cursor: encode({ ...base, sort: 'final_score', value }) }, []);
+      assert.deepStrictEqual(errors, [CURSOR_ERROR], JSON.stringify(value));
+    }
+    for (const value of [{ name: 'x' }, ['x'], null, 90]) {
+      const { errors } = parseLeaderboardQuery({ sort: 'name', order: 'asc', cursor: encode({ ...base, order: 'asc', sort: 'name', value }) }, []);
+      assert.deepStrictEqual(errors, [CURSOR_ERROR], JSON.stringify(value));
+    }
+  });
+});
@@ -0,0 +1,157 @@
+// Versioned migrations: loading the files, applying and rolling back on SQLite, and the Postgres script
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const {
+  loadMigrations,
+  sqliteConnection,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  renderPostgresScript
+} = require('../migrator');
+
+// A migrations directory of its own, with files given as { filename: module source }
+function migrationsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-migrations-'));
+  for (const [file, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), source);
+  }
+  return dir;
+}
+
+const migrationSource = (up, down) => `module.exports = ${JSON.stringify({
+  up: { sqlite: up, postgres: up },
+  down: { sqlite: down, postgres: down }
+})};\n`;
+
+const TEAMS = migrationSource(['CREATE TABLE teams (id INTEGER PRIMARY KEY)'], ['DROP TABLE teams']);
+const MEMBERS = migrationSource(['CREATE TABLE members (id INTEGER PRIMARY KEY)'], ['DROP TABLE members']);
+
+describe('loadMigrations', () => {
+  let dirs;
+
+  beforeEach(() => { dirs = []; });
+  afterEach(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+  const load = files => {
+    const dir = migrationsDir(files);
+    dirs.push(dir);
+    return () => loadMigrations(dir);
+  };
+
+  it('orders the shipped migrations by version', () => {
+    assert.deepStrictEqual(loadMigrations().map(migration => [migration.version, migration.name]),
+      [[1, 'initial_schema'], [2, 'supabase_access'], [3, 'supabase_deletes']]);
+  });
+
+  it('orders by number rather than by file name', () => {
+    const migrations = load({ '10_members.js': MEMBERS, '9_teams.js': TEAMS })();
+    assert.deepStrictEqual(migrations.map(migration => migration.version), [9, 10]);
+  });
+
+  it('rejects misnamed files, missing dialects and shared versions', () => {
+    assert.throws(load({ 'add-teams.js': TEAMS }), /Migration file add-teams\.js must be named <version>_<name>\.js/);
+    assert.throws(load({ '001_teams.js': 'module.exports = { up: { sqlite: [] }, down: { sqlite: [] } };\n' }),
+      /Migration 001_teams\.js must define up and down statements for postgres/);
+    assert.throws(load({ '001_teams.js': TEAMS, '01_members.js': MEMBERS }), /Two migrations share version 1/);
+  });
+});
+
+describe('migrating a SQLite database', () => {
+  let sqlite;
+  let connection;
+  let dir;
+  let migrations;
+
+  const tables = async () => (await connection.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('teams', 'members') ORDER BY name"))
+    .map(row => row.name);
+
+  beforeEach(() => {
+    sqlite = new sqlite3.Database(':memory:');
+    connection = sqliteConnection(sqlite);
+    dir = migrationsDir({ '001_teams.js': TEAMS, '002_members.js': MEMBERS });
+    migrations = loadMigrations(dir);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => sqlite.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('applies pending migrations once, up to an optional version', async () => {
+    assert.deepStrictEqual(await migrateUp(connection, { migrations, to: 1 }), [{ version: 1, name: 'teams' }]);
+    assert.deepStrictEqual(await tables(), ['teams']);
+
+    assert.deepStrictEqual(await migrateUp(connection, { migrations }), [{ version: 2, name: 'members' }]);
+    assert.deepStrictEqual(await migrateUp(connection, { migrations }), []);
+    assert.deepStrictEqual((await getStatus(connection, migrations)).map(entry => [entry.version, entry.applied, entry.appliedAt !== null]),
+      [[1, true, true], [2, true, true]]);
+  });
+
+  it('rolls back the latest migration, or down to a version', async () => {
+    await migrateUp(connection, { migrations });
+
+    assert.deepStrictEqual(await migrateDown(connection, { migrations }), [{ version: 2, name: 'members' }]);
+    assert.deepStrictEqual(await tables(), ['teams']);
+
+    await migrateUp(connection, { migrations });
+    assert.deepStrictEqual(await migrateDown(connection, { migrations, to: 0 }), [{ version: 2, name: 'members' }, { version: 1, name: 'teams' }]);
+    assert.deepStrictEqual(await tables(), []);
+    assert.deepStrictEqual(await migrateDown(connection, { migrations }), []);
+  });
+
+  it('leaves nothing of a migration that fails part way', async () => {
+    const broken = migrationsDir({
+      '001_teams.js': TEAMS,
+      '002_members.js': migrationSource(['CREATE TABLE members (id INTEGER PRIMARY KEY)', 'CREATE TABLE teams (id INTEGER)'], [])
+    });
+    try {
+      await assert.rejects(migrateUp(connection, { migrations: loadMigrations(broken) }), /table teams already exists/);
+    } finally {
+      fs.rmSync(broken, { recursive: true, force: true });
+    }
+
+    // The first migration committed on its own; the second left no table and no record
+    assert.deepStrictEqual(await tables(), ['teams']);
+    assert.deepStrictEqual((await getStatus(connection, migrations)).map(entry => entry.applied), [true, false]);
+  });
+
+  it('runs SQLite steps that are functions of the connection', async () => {
+    let seen = null;
+    const step = async stepConnection => {
+      seen = stepConnection;
+      await stepConnection.run('CREATE TABLE teams (id INTEGER PRIMARY KEY)');
+    };
+    const withStep = [{ version: 1, name: 'teams', up: { sqlite: [step], postgres: [] }, down: { sqlite: [], postgres: [] } }];
+
+    await migrateUp(connection, { migrations: withStep });
+    assert.equal(seen, connection);
+    assert.deepStrictEqual(await tables(), ['teams']);
+  });
+
+  it('refuses a database migrated by newer code', async () => {
+    await migrateUp(connection, { migrations });
+    await assert.rejects(getStatus(connection, migrations.slice(0, 1)), /Database has migrations this code does not know about: 2/);
+  });
+});
+
+describe('renderPostgresScript', () => {
+  it('is what supabase/schema.sql holds', () => {
+    const schema = fs.readFileSync(path.join(__dirname, '..', '..', 'supabase', 'schema.sql'), 'utf8');
+    assert.equal(renderPostgresScript(), schema);
+  });
+
+  it('applies every migration in one transaction and records each version', () => {
+    const script = renderPostgresScript(loadMigrations());
+    assert.match(script, /^-- EduVerse Leaderboard Database Schema\n/);
+    assert.match(script, /\n\nBEGIN;\n\nCREATE TABLE IF NOT EXISTS schema_migrations \(/);
+    assert.ok(script.endsWith('\n\nCOMMIT;\n'));
+    for (const [version, name] of [[1, 'initial_schema'], [2, 'supabase_access'], [3, 'supabase_deletes']]) {
+      assert.ok(script.includes(`INSERT INTO schema_migrations (version, name) VALUES (${version}, '${name}') ON CONFLICT (version) DO NOTHING;`), name);
+    }
+  });
+});
@@ -0,0 +1,316 @@
+// Ranking workflow: full and incremental re-ranks, standings, criteria versions, simulations
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseAdapter = require('../database-adapter');
+const ScoreCalculator = require('../scoreCalculator');
+const {
+  recalculateChallengeRankings,
+  updateCandidateRanking,
+  getUserStanding,
+  previewRankings,
+  restoreCriteriaVersion,
+  buildSimulationCriteria,
+  parseSimulationLimit,
+  simulateRankings
+} = require('../rankingService');
+
+const CRITERIA = {
+  logic_weight: 0.5,
+  clarity_weight: 0.5,
+  testing_weight: 0,
+  efficiency_weight: 0,
+  api_ui_weight: 0,
+  edge_cases_weight: 0,
+  creativity_weight: 0
+};
+
+const score = (userId, points) => ({
+  user_id: userId,
+  challenge_id: 'c1',
+  ai_score: 80,
+  code_quality: 80,
+  testing_rate: 0,
+  logic_score: points,
+  clarity_score: points,
+  efficiency_score: 0,
+  api_ui_score: 0,
+  edge_cases_score: 0,
+  creativity_score: 0
+});
+
+describe('updateCandidateRanking', () => {
+  let db;
+
+  const stored = async () => (await db.getFinalRankings('c1')).map(row => [row.user_id, row.rank, row.final_score]);
+  const recomputed = async () => ScoreCalculator.processChallengeScores(await db.getAllAIScores('c1'), await db.getRecruiterCriteria('c1'))
+    .map(ranking => [ranking.userId, ranking.rank, ranking.finalScore]);
+
+  const seed = async (criteria, entries) => {
+    await db.setRecruiterCriteria('c1', criteria);
+    for (const [userId, points] of entries) {
+      await db.submitAIScore(score(userId, points));
+    }
+    await recalculateChallengeRankings(db, 'c1');
+  };
+
+  beforeEach(async () => {
+    db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createChallenge('c1', 'Challenge One');
+  });
+
+  it('slots a new candidate in and only rewrites the rows that move', async () => {
+    for (const ranking_policy of ['competition', 'dense', 'fractional']) {
+      db = new DatabaseAdapter({ memory: true });
+      await db.ready;
+      await db.createChallenge('c1', 'Challenge One');
+      await seed({ ...CRITERIA, ranking_policy }, [['ann', 90], ['ben', 70], ['cat', 70], ['dan', 50]]);
+      await db.submitAIScore(score('eve', 80));
+
+      const update = await updateCandidateRanking(db, 'c1', 'eve');
+
+      assert.deepStrictEqual([update.mode, update.ranking.rank, update.shifted], ['incremental', 2, 3], ranking_policy);
+      assert.deepStrictEqual(await stored(), await recomputed(), ranking_policy);
+    }
+  });
+
+  it('leaves everyone else alone when a candidate improves without passing anyone', async () => {
+    await seed(CRITERIA, [['ann', 90], ['ben', 70], ['cat', 50]]);
+    await db.submitAIScore(score('ben', 80));
+
+    const update = await updateCandidateRanking(db, 'c1', 'ben');
+
+    assert.deepStrictEqual([update.mode, update.ranking.rank, update.ranking.finalScore, update.shifted], ['incremental', 2, 80, 0]);
+    assert.deepStrictEqual(await stored(), [['ann', 1, 90], ['ben', 2, 80], ['cat', 3, 50]]);
+  });
+
+  it('re-ranks everyone when there is no trustworthy stored order', async () => {
+    // Nothing stored yet
+    await db.setRecruiterCriteria('c1', CRITERIA);
+    await db.submitAIScore(score('ann', 90));
+    assert.equal((await updateCandidateRanking(db, 'c1', 'ann')).mode, 'full');
+
+    // Stored under an older criteria version
+    await db.setRecruiterCriteria('c1', { ...CRITERIA, logic_weight: 0.6, clarity_weight: 0.4 });
+    await db.submitAIScore(score('ben', 80));
+    assert.equal((await updateCandidateRanking(db, 'c1', 'ben')).mode, 'full');
+
+    // Normalized scores depend on the whole cohort
+    await db.setRecruiterCriteria('c1', { ...CRITERIA, normalization: 'minmax' });
+    await recalculateChallengeRankings(db, 'c1');
+    await db.submitAIScore(score('cat', 85));
+    const update = await updateCandidateRanking(db, 'c1', 'cat');
+    assert.deepStrictEqual([update.mode, update.shifted], ['full', 3]);
+    assert.deepStrictEqual(await stored(), await recomputed());
+  });
+
+  it('does nothing for a challenge without criteria', async () => {
+    await db.submitAIScore(score('ann', 90));
+    assert.equal(await updateCandidateRanking(db, 'c1', 'ann'), null);
+    assert.deepStrictEqual(await db.getFinalRankings('c1'), []);
+  });
+
+  it('applies concurrent submissions one after the other', async () => {
+    await seed(CRITERIA, [['alice', 50], ['bob', 40], ['carol', 30]]);
+    await db.submitAIScore(score('alice', 20));
+    await db.submitAIScore(score('bob', 10));
+
+    const updates = await Promise.all([
+      updateCandidateRanking(db, 'c1', 'alice'),
+      updateCandidateRanking(db, 'c1', 'bob')
+    ]);
+
+    assert.deepStrictEqual(updates.map(update => update.mode), ['incremental', 'incremental']);
+    assert.deepStrictEqual(await stored(), [['carol', 1, 30], ['alice', 2, 20], ['bob', 3, 10]]);
+    assert.deepStrictEqual(await stored(), await recomputed());
+  });
+
+  it('reads an ordinal tie group in one query', async () => {
+    await seed({ ...CRITERIA, ranking_policy: 'ordinal' }, [['ann', 90], ['ben', 70], ['cat', 70], ['dan', 70], ['eve', 50]]);
+    await db.submitAIScore(score('fay', 70));
+    const reads = { getAttempts: 0, getAttemptsForUsers: 0 };
+    for (const method of Object.keys(reads)) {
+      const read = db[method].bind(db);
+      db[method] = (...args) => { reads[method]++; return read(...args); };
+    }
+
+    const update = await updateCandidateRanking(db, 'c1', 'fay');
+
+    assert.equal(update.mode, 'incremental');
+    assert.deepStrictEqual(reads, { getAttempts: 1, getAttemptsForUsers: 1 });
+    assert.deepStrictEqual(await stored(), await recomputed());
+    assert.equal(update.ranking.rank, 5);
+  });
+});
+
+// The store reads a standing in memory, SQLite with keyset queries around the candidate
+for (const backend of [
+  { name: 'in-memory store', create: () => new DatabaseAdapter({ memory: true }) },
+  { name: 'SQLite', create: filename => new DatabaseAdapter({ memory: false, filename }) }
+]) {
+  describe(`getUserStanding (${backend.name})`, () => {
+    let db;
+    let filename;
+
+    beforeEach(async () => {
+      filename = path.join(os.tmpdir(), `leaderboard-standing-${process.pid}-${Date.now()}.db`);
+      db = backend.create(filename);
+      await db.ready;
+      await db.createChallenge('c1', 'Challenge One');
+      await db.setRecruiterCriteria('c1', CRITERIA);
+      for (const [userId, points] of [['ann', 90], ['ben', 80], ['cat', 80], ['dan', 70], ['eve', 60]]) {
+        await db.createUser(userId, userId[0].toUpperCase() + userId.slice(1));
+        await db.submitAIScore(score(userId, points));
+      }
+      await recalculateChallengeRankings(db, 'c1');
+    });
+
+    afterEach(async () => {
+      await db.close();
+      fs.rmSync(filename, { force: true });
+    });
+
+    const ids = rows => rows.map(row => row.user_id);
+
+    it('returns the candidate with their percentile and neighbours in rank order', async () => {
+      const standing = await getUserStanding(db, 'c1', 'cat', 2);
+
+      assert.deepStrictEqual([standing.user_id, standing.name, standing.rank, standing.final_score], ['cat', 'Cat', 2, 80]);
+      assert.equal(standing.totalParticipants, 5);
+      // Two scored lower and two (cat included) scored the same: (2 + 0.5 * 2) / 5
+      assert.equal(standing.percentile, 60);
+      assert.deepStrictEqual(ids(standing.neighbours.above), ['ann', 'ben']);
+      assert.deepStrictEqual(ids(standing.neighbours.below), ['dan', 'eve']);
+      assert.deepStrictEqual(Object.keys(standing.neighbours.above[0]), ['user_id', 'name', 'rank', 'final_score']);
+    });
+
+    it('stops the neighbours at either end of the board', async () => {
+      const top = await getUserStanding(db, 'c1', 'ann', 1);
+      assert.deepStrictEqual([ids(top.neighbours.above), ids(top.neighbours.below), top.percentile], [[], ['ben'], 90]);
+
+      const bottom = await getUserStanding(db, 'c1', 'eve', 0);
+      assert.deepStrictEqual([ids(bottom.neighbours.above), ids(bottom.neighbours.below), bottom.percentile], [[], [], 10]);
+    });
+
+    it('returns null for a candidate who is not ranked', async () => {
+      assert.equal(await getUserStanding(db, 'c1', 'zed', 2), null);
+    });
+  });
+}
+
+describe('criteria versions', () => {
+  let db;
+
+  const stored = async () => (await db.getFinalRankings('c1')).map(row => [row.user_id, row.rank, row.criteria_version]);
+
+  beforeEach(async () => {
+    db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createChallenge('c1', 'Challenge One');
+    // alice leads on logic, bob on clarity
+    await db.submitAIScore({ ...score('alice', 0), logic_score: 90, clarity_score: 50 });
+    await db.submitAIScore({ ...score('bob', 0), logic_score: 50, clarity_score: 80 });
+    await db.setRecruiterCriteria('c1', { ...CRITERIA, logic_weight: 0.8, clarity_weight: 0.2, ranking_policy: 'dense' });
+    await db.setRecruiterCriteria('c1', { ...CRITERIA, logic_weight: 0.2, clarity_weight: 0.8 });
+    await recalculateChallengeRankings(db, 'c1');
+  });
+
+  it('tags every ranking with the criteria version it was calculated under', async () => {
+    assert.deepStrictEqual(await stored(), [['bob', 1, 2], ['alice', 2, 2]]);
+  });
+
+  it('previews an earlier version without saving it', async () => {
+    const preview = await previewRankings(db, 'c1', await db.getRecruiterCriteria('c1', 1));
+    assert.deepStrictEqual(preview.map(ranking => [ranking.userId, ranking.rank, ranking.criteriaVersion]), [['alice', 1, 1], ['bob', 2, 1]]);
+    assert.deepStrictEqual(await stored(), [['bob', 1, 2], ['alice', 2, 2]]);
+  });
+
+  it('restores an earlier version as a new one and re-ranks with it', async () => {
+    const { criteria, rankings } = await restoreCriteriaVersion(db, 'c1', 1, { sub: 'rita', role: 'recruiter' });
+
+    assert.equal(criteria.version, 3);
+    assert.deepStrictEqual([criteria.logic_weight, criteria.clarity_weight, criteria.ranking_policy], [0.8, 0.2, 'dense']);
+    assert.deepStrictEqual((await db.getCriteriaVersions('c1')).map(version => version.version), [3, 2, 1]);
+    assert.deepStrictEqual(rankings.map(ranking => ranking.userId), ['alice', 'bob']);
+    assert.deepStrictEqual(await stored(), [['alice', 1, 3], ['bob', 2, 3]]);
+  });
+
+  it('returns null for a version the challenge never had', async () => {
+    assert.equal(await restoreCriteriaVersion(db, 'c1', 7), null);
+    assert.equal((await db.getRecruiterCriteria('c1')).version, 2);
+  });
+});
+
+describe('buildSimulationCriteria', () => {
+  it('swaps in the given weights and keeps the rest of the current criteria', () => {
+    const current = { ...CRITERIA, version: 4, attempt_policy: 'best' };
+    const { criteria, errors } = buildSimulationCriteria(current, { weights: { logic: 0.1, clarity: 0.9 }, ranking_policy: 'dense' });
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(criteria.dimensions.filter(d => d.weight > 0).map(d => [d.key, d.weight]), [['logic', 0.1], ['clarity', 0.9]]);
+    assert.deepStrictEqual([criteria.ranking_policy, criteria.attempt_policy, criteria.version], ['dense', 'best', 4]);
+    assert.equal(current.dimensions, undefined);
+  });
+
+  it('reports unknown dimensions and weights that no longer sum to 1', () => {
+    assert.deepStrictEqual(buildSimulationCriteria(CRITERIA, { weights: { security: 0 } }).errors, ['Unknown dimension: security']);
+    assert.deepStrictEqual(buildSimulationCriteria(CRITERIA, { weights: { logic: 0.9 } }).errors, ['Total weight must equal 1.0, got 1.4']);
+    assert.deepStrictEqual(buildSimulationCriteria(CRITERIA, { normalization: 'log' }).errors, ['normalization must be one of: none, zscore, minmax, percentile']);
+  });
+});
+
+describe('simulateRankings', () => {
+  let db;
+
+  const simulate = async weights => simulateRankings(db, 'c1', buildSimulationCriteria(await db.getRecruiterCriteria('c1'), { weights }).criteria);
+
+  beforeEach(async () => {
+    db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createChallenge('c1', 'Challenge One');
+    await db.createUser('bob', 'Bob');
+    await db.setRecruiterCriteria('c1', CRITERIA);
+    // Stored: alice 70, bob 65, carol 60
+    await db.submitAIScore({ ...score('alice', 0), logic_score: 90, clarity_score: 50 });
+    await db.submitAIScore({ ...score('bob', 0), logic_score: 50, clarity_score: 80 });
+    await db.submitAIScore({ ...score('carol', 0), logic_score: 60, clarity_score: 60 });
+    await recalculateChallengeRankings(db, 'c1');
+  });
+
+  it('compares simulated ranks with the stored ones without saving', async () => {
+    const { rankings, movers } = await simulate({ logic: 0.1, clarity: 0.9 });
+
+    assert.deepStrictEqual(rankings.map(ranking => [ranking.userId, ranking.rank, ranking.currentRank, ranking.rankDelta, ranking.scoreDelta]),
+      [['bob', 1, 2, 1, 12], ['carol', 2, 3, 1, 0], ['alice', 3, 1, -2, -16]]);
+    assert.equal(rankings[0].name, 'Bob');
+    assert.deepStrictEqual(movers.up.map(ranking => ranking.userId), ['bob', 'carol']);
+    assert.deepStrictEqual(movers.down.map(ranking => ranking.userId), ['alice']);
+    assert.deepStrictEqual((await db.getFinalRankings('c1')).map(row => row.user_id), ['alice', 'bob', 'carol']);
+  });
+
+  it('shows candidates without a stored rank as new, not as movers', async () => {
+    await db.submitAIScore({ ...score('dan', 0), logic_score: 100, clarity_score: 100 });
+    const { rankings, movers } = await simulate({});
+
+    assert.deepStrictEqual([rankings[0].userId, rankings[0].currentRank, rankings[0].rankDelta], ['dan', null, null]);
+    assert.deepStrictEqual(movers.up, []);
+    assert.deepStrictEqual(movers.down.map(ranking => [ranking.userId, ranking.rankDelta]), [['alice', -1], ['bob', -1], ['carol', -1]]);
+  });
+});
+
+describe('parseSimulationLimit', () => {
+  it('defaults to 10 and accepts integers from 1 to 500', () => {
+    assert.deepStrictEqual(parseSimulationLimit(undefined), { limit: 10, errors: [] });
+    assert.deepStrictEqual(parseSimulationLimit(25), { limit: 25, errors: [] });
+    assert.deepStrictEqual(parseSimulationLimit('500'), { limit: 500, errors: [] });
+  });
+
+  it('rejects anything else', () => {
+    for (const value of ['abc', -3, 0, 2.5, 501, null, '', {}]) {
+      assert.deepStrictEqual(parseSimulationLimit(value).errors, ['limit must be an integer between 1 and 500'], String(value));
+    }
+  });
+});
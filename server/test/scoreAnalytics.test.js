@@ -0,0 +1,88 @@
+// Score analytics: bucket parsing, per-field statistics and correlations
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseAdapter = require('../database-adapter');
+const { parseBuckets, describe: describeScores, buildScoreAnalytics } = require('../scoreAnalytics');
+
+describe('parseBuckets', () => {
+  it('defaults to 10 buckets and accepts 2 to 50', () => {
+    assert.deepStrictEqual(parseBuckets(undefined), { buckets: 10, errors: [] });
+    assert.deepStrictEqual(parseBuckets('4'), { buckets: 4, errors: [] });
+    for (const value of ['1', '51', '2.5', 'many']) {
+      assert.deepStrictEqual(parseBuckets(value).errors, ['buckets must be an integer between 2 and 50'], value);
+    }
+  });
+});
+
+describe('describe', () => {
+  it('reports the population spread and interpolated quartiles', () => {
+    const { histogram, ...stats } = describeScores([40, 10, 30, 20], 4);
+    assert.deepStrictEqual(stats, { count: 4, mean: 25, median: 25, stddev: 11.18, min: 10, max: 40, q1: 17.5, q3: 32.5, iqr: 15 });
+    assert.deepStrictEqual(histogram, [
+      { from: 0, to: 25, count: 2 },
+      { from: 25, to: 50, count: 2 },
+      { from: 50, to: 75, count: 0 },
+      { from: 75, to: 100, count: 0 }
+    ]);
+  });
+
+  it('puts a perfect score in the last bucket', () => {
+    assert.deepStrictEqual(describeScores([0, 100], 3).histogram.map(bucket => bucket.count), [1, 0, 1]);
+  });
+
+  it('returns empty buckets and null statistics when nobody was scored', () => {
+    const { histogram, ...stats } = describeScores([], 2);
+    assert.deepStrictEqual(Object.values(stats), [0, null, null, null, null, null, null, null, null]);
+    assert.deepStrictEqual(histogram, [{ from: 0, to: 50, count: 0 }, { from: 50, to: 100, count: 0 }]);
+  });
+});
+
+describe('buildScoreAnalytics', () => {
+  it('covers every attempt, skips unscored dimensions and correlates the rest', async () => {
+    const db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createChallenge('c1', 'Challenge One');
+    await db.setRecruiterCriteria('c1', {
+      dimensions: [{ key: 'logic', weight: 0.5 }, { key: 'security', weight: 0.5 }, { key: 'style', weight: 0, required: false }]
+    });
+    const submit = (userId, aiScore, logic, security) => db.submitAIScore({
+      user_id: userId, challenge_id: 'c1', ai_score: aiScore, code_quality: 80, logic_score: logic, dimension_scores: { security }
+    });
+    // Logic rises with the AI score while security falls
+    await submit('alice', 50, 60, 80);
+    await submit('alice', 60, 70, 70);
+    await submit('bob', 70, 80, 60);
+
+    const analytics = await buildScoreAnalytics(db, 'c1', { buckets: 4 });
+
+    assert.equal(analytics.submissions, 3);
+    assert.equal(analytics.candidates, 2);
+    assert.deepStrictEqual(analytics.fields.map(field => [field.field, field.key, field.weight, field.mean, field.stddev]), [
+      ['ai_score', null, null, 60, 8.16],
+      ['code_quality', null, null, 80, 0],
+      ['logic_score', 'logic', 0.5, 70, 8.16],
+      ['dimension_scores.security', 'security', 0.5, 70, 8.16]
+    ]);
+    assert.deepStrictEqual(analytics.fields[2].histogram.map(bucket => bucket.count), [0, 0, 2, 1]);
+    assert.deepStrictEqual(analytics.correlations.fields, analytics.fields.map(field => field.field));
+    // A field that never varies has no defined correlation
+    assert.deepStrictEqual(analytics.correlations.matrix, [
+      [1, null, 1, -1],
+      [null, null, null, null],
+      [1, null, 1, -1],
+      [-1, null, -1, 1]
+    ]);
+  });
+
+  it('leaves correlations out until there are enough submissions', async () => {
+    const db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createChallenge('c1', 'Challenge One');
+    await db.submitAIScore({ user_id: 'alice', challenge_id: 'c1', ai_score: 50, code_quality: 60, logic_score: 70 });
+    await db.submitAIScore({ user_id: 'bob', challenge_id: 'c1', ai_score: 60, code_quality: 70, logic_score: 80 });
+
+    const { correlations } = await buildScoreAnalytics(db, 'c1');
+    assert.deepStrictEqual(correlations.fields, ['ai_score', 'code_quality', 'logic_score']);
+    assert.ok(correlations.matrix.every(row => row.every(value => value === null)));
+  });
+});
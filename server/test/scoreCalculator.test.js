@@ -0,0 +1,158 @@
+// Ranking, normalization and attempt selection in ScoreCalculator
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ScoreCalculator = require('../scoreCalculator');
+
+const entry = (userId, finalScore, extra = {}) => ({ userId, finalScore, ...extra });
+
+const ranks = rankings => rankings.map(ranking => [ranking.userId, ranking.rank]);
+
+describe('tie policies', () => {
+  // Two ties: b and c on 80, d and e on 70
+  const scores = [entry('a', 90), entry('c', 80), entry('b', 80), entry('e', 70), entry('d', 70), entry('f', 60)];
+
+  it('competition skips the ranks a tie uses (1, 2, 2, 4)', () => {
+    assert.deepStrictEqual(ranks(ScoreCalculator.calculateRankings(scores)),
+      [['a', 1], ['b', 2], ['c', 2], ['d', 4], ['e', 4], ['f', 6]]);
+  });
+
+  it('dense does not skip ranks (1, 2, 2, 3)', () => {
+    assert.deepStrictEqual(ranks(ScoreCalculator.calculateRankings(scores, 'dense')),
+      [['a', 1], ['b', 2], ['c', 2], ['d', 3], ['e', 3], ['f', 4]]);
+  });
+
+  it('ordinal gives every candidate their own rank in tie-breaker order', () => {
+    assert.deepStrictEqual(ranks(ScoreCalculator.calculateRankings(scores, 'ordinal')),
+      [['a', 1], ['b', 2], ['c', 3], ['d', 4], ['e', 5], ['f', 6]]);
+  });
+
+  it('fractional gives a tie the mean of the ranks it spans (1, 2.5, 2.5, 4)', () => {
+    assert.deepStrictEqual(ranks(ScoreCalculator.calculateRankings(scores, 'fractional')),
+      [['a', 1], ['b', 2.5], ['c', 2.5], ['d', 4.5], ['e', 4.5], ['f', 6]]);
+  });
+
+  it('rejects an unknown policy', () => {
+    assert.throws(() => ScoreCalculator.calculateRankings(scores, 'olympic'), /Unknown ranking policy: olympic/);
+    assert.deepStrictEqual(ScoreCalculator.validateCriteria({ logic_weight: 1, ranking_policy: 'olympic' }).errors,
+      ['ranking_policy must be one of: competition, dense, ordinal, fractional']);
+  });
+
+  it('breaks ties by earlier submission, then dimension scores, then user id', () => {
+    const breakdown = (logic, clarity) => ({ logic: { score: logic }, clarity: { score: clarity } });
+    const tied = [
+      entry('zed', 80, { submittedAt: '2024-01-01T10:00:00Z', breakdown: breakdown(70, 90) }),
+      entry('amy', 80, { submittedAt: '2024-01-01T10:00:00Z', breakdown: breakdown(70, 90) }),
+      entry('max', 80, { submittedAt: '2024-01-01T10:00:00Z', breakdown: breakdown(70, 95) }),
+      entry('kim', 80, { submittedAt: '2024-01-01T10:00:00Z', breakdown: breakdown(75, 10) }),
+      entry('ian', 80, { submittedAt: '2024-01-01T09:00:00Z', breakdown: breakdown(0, 0) }),
+      entry('new', 80, { breakdown: breakdown(100, 100) })
+    ];
+    assert.deepStrictEqual(ScoreCalculator.calculateRankings(tied, 'ordinal').map(ranking => ranking.userId),
+      ['ian', 'kim', 'max', 'amy', 'zed', 'new']);
+  });
+});
+
+describe('normalizeScores', () => {
+  const dimensions = [
+    { key: 'logic', scoreField: 'logic_score', weight: 0.5 },
+    { key: 'clarity', scoreField: 'clarity_score', weight: 0.5 }
+  ];
+  // Logic spreads 40..80; everyone has the same clarity
+  const cohort = [40, 60, 60, 80].map(logic => ({ logic_score: logic, clarity_score: 70 }));
+  const normalize = mode => ScoreCalculator.normalizeScores(cohort, dimensions, mode);
+
+  it('zscore rescales to mean 50 and standard deviation 10', () => {
+    assert.deepStrictEqual(normalize('zscore').map(scores => scores.logic), [35.86, 50, 50, 64.14]);
+  });
+
+  it('minmax maps the lowest score to 0 and the highest to 100', () => {
+    assert.deepStrictEqual(normalize('minmax').map(scores => scores.logic), [0, 50, 50, 100]);
+  });
+
+  it('percentile counts the share scoring lower, ties counting half', () => {
+    assert.deepStrictEqual(normalize('percentile').map(scores => scores.logic), [12.5, 50, 50, 87.5]);
+  });
+
+  it('puts everyone on 50 for a dimension nobody differs on', () => {
+    for (const mode of ['zscore', 'minmax', 'percentile']) {
+      assert.deepStrictEqual(normalize(mode).map(scores => scores.clarity), [50, 50, 50, 50], mode);
+    }
+  });
+
+  it('leaves raw scores alone for none and rejects unknown modes', () => {
+    assert.equal(normalize('none'), null);
+    assert.throws(() => normalize('log'), /Unknown normalization mode: log/);
+  });
+
+  it('weights the normalized scores into final scores', () => {
+    const aiScores = cohort.map((aiScore, index) => ({ ...aiScore, user_id: `u${index}`, challenge_id: 'c1' }));
+    const rankings = ScoreCalculator.processChallengeScores(aiScores, {
+      dimensions: dimensions.map(({ key, weight }) => ({ key, weight })),
+      normalization: 'minmax'
+    });
+    assert.deepStrictEqual(rankings.map(ranking => [ranking.userId, ranking.finalScore]),
+      [['u3', 75], ['u1', 50], ['u2', 50], ['u0', 25]]);
+    assert.deepStrictEqual(rankings[0].breakdown.logic, { label: 'Logic', score: 80, weight: 0.5, contribution: 50, normalizedScore: 100 });
+  });
+});
+
+describe('selectAttempts', () => {
+  const CRITERIA = { dimensions: [{ key: 'logic', weight: 1 }] };
+  const attempt = (id, minute, logic, extra = {}) => ({
+    id, user_id: 'alice', challenge_id: 'c1', submitted_at: `2024-01-01T10:0${minute}:00Z`, logic_score: logic, ...extra
+  });
+  // Deliberately out of order; selection must not depend on how the store returns them
+  const attempts = [attempt(3, 3, 70), attempt(1, 1, 50), attempt(4, 4, 60), attempt(2, 2, 90)];
+  const select = criteria => ScoreCalculator.selectAttempts(attempts, { ...CRITERIA, ...criteria });
+
+  it('latest counts the most recent submission', () => {
+    const [selected] = select({});
+    assert.deepStrictEqual([selected.id, selected.logic_score, selected.attempt_ids, selected.attempt_count], [4, 60, [4], 4]);
+  });
+
+  it('best counts the highest final score, the earlier of two equal ones', () => {
+    const [selected] = select({ attempt_policy: 'best' });
+    assert.deepStrictEqual([selected.id, selected.attempt_ids], [2, [2]]);
+
+    const [tied] = ScoreCalculator.selectAttempts([attempt(9, 5, 90), ...attempts], { ...CRITERIA, attempt_policy: 'best' });
+    assert.equal(tied.id, 2);
+  });
+
+  it('average takes the field-by-field mean of the last attempt_window submissions', () => {
+    const [selected] = select({ attempt_policy: 'average' });
+    assert.deepStrictEqual([selected.id, selected.logic_score, selected.attempt_ids], [4, 73.33, [2, 3, 4]]);
+
+    const [windowed] = select({ attempt_policy: 'average', attempt_window: 2 });
+    assert.deepStrictEqual([windowed.logic_score, windowed.attempt_ids], [65, [3, 4]]);
+  });
+
+  it('averages declared dimension scores too', () => {
+    const [selected] = ScoreCalculator.selectAttempts([
+      attempt(1, 1, 50, { dimension_scores: '{"security":40}' }),
+      attempt(2, 2, 70, { dimension_scores: { security: 81 } })
+    ], { ...CRITERIA, attempt_policy: 'average' });
+    assert.deepStrictEqual(selected.dimension_scores, { security: 60.5 });
+  });
+
+  it('orders submissions in the same second by id', () => {
+    const [selected] = ScoreCalculator.selectAttempts([attempt(8, 1, 10), attempt(7, 1, 20)], CRITERIA);
+    assert.equal(selected.id, 8);
+  });
+
+  it('keeps one counted attempt per candidate in the ranking', () => {
+    const rankings = ScoreCalculator.processChallengeScores([
+      ...attempts,
+      { id: 5, user_id: 'bob', challenge_id: 'c1', submitted_at: '2024-01-01T10:05:00Z', logic_score: 65 }
+    ], { ...CRITERIA, attempt_policy: 'best' });
+    assert.deepStrictEqual(rankings.map(ranking => [ranking.userId, ranking.finalScore, ranking.attemptId, ranking.attemptCount]),
+      [['alice', 90, 2, 4], ['bob', 65, 5, 1]]);
+  });
+
+  it('rejects an unknown policy and a bad window', () => {
+    assert.throws(() => select({ attempt_policy: 'first' }), /Unknown attempt policy: first/);
+    assert.deepStrictEqual(ScoreCalculator.validateCriteria({ ...CRITERIA, attempt_policy: 'first', attempt_window: 0 }).errors, [
+      'attempt_policy must be one of: latest, best, average',
+      'attempt_window must be a positive integer'
+    ]);
+  });
+});
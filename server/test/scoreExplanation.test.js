@@ -0,0 +1,93 @@
+// Score explanations: breakdown shares, the gap to the next rank and what would close it
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseAdapter = require('../database-adapter');
+const { recalculateChallengeRankings } = require('../rankingService');
+const { buildScoreExplanation } = require('../scoreExplanation');
+
+const CRITERIA = {
+  logic_weight: 0.6,
+  clarity_weight: 0.4,
+  testing_weight: 0,
+  efficiency_weight: 0,
+  api_ui_weight: 0,
+  edge_cases_weight: 0,
+  creativity_weight: 0
+};
+
+const score = (userId, logic, clarity) => ({
+  user_id: userId, challenge_id: 'c1', ai_score: 80, code_quality: 80, logic_score: logic, clarity_score: clarity, testing_rate: 0
+});
+
+describe('buildScoreExplanation', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseAdapter({ memory: true });
+    await db.ready;
+    await db.createChallenge('c1', 'Challenge One');
+    await db.setRecruiterCriteria('c1', CRITERIA);
+    // Final scores: alice 86, bob 76, carol 58
+    for (const [userId, name, logic, clarity] of [['alice', 'Alice', 90, 80], ['bob', 'Bob', 80, 70], ['carol', 'Carol', 50, 70]]) {
+      await db.createUser(userId, name);
+      await db.submitAIScore(score(userId, logic, clarity));
+    }
+    await recalculateChallengeRankings(db, 'c1');
+  });
+
+  it('splits the final score into weighted dimensions', async () => {
+    const explanation = await buildScoreExplanation(db, 'c1', 'bob');
+
+    assert.deepStrictEqual([explanation.rank, explanation.finalScore, explanation.totalParticipants], [2, 76, 3]);
+    assert.deepStrictEqual([explanation.normalization, explanation.breakdownSource, explanation.criteriaVersion], ['none', 'stored', 1]);
+    const weighted = explanation.breakdown.filter(dimension => dimension.weight > 0);
+    assert.deepStrictEqual(weighted.map(({ key, score: value, weight, contribution, percentOfFinalScore }) => [key, value, weight, contribution, percentOfFinalScore]), [
+      ['logic', 80, 0.6, 48, 63.16],
+      ['clarity', 70, 0.4, 28, 36.84]
+    ]);
+  });
+
+  it('names the candidate ahead and how far each dimension would have to rise to pass them', async () => {
+    const explanation = await buildScoreExplanation(db, 'c1', 'bob');
+
+    assert.deepStrictEqual(explanation.nextRank, { rank: 1, user_id: 'alice', name: 'Alice', final_score: 86, gap: 10, pointsNeeded: 10.01 });
+    assert.deepStrictEqual(explanation.improvements.map(({ key, basis, current, required, target, feasible }) => [key, basis, current, required, target, feasible]), [
+      ['logic', 'raw', 80, 16.69, 96.69, true],
+      ['clarity', 'raw', 70, 25.03, 95.03, true]
+    ]);
+    assert.equal(explanation.fastestImprovement, 'logic');
+  });
+
+  it('lists improvements past 100 last and never picks them as the fastest', async () => {
+    // carol needs 18.01 points: 30.02 more logic, or clarity of 115.03
+    const explanation = await buildScoreExplanation(db, 'c1', 'carol');
+
+    assert.deepStrictEqual(explanation.improvements.map(({ key, target, feasible }) => [key, target, feasible]), [
+      ['logic', 80.02, true],
+      ['clarity', 115.03, false]
+    ]);
+    assert.equal(explanation.fastestImprovement, 'logic');
+  });
+
+  it('has nothing to improve for the leader and nothing to explain for unranked candidates', async () => {
+    const explanation = await buildScoreExplanation(db, 'c1', 'alice');
+    assert.deepStrictEqual([explanation.nextRank, explanation.improvements, explanation.fastestImprovement], [null, [], null]);
+    assert.equal(await buildScoreExplanation(db, 'c1', 'dan'), null);
+  });
+
+  it('rebuilds the breakdown of rankings saved without one from the criteria they used', async () => {
+    const [, bob] = await db.getFinalRankings('c1');
+    await db.saveFinalRanking({
+      userId: 'bob', challengeId: 'c1', finalScore: 76, rank: 2,
+      logicContribution: 48, clarityContribution: 28, testingContribution: 0, efficiencyContribution: 0,
+      attemptId: bob.attempt_id, criteriaVersion: 1
+    });
+    // Newer criteria must not change how the stored rank is explained
+    await db.setRecruiterCriteria('c1', { ...CRITERIA, logic_weight: 0.4, clarity_weight: 0.6 });
+
+    const explanation = await buildScoreExplanation(db, 'c1', 'bob');
+    assert.equal(explanation.breakdownSource, 'recomputed');
+    assert.deepStrictEqual(explanation.breakdown.filter(dimension => dimension.weight > 0).map(dimension => [dimension.key, dimension.contribution]),
+      [['logic', 48], ['clarity', 28]]);
+  });
+});
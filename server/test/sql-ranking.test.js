@@ -0,0 +1,204 @@
+// Ranking inside the database (sqlRanking.js) must match ScoreCalculator.processChallengeScores exactly
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseAdapter = require('../database-adapter');
+const PostgresAdapter = require('../postgres-adapter');
+const ScoreCalculator = require('../scoreCalculator');
+const { canRankInDatabase } = require('../sqlRanking');
+const { recalculateChallengeRankings } = require('../rankingService');
+const { postgresConnection, migrateUp } = require('../migrator');
+
+// See adapter-conformance.test.js: the database is emptied before every test
+const { TEST_DATABASE_URL } = process.env;
+
+async function withPostgres(fn) {
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: TEST_DATABASE_URL });
+  await client.connect();
+  try {
+    await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+const BACKENDS = [
+  { name: 'SQLite', defaultEngine: 'node', create: filename => new DatabaseAdapter({ memory: false, filename }) },
+  {
+    name: 'PostgreSQL',
+    defaultEngine: 'database',
+    skip: !TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against Postgres',
+    create: () => new PostgresAdapter({ connectionString: TEST_DATABASE_URL, max: 2 }),
+    setup: () => withPostgres(client => migrateUp(postgresConnection(client))),
+    reset: () => withPostgres(client => client.query(
+      'TRUNCATE users, challenges, ai_scores, recruiter_criteria, final_rankings, audit_log RESTART IDENTITY CASCADE'
+    ))
+  }
+];
+
+const LEGACY_CRITERIA = {
+  logic_weight: 0.25,
+  clarity_weight: 0.3,
+  testing_weight: 0.05,
+  efficiency_weight: 0.05,
+  api_ui_weight: 0.15,
+  edge_cases_weight: 0.1,
+  creativity_weight: 0.1
+};
+
+const DIMENSION_CRITERIA = {
+  dimensions: [
+    { key: 'security', label: 'Security', weight: 0.35 },
+    { key: 'logic', label: 'Logic', weight: 0.4 },
+    { key: 'accessibility', label: 'Accessibility', weight: 0.25 }
+  ]
+};
+
+// A small pool of awkward decimals, so candidates tie often and the sums exercise float rounding
+const POOL = [0, 55, 62.5, 70.25, 70.3, 81.7, 88.85, 90, 99.99, 100];
+const FIELDS = ['ai_score', 'code_quality', 'testing_rate', 'logic_score', 'clarity_score', 'efficiency_score', 'api_ui_score', 'edge_cases_score', 'creativity_score'];
+
+// Deterministic pseudo-random numbers (mulberry32), so a failure reproduces
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 40 candidates with one to three attempts each; every fifth one copies the previous candidate
+async function seedScores(db, challengeId) {
+  const next = random(2024);
+  const pick = () => POOL[Math.floor(next() * POOL.length)];
+  let previous = null;
+
+  await db.createChallenge(challengeId, 'Parity');
+  for (let i = 0; i < 40; i++) {
+    const userId = `cand_${String(i).padStart(2, '0')}`;
+    await db.createUser(userId, `Candidate ${i}`);
+    const attempts = i % 5 === 4 && previous ? [previous] : Array.from({ length: 1 + Math.floor(next() * 3) }, () => {
+      const score = { dimension_scores: { security: pick(), accessibility: pick() } };
+      FIELDS.forEach(field => { score[field] = pick(); });
+      return score;
+    });
+    for (const attempt of attempts) {
+      await db.submitAIScore({ ...attempt, user_id: userId, challenge_id: challengeId });
+    }
+    previous = attempts[attempts.length - 1];
+  }
+}
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} window-function ranking`, { skip: backend.skip }, () => {
+    let db;
+    let filename;
+
+    if (backend.setup) {
+      before(backend.setup);
+    }
+
+    beforeEach(async () => {
+      if (backend.reset) {
+        await backend.reset();
+      }
+      filename = path.join(os.tmpdir(), `leaderboard-sql-ranking-${process.pid}-${Date.now()}.db`);
+      db = backend.create(filename);
+      await db.ready;
+      await seedScores(db, 'c1');
+    });
+
+    afterEach(async () => {
+      await db.close();
+      fs.rmSync(filename, { force: true });
+    });
+
+    for (const [name, base] of [['legacy weights', LEGACY_CRITERIA], ['declared dimensions', DIMENSION_CRITERIA]]) {
+      for (const ranking_policy of ScoreCalculator.RANKING_POLICIES) {
+        for (const attempt_policy of ['latest', 'best']) {
+          it(`matches ScoreCalculator for ${name}, ${ranking_policy} ranks and the ${attempt_policy} attempt`, async () => {
+            await db.setRecruiterCriteria('c1', { ...base, ranking_policy, attempt_policy });
+            const criteria = await db.getRecruiterCriteria('c1');
+            const expected = ScoreCalculator.processChallengeScores(await db.getAllAIScores('c1'), criteria);
+
+            const rankings = await db.rankChallengeInDatabase('c1', criteria);
+
+            assert.equal(rankings.length, 40);
+            assert.deepStrictEqual(rankings, expected);
+            const stored = await db.getFinalRankings('c1');
+            const byUser = new Map(stored.map(row => [row.user_id, [row.rank, row.final_score, row.criteria_version]]));
+            for (const ranking of expected) {
+              assert.deepStrictEqual(byUser.get(ranking.userId), [ranking.rank, ranking.finalScore, criteria.version]);
+            }
+          });
+        }
+      }
+    }
+
+    it('ranks through recalculateChallengeRankings when RANKING_ENGINE=database', async () => {
+      await db.setRecruiterCriteria('c1', { ...LEGACY_CRITERIA, ranking_policy: 'dense' });
+      const viaNode = await recalculateChallengeRankings(db, 'c1');
+
+      process.env.RANKING_ENGINE = 'database';
+      try {
+        const viaDatabase = await recalculateChallengeRankings(db, 'c1', { sub: 'rita', role: 'recruiter' });
+        assert.deepStrictEqual(viaDatabase, viaNode);
+      } finally {
+        delete process.env.RANKING_ENGINE;
+      }
+
+      const [audit] = await db.getAuditLog({ challengeId: 'c1', action: 'rankings.calculate', limit: 1 });
+      assert.equal(audit.actor, 'rita');
+      assert.equal(audit.after.rankings.length, 40);
+    });
+
+    it(`ranks with the ${backend.defaultEngine} engine when RANKING_ENGINE is unset`, async () => {
+      await db.setRecruiterCriteria('c1', LEGACY_CRITERIA);
+      const calls = [];
+      const rankInDatabase = db.rankChallengeInDatabase.bind(db);
+      db.rankChallengeInDatabase = (challengeId, criteria) => {
+        calls.push(challengeId);
+        return rankInDatabase(challengeId, criteria);
+      };
+
+      await recalculateChallengeRankings(db, 'c1');
+      assert.deepStrictEqual(calls, backend.defaultEngine === 'database' ? ['c1'] : []);
+
+      // An explicit RANKING_ENGINE wins over the adapter's default
+      db.rankingEngine = 'database';
+      process.env.RANKING_ENGINE = 'node';
+      try {
+        await recalculateChallengeRankings(db, 'c1');
+      } finally {
+        delete process.env.RANKING_ENGINE;
+      }
+      assert.equal(calls.length, backend.defaultEngine === 'database' ? 1 : 0);
+    });
+
+    it('keeps the stored ranking of a challenge without scores', async () => {
+      await db.createChallenge('c2', 'Empty');
+      await db.setRecruiterCriteria('c1', LEGACY_CRITERIA);
+      await db.setRecruiterCriteria('c2', LEGACY_CRITERIA);
+      await db.rankChallengeInDatabase('c1', await db.getRecruiterCriteria('c1'));
+
+      assert.deepStrictEqual(await db.rankChallengeInDatabase('c2', await db.getRecruiterCriteria('c2')), []);
+      assert.equal((await db.getFinalRankings('c1')).length, 40);
+    });
+  });
+}
+
+describe('canRankInDatabase', () => {
+  it('leaves normalized scores and averaged attempts to ScoreCalculator', async () => {
+    assert.equal(canRankInDatabase(LEGACY_CRITERIA), true);
+    assert.equal(canRankInDatabase({ ...LEGACY_CRITERIA, attempt_policy: 'best', ranking_policy: 'fractional' }), true);
+    assert.equal(canRankInDatabase({ ...LEGACY_CRITERIA, normalization: 'zscore' }), false);
+    assert.equal(canRankInDatabase({ ...LEGACY_CRITERIA, attempt_policy: 'average' }), false);
+
+    const memory = new DatabaseAdapter({ memory: true });
+    assert.equal(await memory.rankChallengeInDatabase('c1', LEGACY_CRITERIA), null);
+  });
+});
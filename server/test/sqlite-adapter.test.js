@@ -0,0 +1,199 @@
+// SQLite-specific behaviour of DatabaseAdapter that the conformance suite cannot see
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const DatabaseAdapter = require('../database-adapter');
+const ScoreCalculator = require('../scoreCalculator');
+
+const insertUser = (userId) => ({ sql: 'INSERT INTO users (user_id, name) VALUES (?, ?)', params: [userId, userId] });
+const ranking = (userId, finalScore, rank) => ({
+  userId, challengeId: 'c1', finalScore, rank,
+  logicContribution: finalScore, clarityContribution: 0, testingContribution: 0, efficiencyContribution: 0
+});
+const order = async db => (await db.getFinalRankings('c1')).map(row => [row.user_id, row.rank, row.final_score]);
+
+describe('SQLite transactions', () => {
+  let db;
+  let filename;
+
+  beforeEach(async () => {
+    filename = path.join(os.tmpdir(), `leaderboard-sqlite-${process.pid}-${Date.now()}.db`);
+    db = new DatabaseAdapter({ memory: false, filename });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(filename, { force: true });
+  });
+
+  it('runs overlapping transactions one after the other', async () => {
+    const results = await Promise.allSettled([
+      db.runTransaction([insertUser('a1'), insertUser('a2')]),
+      db.runTransaction([insertUser('b1'), { sql: 'INSERT INTO missing_table VALUES (1)', params: [] }]),
+      db.runTransaction([insertUser('c1')])
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.ok(await db.getUser('a2'));
+    assert.equal(await db.getUser('b1'), null);
+    assert.ok(await db.getUser('c1'));
+  });
+
+  it('keeps statements from other callers out of an open transaction', async () => {
+    let outside;
+    await assert.rejects(db.db.transaction(async run => {
+      await run(insertUser('inside').sql, insertUser('inside').params);
+      outside = db.createUser('outside', 'Outside');
+      throw new Error('abort');
+    }), /abort/);
+    await outside;
+
+    assert.equal(await db.getUser('inside'), null);
+    assert.equal((await db.getUser('outside')).name, 'Outside');
+  });
+
+  it('keeps the old ranking when replacing it fails part way', async () => {
+    await db.replaceChallengeRankings('c1', [ranking('alice', 90, 1), ranking('bob', 80, 2)]);
+
+    // final_score is NOT NULL, so the second row fails after the delete and the first insert ran
+    await assert.rejects(db.replaceChallengeRankings('c1', [ranking('bob', 95, 1), ranking('carol', null, 2)]), /NOT NULL/);
+
+    assert.deepStrictEqual(await order(db), [['alice', 1, 90], ['bob', 2, 80]]);
+  });
+
+  it('keeps every rank when an incremental re-rank fails part way', async () => {
+    await db.replaceChallengeRankings('c1', [ranking('alice', 90, 1), ranking('bob', 80, 2)]);
+
+    await assert.rejects(db.saveRankingChanges('c1', [ranking('carol', 95, 1)], [
+      { userId: 'alice', rank: 2 },
+      { userId: 'bob', rank: null }
+    ]), /NOT NULL/);
+
+    assert.deepStrictEqual(await order(db), [['alice', 1, 90], ['bob', 2, 80]]);
+  });
+});
+
+// The tables as the server created them before versioned migrations, with one ranked candidate
+const BASELINE_SCHEMA = [
+  `CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE challenges (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    challenge_id TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE ai_scores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    ai_score REAL NOT NULL,
+    code_quality REAL NOT NULL,
+    testing_rate REAL NOT NULL,
+    logic_score REAL NOT NULL,
+    clarity_score REAL NOT NULL,
+    efficiency_score REAL NOT NULL,
+    api_ui_score REAL NOT NULL DEFAULT 0,
+    edge_cases_score REAL NOT NULL DEFAULT 0,
+    creativity_score REAL NOT NULL DEFAULT 0,
+    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
+    UNIQUE(user_id, challenge_id)
+  )`,
+  `CREATE TABLE recruiter_criteria (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    challenge_id TEXT NOT NULL,
+    logic_weight REAL NOT NULL DEFAULT 0.25,
+    clarity_weight REAL NOT NULL DEFAULT 0.30,
+    testing_weight REAL NOT NULL DEFAULT 0.0,
+    efficiency_weight REAL NOT NULL DEFAULT 0.0,
+    api_ui_weight REAL NOT NULL DEFAULT 0.20,
+    edge_cases_weight REAL NOT NULL DEFAULT 0.15,
+    creativity_weight REAL NOT NULL DEFAULT 0.10,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
+  )`,
+  `CREATE TABLE final_rankings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    final_score REAL NOT NULL,
+    rank INTEGER NOT NULL,
+    logic_contribution REAL NOT NULL,
+    clarity_contribution REAL NOT NULL,
+    testing_contribution REAL NOT NULL,
+    efficiency_contribution REAL NOT NULL,
+    api_ui_contribution REAL NOT NULL DEFAULT 0,
+    edge_cases_contribution REAL NOT NULL DEFAULT 0,
+    creativity_contribution REAL NOT NULL DEFAULT 0,
+    calculated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
+    UNIQUE(user_id, challenge_id)
+  )`,
+  "INSERT INTO users (user_id, name) VALUES ('alice', 'Alice')",
+  "INSERT INTO challenges (challenge_id, title) VALUES ('c1', 'Challenge One')",
+  `INSERT INTO ai_scores (user_id, challenge_id, ai_score, code_quality, testing_rate, logic_score, clarity_score, efficiency_score)
+    VALUES ('alice', 'c1', 80, 80, 70, 90, 85, 60)`,
+  "INSERT INTO recruiter_criteria (challenge_id) VALUES ('c1')",
+  `INSERT INTO final_rankings (user_id, challenge_id, final_score, rank, logic_contribution, clarity_contribution, testing_contribution, efficiency_contribution)
+    VALUES ('alice', 'c1', 48, 1, 22.5, 25.5, 0, 0)`
+];
+
+describe('Upgrading a database created before versioned migrations', () => {
+  let db;
+  let filename;
+
+  beforeEach(async () => {
+    filename = path.join(os.tmpdir(), `leaderboard-baseline-${process.pid}-${Date.now()}.db`);
+    const baseline = new sqlite3.Database(filename);
+    for (const sql of BASELINE_SCHEMA) {
+      await new Promise((resolve, reject) => baseline.run(sql, err => (err ? reject(err) : resolve())));
+    }
+    await new Promise(resolve => baseline.close(resolve));
+
+    db = new DatabaseAdapter({ memory: false, filename });
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => db.db.close(resolve));
+    fs.rmSync(filename, { force: true });
+  });
+
+  it('adds the missing columns and keeps the existing rows', async () => {
+    const challenge = await db.getChallenge('c1');
+    assert.equal(challenge.status, 'open');
+    assert.deepStrictEqual(challenge.tags, []);
+    const criteria = await db.getRecruiterCriteria('c1');
+    assert.equal(criteria.version, 1);
+    assert.equal(criteria.attempt_policy, 'latest');
+    assert.deepStrictEqual((await db.getFinalRankings('c1')).map(row => [row.user_id, row.rank, row.final_score]), [['alice', 1, 48]]);
+  });
+
+  it('accepts further attempts and criteria versions', async () => {
+    await db.submitAIScore({
+      user_id: 'alice', challenge_id: 'c1', ai_score: 90, code_quality: 90, testing_rate: 80,
+      logic_score: 95, clarity_score: 90, efficiency_score: 70, dimension_scores: { security: 80 }
+    });
+    await db.setRecruiterCriteria('c1', { logic_weight: 0.5, clarity_weight: 0.5, testing_weight: 0, efficiency_weight: 0, api_ui_weight: 0, edge_cases_weight: 0, creativity_weight: 0, ranking_policy: 'fractional' });
+
+    assert.equal((await db.getAttempts('c1', 'alice')).length, 2);
+    assert.equal((await db.getRecruiterCriteria('c1')).version, 2);
+    const rankings = await db.recalculateRankings('c1');
+    assert.deepStrictEqual(rankings, ScoreCalculator.processChallengeScores(await db.getAllAIScores('c1'), await db.getRecruiterCriteria('c1')));
+    assert.equal(rankings[0].finalScore, 92.5);
+  });
+});
@@ -0,0 +1,420 @@
+// SupabaseAdapter's production path against a local stand-in for the Supabase client
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SupabaseAdapter = require('../supabase-adapter');
+const ScoreCalculator = require('../scoreCalculator');
+const { recalculateChallengeRankings, simulateRankings } = require('../rankingService');
+
+// Columns PostgREST matches upserts on (the unique keys in server/migrations)
+const CONFLICT_KEYS = {
+  users: ['user_id'],
+  challenges: ['challenge_id'],
+  final_rankings: ['user_id', 'challenge_id']
+};
+
+// Supabase's default cap on the rows in one response
+const MAX_ROWS = 1000;
+
+/**
+ * In-memory stand-in for the parts of supabase-js the adapter uses: from(table) queries
+ * with filters, ordering and ranges (tables and the leaderboard_entries view), and the rpc
+ * functions from migrations 002 and 003. Like PostgREST, responses stop at MAX_ROWS and
+ * filtering or ordering on a column the rows do not have fails.
+ */
+class FakeSupabase {
+  constructor() {
+    this.tables = { users: [], challenges: [], ai_scores: [], recruiter_criteria: [], final_rankings: [], audit_log: [] };
+    this.nextId = 1;
+    this.clock = Date.UTC(2025, 0, 1);
+    // Function name -> { data, error } returned instead of running it
+    this.rpcResults = {};
+  }
+
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  // Tables, and migration 002's leaderboard_entries view joined the way it is in SQL
+  rows(table) {
+    if (table !== 'leaderboard_entries') {
+      return this.tables[table];
+    }
+    return this.tables.final_rankings.flatMap(ranking => {
+      const user = this.tables.users.find(row => row.user_id === ranking.user_id);
+      const attempts = this.tables.ai_scores.filter(row => row.user_id === ranking.user_id && row.challenge_id === ranking.challenge_id);
+      const attempt = attempts.find(row => row.id === ranking.attempt_id) || attempts[attempts.length - 1];
+      if (!user || !attempt) return [];
+      const { id, user_id, challenge_id, submitted_at, created_at, ...scores } = attempt;
+      return [{ ...ranking, ...scores, name: user.name, attempt_id: id }];
+    });
+  }
+
+  // Fill the defaults the database would
+  insertRow(table, row) {
+    this.clock += 1000;
+    const stored = { id: this.nextId++, created_at: new Date(this.clock).toISOString(), ...structuredClone(row) };
+    if (table === 'ai_scores' && !stored.submitted_at) stored.submitted_at = new Date(this.clock).toISOString();
+    this.tables[table].push(stored);
+    return stored;
+  }
+
+  upsertRow(table, row) {
+    const keys = CONFLICT_KEYS[table];
+    const existing = this.tables[table].find(stored => keys.every(key => stored[key] === row[key]));
+    if (existing) {
+      Object.assign(existing, structuredClone(row));
+      return existing;
+    }
+    return this.insertRow(table, row);
+  }
+
+  // Remove matching ai_scores and final_rankings rows, returning how many attempts went
+  deleteScores(matches) {
+    const attempts = this.tables.ai_scores.length;
+    this.tables.final_rankings = this.tables.final_rankings.filter(row => !matches(row));
+    this.tables.ai_scores = this.tables.ai_scores.filter(row => !matches(row));
+    return attempts - this.tables.ai_scores.length;
+  }
+
+  async rpc(name, params) {
+    if (this.rpcResults[name]) {
+      return this.rpcResults[name];
+    }
+    const rankings = this.tables.final_rankings;
+    const inChallenge = row => row.challenge_id === params.p_challenge_id;
+    if (name === 'delete_challenge_user') {
+      return { data: this.deleteScores(row => inChallenge(row) && row.user_id === params.p_user_id), error: null };
+    } else if (name === 'delete_challenge_scores') {
+      return { data: this.deleteScores(inChallenge), error: null };
+    } else if (name === 'delete_challenge') {
+      const deleted = this.deleteScores(inChallenge);
+      this.tables.recruiter_criteria = this.tables.recruiter_criteria.filter(row => !inChallenge(row));
+      this.tables.challenges = this.tables.challenges.filter(row => !inChallenge(row));
+      return { data: deleted, error: null };
+    } else if (name === 'replace_challenge_rankings') {
+      this.tables.final_rankings = rankings.filter(row => row.challenge_id !== params.p_challenge_id);
+      params.p_rankings.forEach(row => this.insertRow('final_rankings', row));
+    } else if (name === 'apply_ranking_changes') {
+      params.p_rankings.forEach(row => this.upsertRow('final_rankings', row));
+      for (const { user_id, rank } of params.p_ranks) {
+        const row = rankings.find(stored => stored.challenge_id === params.p_challenge_id && stored.user_id === user_id);
+        if (row) row.rank = rank;
+      }
+    } else {
+      return { data: null, error: { message: `Could not find the function public.${name}` } };
+    }
+    return { data: null, error: null };
+  }
+}
+
+class FakeQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = 'select';
+    this.columns = [];
+    this.filters = [];
+    this.orders = [];
+    this.rowOffset = 0;
+    this.rowLimit = null;
+    this.one = false;
+    this.maybe = false;
+  }
+
+  select() {
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows) {
+    this.action = 'upsert';
+    this.payload = rows;
+    return this;
+  }
+
+  update(changes) {
+    this.action = 'update';
+    this.payload = changes;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, test) {
+    this.columns.push(column);
+    this.filters.push(row => test(row[column]));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, stored => stored === value); }
+  in(column, values) { return this.filter(column, stored => values.includes(stored)); }
+  gte(column, value) { return this.filter(column, stored => stored >= value); }
+  lte(column, value) { return this.filter(column, stored => stored <= value); }
+
+  order(column, { ascending = true } = {}) {
+    this.columns.push(column);
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rowOffset = from;
+    this.rowLimit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.one = true;
+    return this;
+  }
+
+  maybeSingle() {
+    this.maybe = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  execute() {
+    const rows = this.store.rows(this.table);
+    const unknown = this.columns.find(column => rows.length > 0 && !rows.some(row => column in row));
+    if (unknown) {
+      return { data: null, error: { code: '42703', message: `column ${this.table}.${unknown} does not exist` } };
+    }
+
+    let data;
+    if (this.action === 'insert' || this.action === 'upsert') {
+      const payload = Array.isArray(this.payload) ? this.payload : [this.payload];
+      data = payload.map(row => (this.action === 'insert' ? this.store.insertRow(this.table, row) : this.store.upsertRow(this.table, row)));
+    } else {
+      const matched = rows.filter(row => this.filters.every(test => test(row)));
+      if (this.action === 'delete') {
+        this.store.tables[this.table] = rows.filter(row => !matched.includes(row));
+        return { data: null, error: null };
+      }
+      if (this.action === 'update') {
+        matched.forEach(row => Object.assign(row, this.payload));
+      }
+      data = matched;
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      data = [...data].sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+    }
+    if (this.action === 'select') {
+      data = data.slice(this.rowOffset, this.rowOffset + Math.min(this.rowLimit === null ? MAX_ROWS : this.rowLimit, MAX_ROWS));
+    }
+    data = structuredClone(data);
+
+    if (this.one || this.maybe) {
+      if (data.length === 0 && this.maybe) return { data: null, error: null };
+      if (data.length !== 1) return { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      return { data: data[0], error: null };
+    }
+    return { data, error: null };
+  }
+}
+
+const CRITERIA = {
+  logic_weight: 0.5,
+  clarity_weight: 0.5,
+  testing_weight: 0,
+  efficiency_weight: 0,
+  api_ui_weight: 0,
+  edge_cases_weight: 0,
+  creativity_weight: 0
+};
+
+const score = (userId, logic, clarity) => ({
+  user_id: userId,
+  challenge_id: 'c1',
+  ai_score: 80,
+  code_quality: 80,
+  testing_rate: 0,
+  logic_score: logic,
+  clarity_score: clarity,
+  efficiency_score: 0,
+  api_ui_score: 0,
+  edge_cases_score: 0,
+  creativity_score: 0
+});
+
+const ADMIN = { sub: 'ada', role: 'admin' };
+
+describe('SupabaseAdapter deleting and re-ranking', () => {
+  let supabase;
+  let db;
+
+  beforeEach(async () => {
+    supabase = new FakeSupabase();
+    db = new SupabaseAdapter({ client: supabase });
+    await db.ready;
+
+    await db.createChallenge('c1', 'Challenge One');
+    await db.setRecruiterCriteria('c1', CRITERIA);
+    for (const [userId, points] of [['erin', 95], ['alice', 90], ['bob', 80], ['carol', 80], ['dave', 70]]) {
+      await db.createUser(userId, userId.toUpperCase());
+      await db.submitAIScore(score(userId, points, points));
+    }
+  });
+
+  const ranks = async () => (await db.getFinalRankings('c1')).map(row => [row.user_id, row.rank]);
+
+  it('ranks with ScoreCalculator weighting and shared ranks for ties', async () => {
+    const rankings = await db.recalculateRankings('c1');
+
+    assert.deepStrictEqual(rankings, ScoreCalculator.processChallengeScores(await db.getAllAIScores('c1'), await db.getRecruiterCriteria('c1')));
+    assert.deepStrictEqual(await ranks(), [['erin', 1], ['alice', 2], ['bob', 3], ['carol', 3], ['dave', 5]]);
+    assert.deepStrictEqual((await db.getLeaderboard('c1')).map(row => row.final_score), [95, 90, 80, 80, 70]);
+    assert.deepStrictEqual((await db.getAttemptsForUsers('c1', ['bob', 'carol'])).map(row => row.user_id).sort(), ['bob', 'carol']);
+  });
+
+  // Stored directly: 1,200 ranked candidates in c2, each with an older attempt and the one that counted
+  const storeBulkRanking = () => {
+    for (let i = 0; i < 1200; i++) {
+      const userId = `bulk_${String(i).padStart(4, '0')}`;
+      supabase.insertRow('users', { user_id: userId, name: `Bulk ${i}` });
+      supabase.insertRow('ai_scores', { ...score(userId, 0, 0), challenge_id: 'c2' });
+      const counted = supabase.insertRow('ai_scores', { ...score(userId, 100 - i / 100, 50), challenge_id: 'c2' });
+      supabase.insertRow('final_rankings', { user_id: userId, challenge_id: 'c2', final_score: 100 - i / 100, rank: i + 1, attempt_id: counted.id, attempt_count: 2 });
+    }
+  };
+
+  it('reads leaderboards longer than one response a page at a time', async () => {
+    storeBulkRanking();
+
+    const leaderboard = await db.getLeaderboard('c2', 5000);
+
+    assert.equal(leaderboard.length, 1200);
+    assert.deepStrictEqual(leaderboard.map(entry => entry.rank), Array.from({ length: 1200 }, (_, i) => i + 1));
+    const last = leaderboard[1199];
+    assert.equal(last.user_id, 'bulk_1199');
+    assert.equal(last.name, 'Bulk 1199');
+    assert.equal(last.logic_score, 100 - 1199 / 100);
+    assert.equal(last.attempt_count, 2);
+    assert.equal((await db.getLeaderboard('c2')).length, 100);
+
+    // Stored rankings and the audit snapshots built from them reach past the first response too
+    assert.equal((await db.getFinalRankings('c2')).length, 1200);
+    await db.deleteUserFromChallenge('c2', 'bulk_1199', ADMIN);
+    const [deletion] = await db.getAuditLog({ challengeId: 'c2', action: 'user.delete' });
+    assert.deepStrictEqual(deletion.before.ranking, { user_id: 'bulk_1199', rank: 1200, final_score: 100 - 1199 / 100 });
+  });
+
+  it('compares a simulation with every stored rank, not just the first response', async () => {
+    storeBulkRanking();
+
+    const { rankings } = await simulateRankings(db, 'c2', { ...CRITERIA, logic_weight: 0, clarity_weight: 1 });
+
+    assert.equal(rankings.length, 1200);
+    assert.deepStrictEqual(rankings.filter(ranking => ranking.currentRank === null), []);
+    const last = rankings.find(ranking => ranking.userId === 'bulk_1199');
+    assert.equal(last.name, 'Bulk 1199');
+    assert.equal(last.currentRank, 1200);
+    assert.equal(last.rank, 1);
+    assert.equal(last.rankDelta, 1199);
+  });
+
+  it('re-ranks the remaining candidates once after a delete, as the delete route does', async () => {
+    await db.recalculateRankings('c1');
+
+    await db.deleteUserFromChallenge('c1', 'alice', ADMIN);
+    // The delete itself leaves the others' ranks alone; the caller re-ranks
+    assert.deepStrictEqual(await ranks(), [['erin', 1], ['bob', 3], ['carol', 3], ['dave', 5]]);
+    assert.deepStrictEqual(await db.getAttempts('c1', 'alice'), []);
+
+    await recalculateChallengeRankings(db, 'c1', ADMIN);
+
+    assert.deepStrictEqual(await ranks(), [['erin', 1], ['bob', 2], ['carol', 2], ['dave', 4]]);
+    const actions = (await db.getAuditLog({ challengeId: 'c1', actor: 'ada' })).map(entry => entry.action);
+    assert.deepStrictEqual(actions, ['rankings.calculate', 'user.delete']);
+    const [, deletion] = await db.getAuditLog({ challengeId: 'c1', actor: 'ada' });
+    assert.deepStrictEqual(deletion.before.ranking, { user_id: 'alice', rank: 2, final_score: 90 });
+  });
+
+  it('follows the challenge tie policy and counted attempt after a delete', async () => {
+    await db.setRecruiterCriteria('c1', { ...CRITERIA, ranking_policy: 'dense', attempt_policy: 'best' });
+    await db.submitAIScore(score('dave', 40, 40));
+    await db.recalculateRankings('c1');
+
+    await db.deleteUserFromChallenge('c1', 'erin', ADMIN);
+    const rankings = await db.recalculateRankings('c1');
+
+    assert.deepStrictEqual(await ranks(), [['alice', 1], ['bob', 2], ['carol', 2], ['dave', 3]]);
+    const dave = rankings.find(ranking => ranking.userId === 'dave');
+    assert.equal(dave.finalScore, 70);
+    assert.equal(dave.attemptCount, 2);
+    assert.equal(dave.criteriaVersion, 2);
+  });
+
+  it('stops before auditing when Supabase rejects a delete', async () => {
+    await db.recalculateRankings('c1');
+    supabase.rpcResults.delete_challenge_user = { data: null, error: { message: 'permission denied for function delete_challenge_user' } };
+
+    await assert.rejects(db.deleteUserFromChallenge('c1', 'bob', ADMIN), { message: 'permission denied for function delete_challenge_user' });
+
+    assert.deepStrictEqual(await db.getAuditLog({ challengeId: 'c1', action: 'user.delete' }), []);
+  });
+
+  it('fails loudly when a delete removes fewer attempts than the candidate had', async () => {
+    await db.recalculateRankings('c1');
+    // What a delete filtered out by row level security reports: success, with nothing removed
+    supabase.rpcResults.delete_challenge_user = { data: 0, error: null };
+
+    await assert.rejects(db.deleteUserFromChallenge('c1', 'bob', ADMIN), /delete_challenge_user removed 0 of 1 attempts/);
+
+    assert.deepStrictEqual(await db.getAuditLog({ challengeId: 'c1', action: 'user.delete' }), []);
+    assert.deepStrictEqual(await ranks(), [['erin', 1], ['alice', 2], ['bob', 3], ['carol', 3], ['dave', 5]]);
+  });
+
+  it('leaves the stored ranking and audit log alone when Supabase rejects a recalculation', async () => {
+    await recalculateChallengeRankings(db, 'c1', ADMIN);
+    await db.submitAIScore(score('dave', 99, 99));
+    supabase.rpcResults.replace_challenge_rankings = { data: null, error: { message: 'permission denied for function replace_challenge_rankings' } };
+
+    await assert.rejects(recalculateChallengeRankings(db, 'c1', ADMIN), { message: 'permission denied for function replace_challenge_rankings' });
+
+    assert.deepStrictEqual(await ranks(), [['erin', 1], ['alice', 2], ['bob', 3], ['carol', 3], ['dave', 5]]);
+    assert.equal((await db.getAuditLog({ challengeId: 'c1', action: 'rankings.calculate' })).length, 1);
+  });
+
+  it('renames an existing challenge without reopening it', async () => {
+    await db.updateChallengeLifecycle('c1', { status: 'closed' }, ADMIN);
+
+    await db.createChallenge('c1', 'Challenge 1', 'Renamed', { status: 'open' });
+
+    const challenge = await db.getChallenge('c1');
+    assert.equal(challenge.title, 'Challenge 1');
+    assert.equal(challenge.status, 'closed');
+    assert.ok(challenge.closed_at);
+    assert.equal(supabase.tables.challenges.length, 1);
+  });
+
+  it('checks challenge and leaderboard deletes the same way', async () => {
+    supabase.rpcResults.delete_challenge_scores = { data: 2, error: null };
+    await assert.rejects(db.deleteChallengeLeaderboard('c1', ADMIN), /delete_challenge_scores removed 2 of 5 attempts/);
+    delete supabase.rpcResults.delete_challenge_scores;
+
+    await db.deleteChallenge('c1', ADMIN);
+
+    assert.equal(await db.getChallenge('c1'), null);
+    assert.deepStrictEqual(await db.getAllAIScores('c1'), []);
+    const actions = (await db.getAuditLog({ challengeId: 'c1', actor: 'ada' })).map(entry => entry.action);
+    assert.deepStrictEqual(actions, ['challenge.delete']);
+  });
+});
@@ -3,6 +3,10 @@ import axios from 'axios';
 import Leaderboard from './components/Leaderboard';
 import ScoreSubmission from './components/ScoreSubmission';
 import ChallengeManagement from './components/ChallengeManagement';
+import CandidateProfile from './components/CandidateProfile';
+import GlobalLeaderboard from './components/GlobalLeaderboard';
+import AuthBar from './components/AuthBar';
+import { getSession } from './auth';
 import './App.css';
 
 const API_BASE_URL = process.env.NODE_ENV === 'production' 
@@ -19,6 +23,9 @@ function App() {
   const [refreshTrigger, setRefreshTrigger] = useState(0);
   const [availableChallenges, setAvailableChallenges] = useState([]);
   const [deletingChallenge, setDeletingChallenge] = useState(false);
+  const [session, setSession] = useState(getSession);
+  const [profileUserId, setProfileUserId] = useState(null);
+  const [activeTab, setActiveTab] = useState('challenges');
 
   const fetchAvailableChallenges = useCallback(async () => {
     try {
@@ -32,7 +39,7 @@ function App() {
 
   const checkForData = useCallback(async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/leaderboard`);
+      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/leaderboard`, { params: { limit: 1 } });
       if (response.data.leaderboard.length === 0) {
         setShowDemoSetup(true);
         setShowLeaderboard(false);
@@ -166,12 +173,12 @@ function App() {
         }
       ];
 
-      for (const user of demoUsers) {
-        await axios.post(`${API_BASE_URL}/scores`, user);
-      }
-
-      // Calculate rankings
-      await axios.post(`${API_BASE_URL}/challenges/demo-challenge-1/calculate-rankings`);
+      // One NDJSON upload; the bulk endpoint recalculates rankings when it is done
+      await axios.post(
+        `${API_BASE_URL}/challenges/demo-challenge-1/scores/bulk`,
+        demoUsers.map(user => JSON.stringify(user)).join('\n'),
+        { headers: { 'Content-Type': 'application/x-ndjson' } }
+      );
 
       setShowDemoSetup(false);
       setShowLeaderboard(true);
@@ -232,6 +239,8 @@ function App() {
   };
 
   const handleChallengeSelect = (selectedChallengeId) => {
+    setProfileUserId(null);
+    setActiveTab('challenges');
     setChallengeId(selectedChallengeId);
     setShowChallengeManagement(false);
     setShowLeaderboard(true);
@@ -271,10 +280,35 @@ function App() {
       <header className="App-header">
         <h1>🏆 EduVerse Leaderboard System</h1>
         <p>AI-Powered Code Evaluation & Ranking Platform</p>
+        <AuthBar session={session} onSessionChange={setSession} />
       </header>
 
       <main className="App-main">
-        {showDemoSetup ? (
+        <div className="view-tabs">
+          <button
+            onClick={() => setActiveTab('challenges')}
+            className={`view-tab ${activeTab === 'challenges' ? 'active' : ''}`}
+          >
+            Challenge Leaderboards
+          </button>
+          <button
+            onClick={() => setActiveTab('global')}
+            className={`view-tab ${activeTab === 'global' ? 'active' : ''}`}
+          >
+            Global Leaderboard
+          </button>
+        </div>
+
+        {profileUserId ? (
+          <CandidateProfile
+            key={profileUserId}
+            userId={profileUserId}
+            onBack={() => setProfileUserId(null)}
+            onChallengeSelect={handleChallengeSelect}
+          />
+        ) : activeTab === 'global' ? (
+          <GlobalLeaderboard onUserSelect={setProfileUserId} />
+        ) : showDemoSetup ? (
           <div className="demo-setup">
             <div className="demo-setup-content">
               <h2>Welcome to EduVerse Leaderboard!</h2>
@@ -322,13 +356,15 @@ function App() {
                     ))}
                   </select>
                 </div>
-                <button 
-                  onClick={handleDeleteChallenge}
-                  disabled={deletingChallenge}
-                  className="delete-challenge-button"
-                >
-                  {deletingChallenge ? 'Deleting...' : '🗑️ Delete Challenge'}
-                </button>
+                {session?.role === 'admin' && (
+                  <button 
+                    onClick={handleDeleteChallenge}
+                    disabled={deletingChallenge}
+                    className="delete-challenge-button"
+                  >
+                    {deletingChallenge ? 'Deleting...' : '🗑️ Delete Challenge'}
+                  </button>
+                )}
               </div>
             </div>
             
@@ -340,6 +376,7 @@ function App() {
             <Leaderboard 
               challengeId={challengeId} 
               onBack={handleBackToHome}
+              onUserSelect={setProfileUserId}
               refreshTrigger={refreshTrigger}
             />
           </div>
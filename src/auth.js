@@ -0,0 +1,55 @@
+import axios from 'axios';
+
+const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : 'http://localhost:5001/api';
+
+const SESSION_KEY = 'eduverse_session';
+
+export const ROLES = ['admin', 'recruiter', 'grader', 'candidate'];
+
+export const getSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (session && new Date(session.expiresAt) > new Date()) {
+      return session;
+    }
+  } catch (err) {
+    // Fall through and clear a malformed session
+  }
+  localStorage.removeItem(SESSION_KEY);
+  return null;
+};
+
+// Uses the server's built-in token issuer (only enabled with AUTH_DEV_ISSUER=1)
+export const signIn = async (userId, role) => {
+  const response = await axios.post(`${API_BASE_URL}/auth/token`, { userId, role });
+  const { token, expiresAt } = response.data;
+  const session = { token, userId, role, expiresAt };
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+};
+
+// Signs in with a token issued elsewhere (npm run token, or a service sharing AUTH_SECRET)
+export const signInWithToken = async (token) => {
+  const response = await axios.get(`${API_BASE_URL}/auth/me`, {
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  const { exp } = JSON.parse(atob(token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/')));
+  const session = { token, userId: response.data.sub, role: response.data.role, expiresAt: new Date(exp * 1000).toISOString() };
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const signOut = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Every component calls axios directly, so the session token is attached globally
+axios.interceptors.request.use(config => {
+  const session = getSession();
+  if (session && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { ROLES, signIn, signInWithToken, signOut } from '../auth';
+import './AuthBar.css';
+
+const AuthBar = ({ session, onSessionChange }) => {
+  const [userId, setUserId] = useState('');
+  const [role, setRole] = useState('recruiter');
+  // Deployments without the built-in issuer sign in with a token issued elsewhere
+  const [useToken, setUseToken] = useState(false);
+  const [token, setToken] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+
+    try {
+      onSessionChange(useToken ? await signInWithToken(token.trim()) : await signIn(userId.trim(), role));
+      setUserId('');
+      setToken('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign in');
+      console.error('Sign in error:', err);
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    signOut();
+    onSessionChange(null);
+  };
+
+  if (session) {
+    return (
+      <div className="auth-bar">
+        <span className="auth-identity">
+          Signed in as <strong>{session.userId}</strong>
+          <span className={`auth-role role-${session.role}`}>{session.role}</span>
+        </span>
+        <button onClick={handleSignOut} className="auth-button">
+          Sign out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="auth-bar" onSubmit={handleSignIn}>
+      {useToken ? (
+        <input
+          type="password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          placeholder="Session token"
+          aria-label="Session token"
+          required
+        />
+      ) : (
+        <>
+          <input
+            type="text"
+            value={userId}
+            onChange={(e) => setUserId(e.target.value)}
+            placeholder="User ID"
+            aria-label="User ID"
+            required
+          />
+          <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Role">
+            {ROLES.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </>
+      )}
+      <button type="submit" disabled={signingIn} className="auth-button">
+        {signingIn ? 'Signing in...' : 'Sign in'}
+      </button>
+      <button type="button" onClick={() => { setUseToken(!useToken); setError(null); }} className="auth-button">
+        {useToken ? 'Use user ID' : 'Use token'}
+      </button>
+      {error && <span className="auth-error">{error}</span>}
+    </form>
+  );
+};
+
+export default AuthBar;
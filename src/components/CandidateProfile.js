@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './CandidateProfile.css';
+
+const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : 'http://localhost:5001/api';
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toFixed(2) : '–');
+
+const CandidateProfile = ({ userId, onBack, onChallengeSelect }) => {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/users/${encodeURIComponent(userId)}`);
+      setProfile(response.data);
+      setError(null);
+    } catch (err) {
+      const status = err.response?.status;
+      setError(status === 401 || status === 403
+        ? 'Sign in as a recruiter (or as this candidate) to view this profile.'
+        : 'Failed to load profile: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  if (loading) {
+    return (
+      <div className="candidate-profile">
+        <div className="loading">Loading profile...</div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="candidate-profile">
+        <button onClick={onBack} className="back-button">
+          ← Back
+        </button>
+        <div className="error">{error}</div>
+      </div>
+    );
+  }
+
+  const { user, summary, challenges, dimensionAverages } = profile;
+  // Bars are drawn against the best average so the strongest dimension fills the row
+  const maxAverage = Math.max(1, ...dimensionAverages.map(dimension => dimension.averageScore || 0));
+
+  return (
+    <div className="candidate-profile">
+      <div className="profile-header">
+        <button onClick={onBack} className="back-button">
+          ← Back
+        </button>
+        <div>
+          <h2>{user.name}</h2>
+          <div className="profile-user-id">@{user.user_id}{user.email && ` · ${user.email}`}</div>
+        </div>
+      </div>
+
+      <div className="profile-summary">
+        <div className="summary-card">
+          <span className="summary-value">{summary.challengesEntered}</span>
+          <span className="summary-label">Challenges entered</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-value">{summary.bestRank ?? '–'}</span>
+          <span className="summary-label">Best rank</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-value">{formatNumber(summary.averageFinalScore)}</span>
+          <span className="summary-label">Average final score</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-value">
+            {summary.averagePercentile === null ? '–' : `${summary.averagePercentile}%`}
+          </span>
+          <span className="summary-label">Average percentile</span>
+        </div>
+        <div className="summary-card">
+          <span className="summary-value">{summary.totalAttempts}</span>
+          <span className="summary-label">Submissions</span>
+        </div>
+      </div>
+
+      <div className="profile-section">
+        <h3>Challenges</h3>
+        {challenges.length === 0 ? (
+          <div className="no-results">No submissions yet.</div>
+        ) : (
+          <table className="profile-table">
+            <thead>
+              <tr>
+                <th>Challenge</th>
+                <th>Status</th>
+                <th>Rank</th>
+                <th>Percentile</th>
+                <th>Final Score</th>
+                <th>Attempts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {challenges.map(result => (
+                <tr key={result.challengeId}>
+                  <td>
+                    <button
+                      onClick={() => onChallengeSelect(result.challengeId)}
+                      className="link-button"
+                      title="View leaderboard"
+                    >
+                      {result.title}
+                    </button>
+                  </td>
+                  <td>{result.status ?? '–'}</td>
+                  <td>{result.ranked ? `${result.rank} of ${result.totalParticipants}` : 'Not ranked'}</td>
+                  <td>{result.percentile === null ? '–' : `${result.percentile}%`}</td>
+                  <td>{formatNumber(result.finalScore)}</td>
+                  <td>{result.attemptCount}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {dimensionAverages.length > 0 && (
+        <div className="profile-section">
+          <h3>Average by Dimension</h3>
+          <div className="dimension-averages">
+            {dimensionAverages.map(dimension => (
+              <div key={dimension.key} className="dimension-average">
+                <span className="dimension-label">{dimension.label}</span>
+                <div className="dimension-bar">
+                  <div
+                    className="dimension-bar-fill"
+                    style={{ width: `${((dimension.averageScore || 0) / maxAverage) * 100}%` }}
+                  />
+                </div>
+                <span
+                  className="dimension-value"
+                  title={`Average contribution: ${formatNumber(dimension.averageContribution)} over ${dimension.challenges} challenge(s)`}
+                >
+                  {formatNumber(dimension.averageScore)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CandidateProfile;
@@ -1,11 +1,34 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import WeightSimulator from './WeightSimulator';
+import ScoreAnalytics from './ScoreAnalytics';
 import './ChallengeManagement.css';
 
 const API_BASE_URL = process.env.NODE_ENV === 'production' 
   ? '/api' 
   : 'http://localhost:5001/api';
 
+const BUILT_IN_DIMENSION_KEYS = ['logic', 'clarity', 'testing', 'efficiency', 'api_ui', 'edge_cases', 'creativity'];
+
+// Lifecycle moves the server allows from each status, with the button label for each
+const STATUS_ACTIONS = {
+  draft: [{ status: 'open', label: 'Open' }, { status: 'archived', label: 'Archive' }],
+  open: [{ status: 'closed', label: 'Close' }],
+  closed: [{ status: 'archived', label: 'Archive' }],
+  archived: []
+};
+
+// datetime-local inputs give local time without a zone; the API takes ISO timestamps
+const toISOString = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatWindow = (challenge) => {
+  const format = (value) => new Date(value).toLocaleString();
+  if (challenge.starts_at && challenge.ends_at) return `${format(challenge.starts_at)} – ${format(challenge.ends_at)}`;
+  if (challenge.starts_at) return `From ${format(challenge.starts_at)}`;
+  if (challenge.ends_at) return `Until ${format(challenge.ends_at)}`;
+  return null;
+};
+
 const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated }) => {
   const [challenges, setChallenges] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -13,18 +36,30 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [creating, setCreating] = useState(false);
   const [createError, setCreateError] = useState(null);
+  const [customDimensions, setCustomDimensions] = useState([]);
+  const [simulatingChallengeId, setSimulatingChallengeId] = useState(null);
+  const [analyticsChallengeId, setAnalyticsChallengeId] = useState(null);
+  const [updatingStatus, setUpdatingStatus] = useState(null);
 
   const [newChallenge, setNewChallenge] = useState({
     challengeId: '',
     title: '',
     description: '',
+    tags: '',
+    status: 'open',
+    startsAt: '',
+    endsAt: '',
     logic_weight: 0.25,
     clarity_weight: 0.30,
     testing_weight: 0.0,
     efficiency_weight: 0.0,
     api_ui_weight: 0.20,
     edge_cases_weight: 0.15,
-    creativity_weight: 0.10
+    creativity_weight: 0.10,
+    ranking_policy: 'competition',
+    normalization: 'none',
+    attempt_policy: 'latest',
+    attempt_window: 3
   });
 
   const fetchChallenges = useCallback(async () => {
@@ -49,10 +84,61 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
     const { name, value } = e.target;
     setNewChallenge(prev => ({
       ...prev,
-      [name]: name.includes('_weight') ? parseFloat(value) || 0 : value
+      [name]: name.includes('_weight') ? parseFloat(value) || 0
+        : name === 'attempt_window' ? parseInt(value, 10) || 1
+        : value
     }));
   };
 
+  const handleAddDimension = () => {
+    setCustomDimensions(prev => [...prev, { key: '', label: '', weight: 0 }]);
+  };
+
+  const handleDimensionChange = (index, field, value) => {
+    setCustomDimensions(prev => prev.map((dimension, i) => (
+      i === index
+        ? { ...dimension, [field]: field === 'weight' ? parseFloat(value) || 0 : value }
+        : dimension
+    )));
+  };
+
+  const handleRemoveDimension = (index) => {
+    setCustomDimensions(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const buildCriteria = () => {
+    const legacyWeights = {};
+    BUILT_IN_DIMENSION_KEYS.forEach(key => {
+      legacyWeights[`${key}_weight`] = newChallenge[`${key}_weight`];
+    });
+
+    const options = {
+      ranking_policy: newChallenge.ranking_policy,
+      normalization: newChallenge.normalization,
+      attempt_policy: newChallenge.attempt_policy,
+      attempt_window: newChallenge.attempt_window
+    };
+
+    if (customDimensions.length === 0) {
+      return { ...legacyWeights, ...options };
+    }
+
+    // Custom dimensions switch the challenge to a declared dimension set
+    return {
+      ...options,
+      dimensions: [
+        ...BUILT_IN_DIMENSION_KEYS
+          .filter(key => newChallenge[`${key}_weight`] > 0)
+          .map(key => ({ key, weight: newChallenge[`${key}_weight`] })),
+        ...customDimensions.map(dimension => ({
+          key: dimension.key.trim(),
+          label: dimension.label.trim() || dimension.key.trim(),
+          weight: dimension.weight
+        }))
+      ]
+    };
+  };
+
   const handleCreateChallenge = async (e) => {
     e.preventDefault();
     setCreating(true);
@@ -63,33 +149,38 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
       await axios.post(`${API_BASE_URL}/challenges`, {
         challengeId: newChallenge.challengeId,
         title: newChallenge.title,
-        description: newChallenge.description
+        description: newChallenge.description,
+        tags: newChallenge.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        status: newChallenge.status,
+        startsAt: toISOString(newChallenge.startsAt),
+        endsAt: toISOString(newChallenge.endsAt)
       });
 
       // Set the criteria
-      await axios.post(`${API_BASE_URL}/challenges/${newChallenge.challengeId}/criteria`, {
-        logic_weight: newChallenge.logic_weight,
-        clarity_weight: newChallenge.clarity_weight,
-        testing_weight: newChallenge.testing_weight,
-        efficiency_weight: newChallenge.efficiency_weight,
-        api_ui_weight: newChallenge.api_ui_weight,
-        edge_cases_weight: newChallenge.edge_cases_weight,
-        creativity_weight: newChallenge.creativity_weight
-      });
+      await axios.post(`${API_BASE_URL}/challenges/${newChallenge.challengeId}/criteria`, buildCriteria());
 
       // Reset form
       setNewChallenge({
         challengeId: '',
         title: '',
         description: '',
+        tags: '',
+        status: 'open',
+        startsAt: '',
+        endsAt: '',
         logic_weight: 0.25,
         clarity_weight: 0.30,
         testing_weight: 0.0,
         efficiency_weight: 0.0,
         api_ui_weight: 0.20,
         edge_cases_weight: 0.15,
-        creativity_weight: 0.10
+        creativity_weight: 0.10,
+        ranking_policy: 'competition',
+        normalization: 'none',
+        attempt_policy: 'latest',
+        attempt_window: 3
       });
+      setCustomDimensions([]);
 
       setShowCreateForm(false);
       await fetchChallenges(); // Refresh the list
@@ -105,10 +196,26 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
     }
   };
 
+  const handleStatusChange = async (challengeId, status) => {
+    if (status === 'closed' && !window.confirm('Closing stops submissions and freezes the final leaderboard. This cannot be undone. Continue?')) {
+      return;
+    }
+
+    setUpdatingStatus(challengeId);
+    try {
+      await axios.post(`${API_BASE_URL}/challenges/${challengeId}/status`, { status });
+      await fetchChallenges();
+    } catch (err) {
+      setError('Failed to update challenge status: ' + (err.response?.data?.details?.[0] || err.response?.data?.error || err.message));
+    } finally {
+      setUpdatingStatus(null);
+    }
+  };
+
   const getChallengeStats = async (challengeId) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/leaderboard`);
-      return response.data.leaderboard.length;
+      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/leaderboard`, { params: { limit: 1 } });
+      return response.data.totalParticipants;
     } catch (err) {
       return 0;
     }
@@ -186,6 +293,53 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
               />
             </div>
 
+            <div className="form-group">
+              <label htmlFor="tags">Tags</label>
+              <input
+                type="text"
+                id="tags"
+                name="tags"
+                value={newChallenge.tags}
+                onChange={handleInputChange}
+                placeholder="e.g. backend, algorithms (comma-separated)"
+              />
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="status">Status</label>
+                <select
+                  id="status"
+                  name="status"
+                  value={newChallenge.status}
+                  onChange={handleInputChange}
+                >
+                  <option value="open">Open (accepting submissions)</option>
+                  <option value="draft">Draft (not yet accepting submissions)</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="startsAt">Submissions Open</label>
+                <input
+                  type="datetime-local"
+                  id="startsAt"
+                  name="startsAt"
+                  value={newChallenge.startsAt}
+                  onChange={handleInputChange}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="endsAt">Submissions Close</label>
+                <input
+                  type="datetime-local"
+                  id="endsAt"
+                  name="endsAt"
+                  value={newChallenge.endsAt}
+                  onChange={handleInputChange}
+                />
+              </div>
+            </div>
+
             <div className="criteria-section">
               <h4>Scoring Criteria Weights</h4>
               <div className="criteria-grid">
@@ -281,6 +435,107 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
                   />
                 </div>
               </div>
+
+              <div className="form-group ranking-policy">
+                <label htmlFor="normalization">Score Normalization</label>
+                <select
+                  id="normalization"
+                  name="normalization"
+                  value={newChallenge.normalization}
+                  onChange={handleInputChange}
+                >
+                  <option value="none">None (weight raw AI scores)</option>
+                  <option value="zscore">Z-score (mean 50, std. dev. 10)</option>
+                  <option value="minmax">Min-max across the cohort (0-100)</option>
+                  <option value="percentile">Percentile rank</option>
+                </select>
+              </div>
+
+              <div className="form-group ranking-policy">
+                <label htmlFor="ranking_policy">Tie Handling</label>
+                <select
+                  id="ranking_policy"
+                  name="ranking_policy"
+                  value={newChallenge.ranking_policy}
+                  onChange={handleInputChange}
+                >
+                  <option value="competition">Standard competition (1, 1, 3)</option>
+                  <option value="dense">Dense (1, 1, 2)</option>
+                  <option value="ordinal">Ordinal, earlier submission wins (1, 2, 3)</option>
+                  <option value="fractional">Fractional (1.5, 1.5, 3)</option>
+                </select>
+              </div>
+
+              <div className="form-group ranking-policy">
+                <label htmlFor="attempt_policy">Counted Attempt</label>
+                <select
+                  id="attempt_policy"
+                  name="attempt_policy"
+                  value={newChallenge.attempt_policy}
+                  onChange={handleInputChange}
+                >
+                  <option value="latest">Latest submission</option>
+                  <option value="best">Best submission</option>
+                  <option value="average">Average of the last N submissions</option>
+                </select>
+                {newChallenge.attempt_policy === 'average' && (
+                  <input
+                    type="number"
+                    id="attempt_window"
+                    name="attempt_window"
+                    value={newChallenge.attempt_window}
+                    onChange={handleInputChange}
+                    min="1"
+                    step="1"
+                    aria-label="Number of attempts to average"
+                  />
+                )}
+              </div>
+
+              <div className="custom-dimensions">
+                <h5>Custom Dimensions</h5>
+                {customDimensions.map((dimension, index) => (
+                  <div key={index} className="custom-dimension-row">
+                    <input
+                      type="text"
+                      value={dimension.key}
+                      onChange={(e) => handleDimensionChange(index, 'key', e.target.value)}
+                      placeholder="key, e.g. security"
+                      pattern="[a-z][a-z0-9_]*"
+                      required
+                    />
+                    <input
+                      type="text"
+                      value={dimension.label}
+                      onChange={(e) => handleDimensionChange(index, 'label', e.target.value)}
+                      placeholder="Label, e.g. Security"
+                    />
+                    <input
+                      type="number"
+                      value={dimension.weight}
+                      onChange={(e) => handleDimensionChange(index, 'weight', e.target.value)}
+                      min="0"
+                      max="1"
+                      step="0.01"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveDimension(index)}
+                      className="remove-dimension-button"
+                      title="Remove dimension"
+                    >
+                      ❌
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={handleAddDimension}
+                  className="add-dimension-button"
+                >
+                  + Add Dimension
+                </button>
+              </div>
             </div>
 
             {createError && (
@@ -309,6 +564,22 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
         </div>
       )}
 
+      {simulatingChallengeId && (
+        <WeightSimulator
+          key={simulatingChallengeId}
+          challengeId={simulatingChallengeId}
+          onClose={() => setSimulatingChallengeId(null)}
+        />
+      )}
+
+      {analyticsChallengeId && (
+        <ScoreAnalytics
+          key={analyticsChallengeId}
+          challengeId={analyticsChallengeId}
+          onClose={() => setAnalyticsChallengeId(null)}
+        />
+      )}
+
       <div className="challenges-list">
         <h3>Available Challenges</h3>
         {challenges.length === 0 ? (
@@ -320,11 +591,27 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
             {challenges.map((challenge) => (
               <div key={challenge.challenge_id} className="challenge-card">
                 <div className="challenge-info">
-                  <h4>{challenge.title}</h4>
+                  <h4>
+                    {challenge.title}
+                    <span className={`status-badge status-${challenge.status}`}>{challenge.status}</span>
+                  </h4>
                   <p className="challenge-id">ID: {challenge.challenge_id}</p>
+                  {formatWindow(challenge) && (
+                    <p className="challenge-window">Submissions: {formatWindow(challenge)}</p>
+                  )}
+                  {challenge.status === 'open' && !challenge.acceptingSubmissions && (
+                    <p className="challenge-window">Not accepting submissions yet</p>
+                  )}
                   {challenge.description && (
                     <p className="challenge-description">{challenge.description}</p>
                   )}
+                  {challenge.tags && challenge.tags.length > 0 && (
+                    <div className="challenge-tags">
+                      {challenge.tags.map(tag => (
+                        <span key={tag} className="challenge-tag">{tag}</span>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 <div className="challenge-actions">
                   <button 
@@ -333,6 +620,28 @@ const ChallengeManagement = ({ onChallengeSelect, onBack, onChallengeCreated })
                   >
                     View Leaderboard
                   </button>
+                  <button 
+                    onClick={() => setSimulatingChallengeId(challenge.challenge_id)}
+                    className="simulate-button"
+                  >
+                    What-if Weights
+                  </button>
+                  <button 
+                    onClick={() => setAnalyticsChallengeId(challenge.challenge_id)}
+                    className="simulate-button"
+                  >
+                    Score Analytics
+                  </button>
+                  {(STATUS_ACTIONS[challenge.status] || []).map(action => (
+                    <button
+                      key={action.status}
+                      onClick={() => handleStatusChange(challenge.challenge_id, action.status)}
+                      disabled={updatingStatus === challenge.challenge_id}
+                      className={`status-button status-button-${action.status}`}
+                    >
+                      {action.label}
+                    </button>
+                  ))}
                 </div>
               </div>
             ))}
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './GlobalLeaderboard.css';
+
+const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : 'http://localhost:5001/api';
+
+const AGGREGATIONS = [
+  { value: 'sum', label: 'Sum of normalized scores', scoreLabel: 'Total (max 100 per challenge)' },
+  { value: 'percentile', label: 'Average percentile', scoreLabel: 'Avg. percentile' },
+  { value: 'elo', label: 'Elo-style rating', scoreLabel: 'Rating' }
+];
+
+const GlobalLeaderboard = ({ onUserSelect }) => {
+  const [aggregation, setAggregation] = useState('sum');
+  const [tagInput, setTagInput] = useState('');
+  const [tags, setTags] = useState('');
+  const [minChallenges, setMinChallenges] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchGlobalLeaderboard = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { aggregation, minChallenges };
+      if (tags) params.tags = tags;
+      const response = await axios.get(`${API_BASE_URL}/leaderboard/global`, { params });
+      setData(response.data);
+      setError(null);
+    } catch (err) {
+      const details = err.response?.data?.details;
+      setError('Failed to load global leaderboard: ' +
+        (details ? details.join('; ') : err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [aggregation, tags, minChallenges]);
+
+  useEffect(() => {
+    fetchGlobalLeaderboard();
+  }, [fetchGlobalLeaderboard]);
+
+  const handleTagSubmit = (e) => {
+    e.preventDefault();
+    setTags(tagInput.trim());
+  };
+
+  const scoreLabel = AGGREGATIONS.find(option => option.value === aggregation).scoreLabel;
+
+  return (
+    <div className="global-leaderboard">
+      <div className="global-header">
+        <h2>Global Leaderboard</h2>
+        {data && (
+          <span className="global-meta">
+            {data.totalParticipants} candidates across {data.challenges.length} challenge(s)
+          </span>
+        )}
+      </div>
+
+      <div className="global-controls">
+        <label>
+          Aggregation
+          <select value={aggregation} onChange={(e) => setAggregation(e.target.value)}>
+            {AGGREGATIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Min. challenges
+          <input
+            type="number"
+            min="1"
+            value={minChallenges}
+            onChange={(e) => setMinChallenges(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          />
+        </label>
+        <form onSubmit={handleTagSubmit} className="tag-filter">
+          <label>
+            Tags
+            <input
+              type="text"
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              placeholder="e.g. backend, algorithms"
+            />
+          </label>
+          <button type="submit">Filter</button>
+        </form>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading global leaderboard...</div>
+      ) : error ? (
+        <div className="error">{error}</div>
+      ) : data.leaderboard.length === 0 ? (
+        <div className="no-results">No ranked candidates match these filters.</div>
+      ) : (
+        <table className="global-table">
+          <thead>
+            <tr>
+              <th>Rank</th>
+              <th>Candidate</th>
+              <th>{scoreLabel}</th>
+              <th>Challenges</th>
+              <th>Best Rank</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.leaderboard.map(entry => (
+              <tr key={entry.user_id}>
+                <td className="global-rank">#{entry.rank}</td>
+                <td>
+                  <button
+                    onClick={() => onUserSelect(entry.user_id)}
+                    className="global-user-link"
+                    title="View profile"
+                  >
+                    {entry.name}
+                  </button>
+                </td>
+                <td>{entry.score.toFixed(2)}</td>
+                <td>{entry.challenges}</td>
+                <td>{entry.best_rank}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default GlobalLeaderboard;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import './Leaderboard.css';
 
@@ -6,44 +6,166 @@ const API_BASE_URL = process.env.NODE_ENV === 'production'
   ? '/api' 
   : 'http://localhost:5001/api';
 
-const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
+const PAGE_SIZE = 50;
+// Largest page the API serves, so a live refresh can reload everything shown in one request
+const MAX_PAGE_SIZE = 500;
+const MOVE_ANIMATION_MS = 600;
+const MOVEMENT_BADGE_MS = 4000;
+
+const Leaderboard = ({ challengeId, onBack, onUserSelect, refreshTrigger }) => {
   const [leaderboard, setLeaderboard] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+  const [normalization, setNormalization] = useState('none');
+  const [criteriaVersion, setCriteriaVersion] = useState(null);
+  const [frozen, setFrozen] = useState(false);
+  const [totalParticipants, setTotalParticipants] = useState(0);
+  const [matchedParticipants, setMatchedParticipants] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [fetching, setFetching] = useState(false);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
-  const [filteredLeaderboard, setFilteredLeaderboard] = useState([]);
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('rank');
   const [deletingUser, setDeletingUser] = useState(null);
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [live, setLive] = useState(false);
+  const [movement, setMovement] = useState({});
+  const rowRefs = useRef(new Map());
+  const previousPositions = useRef(null);
+  const liveUpdateRef = useRef(null);
+
+  // Search runs on the server, so wait for a pause in typing before querying
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const fetchPage = useCallback(async (cursor, limit = PAGE_SIZE) => {
+    const params = { limit, sort };
+    if (search) params.search = search;
+    if (cursor) params.cursor = cursor;
+    const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/leaderboard`, { params });
+    setDimensions(response.data.dimensions || []);
+    setNormalization(response.data.normalization || 'none');
+    setCriteriaVersion(response.data.criteriaVersion ?? null);
+    setFrozen(Boolean(response.data.frozen));
+    setTotalParticipants(response.data.totalParticipants);
+    setMatchedParticipants(response.data.matchedParticipants);
+    setNextCursor(response.data.nextCursor);
+    return response.data.leaderboard;
+  }, [challengeId, sort, search]);
 
   const fetchLeaderboard = useCallback(async () => {
     try {
-      setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/leaderboard`);
-      setLeaderboard(response.data.leaderboard);
+      setFetching(true);
+      setLeaderboard(await fetchPage(null));
       setError(null);
     } catch (err) {
       setError('Failed to fetch leaderboard data');
       console.error('Error fetching leaderboard:', err);
     } finally {
+      setFetching(false);
       setLoading(false);
     }
-  }, [challengeId]);
+  }, [fetchPage]);
+
+  const handleLoadMore = async () => {
+    try {
+      setFetching(true);
+      const page = await fetchPage(nextCursor);
+      setLeaderboard(prev => [...prev, ...page]);
+    } catch (err) {
+      setError('Failed to fetch leaderboard data');
+      console.error('Error fetching leaderboard:', err);
+    } finally {
+      setFetching(false);
+    }
+  };
 
   useEffect(() => {
     fetchLeaderboard();
   }, [fetchLeaderboard, refreshTrigger]);
 
-  useEffect(() => {
-    // Filter leaderboard based on search term
-    if (searchTerm.trim() === '') {
-      setFilteredLeaderboard(leaderboard);
-    } else {
-      const filtered = leaderboard.filter(entry =>
-        entry.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        entry.user_id.toLowerCase().includes(searchTerm.toLowerCase())
+  // Reload the rows on screen after a pushed rank change, remembering where each row was
+  // so the move can be animated
+  const applyLiveUpdate = async (update) => {
+    try {
+      const rows = await fetchPage(null, Math.min(Math.max(leaderboard.length, PAGE_SIZE), MAX_PAGE_SIZE));
+      previousPositions.current = new Map(
+        [...rowRefs.current].map(([userId, element]) => [userId, element.getBoundingClientRect().top])
       );
-      setFilteredLeaderboard(filtered);
+      setLeaderboard(rows);
+
+      const moves = {};
+      update.changes.forEach(change => {
+        if (change.previousRank === null) moves[change.user_id] = 'new';
+        else if (change.rank < change.previousRank) moves[change.user_id] = 'up';
+        else if (change.rank > change.previousRank) moves[change.user_id] = 'down';
+      });
+      setMovement(moves);
+    } catch (err) {
+      console.error('Error applying live leaderboard update:', err);
+    }
+  };
+  liveUpdateRef.current = applyLiveUpdate;
+
+  // Live updates from the server; the browser reconnects on its own if the stream drops
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') {
+      return undefined;
+    }
+
+    const source = new EventSource(`${API_BASE_URL}/challenges/${challengeId}/leaderboard/stream`);
+    source.addEventListener('ready', () => setLive(true));
+    source.addEventListener('rankings', (message) => {
+      liveUpdateRef.current(JSON.parse(message.data));
+    });
+    source.onerror = () => setLive(false);
+
+    return () => {
+      source.close();
+      setLive(false);
+    };
+  }, [challengeId]);
+
+  // Slide moved rows from their old position to the new one (FLIP)
+  useLayoutEffect(() => {
+    const before = previousPositions.current;
+    if (!before) {
+      return;
     }
-  }, [leaderboard, searchTerm]);
+    previousPositions.current = null;
+
+    rowRefs.current.forEach((element, userId) => {
+      const top = before.get(userId);
+      const delta = top === undefined ? 0 : top - element.getBoundingClientRect().top;
+      if (delta === 0) return;
+
+      element.style.transition = 'none';
+      element.style.transform = `translateY(${delta}px)`;
+      requestAnimationFrame(() => {
+        element.style.transition = `transform ${MOVE_ANIMATION_MS}ms ease`;
+        element.style.transform = '';
+        element.addEventListener('transitionend', () => {
+          element.style.transition = '';
+        }, { once: true });
+      });
+    });
+  }, [leaderboard]);
+
+  useEffect(() => {
+    if (Object.keys(movement).length === 0) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setMovement({}), MOVEMENT_BADGE_MS);
+    return () => clearTimeout(timer);
+  }, [movement]);
+
+  const setRowRef = (userId) => (element) => {
+    if (element) rowRefs.current.set(userId, element);
+    else rowRefs.current.delete(userId);
+  };
 
   const getRankIcon = (rank) => {
     if (rank === 1) return '🥇';
@@ -57,6 +179,24 @@ const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
     return '';
   };
 
+  const getContribution = (entry, key) => {
+    const value = entry.contributions?.[key] ?? entry[`${key}_contribution`];
+    return value || 0;
+  };
+
+  // Raw and normalized scores behind a contribution, shown on hover
+  const getScoreDetails = (entry, dimension) => {
+    const raw = dimension.scoreField
+      ? entry[dimension.scoreField]
+      : entry.dimension_scores?.[dimension.key];
+    const normalized = entry.normalized_scores?.[dimension.key];
+
+    if (normalization === 'none' || normalized === undefined) {
+      return `Raw score: ${raw ?? '-'}`;
+    }
+    return `Raw score: ${raw ?? '-'} → ${normalization} normalized: ${normalized}`;
+  };
+
   const handleDeleteUser = async (userId, userName) => {
     if (!window.confirm(`Are you sure you want to delete ${userName} (@${userId}) from the leaderboard? This action cannot be undone.`)) {
       return;
@@ -74,6 +214,30 @@ const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
     }
   };
 
+  // CSV and JSON download; the HTML export opens in a new tab ready to print to PDF.
+  // Exports are for recruiters, so the file is fetched with the session token rather than linked
+  const handleExport = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/leaderboard/export`, {
+        params: { format: exportFormat },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      if (exportFormat === 'html') {
+        window.open(url, '_blank');
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${challengeId}-leaderboard.${exportFormat}`;
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      const denied = [401, 403].includes(err.response?.status);
+      setError('Failed to export leaderboard: ' + (denied ? 'sign in as a recruiter to export' : err.message));
+    }
+  };
+
   if (loading) {
     return (
       <div className="leaderboard-container">
@@ -101,6 +265,9 @@ const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
             ← Back to Home
           </button>
           <h2>Leaderboard - Challenge {challengeId}</h2>
+          <span className={`live-indicator ${live ? 'connected' : ''}`} title={live ? 'Receiving live updates' : 'Live updates unavailable'}>
+            {live ? '● Live' : '○ Offline'}
+          </span>
         </div>
         <div className="search-container">
           <input
@@ -110,11 +277,37 @@ const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
             onChange={(e) => setSearchTerm(e.target.value)}
             className="search-input"
           />
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            className="sort-select"
+            aria-label="Sort by"
+          >
+            <option value="rank">Rank</option>
+            <option value="final_score">Final Score</option>
+            <option value="name">Name</option>
+            {dimensions.map(dimension => (
+              <option key={dimension.key} value={`${dimension.key}_contribution`}>
+                {dimension.label} contribution
+              </option>
+            ))}
+          </select>
         </div>
         <div className="stats">
-          <span>Total Participants: {leaderboard.length}</span>
-          <span>Showing: {filteredLeaderboard.length}</span>
+          <span>Total Participants: {totalParticipants}</span>
+          <span>Showing: {leaderboard.length} of {matchedParticipants}</span>
+          {criteriaVersion !== null && <span>Criteria: v{criteriaVersion}</span>}
         </div>
+        {frozen && (
+          <div className="final-results">
+            Final results: this challenge is closed and its leaderboard no longer changes.
+          </div>
+        )}
+        {criteriaVersion !== null && leaderboard.some(entry => entry.criteria_version && entry.criteria_version !== criteriaVersion) && (
+          <div className="stale-rankings">
+            Rankings were calculated with an earlier criteria version. Recalculate to apply v{criteriaVersion}.
+          </div>
+        )}
       </div>
 
       <div className="leaderboard-table">
@@ -126,19 +319,38 @@ const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
           <div className="actions-col">Actions</div>
         </div>
 
-        {filteredLeaderboard.length === 0 ? (
+        {leaderboard.length === 0 ? (
           <div className="no-results">
             {searchTerm ? 'No results found for your search.' : 'No participants yet.'}
           </div>
         ) : (
-          filteredLeaderboard.map((entry, index) => (
-            <div key={entry.user_id} className={`table-row ${getRankClass(entry.rank)}`}>
+          leaderboard.map((entry, index) => (
+            <div
+              key={entry.user_id}
+              ref={setRowRef(entry.user_id)}
+              className={`table-row ${getRankClass(entry.rank)} ${movement[entry.user_id] ? `moved-${movement[entry.user_id]}` : ''}`}
+            >
               <div className="rank-col">
                 <span className="rank-icon">{getRankIcon(entry.rank)}</span>
                 <span className="rank-number">{entry.rank}</span>
+                {movement[entry.user_id] && (
+                  <span className="movement-badge">
+                    {{ up: '▲', down: '▼', new: 'NEW' }[movement[entry.user_id]]}
+                  </span>
+                )}
               </div>
               <div className="name-col">
-                <div className="user-name">{entry.name}</div>
+                {onUserSelect ? (
+                  <button
+                    onClick={() => onUserSelect(entry.user_id)}
+                    className="user-name user-name-link"
+                    title={`View ${entry.name}'s profile`}
+                  >
+                    {entry.name}
+                  </button>
+                ) : (
+                  <div className="user-name">{entry.name}</div>
+                )}
                 <div className="user-id">@{entry.user_id}</div>
               </div>
               <div className="score-col">
@@ -146,38 +358,18 @@ const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
               </div>
               <div className="breakdown-col">
                 <div className="score-breakdown">
-                  <div className="breakdown-item">
-                    <span className="label">Clarity & Structure:</span>
-                    <span className="value">{entry.clarity_contribution.toFixed(2)}</span>
-                  </div>
-                  <div className="breakdown-item">
-                    <span className="label">Logic:</span>
-                    <span className="value">{entry.logic_contribution.toFixed(2)}</span>
-                  </div>
-                  <div className="breakdown-item">
-                    <span className="label">API/UI Design:</span>
-                    <span className="value">{entry.api_ui_contribution.toFixed(2)}</span>
-                  </div>
-                  <div className="breakdown-item">
-                    <span className="label">Edge Cases:</span>
-                    <span className="value">{entry.edge_cases_contribution.toFixed(2)}</span>
-                  </div>
-                  <div className="breakdown-item">
-                    <span className="label">Creativity:</span>
-                    <span className="value">{entry.creativity_contribution.toFixed(2)}</span>
-                  </div>
-                  {entry.testing_contribution > 0 && (
-                    <div className="breakdown-item">
-                      <span className="label">Testing:</span>
-                      <span className="value">{entry.testing_contribution.toFixed(2)}</span>
-                    </div>
-                  )}
-                  {entry.efficiency_contribution > 0 && (
-                    <div className="breakdown-item">
-                      <span className="label">Efficiency:</span>
-                      <span className="value">{entry.efficiency_contribution.toFixed(2)}</span>
-                    </div>
-                  )}
+                  {dimensions
+                    .filter(dimension => dimension.weight > 0)
+                    .map(dimension => (
+                      <div
+                        key={dimension.key}
+                        className="breakdown-item"
+                        title={getScoreDetails(entry, dimension)}
+                      >
+                        <span className="label">{dimension.label}:</span>
+                        <span className="value">{getContribution(entry, dimension.key).toFixed(2)}</span>
+                      </div>
+                    ))}
                 </div>
               </div>
               <div className="actions-col">
@@ -195,10 +387,33 @@ const Leaderboard = ({ challengeId, onBack, refreshTrigger }) => {
         )}
       </div>
 
+      {nextCursor && (
+        <div className="load-more">
+          <button onClick={handleLoadMore} disabled={fetching} className="load-more-button">
+            {fetching ? 'Loading...' : `Load ${Math.min(PAGE_SIZE, matchedParticipants - leaderboard.length)} more`}
+          </button>
+        </div>
+      )}
+
       <div className="leaderboard-footer">
         <button onClick={fetchLeaderboard} className="refresh-button">
           Refresh Leaderboard
         </button>
+        <div className="export-controls">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="export-format"
+            aria-label="Export format"
+          >
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+            <option value="html">Printable HTML</option>
+          </select>
+          <button onClick={handleExport} className="export-button">
+            Export
+          </button>
+        </div>
       </div>
     </div>
   );
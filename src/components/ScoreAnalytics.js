@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './ScoreAnalytics.css';
+
+const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : 'http://localhost:5001/api';
+
+const formatNumber = (value) => (typeof value === 'number' ? value.toFixed(2) : '–');
+
+// Blue for positive correlation, red for negative, stronger colour for a stronger relationship
+const correlationColor = (value) => {
+  if (value === null) return '#f8f9fa';
+  const alpha = Math.abs(value) * 0.8;
+  return value >= 0 ? `rgba(52, 152, 219, ${alpha})` : `rgba(231, 76, 60, ${alpha})`;
+};
+
+const Histogram = ({ histogram }) => {
+  const maxCount = Math.max(1, ...histogram.map(bucket => bucket.count));
+  return (
+    <div className="histogram">
+      {histogram.map(bucket => (
+        <div
+          key={bucket.from}
+          className="histogram-bar"
+          title={`${bucket.from}–${bucket.to}: ${bucket.count} submission(s)`}
+        >
+          <div className="histogram-fill" style={{ height: `${(bucket.count / maxCount) * 100}%` }} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ScoreAnalytics = ({ challengeId, onClose }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchAnalytics = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/analytics`);
+      setAnalytics(response.data);
+      setError(null);
+    } catch (err) {
+      const status = err.response?.status;
+      setError(status === 401 || status === 403
+        ? 'Sign in as a recruiter to view score analytics.'
+        : 'Failed to load analytics: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [challengeId]);
+
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
+
+  const labelFor = (field) => analytics.fields.find(entry => entry.field === field)?.label || field;
+
+  return (
+    <div className="score-analytics">
+      <div className="analytics-header">
+        <h3>Score Analytics: {challengeId}</h3>
+        <button onClick={onClose} className="analytics-close-button">Close</button>
+      </div>
+
+      {loading ? (
+        <div className="analytics-message">Loading analytics...</div>
+      ) : error ? (
+        <div className="analytics-message analytics-error">{error}</div>
+      ) : analytics.submissions === 0 ? (
+        <div className="analytics-message">No scores have been submitted for this challenge yet.</div>
+      ) : (
+        <>
+          <p className="analytics-summary">
+            {analytics.submissions} submission(s) from {analytics.candidates} candidate(s). Histograms span 0–100.
+          </p>
+
+          <div className="analytics-grid">
+            {analytics.fields.map(field => (
+              <div key={field.field} className="analytics-card">
+                <div className="analytics-card-header">
+                  <span className="analytics-label">{field.label}</span>
+                  {field.weight !== null && (
+                    <span className="analytics-weight">weight {(field.weight * 100).toFixed(0)}%</span>
+                  )}
+                </div>
+                <Histogram histogram={field.histogram} />
+                <div className="histogram-axis">
+                  <span>0</span>
+                  <span>100</span>
+                </div>
+                <dl className="analytics-stats">
+                  <dt>Mean</dt><dd>{formatNumber(field.mean)}</dd>
+                  <dt>Median</dt><dd>{formatNumber(field.median)}</dd>
+                  <dt>Std dev</dt><dd>{formatNumber(field.stddev)}</dd>
+                  <dt>Q1 – Q3</dt><dd>{formatNumber(field.q1)} – {formatNumber(field.q3)}</dd>
+                  <dt>Min – Max</dt><dd>{formatNumber(field.min)} – {formatNumber(field.max)}</dd>
+                </dl>
+              </div>
+            ))}
+          </div>
+
+          <h4 className="analytics-subtitle">Correlation between fields</h4>
+          <div className="correlation-wrapper">
+            <table className="correlation-table">
+              <thead>
+                <tr>
+                  <th />
+                  {analytics.correlations.fields.map(field => (
+                    <th key={field}>{labelFor(field)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.correlations.matrix.map((row, rowIndex) => (
+                  <tr key={analytics.correlations.fields[rowIndex]}>
+                    <th>{labelFor(analytics.correlations.fields[rowIndex])}</th>
+                    {row.map((value, columnIndex) => (
+                      <td
+                        key={analytics.correlations.fields[columnIndex]}
+                        style={{ background: correlationColor(value) }}
+                      >
+                        {value === null ? '–' : value.toFixed(2)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="analytics-note">
+            Fields that move together (close to 1) may be measuring the same thing. A field with no spread has no correlation (–).
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScoreAnalytics;
@@ -25,6 +25,37 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
   const [success, setSuccess] = useState(false);
   const [deleting, setDeleting] = useState(false);
   const [successTimeout, setSuccessTimeout] = useState(null);
+  const [dimensions, setDimensions] = useState(null);
+  const [dimensionScores, setDimensionScores] = useState({});
+  const [uploading, setUploading] = useState(false);
+  const [uploadReport, setUploadReport] = useState(null);
+
+  // Load the challenge's scoring dimensions so custom ones get their own inputs
+  useEffect(() => {
+    let cancelled = false;
+    axios.get(`${API_BASE_URL}/challenges/${challengeId}/criteria`)
+      .then(response => {
+        if (!cancelled) setDimensions(response.data.dimensions);
+      })
+      .catch(() => {
+        if (!cancelled) setDimensions(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [challengeId]);
+
+  const customDimensions = (dimensions || []).filter(dimension => !dimension.scoreField);
+
+  // Without criteria the built-in logic, clarity and testing scores stay required
+  const isRequired = (field) => {
+    if (!dimensions) {
+      return ['testing_rate', 'logic_score', 'clarity_score'].includes(field);
+    }
+    return dimensions.some(dimension => dimension.scoreField === field && dimension.required);
+  };
+
+  const parseOptionalScore = (value) => (value === '' ? undefined : parseFloat(value));
 
   const showSuccessWithTimeout = (message) => {
     setSuccess(message);
@@ -59,6 +90,13 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
     }));
   };
 
+  const handleDimensionScoreChange = (key, value) => {
+    setDimensionScores(prev => ({
+      ...prev,
+      [key]: value
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -73,20 +111,27 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
         email: formData.email,
         ai_score: parseFloat(formData.ai_score),
         code_quality: parseFloat(formData.code_quality),
-        testing_rate: parseFloat(formData.testing_rate),
-        logic_score: parseFloat(formData.logic_score),
-        clarity_score: parseFloat(formData.clarity_score),
+        testing_rate: parseOptionalScore(formData.testing_rate),
+        logic_score: parseOptionalScore(formData.logic_score),
+        clarity_score: parseOptionalScore(formData.clarity_score),
         efficiency_score: parseFloat(formData.efficiency_score) || 0,
         api_ui_score: parseFloat(formData.api_ui_score) || 0,
         edge_cases_score: parseFloat(formData.edge_cases_score) || 0,
         creativity_score: parseFloat(formData.creativity_score) || 0
       };
 
-      // Submit the score
-      await axios.post(`${API_BASE_URL}/scores`, scoreData);
+      if (customDimensions.length > 0) {
+        scoreData.dimension_scores = {};
+        customDimensions.forEach(dimension => {
+          const value = parseOptionalScore(dimensionScores[dimension.key] || '');
+          if (value !== undefined) {
+            scoreData.dimension_scores[dimension.key] = value;
+          }
+        });
+      }
 
-      // Calculate rankings
-      await axios.post(`${API_BASE_URL}/challenges/${challengeId}/calculate-rankings`);
+      // Submit the score; the server re-ranks the candidate as part of the submission
+      await axios.post(`${API_BASE_URL}/scores`, scoreData);
 
       showSuccessWithTimeout('Score submitted successfully! The leaderboard has been updated.');
       setFormData({
@@ -102,18 +147,51 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
         edge_cases_score: '',
         creativity_score: ''
       });
+      setDimensionScores({});
 
       // Notify parent component to refresh leaderboard
       if (onScoreSubmitted) {
         onScoreSubmitted();
       }
     } catch (err) {
-      setError('Failed to submit score: ' + (err.response?.data?.error || err.message));
+      setError('Failed to submit score: ' + (err.response?.data?.details?.join(', ') || err.response?.data?.error || err.message));
     } finally {
       setLoading(false);
     }
   };
 
+  // Batch files from the grader go through the bulk endpoint, which re-ranks once at the end
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    const isCSV = file.name.toLowerCase().endsWith('.csv');
+    setUploading(true);
+    setError(null);
+    setUploadReport(null);
+
+    try {
+      const text = await file.text();
+      const response = await axios.post(`${API_BASE_URL}/challenges/${challengeId}/scores/bulk`, text, {
+        headers: { 'Content-Type': isCSV ? 'text/csv' : 'application/x-ndjson' }
+      });
+      setUploadReport(response.data);
+      showSuccessWithTimeout(`Imported ${response.data.inserted} of ${response.data.totalRows} rows. The leaderboard has been updated.`);
+
+      if (onScoreSubmitted) {
+        onScoreSubmitted();
+      }
+    } catch (err) {
+      setUploadReport(err.response?.data?.errors ? err.response.data : null);
+      setError('Failed to import scores: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setUploading(false);
+    }
+  };
+
   const handleDeleteLeaderboard = async () => {
     if (!window.confirm('Are you sure you want to delete the entire leaderboard for this challenge? This action cannot be undone.')) {
       return;
@@ -201,28 +279,28 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
 
         <div className="form-row">
           <div className="form-group">
-            <label htmlFor="testing_rate">Testing Rate * (0-100)</label>
+            <label htmlFor="testing_rate">Testing Rate{isRequired('testing_rate') ? ' *' : ''} (0-100)</label>
             <input
               type="number"
               id="testing_rate"
               name="testing_rate"
               value={formData.testing_rate}
               onChange={handleChange}
-              required
+              required={isRequired('testing_rate')}
               min="0"
               max="100"
               step="0.1"
             />
           </div>
           <div className="form-group">
-            <label htmlFor="logic_score">Logic Score * (0-100)</label>
+            <label htmlFor="logic_score">Logic Score{isRequired('logic_score') ? ' *' : ''} (0-100)</label>
             <input
               type="number"
               id="logic_score"
               name="logic_score"
               value={formData.logic_score}
               onChange={handleChange}
-              required
+              required={isRequired('logic_score')}
               min="0"
               max="100"
               step="0.1"
@@ -232,14 +310,14 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
 
         <div className="form-row">
           <div className="form-group">
-            <label htmlFor="clarity_score">Clarity Score * (0-100)</label>
+            <label htmlFor="clarity_score">Clarity Score{isRequired('clarity_score') ? ' *' : ''} (0-100)</label>
             <input
               type="number"
               id="clarity_score"
               name="clarity_score"
               value={formData.clarity_score}
               onChange={handleChange}
-              required
+              required={isRequired('clarity_score')}
               min="0"
               max="100"
               step="0.1"
@@ -308,6 +386,28 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
           </div>
         </div>
 
+        {customDimensions.length > 0 && (
+          <div className="form-row">
+            {customDimensions.map(dimension => (
+              <div key={dimension.key} className="form-group">
+                <label htmlFor={`dimension_${dimension.key}`}>
+                  {dimension.label}{dimension.required ? ' *' : ''} (0-100)
+                </label>
+                <input
+                  type="number"
+                  id={`dimension_${dimension.key}`}
+                  value={dimensionScores[dimension.key] || ''}
+                  onChange={(e) => handleDimensionScoreChange(dimension.key, e.target.value)}
+                  required={dimension.required}
+                  min="0"
+                  max="100"
+                  step="0.1"
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
         {error && (
           <div className="error-message">
             {error}
@@ -329,6 +429,33 @@ const ScoreSubmission = ({ challengeId, onScoreSubmitted }) => {
         </button>
       </form>
 
+      <div className="bulk-upload">
+        <h4>Bulk Upload</h4>
+        <p>CSV with a header row, or NDJSON with one score per line.</p>
+        <label className="bulk-upload-button">
+          {uploading ? 'Importing...' : 'Choose File'}
+          <input
+            type="file"
+            accept=".csv,.ndjson,.jsonl"
+            onChange={handleFileUpload}
+            disabled={uploading}
+          />
+        </label>
+
+        {uploadReport && uploadReport.errors.length > 0 && (
+          <div className="bulk-upload-report">
+            <strong>{uploadReport.failed} row(s) skipped:</strong>
+            <ul>
+              {uploadReport.errors.map(rowError => (
+                <li key={rowError.row}>
+                  Row {rowError.row}{rowError.user_id ? ` (${rowError.user_id})` : ''}: {rowError.errors.join(', ')}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
       <div className="delete-actions">
         <button 
           onClick={handleDeleteLeaderboard}
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import './WeightSimulator.css';
+
+const API_BASE_URL = process.env.NODE_ENV === 'production'
+  ? '/api'
+  : 'http://localhost:5001/api';
+
+// Sliders move freely; weights are scaled to sum to 1 before simulating
+const normalizeWeights = (weights) => {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return null;
+  }
+  const normalized = {};
+  Object.entries(weights).forEach(([key, weight]) => {
+    normalized[key] = Math.round((weight / total) * 10000) / 10000;
+  });
+  return normalized;
+};
+
+const formatDelta = (delta) => {
+  if (delta === null) return 'new';
+  if (delta > 0) return `▲ ${delta}`;
+  if (delta < 0) return `▼ ${Math.abs(delta)}`;
+  return '–';
+};
+
+const WeightSimulator = ({ challengeId, onClose }) => {
+  const [dimensions, setDimensions] = useState([]);
+  const [weights, setWeights] = useState({});
+  const [simulation, setSimulation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchCriteria = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/challenges/${challengeId}/criteria`);
+      const resolved = response.data.dimensions || [];
+      setDimensions(resolved);
+      setWeights(Object.fromEntries(resolved.map(dimension => [dimension.key, dimension.weight])));
+      setError(null);
+    } catch (err) {
+      setError('This challenge has no scoring criteria to simulate');
+      console.error('Error fetching criteria:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [challengeId]);
+
+  useEffect(() => {
+    fetchCriteria();
+  }, [fetchCriteria]);
+
+  useEffect(() => {
+    const normalized = normalizeWeights(weights);
+    if (!normalized) {
+      return undefined;
+    }
+
+    // Debounce so dragging a slider does not fire a request per pixel
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.post(`${API_BASE_URL}/challenges/${challengeId}/simulate`, {
+          weights: normalized,
+          limit: 10
+        });
+        setSimulation(response.data);
+        setError(null);
+      } catch (err) {
+        setError('Simulation failed: ' + (err.response?.data?.details?.join(', ') || err.response?.data?.error || err.message));
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [challengeId, weights]);
+
+  const handleWeightChange = (key, value) => {
+    setWeights(prev => ({ ...prev, [key]: parseFloat(value) }));
+  };
+
+  const handleReset = () => {
+    setWeights(Object.fromEntries(dimensions.map(dimension => [dimension.key, dimension.weight])));
+  };
+
+  const normalized = normalizeWeights(weights) || {};
+
+  if (loading) {
+    return <div className="weight-simulator">Loading criteria...</div>;
+  }
+
+  return (
+    <div className="weight-simulator">
+      <div className="simulator-header">
+        <h3>What-if Simulator - {challengeId}</h3>
+        <div className="simulator-header-actions">
+          <button onClick={handleReset} className="simulator-button">Reset</button>
+          <button onClick={onClose} className="simulator-button">Close</button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="simulator-body">
+        <div className="simulator-sliders">
+          {dimensions.map(dimension => (
+            <div key={dimension.key} className="simulator-slider">
+              <label htmlFor={`sim-${dimension.key}`}>
+                {dimension.label}
+                <span>{Math.round((normalized[dimension.key] || 0) * 100)}%</span>
+              </label>
+              <input
+                type="range"
+                id={`sim-${dimension.key}`}
+                min="0"
+                max="1"
+                step="0.05"
+                value={weights[dimension.key] ?? 0}
+                onChange={(e) => handleWeightChange(dimension.key, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+
+        {simulation && (
+          <div className="simulator-results">
+            <h4>Simulated Top {simulation.rankings.length}</h4>
+            <table className="simulator-table">
+              <thead>
+                <tr>
+                  <th>Rank</th>
+                  <th>Candidate</th>
+                  <th>Score</th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {simulation.rankings.map(ranking => (
+                  <tr key={ranking.userId}>
+                    <td>#{ranking.rank}</td>
+                    <td>{ranking.name}</td>
+                    <td>{ranking.finalScore.toFixed(2)}</td>
+                    <td className={ranking.rankDelta > 0 ? 'delta-up' : ranking.rankDelta < 0 ? 'delta-down' : 'delta-none'}>
+                      {formatDelta(ranking.rankDelta)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="simulator-movers">
+              <div>
+                <h5>Biggest movers up</h5>
+                {simulation.movers.up.length === 0 ? <p>None</p> : (
+                  <ul>
+                    {simulation.movers.up.map(mover => (
+                      <li key={mover.userId} className="delta-up">
+                        {mover.name}: #{mover.currentRank} → #{mover.rank}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <div>
+                <h5>Biggest movers down</h5>
+                {simulation.movers.down.length === 0 ? <p>None</p> : (
+                  <ul>
+                    {simulation.movers.down.map(mover => (
+                      <li key={mover.userId} className="delta-down">
+                        {mover.name}: #{mover.currentRank} → #{mover.rank}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WeightSimulator;
@@ -1,126 +1,406 @@
 -- EduVerse Leaderboard Database Schema
--- Run this in your Supabase SQL editor to set up the database
+-- Generated from server/migrations by `npm run migrate -- sql` (do not edit by hand).
+-- Run this in your Supabase SQL editor, or run `npm run migrate` with DATABASE_URL set.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+-- 001_initial_schema
 
--- Users table
 CREATE TABLE IF NOT EXISTS users (
-  id SERIAL PRIMARY KEY,
-  user_id TEXT UNIQUE NOT NULL,
-  name TEXT NOT NULL,
-  email TEXT,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Challenges table
+    id SERIAL PRIMARY KEY,
+    user_id TEXT UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
 CREATE TABLE IF NOT EXISTS challenges (
-  id SERIAL PRIMARY KEY,
-  challenge_id TEXT UNIQUE NOT NULL,
-  title TEXT NOT NULL,
-  description TEXT,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- AI Scores table
+    id SERIAL PRIMARY KEY,
+    challenge_id TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('draft', 'open', 'closed', 'archived')),
+    tags JSONB NOT NULL DEFAULT '[]',
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
 CREATE TABLE IF NOT EXISTS ai_scores (
-  id SERIAL PRIMARY KEY,
-  user_id TEXT NOT NULL,
-  challenge_id TEXT NOT NULL,
-  ai_score REAL NOT NULL,
-  code_quality REAL NOT NULL,
-  testing_rate REAL NOT NULL,
-  logic_score REAL NOT NULL,
-  clarity_score REAL NOT NULL,
-  efficiency_score REAL NOT NULL,
-  api_ui_score REAL NOT NULL DEFAULT 0,
-  edge_cases_score REAL NOT NULL DEFAULT 0,
-  creativity_score REAL NOT NULL DEFAULT 0,
-  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  FOREIGN KEY (user_id) REFERENCES users (user_id),
-  FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
-  UNIQUE(user_id, challenge_id)
-);
-
--- Recruiter Criteria table
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    ai_score REAL NOT NULL,
+    code_quality REAL NOT NULL,
+    testing_rate REAL NOT NULL,
+    logic_score REAL NOT NULL,
+    clarity_score REAL NOT NULL,
+    efficiency_score REAL NOT NULL,
+    api_ui_score REAL NOT NULL DEFAULT 0,
+    edge_cases_score REAL NOT NULL DEFAULT 0,
+    creativity_score REAL NOT NULL DEFAULT 0,
+    dimension_scores JSONB,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
+  );
+
 CREATE TABLE IF NOT EXISTS recruiter_criteria (
-  id SERIAL PRIMARY KEY,
-  challenge_id TEXT UNIQUE NOT NULL,
-  logic_weight REAL NOT NULL DEFAULT 0.25,
-  clarity_weight REAL NOT NULL DEFAULT 0.30,
-  testing_weight REAL NOT NULL DEFAULT 0.0,
-  efficiency_weight REAL NOT NULL DEFAULT 0.0,
-  api_ui_weight REAL NOT NULL DEFAULT 0.20,
-  edge_cases_weight REAL NOT NULL DEFAULT 0.15,
-  creativity_weight REAL NOT NULL DEFAULT 0.10,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
-);
-
--- Final Rankings table
+    id SERIAL PRIMARY KEY,
+    challenge_id TEXT NOT NULL,
+    logic_weight REAL NOT NULL DEFAULT 0.25,
+    clarity_weight REAL NOT NULL DEFAULT 0.30,
+    testing_weight REAL NOT NULL DEFAULT 0.0,
+    efficiency_weight REAL NOT NULL DEFAULT 0.0,
+    api_ui_weight REAL NOT NULL DEFAULT 0.20,
+    edge_cases_weight REAL NOT NULL DEFAULT 0.15,
+    creativity_weight REAL NOT NULL DEFAULT 0.10,
+    dimensions JSONB,
+    ranking_policy TEXT NOT NULL DEFAULT 'competition',
+    normalization TEXT NOT NULL DEFAULT 'none',
+    attempt_policy TEXT NOT NULL DEFAULT 'latest',
+    attempt_window INTEGER NOT NULL DEFAULT 3,
+    version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id)
+  );
+
 CREATE TABLE IF NOT EXISTS final_rankings (
-  id SERIAL PRIMARY KEY,
-  user_id TEXT NOT NULL,
-  challenge_id TEXT NOT NULL,
-  final_score REAL NOT NULL,
-  rank INTEGER NOT NULL,
-  logic_contribution REAL NOT NULL,
-  clarity_contribution REAL NOT NULL,
-  testing_contribution REAL NOT NULL,
-  efficiency_contribution REAL NOT NULL,
-  api_ui_contribution REAL NOT NULL DEFAULT 0,
-  edge_cases_contribution REAL NOT NULL DEFAULT 0,
-  creativity_contribution REAL NOT NULL DEFAULT 0,
-  calculated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  FOREIGN KEY (user_id) REFERENCES users (user_id),
-  FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
-  UNIQUE(user_id, challenge_id)
-);
-
--- Create indexes for better performance
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    challenge_id TEXT NOT NULL,
+    final_score REAL NOT NULL,
+    rank REAL NOT NULL,
+    logic_contribution REAL NOT NULL,
+    clarity_contribution REAL NOT NULL,
+    testing_contribution REAL NOT NULL,
+    efficiency_contribution REAL NOT NULL,
+    api_ui_contribution REAL NOT NULL DEFAULT 0,
+    edge_cases_contribution REAL NOT NULL DEFAULT 0,
+    creativity_contribution REAL NOT NULL DEFAULT 0,
+    contributions JSONB,
+    normalized_scores JSONB,
+    breakdown JSONB,
+    attempt_id INTEGER,
+    attempt_count INTEGER NOT NULL DEFAULT 1,
+    criteria_version INTEGER,
+    calculated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    FOREIGN KEY (user_id) REFERENCES users (user_id),
+    FOREIGN KEY (challenge_id) REFERENCES challenges (challenge_id),
+    UNIQUE(user_id, challenge_id)
+  );
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    actor TEXT NOT NULL,
+    actor_role TEXT,
+    action TEXT NOT NULL,
+    challenge_id TEXT,
+    target TEXT,
+    before_payload JSONB,
+    after_payload JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS trigger AS $$
+  BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+  END;
+  $$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+ALTER TABLE ai_scores ADD COLUMN IF NOT EXISTS dimension_scores JSONB;
+
+ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS dimensions JSONB;
+
+ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS ranking_policy TEXT NOT NULL DEFAULT 'competition';
+
+ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS normalization TEXT NOT NULL DEFAULT 'none';
+
+ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS attempt_policy TEXT NOT NULL DEFAULT 'latest';
+
+ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS attempt_window INTEGER NOT NULL DEFAULT 3;
+
+ALTER TABLE recruiter_criteria ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open';
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS tags JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS contributions JSONB;
+
+ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS normalized_scores JSONB;
+
+ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS attempt_id INTEGER;
+
+ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS attempt_count INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS criteria_version INTEGER;
+
+ALTER TABLE final_rankings ADD COLUMN IF NOT EXISTS breakdown JSONB;
+
+DO $$
+  BEGIN
+    IF (SELECT data_type FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = 'final_rankings' AND column_name = 'rank') <> 'real' THEN
+      ALTER TABLE final_rankings ALTER COLUMN rank TYPE REAL;
+    END IF;
+  END $$;
+
+ALTER TABLE challenges DROP CONSTRAINT IF EXISTS challenges_status_check;
+
+ALTER TABLE challenges ADD CONSTRAINT challenges_status_check CHECK (status IN ('draft', 'open', 'closed', 'archived'));
+
+ALTER TABLE ai_scores DROP CONSTRAINT IF EXISTS ai_scores_user_id_challenge_id_key;
+
+ALTER TABLE recruiter_criteria DROP CONSTRAINT IF EXISTS recruiter_criteria_challenge_id_key;
+
+ALTER TABLE recruiter_criteria DROP CONSTRAINT IF EXISTS recruiter_criteria_challenge_id_version_key;
+
 CREATE INDEX IF NOT EXISTS idx_ai_scores_challenge_id ON ai_scores(challenge_id);
+
 CREATE INDEX IF NOT EXISTS idx_ai_scores_user_id ON ai_scores(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_ai_scores_challenge_user ON ai_scores(challenge_id, user_id);
+
 CREATE INDEX IF NOT EXISTS idx_final_rankings_challenge_id ON final_rankings(challenge_id);
+
 CREATE INDEX IF NOT EXISTS idx_final_rankings_rank ON final_rankings(challenge_id, rank);
+
 CREATE INDEX IF NOT EXISTS idx_recruiter_criteria_challenge_id ON recruiter_criteria(challenge_id);
 
--- Enable Row Level Security (RLS) for better security
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recruiter_criteria_version ON recruiter_criteria(challenge_id, version);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_challenge ON audit_log(challenge_id, created_at);
+
+INSERT INTO schema_migrations (version, name) VALUES (1, 'initial_schema') ON CONFLICT (version) DO NOTHING;
+
+-- 002_supabase_access
+
+CREATE OR REPLACE VIEW leaderboard_entries WITH (security_invoker = true) AS
+  SELECT
+    fr.challenge_id,
+    fr.user_id,
+    u.name,
+    fr.final_score,
+    fr.rank,
+    fr.logic_contribution,
+    fr.clarity_contribution,
+    fr.testing_contribution,
+    fr.efficiency_contribution,
+    fr.api_ui_contribution,
+    fr.edge_cases_contribution,
+    fr.creativity_contribution,
+    fr.contributions,
+    fr.normalized_scores,
+    fr.attempt_count,
+    fr.criteria_version,
+    ai.id AS attempt_id,
+    ai.ai_score,
+    ai.code_quality,
+    ai.testing_rate,
+    ai.logic_score,
+    ai.clarity_score,
+    ai.efficiency_score,
+    ai.api_ui_score,
+    ai.edge_cases_score,
+    ai.creativity_score,
+    ai.dimension_scores,
+    fr.breakdown
+  FROM final_rankings fr
+  JOIN users u ON u.user_id = fr.user_id
+  JOIN ai_scores ai ON ai.id = COALESCE(fr.attempt_id, (
+    SELECT MAX(latest.id) FROM ai_scores latest
+    WHERE latest.user_id = fr.user_id AND latest.challenge_id = fr.challenge_id
+  ));
+
+CREATE OR REPLACE FUNCTION replace_challenge_rankings(p_challenge_id TEXT, p_rankings JSONB)
+  RETURNS VOID AS $$
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id;
+
+    INSERT INTO final_rankings (user_id, challenge_id, final_score, rank, logic_contribution, clarity_contribution, testing_contribution, efficiency_contribution, api_ui_contribution, edge_cases_contribution, creativity_contribution, contributions, normalized_scores, breakdown, attempt_id, attempt_count, criteria_version)
+    SELECT r.user_id, p_challenge_id, r.final_score, r.rank, r.logic_contribution, r.clarity_contribution, r.testing_contribution, r.efficiency_contribution, r.api_ui_contribution, r.edge_cases_contribution, r.creativity_contribution, r.contributions, r.normalized_scores, r.breakdown, r.attempt_id, r.attempt_count, r.criteria_version
+    FROM jsonb_populate_recordset(NULL::final_rankings, p_rankings) AS r;
+  END;
+  $$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION apply_ranking_changes(p_challenge_id TEXT, p_rankings JSONB, p_ranks JSONB)
+  RETURNS VOID AS $$
+  BEGIN
+    INSERT INTO final_rankings (user_id, challenge_id, final_score, rank, logic_contribution, clarity_contribution, testing_contribution, efficiency_contribution, api_ui_contribution, edge_cases_contribution, creativity_contribution, contributions, normalized_scores, breakdown, attempt_id, attempt_count, criteria_version)
+    SELECT r.user_id, p_challenge_id, r.final_score, r.rank, r.logic_contribution, r.clarity_contribution, r.testing_contribution, r.efficiency_contribution, r.api_ui_contribution, r.edge_cases_contribution, r.creativity_contribution, r.contributions, r.normalized_scores, r.breakdown, r.attempt_id, r.attempt_count, r.criteria_version
+    FROM jsonb_populate_recordset(NULL::final_rankings, p_rankings) AS r
+    ON CONFLICT (user_id, challenge_id) DO UPDATE SET
+      final_score = EXCLUDED.final_score,
+      rank = EXCLUDED.rank,
+      logic_contribution = EXCLUDED.logic_contribution,
+      clarity_contribution = EXCLUDED.clarity_contribution,
+      testing_contribution = EXCLUDED.testing_contribution,
+      efficiency_contribution = EXCLUDED.efficiency_contribution,
+      api_ui_contribution = EXCLUDED.api_ui_contribution,
+      edge_cases_contribution = EXCLUDED.edge_cases_contribution,
+      creativity_contribution = EXCLUDED.creativity_contribution,
+      contributions = EXCLUDED.contributions,
+      normalized_scores = EXCLUDED.normalized_scores,
+      breakdown = EXCLUDED.breakdown,
+      attempt_id = EXCLUDED.attempt_id,
+      attempt_count = EXCLUDED.attempt_count,
+      criteria_version = EXCLUDED.criteria_version,
+      calculated_at = NOW();
+
+    UPDATE final_rankings fr
+    SET rank = r.rank
+    FROM jsonb_to_recordset(p_ranks) AS r(user_id TEXT, rank REAL)
+    WHERE fr.challenge_id = p_challenge_id AND fr.user_id = r.user_id;
+  END;
+  $$ LANGUAGE plpgsql;
+
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
 ALTER TABLE challenges ENABLE ROW LEVEL SECURITY;
+
 ALTER TABLE ai_scores ENABLE ROW LEVEL SECURITY;
+
 ALTER TABLE recruiter_criteria ENABLE ROW LEVEL SECURITY;
+
 ALTER TABLE final_rankings ENABLE ROW LEVEL SECURITY;
 
--- Create policies for public access (adjust as needed for your security requirements)
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow public read access" ON users;
+
 CREATE POLICY "Allow public read access" ON users FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Allow public read access" ON challenges;
+
 CREATE POLICY "Allow public read access" ON challenges FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Allow public read access" ON ai_scores;
+
 CREATE POLICY "Allow public read access" ON ai_scores FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Allow public read access" ON recruiter_criteria;
+
 CREATE POLICY "Allow public read access" ON recruiter_criteria FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Allow public read access" ON final_rankings;
+
 CREATE POLICY "Allow public read access" ON final_rankings FOR SELECT USING (true);
 
+DROP POLICY IF EXISTS "Allow public read access" ON audit_log;
+
+CREATE POLICY "Allow public read access" ON audit_log FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Allow public insert access" ON users;
+
 CREATE POLICY "Allow public insert access" ON users FOR INSERT WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow public insert access" ON challenges;
+
 CREATE POLICY "Allow public insert access" ON challenges FOR INSERT WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow public insert access" ON ai_scores;
+
 CREATE POLICY "Allow public insert access" ON ai_scores FOR INSERT WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow public insert access" ON recruiter_criteria;
+
 CREATE POLICY "Allow public insert access" ON recruiter_criteria FOR INSERT WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow public insert access" ON final_rankings;
+
 CREATE POLICY "Allow public insert access" ON final_rankings FOR INSERT WITH CHECK (true);
 
+DROP POLICY IF EXISTS "Allow public insert access" ON audit_log;
+
+CREATE POLICY "Allow public insert access" ON audit_log FOR INSERT WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow public update access" ON users;
+
 CREATE POLICY "Allow public update access" ON users FOR UPDATE USING (true);
+
+DROP POLICY IF EXISTS "Allow public update access" ON challenges;
+
 CREATE POLICY "Allow public update access" ON challenges FOR UPDATE USING (true);
+
+DROP POLICY IF EXISTS "Allow public update access" ON ai_scores;
+
 CREATE POLICY "Allow public update access" ON ai_scores FOR UPDATE USING (true);
+
+DROP POLICY IF EXISTS "Allow public update access" ON recruiter_criteria;
+
 CREATE POLICY "Allow public update access" ON recruiter_criteria FOR UPDATE USING (true);
+
+DROP POLICY IF EXISTS "Allow public update access" ON final_rankings;
+
 CREATE POLICY "Allow public update access" ON final_rankings FOR UPDATE USING (true);
 
--- Insert some sample data for testing
-INSERT INTO challenges (challenge_id, title, description) VALUES 
-('demo-challenge-1', 'EduVerse Coding Challenge #1', 'Build a leaderboard system with AI evaluation'),
-('demo-challenge-2', 'EduVerse Coding Challenge #2', 'Create a real-time chat application')
-ON CONFLICT (challenge_id) DO NOTHING;
-
-INSERT INTO users (user_id, name, email) VALUES 
-('demo-user-1', 'Alice Johnson', 'alice@example.com'),
-('demo-user-2', 'Bob Smith', 'bob@example.com'),
-('demo-user-3', 'Carol Davis', 'carol@example.com')
-ON CONFLICT (user_id) DO NOTHING;
-
-INSERT INTO recruiter_criteria (challenge_id, logic_weight, clarity_weight, testing_weight, efficiency_weight, api_ui_weight, edge_cases_weight, creativity_weight) VALUES 
-('demo-challenge-1', 0.25, 0.30, 0.0, 0.0, 0.20, 0.15, 0.10),
-('demo-challenge-2', 0.30, 0.25, 0.10, 0.10, 0.15, 0.05, 0.05)
-ON CONFLICT (challenge_id) DO NOTHING;
+DROP POLICY IF EXISTS "Allow public delete access" ON final_rankings;
+
+CREATE POLICY "Allow public delete access" ON final_rankings FOR DELETE USING (true);
+
+INSERT INTO schema_migrations (version, name) VALUES (2, 'supabase_access') ON CONFLICT (version) DO NOTHING;
+
+-- 003_supabase_deletes
+
+CREATE OR REPLACE FUNCTION delete_challenge_user(p_challenge_id TEXT, p_user_id TEXT)
+  RETURNS INTEGER AS $$
+  DECLARE
+    deleted INTEGER;
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id AND user_id = p_user_id;
+    DELETE FROM ai_scores WHERE challenge_id = p_challenge_id AND user_id = p_user_id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    RETURN deleted;
+  END;
+  $$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION delete_challenge_scores(p_challenge_id TEXT)
+  RETURNS INTEGER AS $$
+  DECLARE
+    deleted INTEGER;
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id;
+    DELETE FROM ai_scores WHERE challenge_id = p_challenge_id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    RETURN deleted;
+  END;
+  $$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION delete_challenge(p_challenge_id TEXT)
+  RETURNS INTEGER AS $$
+  DECLARE
+    deleted INTEGER;
+  BEGIN
+    DELETE FROM final_rankings WHERE challenge_id = p_challenge_id;
+    DELETE FROM ai_scores WHERE challenge_id = p_challenge_id;
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    DELETE FROM recruiter_criteria WHERE challenge_id = p_challenge_id;
+    DELETE FROM challenges WHERE challenge_id = p_challenge_id;
+    RETURN deleted;
+  END;
+  $$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+INSERT INTO schema_migrations (version, name) VALUES (3, 'supabase_deletes') ON CONFLICT (version) DO NOTHING;
+
+COMMIT;
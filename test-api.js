@@ -11,6 +11,14 @@ async function testAPI() {
     const healthResponse = await axios.get(`${API_BASE_URL}/health`);
     console.log('✅ Health check:', healthResponse.data);
 
+    // Sign in as an admin with the built-in token issuer (server started with AUTH_DEV_ISSUER=1; admins pass every role check)
+    const tokenResponse = await axios.post(`${API_BASE_URL}/auth/token`, {
+      userId: 'api-test',
+      role: 'admin'
+    });
+    axios.defaults.headers.common.Authorization = `Bearer ${tokenResponse.data.token}`;
+    console.log('✅ Signed in as admin');
+
     // Create demo challenge
     console.log('\n2. Creating demo challenge...');
     const challengeResponse = await axios.post(`${API_BASE_URL}/challenges`, {